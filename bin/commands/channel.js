@@ -0,0 +1,358 @@
+/**
+ * @file bin/commands/channel.js
+ * @description The init and channel commands: set up, add, remove and list channels without editing .env by hand.
+ * @license MIT
+ */
+
+import path from 'path';
+import { createTelefy, discoverChats, getChannels, getConfig, getGroups } from '../../telegramBot.js';
+import { chatsOf } from '../../lib/channels.js';
+import { CONFIG_FILES } from '../../lib/config.js';
+import { identifyBot } from '../../lib/discover.js';
+import { TelegramBotError } from '../../lib/errors.js';
+import { maskToken, removeChannel, saveChannel } from '../../lib/setup.js';
+import { chatChoices, createPrompt, exitWithError } from '../helpers.js';
+
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+// Options accepted by each command
+const COMMAND_OPTIONS = {
+  init: ['--env'],
+  add: ['--token', '--chat', '--save-to', '--env', '--no-test'],
+  remove: ['--env'],
+  list: ['--json'],
+};
+
+// Display usage instructions for the channel commands
+function showUsage() {
+  console.log(`
+Usage: telefy init
+       telefy channel add [<name>] [--token <token>] [--chat <chat_id>] [--save-to env|config] [--no-test]
+       telefy channel remove <name>
+       telefy channel list [--json]
+
+Set up channels without editing .env by hand. init walks through adding one or more channels; channel add does the
+same for one channel, asking for anything not given as an option. The bot token is checked with getMe and a test
+message is sent to the chat before the channel is saved. Other variables and settings in the files are kept.
+
+Options:
+  --token <token>      Bot token from @BotFather
+  --chat <chat_id>     Chat to send to (<chat_id> or <chat_id>:<topic_id>; default: ask, offering the chats the bot has seen)
+  --save-to env|config Save to .env as CHANNEL_<NAME>_TOKEN / CHANNEL_<NAME>_CHAT_ID (default), or to the
+                       channels section of the config file (${CONFIG_FILES[0]} when there is none yet)
+  --env <file>         .env file to update (default: .env in the current directory)
+  --no-test            Do not send a test message
+  --json               Print the channels as JSON (tokens masked)
+
+Examples:
+  telefy init
+  telefy channel add alerts --token 123456:ABC-DEF --chat -1001234567890
+  telefy channel remove alerts
+  telefy channel list
+`);
+  process.exit(1);
+}
+
+/**
+ * Parse the arguments of a command.
+ * @param {string} command - 'init', 'add', 'remove' or 'list'.
+ * @param {string[]} args - Command-line arguments after the command name.
+ * @returns {{name?: string, values: Object<string, string|boolean>}} Positional name and option values.
+ */
+function parseArgs(command, args) {
+  const values = {};
+  let name;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const separator = arg.indexOf('=');
+    const option = separator === -1 ? arg : arg.slice(0, separator);
+    if (option === '--help' || option === '-h') {
+      showUsage();
+    } else if (option.startsWith('--')) {
+      if (!COMMAND_OPTIONS[command].includes(option)) {
+        console.error(`Error: Unknown option "${option}" for ${command === 'init' ? 'init' : `channel ${command}`}`);
+        showUsage();
+      }
+      if (option === '--no-test' || option === '--json') {
+        values[option.slice(2)] = true;
+        continue;
+      }
+      // Chat IDs of groups start with "-", so the next argument is taken as the value whatever it looks like
+      const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+      if (!value) {
+        console.error(`Error: ${option} requires a value`);
+        showUsage();
+      }
+      values[option.slice(2)] = value;
+    } else if (name === undefined && command !== 'init' && command !== 'list') {
+      name = arg;
+    } else {
+      console.error(`Error: Unexpected argument "${arg}"`);
+      showUsage();
+    }
+  }
+
+  if (name !== undefined && !CHANNEL_NAME_PATTERN.test(name)) {
+    console.error('Error: Channel names may only contain letters, digits and "_"');
+    showUsage();
+  }
+  if (values['save-to'] !== undefined && !['env', 'config'].includes(values['save-to'])) {
+    console.error('Error: --save-to must be env or config');
+    showUsage();
+  }
+  return { name, values };
+}
+
+/**
+ * Check whether the terminal can answer prompts.
+ * @returns {boolean} True when stdin and stdout are a TTY.
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * Ask for a value until it passes a check.
+ * @param {Object} prompt - Prompt from createPrompt.
+ * @param {string} question - Question.
+ * @param {function(string): Promise<*>} check - Resolves with the checked value, or throws a TelegramBotError.
+ * @param {string} [defaultValue] - Answer used for an empty reply.
+ * @returns {Promise<*>} The value check resolved with.
+ */
+async function askUntilValid(prompt, question, check, defaultValue) {
+  for (;;) {
+    const answer = await prompt.ask(question, defaultValue);
+    try {
+      return await check(answer);
+    } catch (error) {
+      console.error(`  ${error.message}`);
+      if (error.suggestion) {
+        console.error(`  Suggestion: ${error.suggestion}`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a channel name.
+ * @param {string} name - Channel name.
+ * @returns {string} Lowercased name.
+ * @throws {TelegramBotError} If the name is invalid.
+ */
+function checkName(name) {
+  if (!name || !CHANNEL_NAME_PATTERN.test(name)) {
+    throw new TelegramBotError('Invalid channel name', 'Use letters, digits and "_" only, e.g. alerts or ci_builds.');
+  }
+  if (name.toLowerCase() === 'all' || getGroups().has(name.toLowerCase())) {
+    throw new TelegramBotError(`The name "${name}" is taken`, 'Pick a name that is not "all" or the name of a group.');
+  }
+  return name.toLowerCase();
+}
+
+/**
+ * Ask which of the chats the bot has seen to use.
+ * @param {Object} prompt - Prompt from createPrompt.
+ * @param {string} token - Bot token.
+ * @param {Object} settings - apiRoot, proxy and timeout.
+ * @returns {Promise<string>} Chat ID, possibly with a topic.
+ */
+async function pickChat(prompt, token, settings) {
+  for (;;) {
+    console.log('Send a message to the bot, or add it to the group or channel and post there. Waiting up to 60 seconds...');
+    const choices = chatChoices(await discoverChats(token, { ...settings, wait: 60 }));
+    if (choices.length > 0) {
+      choices.forEach((choice, index) => console.log(`${String(index + 1).padStart(3)}. ${choice.label}`));
+      const answer = await prompt.ask(`Which chat? (1-${choices.length}, or a chat ID)`, '1');
+      return choices[Number(answer) - 1]?.chatId ?? answer;
+    }
+    const answer = await prompt.ask('No message arrived. Chat ID (Enter to wait again)');
+    if (answer) {
+      return answer;
+    }
+  }
+}
+
+/**
+ * Add one channel: get its name, token and chat (asking for what is missing), check the token, send a test message
+ * and save it.
+ * @param {{name?: string, values: Object}} input - Parsed arguments.
+ * @param {Object|null} prompt - Prompt from createPrompt, or null when not interactive.
+ * @param {Set<string>} added - Channels added earlier in this run, which are not in the loaded configuration yet.
+ * @returns {Promise<string>} Name of the channel saved.
+ * @throws {TelegramBotError} If a check fails, the test message cannot be sent or the file cannot be written.
+ */
+async function addChannel({ name, values }, prompt, added) {
+  const { apiRoot, proxy, timeout, path: configPath } = getConfig();
+  const settings = { apiRoot, proxy, timeout };
+  const missing = ['name', 'token', 'chat'].filter((field) => (field === 'name' ? name : values[field]) === undefined);
+  if (!prompt && missing.length > 0) {
+    throw new TelegramBotError(
+      `Missing ${missing.map((field) => (field === 'name' ? 'channel name' : `--${field}`)).join(', ')}`,
+      'Pass them as options, or run the command in a terminal to be asked for them.'
+    );
+  }
+
+  const channelName = name === undefined
+    ? await askUntilValid(prompt, 'Channel name', async (answer) => checkName(answer), added.size === 0 ? 'alerts' : '')
+    : checkName(name);
+  if (getConfig().channels.has(channelName) || added.has(channelName)) {
+    if (!prompt) {
+      console.log(`Replacing channel "${channelName}".`);
+    } else if (!/^y/i.test(await prompt.ask(`Channel "${channelName}" exists. Replace it? (y/n)`, 'n'))) {
+      throw new TelegramBotError(`Channel "${channelName}" was not changed`, 'Choose another name to add a new channel.');
+    }
+  }
+
+  let token = values.token;
+  const bot = token === undefined
+    ? await askUntilValid(prompt, 'Bot token from @BotFather', async (answer) => {
+      const found = await identifyBot(answer, settings);
+      token = answer;
+      return found;
+    })
+    : await identifyBot(token, settings);
+  console.log(`  Token OK: @${bot.username} (${bot.name})`);
+
+  const chatId = values.chat
+    ?? (await prompt.ask('Chat ID (<chat_id> or <chat_id>:<topic_id>; Enter to find it)')
+      || await pickChat(prompt, token, settings));
+
+  if (!values['no-test']) {
+    const client = createTelefy({ channels: { [channelName]: { token, chatId } }, ...settings });
+    const [result] = await client.sendTGMessage(
+      `✅ telefy is set up: this chat receives the messages of channel "${channelName}".`, channelName, 'HTML'
+    );
+    console.log(`  Test message sent (message ID ${result.messageId})`);
+  }
+
+  let saveTo = values['save-to'];
+  if (saveTo === undefined && prompt && configPath) {
+    saveTo = /^c/i.test(await prompt.ask(`Save to .env or ${path.basename(configPath)}? (env/config)`, 'env')) ? 'config' : 'env';
+  }
+  const files = { envFile: path.resolve(values.env ?? '.env'), configFile: configPath ?? path.resolve(CONFIG_FILES[0]) };
+  await saveChannel(channelName, { token, chatId }, { ...files, saveTo: saveTo ?? 'env' });
+  const file = saveTo === 'config' ? files.configFile : files.envFile;
+  console.log(`Saved channel "${channelName}" to ${path.relative(process.cwd(), file) || file}.`);
+  added.add(channelName);
+  return channelName;
+}
+
+/**
+ * Walk through adding channels, one after the other.
+ * @param {{values: Object}} input - Parsed arguments.
+ */
+async function init({ values }) {
+  if (!isInteractive()) {
+    throw new TelegramBotError(
+      'telefy init needs a terminal to ask questions',
+      'Use "telefy channel add <name> --token <token> --chat <chat_id>" in scripts.'
+    );
+  }
+  console.log('Set up telefy channels. Each channel is a bot token and the chat it sends to.');
+  console.log('Create a bot with @BotFather (https://t.me/BotFather) if you do not have one yet.\n');
+  const existing = [...getConfig().channels.keys()];
+  if (existing.length > 0) {
+    console.log(`Channels already configured: ${existing.join(', ')}\n`);
+  }
+
+  const prompt = createPrompt();
+  const added = new Set();
+  try {
+    do {
+      const channelName = await addChannel({ values }, prompt, added);
+      console.log(`\nTry it: telefy "Hello from telefy" --channel ${channelName}`);
+    } while (/^y/i.test(await prompt.ask('\nAdd another channel? (y/n)', 'n')));
+  } finally {
+    prompt.close();
+  }
+  console.log('Run "telefy doctor" any time to check that every channel can still send.');
+}
+
+/**
+ * Print the configured channels with masked tokens.
+ * @param {{values: Object}} input - Parsed arguments.
+ */
+function list({ values }) {
+  const channels = [...getChannels()].map(([name, config]) => ({
+    name,
+    token: maskToken(config.token),
+    chats: chatsOf(config).map(({ chatId, messageThreadId }) => (messageThreadId ? `${chatId}:${messageThreadId}` : chatId)),
+  }));
+  if (values.json) {
+    console.log(JSON.stringify(channels, null, 2));
+    return;
+  }
+  if (channels.length === 0) {
+    console.log('No channels configured. Run "telefy init" to add one.');
+    return;
+  }
+
+  const rows = [['CHANNEL', 'TOKEN', 'CHATS'], ...channels.map((channel) => [channel.name, channel.token, channel.chats.join(', ')])];
+  const widths = rows[0].map((column, index) => Math.max(...rows.map((row) => row[index].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd());
+  }
+  for (const [group, members] of getGroups()) {
+    console.log(`\nGroup ${group}: ${members.join(', ')}`);
+  }
+}
+
+/**
+ * Remove a channel from .env and the config file.
+ * @param {{name?: string, values: Object}} input - Parsed arguments.
+ */
+async function remove({ name, values }) {
+  if (!name) {
+    console.error('Error: Give the name of the channel to remove');
+    showUsage();
+  }
+  const envFile = path.resolve(values.env ?? '.env');
+  const files = await removeChannel(name, { envFile, configFile: getConfig().path ?? undefined });
+  if (files.length === 0) {
+    throw new TelegramBotError(
+      `Channel "${name.toLowerCase()}" is not in ${path.relative(process.cwd(), envFile) || envFile} or the config file`,
+      getConfig().channels.has(name.toLowerCase())
+        ? 'It is set in the environment; unset its CHANNEL_<NAME>_* variables there.'
+        : `Configured channels: ${[...getConfig().channels.keys()].join(', ') || 'none'}.`
+    );
+  }
+  const where = files.map((file) => path.relative(process.cwd(), file) || file).join(' and ');
+  console.log(`Removed channel "${name.toLowerCase()}" from ${where}.`);
+}
+
+/**
+ * Run the init command or a channel command.
+ * @param {string} command - 'init', 'add', 'remove' or 'list'.
+ * @param {string[]} args - Command-line arguments after the command name.
+ */
+async function run(command, args) {
+  if (!Object.hasOwn(COMMAND_OPTIONS, command)) {
+    console.error(command ? `Error: Unknown channel command "${command}"` : 'Error: Give a channel command');
+    showUsage();
+  }
+  const input = parseArgs(command, args);
+
+  try {
+    if (command === 'init') {
+      await init(input);
+    } else if (command === 'add') {
+      const prompt = isInteractive() ? createPrompt() : null;
+      try {
+        await addChannel(input, prompt, new Set());
+      } finally {
+        prompt?.close();
+      }
+    } else if (command === 'remove') {
+      await remove(input);
+    } else {
+      list(input);
+    }
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
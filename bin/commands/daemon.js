@@ -0,0 +1,66 @@
+/**
+ * @file bin/commands/daemon.js
+ * @description The daemon command: runs the scheduler that sends the messages added with telefy schedule add.
+ * @license MIT
+ */
+
+import { createScheduleStore, getChannels, getConfig, startScheduler, stopScheduler } from '../../telegramBot.js';
+import { TelegramBotError } from '../../lib/errors.js';
+import { exitWithError, logScheduledRun } from '../helpers.js';
+
+// Display usage instructions for the daemon command
+function showUsage() {
+  console.log(`
+Usage: telefy daemon
+
+Send scheduled messages until stopped (Ctrl+C or SIGTERM). Messages that came due while the daemon was stopped are
+sent when it starts; a repeating message runs once for all its missed times. Run it under systemd, pm2 or Docker to
+keep it up; "telefy serve" sends scheduled messages too, so only one of them is needed.
+
+Examples:
+  telefy schedule add "Daily digest" --cron @daily --channel news
+  telefy daemon
+`);
+  process.exit(1);
+}
+
+/**
+ * Run the daemon command.
+ * @param {string[]} args - Command-line arguments after "daemon".
+ */
+async function run(args) {
+  if (args.length > 0) {
+    if (args[0] !== '--help' && args[0] !== '-h') {
+      console.error(`Error: Unknown option "${args[0]}" for daemon`);
+    }
+    showUsage();
+  }
+
+  try {
+    if (getChannels().size === 0) {
+      throw new TelegramBotError(
+        'No channels configured',
+        'Add a channel with "telefy channel add" or CHANNEL_<name>_TOKEN / CHANNEL_<name>_CHAT_ID in .env.'
+      );
+    }
+    const { file } = createScheduleStore(getConfig().schedule);
+    console.log(`telefy daemon sending the messages scheduled in ${file}`);
+    await startScheduler({
+      onRun: logScheduledRun,
+      onError: (error) => console.error(`${new Date().toISOString()} ${error.message}`),
+    });
+
+    const stop = async () => {
+      await stopScheduler();
+      process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
@@ -0,0 +1,146 @@
+/**
+ * @file bin/commands/discover.js
+ * @description The discover command: lists the chats a bot has seen and writes the chosen one to .env.
+ * @license MIT
+ */
+
+import path from 'path';
+import { discoverChats, getConfig } from '../../telegramBot.js';
+import { saveChannel } from '../../lib/setup.js';
+import { chatChoices, createPrompt, exitWithError } from '../helpers.js';
+
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_]+$/;
+
+// Display usage instructions for the discover command
+function showUsage() {
+  console.log(`
+Usage: telefy discover --token <token> [--wait <seconds>] [--json]
+       telefy discover --token <token> --name <channel> [--chat <chat_id>] [--env <file>]
+
+List the chats, groups, channels and forum topics your bot has seen, with their IDs.
+Send a message to the bot, or add it to a group or channel and post there, shortly before running this.
+With --name (or when you pick a chat at the prompt), the bot token and chat ID are written to .env
+as CHANNEL_<name>_TOKEN and CHANNEL_<name>_CHAT_ID; other variables are left as they are.
+
+Options:
+  --token <token>      Bot token from @BotFather
+  --wait <seconds>     Wait up to this long for a message when the bot has not seen any (default: 0)
+  --name <channel>     Channel name to save the chat as
+  --chat <chat_id>     Chat to save (<chat_id> or <chat_id>:<topic_id>; default: ask, or the only one seen)
+  --env <file>         File to write (default: .env in the current directory)
+  --json               Print the chats as JSON
+
+Examples:
+  telefy discover --token 123456:ABC-DEF --wait 60
+  telefy discover --token 123456:ABC-DEF --name alerts --chat -1001234567890
+`);
+  process.exit(1);
+}
+
+/**
+ * Run the discover command.
+ * @param {string[]} args - Command-line arguments after "discover".
+ */
+async function run(args) {
+  const values = {};
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const separator = arg.indexOf('=');
+    const option = separator === -1 ? arg : arg.slice(0, separator);
+    if (option === '--help' || option === '-h') {
+      showUsage();
+    } else if (option === '--json') {
+      json = true;
+    } else if (['--token', '--wait', '--name', '--chat', '--env'].includes(option)) {
+      // Chat IDs of groups start with "-", so the next argument is taken as the value whatever it looks like
+      const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+      if (!value) {
+        console.error(`Error: ${option} requires a value`);
+        showUsage();
+      }
+      values[option.slice(2)] = value;
+    } else {
+      console.error(`Error: Unknown option "${option}" for discover`);
+      showUsage();
+    }
+  }
+
+  if (!values.token) {
+    console.error('Error: --token is required');
+    showUsage();
+  }
+  if (values.name && !CHANNEL_NAME_PATTERN.test(values.name)) {
+    console.error('Error: --name may only contain letters, digits and "_"');
+    showUsage();
+  }
+  const wait = values.wait === undefined ? 0 : Number(values.wait);
+
+  try {
+    const { apiRoot, proxy, timeout } = getConfig();
+    if (wait > 0 && !json) {
+      console.log(`Waiting up to ${wait} seconds for a message to the bot...`);
+    }
+    const chats = await discoverChats(values.token, { wait, apiRoot, proxy, timeout });
+    if (json) {
+      console.log(JSON.stringify(chats, null, 2));
+      return;
+    }
+    if (chats.length === 0) {
+      console.error('No chats found. Send a message to the bot, or add it to a group or channel and post there, ' +
+        'then run this again (or add --wait 60 to wait for it).');
+      process.exit(1);
+    }
+
+    const choices = chatChoices(chats);
+    choices.forEach((choice, index) => console.log(`${String(index + 1).padStart(3)}. ${choice.label}`));
+
+    const interactive = process.stdin.isTTY && process.stdout.isTTY;
+    if (!values.name && !interactive) {
+      return;
+    }
+
+    let chatId = values.chat ?? (choices.length === 1 ? choices[0].chatId : undefined);
+    let name = values.name;
+    if (!chatId && !interactive) {
+      console.error('Error: The bot has seen several chats; choose one with --chat <chat_id>');
+      process.exit(1);
+    }
+    const prompt = !chatId || !name ? createPrompt() : null;
+    try {
+      if (!chatId) {
+        const answer = await prompt.ask(`\nSave which chat to .env? (1-${choices.length}, Enter to skip)`);
+        if (!answer) {
+          return;
+        }
+        chatId = choices[Number(answer) - 1]?.chatId;
+        if (!chatId) {
+          console.error(`Error: There is no chat number ${answer}`);
+          process.exit(1);
+        }
+      }
+      while (!name || !CHANNEL_NAME_PATTERN.test(name)) {
+        name = await prompt.ask('Channel name (letters, digits and "_")');
+      }
+    } finally {
+      prompt?.close();
+    }
+
+    if (!choices.some((choice) => choice.chatId === chatId)) {
+      console.log(`Note: chat ${chatId} was not among the chats the bot has seen.`);
+    }
+    const file = path.resolve(values.env ?? '.env');
+    const prefix = `CHANNEL_${name.toUpperCase()}`;
+    await saveChannel(name, { token: values.token, chatId }, { envFile: file, configFile: getConfig().path ?? undefined });
+    const where = path.relative(process.cwd(), file) || file;
+    console.log(`Saved chat ${chatId} as channel "${name.toLowerCase()}" (${prefix}_TOKEN and ${prefix}_CHAT_ID in ${where}).`);
+    console.log(`Try it: telefy "Hello from telefy" --channel ${name.toLowerCase()}`);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
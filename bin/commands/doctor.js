@@ -0,0 +1,118 @@
+/**
+ * @file bin/commands/doctor.js
+ * @description The doctor command: checks that every configured channel's bot token, chat and permissions work.
+ * @license MIT
+ */
+
+import { verifyChannels } from '../../telegramBot.js';
+import { exitWithError } from '../helpers.js';
+
+const COLUMNS = ['CHANNEL', 'CHAT', 'BOT', 'TITLE', 'TYPE', 'RESULT'];
+
+// Display usage instructions for the doctor command
+function showUsage() {
+  console.log(`
+Usage: telefy doctor [--channel <name>] [--json]
+
+Check every configured channel: the bot token (getMe), the chat (getChat), and the bot's membership and right
+to send (getChatMember). Exits with 1 if any check fails.
+
+Options:
+  --channel <name>     Only check this channel or group
+  --json               Print the reports as JSON
+
+Examples:
+  telefy doctor
+  telefy doctor --channel alerts
+  telefy doctor --json > doctor.json
+`);
+  process.exit(1);
+}
+
+/**
+ * Build the table row of one report.
+ * @param {Object} report - Report from verifyChannels.
+ * @returns {string[]} Cells.
+ */
+function rowOf(report) {
+  const { chat } = report;
+  const type = chat ? `${chat.type}${chat.isForum ? ' (forum)' : ''}` : '-';
+  return [
+    report.channel,
+    String(report.chatId),
+    report.bot ? `@${report.bot.username}` : '-',
+    chat?.title ?? '-',
+    type,
+    report.ok ? 'pass' : 'FAIL',
+  ];
+}
+
+/**
+ * Print the reports as a table, followed by the failed checks with their suggestions.
+ * @param {Object[]} reports - Reports from verifyChannels.
+ */
+function printReports(reports) {
+  const rows = [COLUMNS, ...reports.map(rowOf)];
+  const widths = COLUMNS.map((column, index) => Math.max(...rows.map((row) => row[index].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd());
+  }
+
+  for (const report of reports.filter((entry) => !entry.ok)) {
+    console.log(`\n${report.channel} (chat ${report.chatId}):`);
+    for (const check of report.checks.filter((entry) => !entry.ok)) {
+      console.log(`  ✗ ${check.detail}`);
+      if (check.suggestion) {
+        console.log(`    Suggestion: ${check.suggestion}`);
+      }
+    }
+  }
+
+  const failed = reports.filter((report) => !report.ok).length;
+  console.log(`\n${reports.length} ${reports.length === 1 ? 'chat' : 'chats'} checked: ${reports.length - failed} passed, ${failed} failed.`);
+}
+
+/**
+ * Run the doctor command.
+ * @param {string[]} args - Command-line arguments after "doctor".
+ */
+async function run(args) {
+  let channel = 'all';
+  let json = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      showUsage();
+    } else if (arg === '--json') {
+      json = true;
+    } else if (arg === '--channel' || arg.startsWith('--channel=')) {
+      channel = arg === '--channel' ? args[++i] : arg.slice('--channel='.length);
+      if (!channel || channel.startsWith('--')) {
+        console.error('Error: --channel requires a channel name');
+        showUsage();
+      }
+    } else {
+      console.error(`Error: Unknown option "${arg}" for doctor`);
+      showUsage();
+    }
+  }
+
+  try {
+    const reports = await verifyChannels(channel);
+    if (json) {
+      console.log(JSON.stringify(reports, null, 2));
+    } else {
+      printReports(reports);
+    }
+    if (reports.some((report) => !report.ok)) {
+      process.exit(1);
+    }
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
@@ -0,0 +1,143 @@
+/**
+ * @file bin/commands/message.js
+ * @description The edit, delete and pin commands, acting on messages identified as <channel>[:<chat_id>]:<message_id>.
+ * @license MIT
+ */
+
+import {
+  editTGMessage,
+  deleteTGMessage,
+  pinTGMessage,
+} from '../../telegramBot.js';
+import { parseMessageRef } from '../../lib/messages.js';
+import { parseButtonRow } from '../../lib/keyboard.js';
+import { PARSE_MODES, exitWithError, readStdin, reportResults } from '../helpers.js';
+
+// Options accepted by each command
+const COMMAND_OPTIONS = {
+  edit: ['--parse-mode', '--button', '--raw'],
+  delete: [],
+  pin: ['--silent'],
+};
+
+const PAST_TENSE = { edit: 'edited', delete: 'deleted', pin: 'pinned' };
+
+// Display usage instructions for the message commands
+function showUsage() {
+  console.log(`
+Usage: telefy edit <channel>:<message_id> <message> [--parse-mode <mode>] [--button <text|url>] [--raw]
+       telefy delete <channel>:<message_id>...
+       telefy pin <channel>:<message_id>... [--silent]
+
+Edit, delete or pin messages sent earlier. The message ID is printed when a message is sent.
+For channels that send to several chats, include the chat: <channel>:<chat_id>:<message_id>.
+
+Arguments:
+  message              The new message text (max 4096 characters); use - to read it from stdin
+  --parse-mode <mode>  Parse mode (markdown, html, markdownv2, default: the channel's, else markdown)
+  --button <text|url>  Row of inline buttons for the edited message, same syntax as when sending
+                       (repeatable; without it the buttons are removed)
+  --raw                Disable automatic escaping for MarkdownV2
+  --silent             Pin without notifying chat members
+
+Examples:
+  telefy edit news:42 "Deploy finished"
+  telefy delete news:42 alerts:17
+  telefy delete oncall:-1001234567890:42
+  telefy pin news:42 --silent
+`);
+  process.exit(1);
+}
+
+/**
+ * Run the edit, delete or pin command.
+ * @param {string} command - 'edit', 'delete' or 'pin'.
+ * @param {string[]} args - Command-line arguments after the command name.
+ */
+async function run(command, args) {
+  if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
+    showUsage();
+  }
+
+  const refs = [];
+  const messageParts = [];
+  const buttons = [];
+  let parseMode;
+  let raw = false;
+  let silent = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const option = separator === -1 ? arg : arg.slice(0, separator);
+      if (!COMMAND_OPTIONS[command].includes(option)) {
+        console.error(`Error: Unknown option "${option}" for ${command}`);
+        showUsage();
+      }
+
+      if (option === '--raw') {
+        raw = true;
+      } else if (option === '--silent') {
+        silent = true;
+      } else {
+        // Take the value from --option=value or from the next argument
+        const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+        if (option === '--parse-mode') {
+          parseMode = PARSE_MODES[(value || '').toLowerCase()];
+          if (!parseMode) {
+            console.error('Error: Invalid parse mode. Use markdown, html, or markdownv2.');
+            showUsage();
+          }
+        } else if (option === '--button') {
+          const row = value ? parseButtonRow(value) : null;
+          if (!row) {
+            console.error('Error: --button format must be "text|url" or "text|cb:data", with ";" between buttons on one row');
+            showUsage();
+          }
+          buttons.push(row);
+        }
+      }
+    } else if (command === 'edit' && refs.length === 1) {
+      messageParts.push(arg);
+    } else {
+      const ref = parseMessageRef(arg);
+      if (!ref) {
+        console.error(`Error: Invalid message reference "${arg}". Use <channel>:<message_id> or <channel>:<chat_id>:<message_id>, e.g. news:42.`);
+        showUsage();
+      }
+      refs.push(ref);
+    }
+  }
+
+  if (refs.length === 0) {
+    console.error('Error: A message reference is required.');
+    showUsage();
+  }
+
+  try {
+    if (command === 'edit') {
+      let message = messageParts.join(' ').trim();
+      if (message === '-') {
+        message = (await readStdin()).trim();
+      }
+      if (!message) {
+        console.error('Error: Message is required.');
+        showUsage();
+      }
+      // Without --parse-mode each message is edited in its channel's configured mode, escaped for MarkdownV2
+      const results = await editTGMessage(refs, message, parseMode, { buttons, escapeMarkdownV2: !raw });
+      reportResults(results, 'Message', PAST_TENSE[command]);
+    } else if (command === 'delete') {
+      reportResults(await deleteTGMessage(refs), 'Message', PAST_TENSE[command]);
+    } else {
+      reportResults(await pinTGMessage(refs, { silent }), 'Message', PAST_TENSE[command]);
+    }
+  } catch (error) {
+    exitWithError(error, 'Message', PAST_TENSE[command]);
+  }
+}
+
+export {
+  run,
+};
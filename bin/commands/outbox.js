@@ -0,0 +1,114 @@
+/**
+ * @file bin/commands/outbox.js
+ * @description The outbox command: lists, replays or drops sends queued while Telegram was unreachable.
+ * @license MIT
+ */
+
+import {
+  createOutbox,
+  flushOutbox,
+  getConfig,
+} from '../../telegramBot.js';
+import { exitWithError } from '../helpers.js';
+
+const ACTIONS = ['flush', 'list', 'purge'];
+
+// Display usage instructions for the outbox command
+function showUsage() {
+  console.log(`
+Usage: telefy outbox flush
+       telefy outbox list [--json]
+       telefy outbox purge [<id>...]
+
+Manage the outbox of sends that failed with a network, rate-limit or server error.
+Enable it with "outbox: true" (or { dir }) in telefy.config.json/.yaml, or set TELEFY_OUTBOX_DIR.
+
+Commands:
+  flush                Send the queued messages in order; permanently failing ones are dropped
+  list                 Show the queued messages, oldest first
+  purge                Drop all queued messages, or the ones with the given IDs
+
+Options:
+  --json               Print the entries as JSON
+
+Examples:
+  telefy outbox list
+  telefy outbox flush
+  telefy outbox purge 0b6f1c52-5a0c-4c1e-9d55-3f1d7f0e4b7a
+`);
+  process.exit(1);
+}
+
+/**
+ * Describe a queued entry: one summary line, plus its last error if it has one.
+ * @param {Object} entry - Outbox entry.
+ * @returns {string} Description.
+ */
+function describeEntry(entry) {
+  const text = entry.payload.text ?? entry.payload.caption ?? '';
+  const preview = text.length > 40 ? `${text.slice(0, 39)}…` : text;
+  const summary = `${entry.id}  ${entry.createdAt}  ${entry.channel} (chat ${entry.chatId})  ${entry.method}  ` +
+    `attempts: ${entry.attempts}${preview ? `  "${preview.replace(/\n/g, ' ')}"` : ''}`;
+  return entry.lastError ? `${summary}\n  last error: ${entry.lastError}` : summary;
+}
+
+/**
+ * Run the outbox command.
+ * @param {string[]} args - Command-line arguments after "outbox".
+ */
+async function run(args) {
+  const [action, ...rest] = args;
+  if (!ACTIONS.includes(action)) {
+    if (action && action !== '--help' && action !== '-h') {
+      console.error(`Error: Unknown outbox command "${action}"`);
+    }
+    showUsage();
+  }
+  const json = rest.includes('--json');
+  const unknown = rest.find((arg) => arg.startsWith('--') && !(arg === '--json' && action === 'list'));
+  if (unknown) {
+    console.error(`Error: Unknown option "${unknown}" for outbox ${action}`);
+    showUsage();
+  }
+
+  // Listing and purging only need the outbox file, not working channels
+  const outbox = createOutbox(getConfig().outbox);
+  try {
+    if (action === 'list') {
+      const entries = await outbox.list();
+      if (json) {
+        console.log(JSON.stringify(entries, null, 2));
+      } else if (entries.length === 0) {
+        console.log(`The outbox is empty (${outbox.file}).`);
+      } else {
+        entries.forEach((entry) => console.log(describeEntry(entry)));
+      }
+    } else if (action === 'purge') {
+      const ids = rest.filter((arg) => !arg.startsWith('--'));
+      const dropped = await outbox.purge(ids.length > 0 ? ids : undefined);
+      console.log(`Dropped ${dropped} queued ${dropped === 1 ? 'message' : 'messages'}.`);
+    } else {
+      const { sent, failed, pending } = await flushOutbox();
+      for (const { entry } of sent) {
+        console.log(`Sent queued message ${entry.id} to channel "${entry.channel}" (chat ${entry.chatId})`);
+      }
+      for (const { entry, error } of failed) {
+        console.error(`Dropped queued message ${entry.id} for channel "${entry.channel}": ${error.message}`);
+      }
+      if (pending.length > 0) {
+        console.error(`${pending.length} ${pending.length === 1 ? 'message is' : 'messages are'} still queued; ` +
+          `last error: ${pending[0].lastError}`);
+      }
+      console.log(`Outbox flushed: ${sent.length} sent, ${failed.length} dropped, ${pending.length} pending.`);
+      if (failed.length > 0 || pending.length > 0) {
+        process.exit(1);
+      }
+    }
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
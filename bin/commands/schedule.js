@@ -0,0 +1,260 @@
+/**
+ * @file bin/commands/schedule.js
+ * @description The schedule command: adds, lists and cancels scheduled messages, which telefy daemon or telefy serve send.
+ * @license MIT
+ */
+
+import {
+  createScheduleStore,
+  getChannels,
+  getConfig,
+  scheduleTGMessage,
+} from '../../telegramBot.js';
+import { parseButtonRow } from '../../lib/keyboard.js';
+import { PARSE_MODES, exitWithError } from '../helpers.js';
+
+const ACTIONS = ['add', 'list', 'cancel'];
+
+// Display usage instructions for the schedule command
+function showUsage() {
+  console.log(`
+Usage: telefy schedule add <message> --at <time> | --delay <duration> | --cron <expression> [options]
+       telefy schedule list [--json]
+       telefy schedule cancel <id>...
+
+Schedule messages for later. They are kept in .telefy/schedule (TELEFY_SCHEDULE_DIR or schedule.dir in the config
+file) and sent by "telefy daemon" or "telefy serve", which also send messages that came due while they were stopped.
+
+Commands:
+  add                  Schedule a message
+  list                 Show the scheduled messages, next to run first
+  cancel               Cancel scheduled messages by ID
+
+Options:
+  --at <time>          Send once at a time: HH:MM (the next one, local time) or an ISO date, e.g. 2025-06-01T09:00
+  --delay <duration>   Send once after a delay, e.g. 90s, 10m, 1h30m, 2d
+  --cron <expression>  Send repeatedly on a cron schedule in local time, e.g. "0 9 * * 1-5" or @daily
+  --channel <name>     Send to a channel or group (default: the default channel, or the only one)
+  --all                Send to all configured channels
+  --parse-mode <mode>  Parse mode (markdown, html, markdownv2)
+  --button <text|url>  Add a row of inline buttons (repeatable), as for sending
+  --raw                Disable automatic escaping for MarkdownV2
+  --silent             Send without notification sound
+  --json               Print the scheduled messages as JSON
+
+Examples:
+  telefy schedule add "Maintenance starts in 15 minutes" --at 21:45 --channel ops
+  telefy schedule add "Stand-up!" --cron "0 10 * * mon-fri" --channel team
+  telefy schedule add "Check the backup" --delay 2h
+  telefy schedule list
+  telefy schedule cancel 0b6f1c52-5a0c-4c1e-9d55-3f1d7f0e4b7a
+`);
+  process.exit(1);
+}
+
+/**
+ * Turn --at into a time: HH:MM is the next time the clock shows it, anything else is parsed as a date.
+ * @param {string} value - Option value.
+ * @returns {Date|string} Time, or the value itself for scheduleTGMessage to reject.
+ */
+function parseAt(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return value;
+  }
+  const at = new Date();
+  at.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  if (at <= new Date()) {
+    at.setDate(at.getDate() + 1);
+  }
+  return at;
+}
+
+/**
+ * Describe a scheduled message on one line.
+ * @param {Object} job - Scheduled message.
+ * @returns {string} Description.
+ */
+function describeJob(job) {
+  const preview = job.text.length > 40 ? `${job.text.slice(0, 39)}…` : job.text;
+  const repeat = job.cron ? `cron "${job.cron}"` : 'once';
+  return `${job.id}  ${new Date(job.nextRun).toLocaleString()}  ${job.channel}  ${repeat}  "${preview.replace(/\n/g, ' ')}"`;
+}
+
+/**
+ * Parse the arguments of "schedule add" and schedule the message.
+ * @param {string[]} args - Arguments after "add".
+ */
+async function add(args) {
+  const messageParts = [];
+  const when = {};
+  const buttons = [];
+  let channel = null;
+  let parseMode;
+  let raw = false;
+  let silent = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      messageParts.push(arg);
+      continue;
+    }
+    const separator = arg.indexOf('=');
+    const option = separator === -1 ? arg : arg.slice(0, separator);
+    const readValue = () => {
+      const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+      if (!value || (separator === -1 && value.startsWith('--'))) {
+        console.error(`Error: ${option} requires a value`);
+        showUsage();
+      }
+      return value;
+    };
+
+    if (option === '--at') {
+      when.at = parseAt(readValue());
+    } else if (option === '--delay') {
+      when.delay = readValue();
+    } else if (option === '--cron') {
+      when.cron = readValue();
+    } else if (option === '--channel') {
+      channel = readValue();
+    } else if (option === '--all') {
+      channel = 'all';
+    } else if (option === '--parse-mode') {
+      parseMode = PARSE_MODES[readValue().toLowerCase()];
+      if (!parseMode) {
+        console.error('Error: Invalid parse mode. Use markdown, html, or markdownv2.');
+        showUsage();
+      }
+    } else if (option === '--button') {
+      const row = parseButtonRow(readValue());
+      if (!row) {
+        console.error('Error: --button format must be "text|url" or "text|cb:data", with ";" between buttons on one row');
+        showUsage();
+      }
+      buttons.push(row);
+    } else if (option === '--raw') {
+      raw = true;
+    } else if (option === '--silent') {
+      silent = true;
+    } else {
+      console.error(`Error: Unknown option "${option}" for schedule add`);
+      showUsage();
+    }
+  }
+
+  const message = messageParts.join(' ').trim();
+  if (!message) {
+    console.error('Error: Message is required.');
+    showUsage();
+  }
+  if (Object.keys(when).length !== 1) {
+    console.error('Error: Give exactly one of --at, --delay or --cron.');
+    showUsage();
+  }
+
+  // Default to the config file's default channel, or to the only channel if exactly one is configured
+  const channels = getChannels();
+  const { defaults } = getConfig();
+  channel = channel ?? defaults.channel ?? (channels.size === 1 ? [...channels.keys()][0] : null);
+  if (!channel) {
+    console.error('Error: Please specify a channel with --channel <name> or use --all.');
+    console.error(`Available channels: ${[...channels.keys()].join(', ') || 'none (configure in .env)'}`);
+    showUsage();
+  }
+
+  const options = {
+    parseMode,
+    // Escaped when sent, for each channel that sends MarkdownV2
+    escapeMarkdownV2: !raw,
+    buttons: buttons.length > 0 ? buttons : undefined,
+    disableNotification: silent || undefined,
+    ...(channel === 'all' ? { settle: true } : {}),
+    detached: true,
+  };
+
+  try {
+    const job = await scheduleTGMessage(message, when, channel, options);
+    const next = new Date(job.nextRun).toLocaleString();
+    if (job.dryRun) {
+      const { cancel, dryRun, ...fields } = job;
+      console.log(`[dry run] Would schedule for channel "${channel}":`);
+      console.log(JSON.stringify(fields, null, 2));
+      return;
+    }
+    console.log(job.cron
+      ? `Scheduled message ${job.id} for channel "${channel}" on cron "${job.cron}", first at ${next}`
+      : `Scheduled message ${job.id} for channel "${channel}" at ${next}`);
+    console.log('It is sent by "telefy daemon" or "telefy serve"; start one if none is running.');
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+/**
+ * Run the schedule command.
+ * @param {string[]} args - Command-line arguments after "schedule".
+ */
+async function run(args) {
+  const [action, ...rest] = args;
+  if (!ACTIONS.includes(action)) {
+    if (action && action !== '--help' && action !== '-h') {
+      console.error(`Error: Unknown schedule command "${action}"`);
+    }
+    showUsage();
+  }
+  if (rest.includes('--help') || rest.includes('-h')) {
+    showUsage();
+  }
+  if (action === 'add') {
+    await add(rest);
+    return;
+  }
+
+  const unknown = rest.find((arg) => arg.startsWith('--') && !(arg === '--json' && action === 'list'));
+  if (unknown) {
+    console.error(`Error: Unknown option "${unknown}" for schedule ${action}`);
+    showUsage();
+  }
+
+  // Listing and cancelling only need the schedule file, not working channels
+  const store = createScheduleStore(getConfig().schedule);
+  try {
+    if (action === 'list') {
+      const jobs = await store.list();
+      if (rest.includes('--json')) {
+        console.log(JSON.stringify(jobs, null, 2));
+      } else if (jobs.length === 0) {
+        console.log(`No messages are scheduled (${store.file}).`);
+      } else {
+        jobs.forEach((job) => console.log(describeJob(job)));
+      }
+      return;
+    }
+
+    const ids = rest.filter((arg) => !arg.startsWith('--'));
+    if (ids.length === 0) {
+      console.error('Error: Give the IDs of the messages to cancel; "telefy schedule list" shows them.');
+      showUsage();
+    }
+    const missing = [];
+    for (const id of ids) {
+      if (await store.remove([id])) {
+        console.log(`Cancelled scheduled message ${id}`);
+      } else {
+        missing.push(id);
+      }
+    }
+    if (missing.length > 0) {
+      console.error(`Error: No scheduled message with ID ${missing.join(', ')}`);
+      process.exit(1);
+    }
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
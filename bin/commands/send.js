@@ -0,0 +1,372 @@
+/**
+ * @file bin/commands/send.js
+ * @description The default telefy command: sends a message, buttons and attachments to one or all channels.
+ * @license MIT
+ */
+
+import {
+  sendTGMessage,
+  sendTGMessageWithButtons,
+  sendTGTemplate,
+  sendTGPhoto,
+  sendTGDocument,
+  sendTGMediaGroup,
+  getChannels,
+  getConfig,
+  getGroups,
+} from '../../telegramBot.js';
+import { parseButtonRow } from '../../lib/keyboard.js';
+import { setVariable } from '../../lib/templates.js';
+import { PARSE_MODES, exitWithError, readStdin, reportResults, stdinHasInput } from '../helpers.js';
+
+// Display usage instructions
+function showUsage() {
+  const channels = getChannels();
+  const availableChannels = [...channels.keys()].join(', ') || 'none (configure in .env)';
+  const groups = [...getGroups().keys()];
+  const availableGroups = groups.length > 0 ? `\nAvailable groups: ${groups.join(', ')}` : '';
+  console.log(`
+Usage: telefy <message> [--channel <name> | --channel=<name> | --all] [--concurrency <n>] [--parse-mode <mode>] [--button <text|url>] [--raw]
+       telefy -- <message> [options]  (for a message starting with a command word, e.g. "delete old builds")
+       telefy [<message>] --photo <path> | --file <path> [--caption <text>] [options]
+       telefy --template <name> [--var <key=value>]... [options]
+       <command> | telefy [options]
+       telefy edit <channel>:<message_id> <message> [--parse-mode <mode>] [--button <text|url>] [--raw]
+       telefy delete <channel>:<message_id>...
+       telefy pin <channel>:<message_id> [--silent]
+       telefy outbox flush|list|purge
+       telefy doctor [--channel <name>] [--json]
+       telefy discover --token <token> [--name <channel>]
+       telefy init | telefy channel add|remove|list
+       telefy serve [--port <port>] [--host <host>]
+       telefy webhook [--port <port>] [--host <host>] [--channel <name>]
+       telefy schedule add|list|cancel
+       telefy daemon
+
+Send a Telegram notification to one or all configured channels.
+
+Commands:
+  edit                 Replace the text (and buttons) of a sent message
+  delete               Delete sent messages
+  pin                  Pin a sent message in its chat
+  outbox               Replay, list or drop messages queued while Telegram was unreachable
+  doctor               Check the bot token, chat and permissions of every channel
+  discover             List the chats a bot has seen with their IDs, and save one to .env
+  init                 Set up channels step by step: token check, chat lookup and a test message
+  channel              Add, remove or list channels (add|remove|list)
+  serve                Run an HTTP relay with POST /send and /send-buttons, secured with TELEFY_API_KEY
+  webhook              Receive GitHub, Alertmanager and Grafana webhooks and post them to channels
+  schedule             Schedule a message for a time, after a delay or on a cron schedule (add|list|cancel)
+  daemon               Send scheduled messages until stopped
+
+Arguments:
+  message              The message to send (max 4096 characters); use - to read it from stdin
+  --channel <name>     Send to a specific channel or group (e.g., ${availableChannels})
+  --channel=<name>     Alternative syntax for specific channel or group
+  --all                Send to all configured channels (continues past failing channels)
+  --concurrency <n>    With --all, send to up to n channels at the same time (default: 1)
+  --parse-mode <mode>  Parse mode (markdown, html, markdownv2, default: the channel's, else markdown)
+  --parse-mode=<mode>  Parse mode (markdown, html, markdownv2, default: the channel's, else markdown)
+  --button <text|url>  Add a row of inline buttons (repeatable). Actions: a URL, cb:<data>, copy:<text>,
+                       inline:<query>, inline-here:<query>, webapp:<url>, login:<url>;
+                       separate buttons on one row with ";" (e.g., "Yes|cb:yes; No|cb:no"); write a ";" in a
+                       URL or text as "\\;"
+  --raw                Disable automatic escaping for MarkdownV2
+  --photo <path>       Attach a photo (repeatable)
+  --file <path>        Attach a file as a document (repeatable)
+  --caption <text>     Caption for the attached photos or files
+  --template <name>    Send a message template, e.g. deploy for templates/deploy.md (TELEFY_TEMPLATES_DIR)
+  --var <key=value>    Set a template variable (repeatable); nested keys with dots, e.g. user.name=Dana
+  --dedup-key <key>    Treat messages with the same key as repeats of each other, whatever their text (see dedup)
+  --no-dedup           Send even if the message repeats one sent within the dedup window
+  --split              Split messages longer than 4096 characters into several messages
+  --as-document        Send messages longer than 4096 characters as a .txt file
+  --config <path>      Config file to use (default: telefy.config.json/.yaml in the current directory)
+  --dry-run            Validate and print the Bot API requests instead of sending them
+
+When no message is given and input is piped or redirected from a file, the message is read from stdin;
+otherwise (a terminal, or cron, CI and ssh sessions) stdin is only read for -.
+
+Examples:
+  telefy "Hello, Telegram!" --channel news
+  telefy "Hello, Telegram!" --channel=news
+  telefy "Alert!" --all
+  telefy "Check *this* out!" --channel alerts --parse-mode markdownv2
+  telefy "Click me!" --channel news --button "Visit|https://example.com"
+  telefy "Disk full on db1" --channel ops --button "Ack|cb:ack-db1; Logs|https://example.com/logs"
+  telefy --photo screenshot.png --caption "Nightly UI run" --channel ci
+  telefy --template deploy --var env=prod --var version=1.2.3 --channel ops
+  make build 2>&1 | tail -50 | telefy --channel ci
+  npm test 2>&1 | telefy --channel ci --split
+  TELEFY_DEDUP_MODE=collapse telefy "Backup job failed" --channel ops --dedup-key backup-failed
+  telefy "Release 2.0 is out" --all --dry-run
+  telefy edit news:42 "Deploy finished"
+  telefy pin news:42 --silent
+  telefy schedule add "Stand-up!" --cron "0 10 * * mon-fri" --channel team
+
+Ensure you have a .env file in your project root with channel configurations:
+  CHANNEL_<name>_TOKEN=your_bot_token
+  CHANNEL_<name>_CHAT_ID=your_chat_id
+or a telefy.config.json / telefy.config.yaml file with channels, groups and defaults.
+
+Available channels: ${availableChannels}${availableGroups}
+See .env.sample and the Configuration File section of the README for details.
+`);
+  process.exit(1);
+}
+
+/**
+ * Run the send command.
+ * @param {string[]} args - Command-line arguments.
+ */
+async function run(args) {
+  // Parse command-line arguments
+  const stdinPiped = stdinHasInput();
+  if ((args.length === 0 && !stdinPiped) || args[0] === '--help' || args[0] === '-h') {
+    showUsage();
+  }
+
+  let messageParts = [];
+  let channel = null;
+  let parseMode;
+  let isAll = false;
+  let buttons = [];
+  let raw = false;
+  let concurrency = 1;
+  let attachments = [];
+  let caption = '';
+  let longText = {};
+  let template = null;
+  const vars = {};
+  let dedup = {};
+
+  // Valid options
+  const validOptions = [
+    '--channel', '--all', '--concurrency', '--parse-mode', '--button', '--raw', '--photo', '--file', '--caption', '--split', '--as-document',
+    '--template', '--var', '--dedup-key', '--no-dedup',
+  ];
+
+  // Handle arguments
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      const option = separator === -1 ? arg : arg.slice(0, separator);
+      const inlineValue = separator === -1 ? undefined : arg.slice(separator + 1);
+      if (!validOptions.includes(option)) {
+        console.error(`Error: Unknown option "${option}"`);
+        showUsage();
+      }
+
+      // Take the value from --option=value or from the next argument
+      const readValue = () => {
+        if (inlineValue) {
+          return inlineValue;
+        }
+        if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+          i++;
+          return args[i];
+        }
+        return null;
+      };
+
+      if (option === '--channel') {
+        channel = readValue();
+        if (!channel) {
+          console.error('Error: --channel requires a channel name');
+          showUsage();
+        }
+      } else if (option === '--all') {
+        isAll = true;
+        channel = 'all';
+      } else if (option === '--concurrency') {
+        concurrency = Number(readValue());
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+          console.error('Error: --concurrency requires a positive integer');
+          showUsage();
+        }
+      } else if (option === '--parse-mode') {
+        parseMode = readValue();
+        if (!parseMode) {
+          console.error('Error: --parse-mode requires a mode (markdown, html, markdownv2)');
+          showUsage();
+        }
+      } else if (option === '--button') {
+        const buttonValue = readValue();
+        if (!buttonValue) {
+          console.error('Error: --button requires a value in the format "text|url" or "text|cb:data"');
+          showUsage();
+        }
+        const row = parseButtonRow(buttonValue);
+        if (!row) {
+          console.error('Error: --button format must be "text|url" or "text|cb:data", with ";" between buttons on one row');
+          showUsage();
+        }
+        buttons.push(row);
+      } else if (option === '--raw') {
+        raw = true;
+      } else if (option === '--photo' || option === '--file') {
+        const filePath = readValue();
+        if (!filePath) {
+          console.error(`Error: ${option} requires a file path`);
+          showUsage();
+        }
+        attachments.push({ type: option === '--photo' ? 'photo' : 'document', media: filePath });
+      } else if (option === '--split') {
+        longText = { split: true };
+      } else if (option === '--as-document') {
+        longText = { asDocument: true };
+      } else if (option === '--template') {
+        template = readValue();
+        if (!template) {
+          console.error('Error: --template requires a template name');
+          showUsage();
+        }
+      } else if (option === '--var') {
+        const assignment = readValue();
+        const separator = assignment ? assignment.indexOf('=') : -1;
+        if (separator < 1) {
+          console.error('Error: --var requires a value in the format "key=value"');
+          showUsage();
+        }
+        try {
+          setVariable(vars, assignment.slice(0, separator), assignment.slice(separator + 1));
+        } catch (error) {
+          console.error(`Error: ${error.message}`);
+          showUsage();
+        }
+      } else if (option === '--dedup-key') {
+        const dedupKey = readValue();
+        if (!dedupKey) {
+          console.error('Error: --dedup-key requires a key');
+          showUsage();
+        }
+        dedup = { ...dedup, dedupKey };
+      } else if (option === '--no-dedup') {
+        dedup = { ...dedup, dedup: false };
+      } else if (option === '--caption') {
+        caption = readValue();
+        if (!caption) {
+          console.error('Error: --caption requires a text');
+          showUsage();
+        }
+      }
+    } else {
+      messageParts.push(arg);
+    }
+  }
+
+  if (template) {
+    const conflict = [
+      [messageParts.length > 0, 'a message'], [attachments.length > 0, '--photo or --file'], [buttons.length > 0, '--button'],
+      [Boolean(parseMode), '--parse-mode'], [raw, '--raw'],
+    ].find(([used]) => used);
+    if (conflict) {
+      console.error(`Error: --template cannot be combined with ${conflict[1]}; set the text, buttons and parseMode in the template.`);
+      showUsage();
+    }
+  } else if (Object.keys(vars).length > 0) {
+    console.error('Error: --var requires --template.');
+    showUsage();
+  }
+
+  // Read the message from stdin for "-", or when input is piped or redirected from a file and neither a message nor attachments were given
+  let message = messageParts.join(' ').trim();
+  if (!template && (message === '-' || (!message && attachments.length === 0 && stdinPiped))) {
+    message = (await readStdin()).trim();
+  }
+  if (!message && attachments.length === 0 && !template) {
+    console.error('Error: Message is required.');
+    showUsage();
+  }
+
+  if (caption && attachments.length === 0) {
+    console.error('Error: --caption requires --photo or --file.');
+    showUsage();
+  }
+
+  if (buttons.length > 0 && !message) {
+    console.error('Error: --button requires a message.');
+    showUsage();
+  }
+
+  if (isAll && channel !== 'all') {
+    console.error('Error: Cannot use --channel and --all together.');
+    showUsage();
+  }
+
+  // Default to the config file's default channel, or to the only channel if exactly one is configured
+  const channels = getChannels();
+  const { defaults } = getConfig();
+  if (!isAll && !channel) {
+    channel = defaults.channel ?? (channels.size === 1 ? [...channels.keys()][0] : null);
+  }
+
+  // Validate channel if specified
+  if (!isAll && !channel) {
+    console.error('Error: Please specify a channel with --channel <name> or use --all.');
+    console.error(`Available channels: ${[...channels.keys()].join(', ') || 'none (configure in .env)'}`);
+    showUsage();
+  }
+
+  // Map parse modes (case-insensitive); without --parse-mode each channel's configured mode applies
+  if (parseMode) {
+    parseMode = PARSE_MODES[parseMode.toLowerCase()];
+    if (!parseMode) {
+      console.error('Error: Invalid parse mode. Use markdown, html, or markdownv2.');
+      showUsage();
+    }
+  }
+  // What is currently being sent, for result messages
+  let sending = 'Message';
+
+  // Upload the attachments: one album when they can be grouped, otherwise one by one
+  async function sendAttachments(options) {
+    const sameType = attachments.every((attachment) => attachment.type === attachments[0].type);
+    if (attachments.length > 1 && attachments.length <= 10 && sameType) {
+      const items = attachments.map((attachment, index) => ({ ...attachment, caption: index === 0 ? caption : '' }));
+      sending = 'Files';
+      reportResults(await sendTGMediaGroup(items, channel, parseMode, options), sending);
+      return;
+    }
+    for (const [index, attachment] of attachments.entries()) {
+      const send = attachment.type === 'photo' ? sendTGPhoto : sendTGDocument;
+      sending = attachment.type === 'photo' ? 'Photo' : 'File';
+      const results = await send(attachment.media, index === 0 ? caption : '', channel, parseMode, options);
+      reportResults(results, sending);
+    }
+  }
+
+  // Send the message
+  async function main() {
+    // Broadcasts deliver to every channel and report each failure instead of stopping at the first
+    const options = isAll ? { settle: true, concurrency, ...longText, ...dedup } : { ...longText, ...dedup };
+    // The library escapes the text for each channel that sends MarkdownV2, unless --raw is specified
+    const textOptions = { ...options, escapeMarkdownV2: !raw };
+    try {
+      if (template) {
+        reportResults(await sendTGTemplate(template, vars, channel, options));
+      }
+      if (message) {
+        let results;
+        if (buttons.length > 0) {
+          results = await sendTGMessageWithButtons(message, buttons, channel, parseMode, textOptions);
+        } else {
+          results = await sendTGMessage(message, channel, parseMode, textOptions);
+        }
+        reportResults(results);
+      }
+      if (attachments.length > 0) {
+        await sendAttachments(textOptions);
+      }
+    } catch (error) {
+      exitWithError(error, sending);
+    }
+  }
+
+  await main();
+}
+
+export {
+  run,
+};
@@ -0,0 +1,118 @@
+/**
+ * @file bin/commands/serve.js
+ * @description The serve command: runs the HTTP relay so scripts and other hosts can send through the configured channels.
+ * @license MIT
+ */
+
+import {
+  createRelay,
+  getChannels,
+  getConfig,
+  getGroups,
+  sendTGMessage,
+  sendTGMessageWithButtons,
+  startScheduler,
+  stopScheduler,
+} from '../../telegramBot.js';
+import { TelegramBotError } from '../../lib/errors.js';
+import { exitWithError, logScheduledRun } from '../helpers.js';
+
+// Display usage instructions for the serve command
+function showUsage() {
+  console.log(`
+Usage: telefy serve [--port <port>] [--host <host>]
+
+Run an HTTP relay that sends through the configured channels, so tools that can only make HTTP requests can notify
+without their own bot tokens. Every request needs the API key from TELEFY_API_KEY, sent as
+"Authorization: Bearer <key>" or "X-Api-Key: <key>".
+
+Routes:
+  POST /send           { "text": "...", "channel": "ops", "parseMode": "HTML", ... }
+  POST /send-buttons   { "text": "...", "buttons": [[{ "text": "Open", "url": "https://..." }]], ... }
+  GET  /channels       Configured channels and groups
+
+It also sends the messages scheduled with "telefy schedule add", like "telefy daemon".
+
+Options:
+  --port <port>        Port to listen on (default: 8787)
+  --host <host>        Interface to listen on (default: 127.0.0.1; use 0.0.0.0 for other hosts)
+
+Examples:
+  TELEFY_API_KEY=$(openssl rand -hex 32) telefy serve --port 8787
+  curl -H "Authorization: Bearer $TELEFY_API_KEY" -d '{"text":"Backup done","channel":"ops"}' http://127.0.0.1:8787/send
+`);
+  process.exit(1);
+}
+
+/**
+ * Run the serve command.
+ * @param {string[]} args - Command-line arguments after "serve".
+ */
+async function run(args) {
+  const values = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const separator = arg.indexOf('=');
+    const option = separator === -1 ? arg : arg.slice(0, separator);
+    if (option === '--help' || option === '-h') {
+      showUsage();
+    } else if (option === '--port' || option === '--host') {
+      const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+      if (!value || value.startsWith('--')) {
+        console.error(`Error: ${option} requires a value`);
+        showUsage();
+      }
+      values[option.slice(2)] = value;
+    } else {
+      console.error(`Error: Unknown option "${option}" for serve`);
+      showUsage();
+    }
+  }
+
+  const port = values.port === undefined ? undefined : Number(values.port);
+  if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    console.error('Error: --port must be a port number');
+    showUsage();
+  }
+
+  try {
+    if (getChannels().size === 0) {
+      throw new TelegramBotError(
+        'No channels configured',
+        'Add a channel with "telefy channel add" or CHANNEL_<name>_TOKEN / CHANNEL_<name>_CHAT_ID in .env.'
+      );
+    }
+    const client = { sendTGMessage, sendTGMessageWithButtons, getChannels, getGroups };
+    const relay = createRelay(client, {
+      apiKey: process.env.TELEFY_API_KEY,
+      port,
+      host: values.host,
+      onRequest: ({ method, path, status, ms, error }) => {
+        console.log(`${new Date().toISOString()} ${method} ${path} ${status} ${ms} ms${error ? ` - ${error.message}` : ''}`);
+      },
+    });
+    const url = await relay.listen();
+    console.log(`telefy relay listening on ${url} (channels: ${[...getChannels().keys()].join(', ')})`);
+    // Dry runs only render requests, so they leave scheduled messages where they are
+    if (!getConfig().dryRun) {
+      await startScheduler({
+        onRun: logScheduledRun,
+        onError: (error) => console.error(`${new Date().toISOString()} ${error.message}`),
+      });
+    }
+
+    const stop = async () => {
+      await Promise.all([relay.close(), stopScheduler()]);
+      process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
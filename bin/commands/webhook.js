@@ -0,0 +1,109 @@
+/**
+ * @file bin/commands/webhook.js
+ * @description The webhook command: receives webhooks from GitHub, Alertmanager, Grafana and other tools and posts
+ * them to the configured channels.
+ * @license MIT
+ */
+
+import {
+  createWebhookReceiver, getChannels, getConfig, getGroups, sendTGMessage, sendTGMessageWithButtons,
+} from '../../telegramBot.js';
+import { TelegramBotError } from '../../lib/errors.js';
+import { exitWithError } from '../helpers.js';
+
+// Display usage instructions for the webhook command
+function showUsage() {
+  console.log(`
+Usage: telefy webhook [--port <port>] [--host <host>] [--channel <name>]
+
+Receive webhooks and post them as formatted messages with link buttons. Endpoints come from the webhooks section of
+the config file; without one, POST /github, /alertmanager and /grafana are served. Every webhook needs the secret
+from TELEFY_WEBHOOK_SECRET: GitHub signs its payloads with it, other tools send it as
+"Authorization: Bearer <secret>" or "X-Api-Key: <secret>". Add ?channel=<name> to a webhook URL to pick its channel.
+
+Options:
+  --port <port>        Port to listen on (default: 8788)
+  --host <host>        Interface to listen on (default: 127.0.0.1; use 0.0.0.0 for other hosts)
+  --channel <name>     Channel or group for endpoints without a channel of their own (default: the default channel)
+
+Examples:
+  TELEFY_WEBHOOK_SECRET=$(openssl rand -hex 32) telefy webhook --host 0.0.0.0 --channel ops
+  GitHub: payload URL https://<host>:8788/github, content type application/json, secret $TELEFY_WEBHOOK_SECRET
+`);
+  process.exit(1);
+}
+
+/**
+ * Run the webhook command.
+ * @param {string[]} args - Command-line arguments after "webhook".
+ */
+async function run(args) {
+  const values = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const separator = arg.indexOf('=');
+    const option = separator === -1 ? arg : arg.slice(0, separator);
+    if (option === '--help' || option === '-h') {
+      showUsage();
+    } else if (option === '--port' || option === '--host' || option === '--channel') {
+      const value = separator === -1 ? args[++i] : arg.slice(separator + 1);
+      if (!value || value.startsWith('--')) {
+        console.error(`Error: ${option} requires a value`);
+        showUsage();
+      }
+      values[option.slice(2)] = value;
+    } else {
+      console.error(`Error: Unknown option "${option}" for webhook`);
+      showUsage();
+    }
+  }
+
+  const port = values.port === undefined ? undefined : Number(values.port);
+  if (port !== undefined && (!Number.isInteger(port) || port < 0 || port > 65535)) {
+    console.error('Error: --port must be a port number');
+    showUsage();
+  }
+
+  try {
+    if (getChannels().size === 0) {
+      throw new TelegramBotError(
+        'No channels configured',
+        'Add a channel with "telefy channel add" or CHANNEL_<name>_TOKEN / CHANNEL_<name>_CHAT_ID in .env.'
+      );
+    }
+    const configured = getConfig().webhooks ?? { github: {}, alertmanager: {}, grafana: {} };
+    const endpoints = Object.fromEntries(Object.entries(configured).map(([name, endpoint]) => [
+      name,
+      endpoint.channel === undefined && values.channel !== undefined ? { ...endpoint, channel: values.channel } : endpoint,
+    ]));
+    const client = { sendTGMessage, sendTGMessageWithButtons, getChannels, getGroups };
+    const receiver = createWebhookReceiver(client, {
+      endpoints,
+      secret: process.env.TELEFY_WEBHOOK_SECRET,
+      port,
+      host: values.host,
+      onRequest: ({ method, path, status, ms, error }) => {
+        console.log(`${new Date().toISOString()} ${method} ${path} ${status} ${ms} ms${error ? ` - ${error.message}` : ''}`);
+      },
+    });
+    const url = await receiver.listen();
+    console.log(`telefy webhook receiver listening on ${url}`);
+    for (const [name, endpoint] of Object.entries(endpoints)) {
+      console.log(`  POST /${name} (${endpoint.adapter ?? name}) → ${endpoint.routes ? 'routes, else ' : ''}${endpoint.channel ?? 'default channel'}`);
+    }
+
+    const stop = async () => {
+      await receiver.close();
+      process.exit(0);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+export {
+  run,
+};
@@ -0,0 +1,183 @@
+/**
+ * @file bin/helpers.js
+ * @description Output and argument helpers shared by the telefy CLI commands.
+ * @license MIT
+ */
+
+import fs from 'fs';
+import readline from 'readline/promises';
+import { TelegramBroadcastError } from '../telegramBot.js';
+
+// CLI parse mode names (case-insensitive) mapped to Bot API values
+const PARSE_MODES = {
+  markdown: 'Markdown',
+  html: 'HTML',
+  markdownv2: 'MarkdownV2',
+};
+
+/**
+ * Read the whole of stdin as text.
+ * @returns {Promise<string>} Input text.
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Check whether stdin is a pipe or a redirected file. A terminal, /dev/null, or a socket or inherited descriptor under
+ * cron, CI or ssh may never reach end of file, so those are not read unless the message is "-".
+ * @returns {boolean} True when stdin is a FIFO or a regular file.
+ */
+function stdinHasInput() {
+  try {
+    const stat = fs.fstatSync(0);
+    return stat.isFIFO() || stat.isFile();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Open an interactive prompt on the terminal.
+ * @returns {{ask: function(string, string=): Promise<string>, close: function(): void}} Prompt; ask() shows the
+ * default in brackets and returns it for an empty answer.
+ */
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return {
+    async ask(question, defaultValue = '') {
+      const answer = (await rl.question(defaultValue ? `${question} [${defaultValue}]: ` : `${question}: `)).trim();
+      return answer || defaultValue;
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+/**
+ * List the chats found by discoverChats for picking one: every chat, then each of its topics.
+ * @param {Object[]} chats - Chats from discoverChats.
+ * @returns {Array<{chatId: string, label: string}>} Choices.
+ */
+function chatChoices(chats) {
+  return chats.flatMap((chat) => [
+    { chatId: chat.id, label: `${chat.id}  ${chat.type}  "${chat.title}"${chat.username ? ` (@${chat.username})` : ''}` },
+    ...chat.topics.map((topic) => ({
+      chatId: `${chat.id}:${topic.id}`,
+      label: `${chat.id}:${topic.id}  topic${topic.name ? ` "${topic.name}"` : ''} in "${chat.title}"`,
+    })),
+  ]);
+}
+
+/**
+ * Print the per-channel outcome of a send, edit or broadcast.
+ * @param {Object[]} results - Results returned by the library functions.
+ * @param {string} [what='Message'] - What was sent, e.g. 'Photo'.
+ * @param {string} [action='sent'] - Past tense of the action, e.g. 'edited'.
+ */
+function reportResults(results, what = 'Message', action = 'sent') {
+  for (const result of results) {
+    // Channels with several chats report each chat separately
+    const several = result.chatId !== undefined && results.filter((other) => other.channel === result.channel).length > 1;
+    const target = several ? `channel "${result.channel}" (chat ${result.chatId})` : `channel "${result.channel}"`;
+    if (result.dryRun || result.response?.dryRun) {
+      reportDryRun(result, target);
+    } else if (result.queued) {
+      console.log(`${what} queued in the outbox for ${target}; run "telefy outbox flush" once Telegram is reachable`);
+    } else if (result.duplicate) {
+      reportDuplicate(result, what, target);
+    } else if (result.ok === false) {
+      const failed = action === 'sent' ? 'send to' : `update ${what.toLowerCase()} on`;
+      console.error(`Failed to ${failed} ${target}: ${result.error.message}`);
+      if (result.error.suggestion) {
+        console.error(`Suggestion: ${result.error.suggestion}`);
+      }
+    } else {
+      const messageId = result.messageId ?? result.response?.result?.message_id;
+      const idNote = action === 'sent' && messageId !== undefined ? ` (message ID ${messageId})` : '';
+      console.log(`${what} ${action} successfully ${action === 'sent' ? 'to' : 'on'} ${target}${idNote}`);
+    }
+  }
+}
+
+/**
+ * Print what happened to a message that repeated one sent within the dedup window.
+ * @param {Object} result - Duplicate result of a send.
+ * @param {string} what - What was sent, e.g. 'Message'.
+ * @param {string} target - Description of the target channel.
+ */
+function reportDuplicate(result, what, target) {
+  const first = result.messageId === undefined ? '' : ` message ID ${result.messageId}`;
+  if (result.collapsed) {
+    console.log(`${what} repeated on ${target} (×${result.count}); updated the count on${first}`);
+  } else if (result.error) {
+    console.error(`${what} repeated on ${target} (×${result.count}) and not sent again, but${first} could not be updated: ${result.error.message}`);
+  } else {
+    console.log(`${what} repeated on ${target} (×${result.count}); not sent again${first ? `, see${first}` : ''}`);
+  }
+}
+
+/**
+ * Print the requests a dry run rendered for one target.
+ * @param {Object} result - Result of a dry-run send, edit, delete or pin.
+ * @param {string} target - Description of the target channel.
+ */
+function reportDryRun(result, target) {
+  const requests = result.requests ?? [result.request ?? result.response.request];
+  for (const { method, payload } of requests) {
+    console.log(`[dry run] ${method} to ${target}:`);
+    console.log(JSON.stringify(payload, null, 2));
+  }
+}
+
+/**
+ * Log the outcome of a scheduled message.
+ * @param {{job: Object, results?: Object[], error?: Error}} run - Job and its results or error.
+ */
+function logScheduledRun({ job, results, error }) {
+  const time = new Date().toISOString();
+  if (error) {
+    console.error(`${time} Failed to send scheduled message ${job.id} to channel "${job.channel}": ${error.message}`);
+    return;
+  }
+  const failed = results.filter((result) => result.ok === false);
+  for (const result of failed) {
+    console.error(`${time} Failed to send scheduled message ${job.id} to channel "${result.channel}": ${result.error.message}`);
+  }
+  if (failed.length < results.length) {
+    console.log(`${time} Sent scheduled message ${job.id} to channel "${job.channel}"`);
+  }
+}
+
+/**
+ * Print an error with its suggestion (and per-channel results for broadcasts), then exit with status 1.
+ * @param {Error} error - Error to report.
+ * @param {string} [what='Message'] - What was being sent, for broadcast results.
+ * @param {string} [action='sent'] - Past tense of the action, for broadcast results.
+ */
+function exitWithError(error, what = 'Message', action = 'sent') {
+  if (error instanceof TelegramBroadcastError) {
+    reportResults(error.results, what, action);
+  }
+  console.error(`Error: ${error.message}`);
+  if (error.suggestion && !(error instanceof TelegramBroadcastError)) {
+    console.error(`Suggestion: ${error.suggestion}`);
+  }
+  process.exit(1);
+}
+
+export {
+  PARSE_MODES,
+  readStdin,
+  stdinHasInput,
+  createPrompt,
+  chatChoices,
+  reportResults,
+  logScheduledRun,
+  exitWithError,
+};
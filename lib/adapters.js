@@ -0,0 +1,294 @@
+/**
+ * @file lib/adapters.js
+ * @description Webhook adapters: turn GitHub, Alertmanager, Grafana and arbitrary JSON payloads into HTML messages with
+ * link buttons, plus labels to route them by.
+ * @license MIT
+ */
+
+import { html } from './format.js';
+import { TelegramBotError } from './errors.js';
+import { renderTemplate } from './templates.js';
+
+// Items listed per message; the rest are summarised as "... and N more"
+const MAX_ITEMS = 10;
+const MAX_COMMITS = 5;
+const MAX_FIELD_LENGTH = 300;
+
+const WORKFLOW_CONCLUSIONS = {
+  success: ['✅', 'succeeded'],
+  failure: ['❌', 'failed'],
+  cancelled: ['⚪', 'was cancelled'],
+  timed_out: ['⏱', 'timed out'],
+  action_required: ['✋', 'needs approval'],
+};
+
+const PULL_REQUEST_ACTIONS = {
+  opened: ['🔀', 'opened'],
+  reopened: ['🔁', 'reopened'],
+  ready_for_review: ['👀', 'is ready for review'],
+  closed: ['🚫', 'closed'],
+  merged: ['🟣', 'merged'],
+};
+
+/**
+ * Turn a GitHub webhook into a message. Handles push, pull_request (opened, reopened, ready_for_review, closed) and
+ * completed workflow_run events; other events and actions are skipped.
+ * @param {Object} payload - Webhook payload.
+ * @param {{headers: Object}} context - Request context; the event name comes from X-GitHub-Event.
+ * @returns {{text: string, buttons: Object[][], labels: Object}|null} Message, or null to skip the event.
+ */
+function github(payload, { headers }) {
+  const event = headers['x-github-event'];
+  const repository = payload.repository?.full_name ?? '';
+  const sender = payload.sender?.login;
+
+  if (event === 'push') {
+    const [, kind, name] = /^refs\/(heads|tags)\/(.+)$/.exec(payload.ref ?? '') ?? [null, 'heads', payload.ref];
+    const ref = kind === 'tags' ? html`tag ${html.code(name)}` : html`${html.code(name)}`;
+    const labels = { event, repository, branch: kind === 'heads' ? name : undefined, tag: kind === 'tags' ? name : undefined, sender };
+    const pusher = payload.pusher?.name ?? sender;
+    if (payload.deleted) {
+      return message(html`🗑 ${html.bold(repository)}: ${ref} deleted by ${pusher}`, [], labels);
+    }
+    const commits = payload.commits ?? [];
+    if (commits.length === 0) {
+      return message(html`🌱 ${html.bold(repository)}: ${ref} created by ${pusher}`, [linkButton('View', payload.compare)], labels);
+    }
+    const lines = commits.slice(0, MAX_COMMITS).map((commit) => html`\n• ${html.link(commit.id.slice(0, 7), commit.url)} ${clip(firstLine(commit.message))} — ${commit.author?.name}`);
+    return message(
+      html`📦 ${html.bold(repository)}: ${plural(commits.length, 'new commit')} pushed to ${ref} by ${pusher}${payload.forced ? ' (force-push)' : ''}${lines}${more(commits.length, MAX_COMMITS)}`,
+      [linkButton('View changes', payload.compare)],
+      labels
+    );
+  }
+
+  if (event === 'pull_request') {
+    const pr = payload.pull_request ?? {};
+    const action = payload.action === 'closed' && pr.merged ? 'merged' : payload.action;
+    if (!PULL_REQUEST_ACTIONS[action]) {
+      return null;
+    }
+    const [icon, verb] = PULL_REQUEST_ACTIONS[action];
+    return message(
+      html`${icon} ${html.bold(repository)}: pull request ${html.link(`#${pr.number}`, pr.html_url)} ${verb} by ${sender}\n${html.bold(clip(pr.title))}\n${html.code(pr.head?.ref ?? '')} → ${html.code(pr.base?.ref ?? '')}`,
+      [linkButton('View pull request', pr.html_url)],
+      { event, action, repository, branch: pr.base?.ref, sender }
+    );
+  }
+
+  if (event === 'workflow_run' && payload.action === 'completed') {
+    const run = payload.workflow_run ?? {};
+    const [icon, verb] = WORKFLOW_CONCLUSIONS[run.conclusion] ?? ['ℹ️', `finished: ${run.conclusion}`];
+    const title = run.display_title ?? firstLine(run.head_commit?.message);
+    return message(
+      html`${icon} ${html.bold(repository)}: workflow ${html.bold(run.name ?? '')} ${verb} on ${html.code(run.head_branch ?? '')}${title ? html`\n${clip(title)}` : ''}${run.actor?.login ? html` (${run.actor.login})` : ''}`,
+      [linkButton('View run', run.html_url)],
+      { event, action: payload.action, repository, branch: run.head_branch, workflow: run.name, conclusion: run.conclusion, sender }
+    );
+  }
+
+  // ping and every other event
+  return null;
+}
+
+/**
+ * Turn a Prometheus Alertmanager webhook into a message: the group's status and name, then one line per alert.
+ * @param {Object} payload - Webhook payload (version 4).
+ * @returns {{text: string, buttons: Object[][], labels: Object}|null} Message, or null when there are no alerts.
+ */
+function alertmanager(payload) {
+  const alerts = payload.alerts ?? [];
+  if (alerts.length === 0) {
+    return null;
+  }
+  const firing = alerts.filter((alert) => alert.status === 'firing').length;
+  const name = payload.groupLabels?.alertname ?? payload.commonLabels?.alertname ?? 'Alerts';
+  const groupLabels = Object.entries(payload.groupLabels ?? {}).filter(([key]) => key !== 'alertname');
+  const heading = payload.status === 'resolved' ? `✅ [RESOLVED] ${name}` : `🔥 [FIRING:${firing}] ${name}`;
+  const lines = alerts.slice(0, MAX_ITEMS).map((alert) => alertLine(alert));
+  const first = alerts[0];
+  return message(
+    html`${html.bold(heading)}${groupLabels.length > 0 ? ` (${groupLabels.map(([key, value]) => `${key}=${value}`).join(', ')})` : ''}${lines}${more(alerts.length, MAX_ITEMS)}`,
+    [
+      linkButton('Alertmanager', payload.externalURL),
+      linkButton('Source', first.generatorURL),
+      linkButton('Runbook', first.annotations?.runbook_url),
+    ],
+    { ...payload.commonLabels, status: payload.status, receiver: payload.receiver }
+  );
+}
+
+/**
+ * Turn a Grafana alerting webhook into a message. Unified alerting payloads list each alert with its value; legacy
+ * (pre-8) payloads give the rule, its state and message.
+ * @param {Object} payload - Webhook payload.
+ * @returns {{text: string, buttons: Object[][], labels: Object}|null} Message, or null when there is nothing to report.
+ */
+function grafana(payload) {
+  if (payload.ruleName !== undefined && payload.alerts === undefined) {
+    const icon = { alerting: '🔥', ok: '✅', no_data: '❔', paused: '⏸', pending: '⏳' }[payload.state] ?? 'ℹ️';
+    const matches = (payload.evalMatches ?? []).slice(0, MAX_ITEMS).map((match) => html`\n• ${match.metric}: ${match.value}`);
+    return message(
+      html`${icon} ${html.bold(payload.title ?? payload.ruleName)}${payload.message ? html`\n${clip(payload.message)}` : ''}${matches}`,
+      [linkButton('View rule', payload.ruleUrl)],
+      { ...payload.tags, status: payload.state, rule: payload.ruleName }
+    );
+  }
+
+  const alerts = payload.alerts ?? [];
+  if (alerts.length === 0) {
+    return null;
+  }
+  const first = alerts[0];
+  const heading = payload.title ?? `[${String(payload.status).toUpperCase()}] ${payload.commonLabels?.alertname ?? 'Grafana alert'}`;
+  const lines = alerts.slice(0, MAX_ITEMS).map((alert) => alertLine(alert, alert.valueString));
+  return message(
+    html`${payload.status === 'resolved' ? '✅' : '🔥'} ${html.bold(clip(heading))}${lines}${more(alerts.length, MAX_ITEMS)}`,
+    [
+      linkButton('Dashboard', first.panelURL || first.dashboardURL),
+      linkButton('Silence', first.silenceURL),
+      linkButton('Grafana', payload.externalURL),
+    ],
+    { ...payload.commonLabels, status: payload.status, receiver: payload.receiver }
+  );
+}
+
+/**
+ * Turn any JSON payload into a message with a template, in the syntax of message templates: {{path}} placeholders
+ * (e.g. {{service}}, {{alerts.0.labels.env}}) are replaced with the value at that path, escaped for the parse mode, and
+ * missing values are left empty. Button texts and URLs are filled in unescaped.
+ * @param {Object} payload - Webhook payload.
+ * @param {{endpoint: {name?: string, template: string, buttons?: Array, parseMode?: string}}} context - Request context.
+ * @returns {{text: string, buttons: Object[][], labels: Object, parseMode: string}} Message; its labels are the
+ * payload's top-level text, number and boolean fields.
+ */
+function template(payload, { endpoint }) {
+  const { text, parseMode, buttons } = renderTemplate(endpoint.template, payload, {
+    name: endpoint.name ?? 'webhook',
+    parseMode: endpoint.parseMode ?? 'HTML',
+    strict: false,
+    buttons: endpoint.buttons,
+  });
+  const labels = Object.fromEntries(Object.entries(payload).filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value)));
+  return {
+    text,
+    buttons: buttons.map((row) => row.map((button) => linkButton(button.text, button.url)).filter(Boolean)).filter((row) => row.length > 0),
+    labels,
+    parseMode,
+  };
+}
+
+/**
+ * Format one alert of an Alertmanager or Grafana payload.
+ * @param {Object} alert - Alert with status, labels and annotations.
+ * @param {string} [value] - Current value to show.
+ * @returns {FormattedText} Line, starting with a newline.
+ */
+function alertLine(alert, value) {
+  const summary = alert.annotations?.summary ?? alert.annotations?.description ?? alert.labels?.alertname ?? 'Alert';
+  const severity = alert.labels?.severity ? html`${html.bold(alert.labels.severity)} ` : '';
+  const instance = alert.labels?.instance ? ` — ${alert.labels.instance}` : '';
+  return html`\n• ${alert.status === 'resolved' ? '✅ ' : ''}${severity}${clip(summary)}${instance}${value ? html` ${html.code(clip(value))}` : ''}`;
+}
+
+/**
+ * Build an adapter's message.
+ * @param {FormattedText} text - HTML text.
+ * @param {Array<Object|null>} buttons - Link buttons; nulls (missing or unusable URLs) are left out.
+ * @param {Object} labels - Labels to route by; undefined values are left out.
+ * @returns {{text: string, buttons: Object[][], labels: Object, parseMode: string}} Message.
+ */
+function message(text, buttons, labels) {
+  const row = buttons.filter(Boolean);
+  return {
+    text: text.text,
+    buttons: row.length > 0 ? [row] : [],
+    labels: Object.fromEntries(Object.entries(labels).filter(([, value]) => value !== undefined && value !== null)),
+    parseMode: 'HTML',
+  };
+}
+
+/**
+ * Build a link button, if the URL is one Telegram accepts.
+ * @param {string} text - Button text.
+ * @param {string} [url] - Target URL.
+ * @returns {{text: string, url: string}|null} Button, or null.
+ */
+function linkButton(text, url) {
+  if (!url || !text) {
+    return null;
+  }
+  try {
+    const { protocol, hostname } = new URL(url);
+    // Telegram rejects buttons to hosts without a domain, such as http://alertmanager:9093 inside a cluster
+    return /^https?:$/.test(protocol) && hostname.includes('.') ? { text, url } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Shorten a long field.
+ * @param {string} [text] - Text.
+ * @returns {string} Text, cut to MAX_FIELD_LENGTH characters.
+ */
+function clip(text = '') {
+  const value = String(text);
+  return value.length > MAX_FIELD_LENGTH ? `${value.slice(0, MAX_FIELD_LENGTH - 1)}…` : value;
+}
+
+/**
+ * Take the first line of a text.
+ * @param {string} [text] - Text.
+ * @returns {string} First line.
+ */
+function firstLine(text = '') {
+  return String(text).split('\n')[0];
+}
+
+/**
+ * Count a noun.
+ * @param {number} count - Count.
+ * @param {string} noun - Singular noun.
+ * @returns {string} e.g. "1 new commit", "3 new commits".
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Note the items that were left out of a list.
+ * @param {number} total - Items in the list.
+ * @param {number} shown - Items shown.
+ * @returns {string} "\n… and N more", or ''.
+ */
+function more(total, shown) {
+  return total > shown ? `\n… and ${total - shown} more` : '';
+}
+
+// Built-in adapters by name
+const ADAPTERS = { github, alertmanager, grafana, template };
+
+/**
+ * Look up an adapter.
+ * @param {string|Function} adapter - Name of a built-in adapter, or an adapter function.
+ * @returns {Function} Adapter.
+ * @throws {TelegramBotError} If there is no adapter of that name.
+ */
+function resolveAdapter(adapter) {
+  if (typeof adapter === 'function') {
+    return adapter;
+  }
+  if (!Object.hasOwn(ADAPTERS, adapter)) {
+    throw new TelegramBotError(
+      `Unknown webhook adapter: ${adapter}`,
+      `Use one of ${Object.keys(ADAPTERS).join(', ')}, or pass a function.`
+    );
+  }
+  return ADAPTERS[adapter];
+}
+
+export {
+  ADAPTERS,
+  resolveAdapter,
+};
@@ -0,0 +1,163 @@
+/**
+ * @file lib/api.js
+ * @description Calls Bot API methods for a channel through a transport and turns failures into TelegramBotErrors with suggestions.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+import { isRetryable, withRetry } from './retry.js';
+import { axiosTransport } from './transport.js';
+
+/**
+ * Call a Bot API method for one channel, retrying transient failures.
+ * @param {string} channelName - Channel name (used in error messages).
+ * @param {{baseUrl: string}} config - Channel configuration.
+ * @param {string} method - Bot API method name.
+ * @param {Object} payload - Request body.
+ * @param {Object} retryPolicy - Resolved retry policy (see lib/retry.js).
+ * @param {Object} [requestOptions] - Transport options (timeout, proxy, signal).
+ * @param {Function} [transport=axiosTransport] - Sends the request (see lib/transport.js).
+ * @returns {Promise<Object>} Telegram API response body.
+ * @throws {TelegramBotError} If the call fails; `attempts` records how many requests were made and `retryable`
+ * whether the failure was transient (rate limit, server or network error).
+ */
+async function callTelegram(channelName, config, method, payload, retryPolicy, requestOptions, transport = axiosTransport) {
+  const url = `${config.baseUrl}/${method}`;
+  try {
+    const { result } = await withRetry(() => transport({ ...requestOptions, url, body: payload }), retryPolicy);
+    return result.data;
+  } catch (error) {
+    const botError = handleAxiosError(error, channelName);
+    botError.attempts = error.attempts;
+    botError.retryable = isRetryable(error);
+    throw botError;
+  }
+}
+
+/**
+ * Render a Bot API call without sending it, for dry runs.
+ * The bot token in the URL is masked; the payload is exactly what would be sent, with uploads listed by name and size.
+ * @param {{baseUrl: string, token: string}} config - Channel configuration.
+ * @param {string} method - Bot API method name.
+ * @param {Object|FormData} payload - Request body.
+ * @returns {{ok: true, result: true, dryRun: true, request: {method: string, url: string, payload: Object}}}
+ * Response standing in for Telegram's.
+ */
+function renderRequest(config, method, payload) {
+  const url = `${config.baseUrl.replace(`/bot${config.token}`, '/bot<token>')}/${method}`;
+  const body = payload instanceof FormData
+    ? Object.fromEntries([...payload.entries()].map(([key, value]) => [
+      key,
+      value instanceof Blob ? { filename: value.name, size: value.size } : value,
+    ]))
+    : payload;
+  return { ok: true, result: true, dryRun: true, request: { method, url, payload: body } };
+}
+
+/**
+ * Handle Axios errors and throw TelegramBotError with specific messages.
+ * @param {Error} error - Axios error object.
+ * @param {string} channelName - Channel name.
+ * @returns {TelegramBotError} Specific error with suggestion, code, HTTP and Telegram details, and the Axios error as cause.
+ */
+function handleAxiosError(error, channelName) {
+  if (error.response) {
+    const { status, data = {} } = error.response;
+    const telegramError = data.description || 'Unknown Telegram API error';
+    const details = {
+      httpStatus: status,
+      telegramErrorCode: data.error_code,
+      retryAfter: data.parameters?.retry_after,
+      channel: channelName,
+      cause: error,
+    };
+
+    if (status === 400) {
+      return new TelegramBotError(
+        `Bad Request on channel "${channelName}": ${telegramError}`,
+        'Check your message content, parse mode, or button format.',
+        { ...details, code: badRequestCode(telegramError) }
+      );
+    } else if (status === 401) {
+      return new TelegramBotError(
+        `Unauthorized on channel "${channelName}": ${telegramError}`,
+        `Verify the bot token for channel "${channelName}" in your .env file.`,
+        { ...details, code: 'UNAUTHORIZED' }
+      );
+    } else if (status === 403) {
+      return new TelegramBotError(
+        `Forbidden on channel "${channelName}": ${telegramError}`,
+        `Ensure the bot has permission to send messages to the chat ID for channel "${channelName}".`,
+        { ...details, code: 'FORBIDDEN' }
+      );
+    } else if (status === 404) {
+      return new TelegramBotError(
+        `Not Found on channel "${channelName}": ${telegramError}`,
+        `Check if the chat ID for channel "${channelName}" is valid and the bot is added to the chat.`,
+        { ...details, code: 'NOT_FOUND' }
+      );
+    } else if (status === 429) {
+      const { retryAfter } = details;
+      return new TelegramBotError(
+        `Too Many Requests on channel "${channelName}": ${telegramError}`,
+        retryAfter !== undefined
+          ? `Telegram asked to wait ${retryAfter} seconds. Send fewer messages or increase the retry limit.`
+          : 'Send fewer messages or increase the retry limit.',
+        { ...details, code: 'RATE_LIMITED' }
+      );
+    } else if (status >= 500) {
+      return new TelegramBotError(
+        `Telegram server error on channel "${channelName}": ${telegramError} (Status: ${status})`,
+        'Telegram is having temporary issues. Try again later.',
+        { ...details, code: 'SERVER_ERROR' }
+      );
+    } else {
+      return new TelegramBotError(
+        `Telegram API error on channel "${channelName}": ${telegramError} (Status: ${status})`,
+        'Check the Telegram API documentation for details.',
+        { ...details, code: 'API_ERROR' }
+      );
+    }
+  } else if (error.request) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    const problem = timedOut ? 'Request to Telegram API timed out' : 'Could not connect to Telegram API';
+    return new TelegramBotError(
+      `Network error on channel "${channelName}": ${problem}`,
+      'Check your internet connection or try again later.',
+      { code: timedOut ? 'TIMEOUT' : 'NETWORK', channel: channelName, cause: error }
+    );
+  } else {
+    return new TelegramBotError(
+      `Unexpected error on channel "${channelName}": ${error.message}`,
+      'Check your code or report this issue to the package maintainer.',
+      { code: 'UNKNOWN', channel: channelName, cause: error }
+    );
+  }
+}
+
+/**
+ * Classify a 400 Bad Request by its Telegram description.
+ * @param {string} description - Telegram error description.
+ * @returns {string} CHAT_NOT_FOUND, PARSE_ERROR, MESSAGE_NOT_FOUND, MESSAGE_NOT_MODIFIED or BAD_REQUEST.
+ */
+function badRequestCode(description) {
+  if (/chat not found/i.test(description)) {
+    return 'CHAT_NOT_FOUND';
+  }
+  if (/can't parse entities|can't find end of/i.test(description)) {
+    return 'PARSE_ERROR';
+  }
+  if (/message to \w+ not found|message_id_invalid/i.test(description)) {
+    return 'MESSAGE_NOT_FOUND';
+  }
+  if (/message is not modified/i.test(description)) {
+    return 'MESSAGE_NOT_MODIFIED';
+  }
+  return 'BAD_REQUEST';
+}
+
+export {
+  callTelegram,
+  renderRequest,
+  handleAxiosError,
+};
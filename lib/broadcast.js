@@ -0,0 +1,60 @@
+/**
+ * @file lib/broadcast.js
+ * @description Fan-out of one send operation across several channels.
+ * @description Supports fail-fast (default) and settle-all delivery with a concurrency limit.
+ * @license MIT
+ */
+
+import { TelegramBroadcastError } from './errors.js';
+
+/**
+ * Deliver to every target channel.
+ * @param {Map<string, Object>|Array<[string, Object, Object?]>} targetChannels - Channels to deliver to, as a Map or
+ * [name, config, extra] entries; extra fields (e.g. { chatId }) are added to the target's result.
+ * @param {function(string, Object): Promise<Object>} sendOne - Sends to one channel and resolves with the API response.
+ * @param {Object} [options] - Delivery options.
+ * @param {boolean} [options.settle=false] - Deliver to every channel even if some fail.
+ * @param {number} [options.concurrency=1] - Maximum number of channels sent to at the same time.
+ * @param {function(*, Object): Object} [options.toResult] - Maps what sendOne resolved with, and the target's config,
+ * to the result fields (default `{ response }`).
+ * @returns {Promise<Object[]>} `{ channel, response }` per channel, or `{ channel, ok, response | error }` when settling.
+ * @throws {TelegramBotError} The first failure (fail-fast), or a TelegramBroadcastError listing every result (settle).
+ */
+async function deliver(targetChannels, sendOne, { settle = false, concurrency = 1, toResult = (response) => ({ response }) } = {}) {
+  const targets = [...targetChannels];
+  const results = new Array(targets.length);
+  const limit = Math.max(1, Math.min(Math.floor(concurrency) || 1, targets.length));
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (next < targets.length && !failure) {
+      const index = next++;
+      const [channelName, config, extra] = targets[index];
+      try {
+        const fields = toResult(await sendOne(channelName, config), config);
+        results[index] = settle ? { channel: channelName, ...extra, ok: true, ...fields } : { channel: channelName, ...extra, ...fields };
+      } catch (error) {
+        if (!settle) {
+          failure = failure || error;
+          return;
+        }
+        results[index] = { channel: channelName, ...extra, ok: false, error };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, worker));
+
+  if (failure) {
+    throw failure;
+  }
+  if (settle && results.some((result) => !result.ok)) {
+    throw new TelegramBroadcastError(results);
+  }
+  return results;
+}
+
+export {
+  deliver,
+};
@@ -0,0 +1,338 @@
+/**
+ * @file lib/channels.js
+ * @description Channel configuration: loading CHANNEL_<name>_* variables, validating definitions and resolving targets.
+ * @description A channel can send to several chats with the same bot, optionally to a forum topic in each.
+ * @license MIT
+ */
+
+import dotenv from 'dotenv';
+import { TelegramBotError } from './errors.js';
+import { resolveRateLimits } from './ratelimit.js';
+import { validateProxy, validateTimeout } from './transport.js';
+
+const TELEGRAM_API_ROOT = 'https://api.telegram.org';
+
+// Channel settings applied to every message sent to the channel unless a call overrides them
+const SEND_DEFAULTS = ['parseMode', 'disableNotification', 'protectContent', 'messageThreadId'];
+
+/**
+ * Load channel configurations from environment variables.
+ * Scans for CHANNEL_<name>_TOKEN / CHANNEL_<name>_CHAT_ID pairs. CHANNEL_<name>_CHAT_ID may list several chats
+ * separated by commas, each as <chat_id> or <chat_id>:<topic_id>; CHANNEL_<name>_THREAD_ID sets a forum topic for all of them.
+ * @param {Object} [options] - Loader options.
+ * @param {Object} [options.env] - Environment to read. When omitted, .env is loaded into process.env and that is read.
+ * @param {string} [options.path] - Path to the .env file (defaults to .env in the working directory).
+ * @returns {Map<string, {token: string, chatId: string, messageThreadId?: number}>} Map of channel configurations (may be empty).
+ * @throws {TelegramBotError} If a channel is missing its token or chat ID, or its thread ID is not a number.
+ */
+function fromEnv({ env, path } = {}) {
+  if (!env) {
+    dotenv.config(path ? { path } : undefined);
+    env = process.env;
+  }
+
+  const channels = new Map();
+  for (const key of Object.keys(env)) {
+    if (key.startsWith('CHANNEL_') && key.endsWith('_TOKEN')) {
+      const channelName = key.slice(8, -6).toLowerCase(); // Extract name from CHANNEL_<name>_TOKEN
+      const token = env[key];
+      const chatIdKey = `CHANNEL_${channelName.toUpperCase()}_CHAT_ID`;
+      const chatId = env[chatIdKey];
+
+      if (!token) {
+        throw new TelegramBotError(
+          `Invalid token for channel "${channelName}"`,
+          `Ensure ${key} is set in your .env file.`
+        );
+      }
+      if (!chatId) {
+        throw new TelegramBotError(
+          `Missing chat ID for channel "${channelName}"`,
+          `Set ${chatIdKey} in your .env file. See .env.sample for details.`
+        );
+      }
+
+      const threadIdKey = `CHANNEL_${channelName.toUpperCase()}_THREAD_ID`;
+      if (env[threadIdKey]) {
+        const messageThreadId = Number(env[threadIdKey]);
+        if (!Number.isInteger(messageThreadId) || messageThreadId < 1) {
+          throw new TelegramBotError(
+            `Invalid thread ID for channel "${channelName}"`,
+            `Set ${threadIdKey} to the numeric ID of a forum topic, or remove it.`
+          );
+        }
+        channels.set(channelName, { token, chatId, messageThreadId });
+      } else {
+        channels.set(channelName, { token, chatId });
+      }
+    }
+  }
+  return channels;
+}
+
+/**
+ * Validate a channel definition and build the request base URL of every channel.
+ * @param {Map<string, Object>|Object<string, Object>} definition - Channels keyed by name, each with token, chatId, optional apiRoot
+ * (for a local Bot API server), optional send defaults (parseMode, disableNotification, protectContent, messageThreadId),
+ * an optional rateLimit overriding the client's limits for this channel, and optional proxy and timeout for its requests.
+ * chatId may be a comma-separated string or an array of chats (IDs, "<chat_id>:<topic_id>" or { chatId, messageThreadId }).
+ * @param {Object} [options] - Client-wide settings.
+ * @param {string} [options.apiRoot='https://api.telegram.org'] - API root for channels without their own.
+ * @returns {Map<string, {token: string, chatId: string, baseUrl: string}>} Validated channel map; channels with several chats
+ * have a `chats` list of { chatId, messageThreadId } instead of chatId.
+ * @throws {TelegramBotError} If no channels are given, a channel is incomplete or its rateLimit, proxy or timeout is malformed.
+ */
+function normalizeChannels(definition, { apiRoot: defaultApiRoot = TELEGRAM_API_ROOT } = {}) {
+  const entries = definition instanceof Map ? [...definition] : Object.entries(definition || {});
+  const channels = new Map();
+
+  for (const [name, config] of entries) {
+    const channelName = String(name).toLowerCase();
+    const { token, chatId, apiRoot = defaultApiRoot, rateLimit, proxy, timeout, ...sendDefaults } = config || {};
+
+    if (!token || typeof token !== 'string') {
+      throw new TelegramBotError(
+        `Invalid token for channel "${channelName}"`,
+        `Provide the bot token for channel "${channelName}" as a non-empty string.`
+      );
+    }
+    const chats = parseChats(channelName, chatId);
+    if (chats.length === 0) {
+      throw new TelegramBotError(
+        `Missing chat ID for channel "${channelName}"`,
+        `Provide the chat ID for channel "${channelName}".`
+      );
+    }
+
+    if (rateLimit !== undefined) {
+      resolveRateLimits(rateLimit);
+    }
+    if (typeof apiRoot !== 'string' || !/^https?:\/\//i.test(apiRoot)) {
+      throw new TelegramBotError(
+        `Invalid API root for channel "${channelName}": ${apiRoot}`,
+        'Use the http(s) URL of the Bot API server, e.g. http://localhost:8081.'
+      );
+    }
+    validateProxy(proxy, `proxy for channel "${channelName}"`);
+    validateTimeout(timeout, `timeout for channel "${channelName}"`);
+
+    // A topic given with the chat ID takes precedence over the channel's messageThreadId
+    channels.set(channelName, {
+      token,
+      baseUrl: `${apiRoot.replace(/\/+$/, '')}/bot${token}`,
+      ...pickSendDefaults(sendDefaults),
+      ...(rateLimit === undefined ? {} : { rateLimit }),
+      ...(proxy === undefined ? {} : { proxy }),
+      ...(timeout === undefined ? {} : { timeout }),
+      ...(chats.length === 1 ? chats[0] : { chats }),
+    });
+  }
+
+  if (channels.size === 0) {
+    throw new TelegramBotError(
+      'No channels configured',
+      'Add at least one channel with CHANNEL_<name>_TOKEN and CHANNEL_<name>_CHAT_ID in your .env file. See .env.sample.'
+    );
+  }
+  return channels;
+}
+
+/**
+ * Parse the chats of a channel.
+ * @param {string} channelName - Channel name (for errors).
+ * @param {string|number|Array<string|number|Object>} chatId - One chat, a comma-separated list or an array of chats.
+ * @returns {Array<{chatId: string, messageThreadId?: number}>} Chats in order, without duplicates.
+ * @throws {TelegramBotError} If a chat entry or topic ID is malformed.
+ */
+function parseChats(channelName, chatId) {
+  const entries = Array.isArray(chatId) ? chatId : String(chatId ?? '').split(',');
+  const chats = new Map();
+
+  for (const entry of entries) {
+    let id = entry;
+    let thread = entry?.messageThreadId;
+    if (entry !== null && typeof entry === 'object') {
+      id = entry.chatId;
+    } else if (typeof entry === 'string' && /^\s*[^:]+:\s*\d+\s*$/.test(entry)) {
+      [id, thread] = entry.split(':');
+    }
+    id = String(id ?? '').trim();
+    if (!id) {
+      continue;
+    }
+    const messageThreadId = thread === undefined ? undefined : Number(thread);
+    if (messageThreadId !== undefined && (!Number.isInteger(messageThreadId) || messageThreadId < 1)) {
+      throw new TelegramBotError(
+        `Invalid topic ID for chat ${id} of channel "${channelName}"`,
+        'Use <chat_id>:<topic_id> with the numeric ID of a forum topic, e.g. -1001234567890:12.'
+      );
+    }
+    const key = `${id}:${messageThreadId ?? ''}`;
+    chats.set(key, messageThreadId === undefined ? { chatId: id } : { chatId: id, messageThreadId });
+  }
+  return [...chats.values()];
+}
+
+/**
+ * List the chats a channel sends to.
+ * @param {{chatId?: string, chats?: Object[], messageThreadId?: number}} config - Channel configuration.
+ * @returns {Array<{chatId: string, messageThreadId?: number}>} One entry per chat.
+ */
+function chatsOf(config) {
+  return config.chats ?? [{ chatId: config.chatId, messageThreadId: config.messageThreadId }];
+}
+
+/**
+ * Expand target channels into one delivery target per chat.
+ * Targets of channels with several chats carry { chatId } as extra result fields so results are reported per chat.
+ * @param {Map<string, Object>} targetChannels - Channels to deliver to.
+ * @returns {Array<[string, Object, Object?]>} [channelName, config for one chat, extra result fields] for deliver().
+ */
+function expandChats(targetChannels) {
+  return [...targetChannels].flatMap(([channelName, config]) => {
+    if (!config.chats) {
+      return [[channelName, config]];
+    }
+    return config.chats.map(({ chatId, messageThreadId }) => [
+      channelName,
+      { ...config, chatId, messageThreadId: messageThreadId ?? config.messageThreadId },
+      { chatId },
+    ]);
+  });
+}
+
+/**
+ * Find the chat of a channel that a sent message lives in.
+ * @param {string} channelName - Channel name (for errors).
+ * @param {Object} config - Channel configuration.
+ * @param {string|number} [chatId] - Chat ID from the message reference; required for channels with several chats.
+ * @returns {{chatId: string, messageThreadId?: number}} The chat.
+ * @throws {TelegramBotError} If the chat is ambiguous or not part of the channel.
+ */
+function findChat(channelName, config, chatId) {
+  const chats = chatsOf(config);
+  if (chatId === undefined) {
+    if (chats.length > 1) {
+      throw new TelegramBotError(
+        `Channel "${channelName}" sends to ${chats.length} chats`,
+        'Pass the results returned by the send function, or { channel, chatId, messageId }.'
+      );
+    }
+    return chats[0];
+  }
+  const chat = chats.find((candidate) => candidate.chatId === String(chatId));
+  if (!chat) {
+    throw new TelegramBotError(
+      `Chat ${chatId} is not part of channel "${channelName}"`,
+      `Channel "${channelName}" sends to: ${chats.map((candidate) => candidate.chatId).join(', ')}.`
+    );
+  }
+  return chat;
+}
+
+/**
+ * Validate channel groups against the configured channels.
+ * @param {Map<string, string[]>|Object<string, string[]>} [definition] - Lists of channel names keyed by group name.
+ * @param {Map<string, Object>} channels - Validated channels.
+ * @param {string} [where] - Config file the groups come from; errors then name the file and the groups.<name> key.
+ * @returns {Map<string, string[]>} Groups with lowercased group and channel names.
+ * @throws {TelegramBotError} If a group is empty, shadows a channel or 'all', or names an unknown channel.
+ */
+function normalizeGroups(definition, channels, where) {
+  if (definition && !(definition instanceof Map) && (typeof definition !== 'object' || Array.isArray(definition))) {
+    throw groupError(where, undefined, 'must map group names to lists of channel names', "Example: groups: { ops: ['news', 'alerts'] }.");
+  }
+  const entries = definition instanceof Map ? [...definition] : Object.entries(definition || {});
+  const groups = new Map();
+
+  for (const [name, members] of entries) {
+    const groupName = String(name).toLowerCase();
+    if (groupName === 'all' || channels.has(groupName)) {
+      throw groupError(
+        where,
+        name,
+        `has the same name as ${groupName === 'all' ? "the 'all' target" : 'a channel'}`,
+        'Rename the group so it does not clash with a channel name or "all".'
+      );
+    }
+    if (!Array.isArray(members) || members.length === 0 || members.some((member) => typeof member !== 'string')) {
+      throw groupError(where, name, 'must be a non-empty list of channel names', `Example: groups: { ${groupName}: ['news', 'alerts'] }.`);
+    }
+    const memberNames = members.map((member) => member.toLowerCase());
+    const unknown = members.filter((member) => !channels.has(member.toLowerCase()));
+    if (unknown.length > 0) {
+      throw groupError(
+        where,
+        name,
+        `refers to unknown channels: ${unknown.join(', ')}`,
+        `Available channels: ${[...channels.keys()].join(', ')}.`
+      );
+    }
+    groups.set(groupName, [...new Set(memberNames)]);
+  }
+  return groups;
+}
+
+/**
+ * Build a group validation error, naming the config file key when the groups come from one.
+ * @param {string} [where] - Config file the groups come from.
+ * @param {string} [name] - Group name as given (the whole section when omitted).
+ * @param {string} problem - What is wrong, e.g. 'must be a non-empty list of channel names'.
+ * @param {string} suggestion - How to fix it in code.
+ * @returns {TelegramBotError} Error.
+ */
+function groupError(where, name, problem, suggestion) {
+  if (where) {
+    return new TelegramBotError(
+      `Invalid config in ${where}: ${name === undefined ? 'groups' : `groups.${name}`} ${problem}`,
+      'Fix the value in the config file. See the Configuration File section of the README.'
+    );
+  }
+  return new TelegramBotError(`${name === undefined ? 'Groups' : `Group "${String(name).toLowerCase()}"`} ${problem}`, suggestion);
+}
+
+/**
+ * Keep the per-channel send defaults that are set.
+ * @param {Object} config - Channel configuration.
+ * @returns {Object} parseMode, disableNotification, protectContent and messageThreadId when defined.
+ */
+function pickSendDefaults(config) {
+  return Object.fromEntries(SEND_DEFAULTS.filter((key) => config[key] !== undefined).map((key) => [key, config[key]]));
+}
+
+/**
+ * Get target channels based on the channel parameter.
+ * @param {Map<string, {token: string, chatId: string, baseUrl: string}>} channels - Configured channels.
+ * @param {string} channel - Channel name, group name or 'all'.
+ * @param {Map<string, string[]>} [groups] - Channel groups keyed by name.
+ * @returns {Map<string, {token: string, chatId: string, baseUrl: string}>} Map of target channels.
+ * @throws {TelegramBotError} If channel is invalid.
+ */
+function getTargetChannels(channels, channel, groups = new Map()) {
+  if (channel === 'all') {
+    return channels;
+  }
+  const channelName = channel.toLowerCase();
+  if (groups.has(channelName)) {
+    return new Map(groups.get(channelName).map((name) => [name, channels.get(name)]));
+  }
+  if (!channels.has(channelName)) {
+    const groupNames = groups.size > 0 ? ` Groups: ${[...groups.keys()].join(', ')}.` : '';
+    throw new TelegramBotError(
+      `Channel "${channelName}" not found`,
+      `Available channels: ${[...channels.keys()].join(', ')}.${groupNames} Check your .env file.`
+    );
+  }
+  return new Map([[channelName, channels.get(channelName)]]);
+}
+
+export {
+  TELEGRAM_API_ROOT,
+  fromEnv,
+  normalizeChannels,
+  normalizeGroups,
+  getTargetChannels,
+  chatsOf,
+  expandChats,
+  findChat,
+};
@@ -0,0 +1,531 @@
+/**
+ * @file lib/config.js
+ * @description Loads telefy.config.json / .yaml and merges it with CHANNEL_<name>_* environment variables.
+ * @description Supports per-channel send defaults, named channel groups and ${ENV} interpolation.
+ * @license MIT
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { fromEnv, normalizeGroups } from './channels.js';
+import { ADAPTERS } from './adapters.js';
+import { DEDUP_MODES, DEFAULT_DEDUP_DIR } from './dedup.js';
+import { TelegramBotError } from './errors.js';
+import { DEFAULT_OUTBOX_DIR } from './outbox.js';
+import { resolveRateLimits } from './ratelimit.js';
+import { DEFAULT_SCHEDULE_DIR, parseDuration } from './schedule.js';
+import { validateProxy, validateTimeout } from './transport.js';
+
+const CONFIG_FILES = ['telefy.config.json', 'telefy.config.yaml', 'telefy.config.yml'];
+const PARSE_MODES = ['Markdown', 'HTML', 'MarkdownV2'];
+
+// Per-channel send defaults; the snake_case Bot API names are accepted as aliases
+const CHANNEL_DEFAULTS = {
+  parseMode: { alias: 'parse_mode', check: (value) => PARSE_MODES.includes(value), expected: `one of ${PARSE_MODES.join(', ')}` },
+  disableNotification: { alias: 'disable_notification', check: (value) => typeof value === 'boolean', expected: 'true or false' },
+  protectContent: { alias: 'protect_content', check: (value) => typeof value === 'boolean', expected: 'true or false' },
+  messageThreadId: { alias: 'message_thread_id', check: (value) => Number.isInteger(value) && value > 0, expected: 'a positive integer' },
+};
+
+/**
+ * Load the telefy configuration: channels from the environment, overlaid with the config file if there is one.
+ * @param {Object} [options] - Loader options.
+ * @param {string} [options.path] - Config file to load (default: $TELEFY_CONFIG, else telefy.config.json/.yaml/.yml in cwd).
+ * @param {string} [options.cwd=process.cwd()] - Directory to look for the config file in.
+ * @param {Object} [options.env] - Environment for CHANNEL_<name>_* variables and ${VAR} interpolation
+ * (default: process.env after loading .env).
+ * @returns {{channels: Map<string, Object>, groups: Map<string, string[]>, defaults: Object, outbox?: {dir: string},
+ * rateLimit?: boolean|Object, apiRoot?: string, proxy?: string, timeout?: number, dryRun?: true, templates?: string,
+ * schedule?: {dir: string}, dedup?: {window?: number, mode?: string, dir: string}, webhooks?: Object, path: string|null}}
+ * Options for createTelefy, the webhook endpoints for createWebhookReceiver (when the file has a webhooks section), and
+ * the path of the file that was loaded. The outbox, apiRoot, proxy, timeout, templates and schedule directories come
+ * from the file, else from TELEFY_OUTBOX_DIR, TELEFY_API_ROOT, TELEFY_PROXY, TELEFY_TIMEOUT, TELEFY_TEMPLATES_DIR and
+ * TELEFY_SCHEDULE_DIR; dedup from the file, else from TELEFY_DEDUP_WINDOW, TELEFY_DEDUP_MODE and TELEFY_DEDUP_DIR
+ * (any of them turns it on); dryRun is set by TELEFY_DRY_RUN=1 (or true).
+ * @throws {TelegramBotError} If the file cannot be read or parsed, or the configuration is invalid.
+ */
+function loadConfig({ path: configPath, cwd = process.cwd(), env } = {}) {
+  if (!env) {
+    dotenv.config({ path: path.join(cwd, '.env') });
+    env = process.env;
+  }
+
+  const file = findConfigFile(configPath || env.TELEFY_CONFIG, cwd);
+  const channels = fromEnv({ env });
+  const envOutbox = env.TELEFY_OUTBOX_DIR ? { dir: path.resolve(cwd, env.TELEFY_OUTBOX_DIR) } : undefined;
+  const envSettings = {
+    ...transportFromEnv(env),
+    ...(/^(1|true)$/i.test(env.TELEFY_DRY_RUN ?? '') ? { dryRun: true } : {}),
+    ...(env.TELEFY_TEMPLATES_DIR ? { templates: path.resolve(cwd, env.TELEFY_TEMPLATES_DIR) } : {}),
+    ...(env.TELEFY_SCHEDULE_DIR ? { schedule: { dir: path.resolve(cwd, env.TELEFY_SCHEDULE_DIR) } } : {}),
+    ...dedupFromEnv(env, cwd),
+  };
+  if (!file) {
+    return { channels, groups: new Map(), defaults: {}, outbox: envOutbox, ...envSettings, path: null };
+  }
+
+  const raw = interpolate(parseConfigFile(file), env, file, '');
+  const where = path.relative(cwd, file) || file;
+  if (!isObject(raw)) {
+    throw invalidConfig(where, '', 'must be an object with channels, groups and defaults');
+  }
+
+  // File entries extend channels of the same name from the environment
+  for (const [name, entry] of Object.entries(raw.channels ?? {})) {
+    const channelName = name.toLowerCase();
+    channels.set(channelName, { ...channels.get(channelName), ...normalizeChannel(entry, `channels.${name}`, where) });
+  }
+
+  const groups = normalizeGroups(raw.groups ?? {}, channels, where);
+  const defaults = normalizeDefaults(raw.defaults ?? {}, channels, groups, where);
+  const outbox = raw.outbox === undefined ? envOutbox : normalizeOutbox(raw.outbox, cwd, where);
+  const rateLimit = raw.rateLimit === undefined || raw.rateLimit === false
+    ? undefined
+    : normalizeRateLimit(raw.rateLimit, 'rateLimit', where);
+  const settings = { ...envSettings, ...normalizeTransport(raw, '', where) };
+  if (raw.templates !== undefined) {
+    if (typeof raw.templates !== 'string' || !raw.templates) {
+      throw invalidConfig(where, 'templates', 'must be the path of the templates directory');
+    }
+    settings.templates = path.resolve(cwd, raw.templates);
+  }
+  if (raw.schedule !== undefined) {
+    settings.schedule = normalizeSchedule(raw.schedule, cwd, where);
+  }
+  if (raw.dedup !== undefined) {
+    settings.dedup = normalizeDedup(raw.dedup, cwd, where);
+  }
+  if (raw.webhooks !== undefined) {
+    settings.webhooks = normalizeWebhooks(raw.webhooks, channels, groups, where);
+  }
+  return { channels, groups, defaults, outbox, rateLimit, ...settings, path: file };
+}
+
+/**
+ * Find the config file to load.
+ * @param {string} [configPath] - Explicit path.
+ * @param {string} cwd - Directory to search.
+ * @returns {string|null} Absolute path, or null when no file exists.
+ * @throws {TelegramBotError} If an explicit path does not exist.
+ */
+function findConfigFile(configPath, cwd) {
+  if (configPath) {
+    const file = path.resolve(cwd, configPath);
+    if (!fs.existsSync(file)) {
+      throw new TelegramBotError(
+        `Config file not found: ${configPath}`,
+        'Check the --config path or the TELEFY_CONFIG environment variable.'
+      );
+    }
+    return file;
+  }
+  const found = CONFIG_FILES.map((name) => path.join(cwd, name)).find((file) => fs.existsSync(file));
+  return found || null;
+}
+
+/**
+ * Read and parse a JSON or YAML config file.
+ * @param {string} file - Absolute path.
+ * @returns {*} Parsed content.
+ * @throws {TelegramBotError} If the file cannot be read or parsed.
+ */
+function parseConfigFile(file) {
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new TelegramBotError(
+      `Could not parse config file ${file}: ${error.message}`,
+      /\.ya?ml$/i.test(file) ? 'Check the file is valid YAML.' : 'Check the file is valid JSON.'
+    );
+  }
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-default} in every string of the config.
+ * @param {*} value - Parsed config value.
+ * @param {Object} env - Environment variables.
+ * @param {string} file - Config file (for errors).
+ * @param {string} key - Path of the value (for errors).
+ * @returns {*} Value with variables substituted.
+ * @throws {TelegramBotError} If a variable without default is not set.
+ */
+function interpolate(value, env, file, key) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (env[name] !== undefined && env[name] !== '') {
+        return env[name];
+      }
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      throw new TelegramBotError(
+        `Environment variable ${name} is not set (used by ${key || 'the config'} in ${file})`,
+        `Set ${name} in your environment or .env file, or give a default with \${${name}:-value}.`
+      );
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolate(item, env, file, `${key}[${index}]`));
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, interpolate(item, env, file, key ? `${key}.${name}` : name)]));
+  }
+  return value;
+}
+
+/**
+ * Validate one channel entry of the config file.
+ * @param {Object} entry - Channel entry.
+ * @param {string} key - Path of the entry (for errors).
+ * @param {string} where - Config file (for errors).
+ * @returns {Object} Channel fields in createTelefy form (only the ones that are set).
+ * @throws {TelegramBotError} If a field is invalid.
+ */
+function normalizeChannel(entry, key, where) {
+  if (!isObject(entry)) {
+    throw invalidConfig(where, key, 'must be an object with token and chatId');
+  }
+  const channel = {};
+  if (entry.token !== undefined) {
+    if (typeof entry.token !== 'string') {
+      throw invalidConfig(where, `${key}.token`, 'must be a string');
+    }
+    channel.token = entry.token;
+  }
+  Object.assign(channel, normalizeTransport({ apiRoot: entry.apiRoot }, `${key}.`, where));
+  const chatId = entry.chatId ?? entry.chat_id;
+  if (chatId !== undefined) {
+    channel.chatId = Array.isArray(chatId)
+      ? chatId.map((chat, index) => normalizeChat(chat, `${key}.chatId[${index}]`, where))
+      : normalizeChat(chatId, `${key}.chatId`, where);
+  }
+  for (const [field, { alias, check, expected }] of Object.entries(CHANNEL_DEFAULTS)) {
+    const value = entry[field] ?? entry[alias];
+    if (value !== undefined) {
+      if (!check(value)) {
+        throw invalidConfig(where, `${key}.${field}`, `must be ${expected}`);
+      }
+      channel[field] = value;
+    }
+  }
+  if (entry.rateLimit !== undefined) {
+    channel.rateLimit = normalizeRateLimit(entry.rateLimit, `${key}.rateLimit`, where);
+  }
+  return { ...channel, ...normalizeTransport({ proxy: entry.proxy, timeout: entry.timeout }, `${key}.`, where) };
+}
+
+/**
+ * Validate one chat of a channel: an ID, or { chatId, messageThreadId } for a forum topic.
+ * @param {string|number|Object} chat - Chat entry.
+ * @param {string} key - Path of the entry (for errors).
+ * @param {string} where - Config file (for errors).
+ * @returns {string|{chatId: string, messageThreadId?: number}} Chat ID as a string, or the chat object.
+ * @throws {TelegramBotError} If the entry is invalid.
+ */
+function normalizeChat(chat, key, where) {
+  if (typeof chat === 'string' || Number.isInteger(chat)) {
+    return String(chat);
+  }
+  if (!isObject(chat) || (typeof chat.chatId !== 'string' && !Number.isInteger(chat.chatId))) {
+    throw invalidConfig(where, key, 'must be a chat ID or { chatId, messageThreadId }');
+  }
+  const messageThreadId = chat.messageThreadId ?? chat.message_thread_id;
+  if (messageThreadId !== undefined && !CHANNEL_DEFAULTS.messageThreadId.check(messageThreadId)) {
+    throw invalidConfig(where, `${key}.messageThreadId`, `must be ${CHANNEL_DEFAULTS.messageThreadId.expected}`);
+  }
+  return messageThreadId === undefined ? { chatId: String(chat.chatId) } : { chatId: String(chat.chatId), messageThreadId };
+}
+
+/**
+ * Validate the defaults section.
+ * @param {Object} defaults - Client defaults (channel, parseMode, settle, concurrency).
+ * @param {Map<string, Object>} channels - All channels.
+ * @param {Map<string, string[]>} groups - All groups.
+ * @param {string} where - Config file (for errors).
+ * @returns {Object} Validated defaults.
+ * @throws {TelegramBotError} If a default is invalid.
+ */
+function normalizeDefaults(defaults, channels, groups, where) {
+  if (!isObject(defaults)) {
+    throw invalidConfig(where, 'defaults', 'must be an object');
+  }
+  const { channel, parseMode, settle, concurrency } = defaults;
+  if (channel !== undefined) {
+    const name = String(channel).toLowerCase();
+    if (name !== 'all' && !channels.has(name) && !groups.has(name)) {
+      throw invalidConfig(where, 'defaults.channel', `refers to unknown channel or group "${channel}"`);
+    }
+  }
+  if (parseMode !== undefined && !PARSE_MODES.includes(parseMode)) {
+    throw invalidConfig(where, 'defaults.parseMode', `must be one of ${PARSE_MODES.join(', ')}`);
+  }
+  if (settle !== undefined && typeof settle !== 'boolean') {
+    throw invalidConfig(where, 'defaults.settle', 'must be true or false');
+  }
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw invalidConfig(where, 'defaults.concurrency', 'must be a positive integer');
+  }
+  return Object.fromEntries(Object.entries({ channel, parseMode, settle, concurrency }).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validate the webhooks section: endpoints of the webhook receiver, keyed by the path they are served on.
+ * @param {Object<string, Object>} webhooks - Endpoints ({ adapter?, channel?, secret?, routes?, template?, buttons?, parseMode? }).
+ * @param {Map<string, Object>} channels - All channels.
+ * @param {Map<string, string[]>} groups - All groups.
+ * @param {string} where - Config file (for errors).
+ * @returns {Object<string, Object>} Validated endpoints; adapter defaults to the endpoint name.
+ * @throws {TelegramBotError} If an endpoint is invalid or sends to an unknown channel.
+ */
+function normalizeWebhooks(webhooks, channels, groups, where) {
+  if (!isObject(webhooks)) {
+    throw invalidConfig(where, 'webhooks', 'must map endpoint names to endpoint settings');
+  }
+  const checkChannel = (channel, key) => {
+    const name = typeof channel === 'string' ? channel.toLowerCase() : '';
+    if (name !== 'all' && !channels.has(name) && !groups.has(name)) {
+      throw invalidConfig(where, key, `refers to unknown channel or group "${channel}"`);
+    }
+  };
+
+  const endpoints = {};
+  for (const [name, entry] of Object.entries(webhooks)) {
+    const key = `webhooks.${name}`;
+    if (!/^[\w-]+$/.test(name)) {
+      throw invalidConfig(where, key, 'must be named with letters, digits, - and _ only (the name is the URL path)');
+    }
+    if (!isObject(entry)) {
+      throw invalidConfig(where, key, 'must be an object');
+    }
+    const { adapter = name, channel, secret, routes, template, buttons, parseMode } = entry;
+    if (!Object.hasOwn(ADAPTERS, adapter)) {
+      throw invalidConfig(where, `${key}.adapter`, `must be one of ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    if (channel !== undefined) {
+      checkChannel(channel, `${key}.channel`);
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || !secret)) {
+      throw invalidConfig(where, `${key}.secret`, 'must be a non-empty string');
+    }
+    if (routes !== undefined) {
+      if (!Array.isArray(routes)) {
+        throw invalidConfig(where, `${key}.routes`, 'must be a list of { match, channel }');
+      }
+      routes.forEach((route, index) => {
+        if (!isObject(route) || !isObject(route.match)) {
+          throw invalidConfig(where, `${key}.routes[${index}]`, 'must be { match: { label: value }, channel }');
+        }
+        checkChannel(route.channel, `${key}.routes[${index}].channel`);
+      });
+    }
+    if (adapter === 'template' && (typeof template !== 'string' || !template)) {
+      throw invalidConfig(where, `${key}.template`, 'must be the message text, with {{field}} placeholders');
+    }
+    if (buttons !== undefined && !Array.isArray(buttons)) {
+      throw invalidConfig(where, `${key}.buttons`, 'must be a list of { text, url } buttons (or rows of them)');
+    }
+    if (parseMode !== undefined && !PARSE_MODES.includes(parseMode)) {
+      throw invalidConfig(where, `${key}.parseMode`, `must be one of ${PARSE_MODES.join(', ')}`);
+    }
+    endpoints[name] = Object.fromEntries(Object.entries({ adapter, channel, secret, routes, template, buttons, parseMode })
+      .filter(([, value]) => value !== undefined));
+  }
+  return endpoints;
+}
+
+/**
+ * Validate the outbox entry.
+ * @param {boolean|Object} outbox - true for the default directory, false to disable, or { dir }.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @param {string} where - Config file (for errors).
+ * @returns {{dir: string}|undefined} Outbox options, or undefined when disabled.
+ * @throws {TelegramBotError} If the entry is invalid.
+ */
+function normalizeOutbox(outbox, cwd, where) {
+  if (outbox === false) {
+    return undefined;
+  }
+  if (outbox === true) {
+    return { dir: path.resolve(cwd, DEFAULT_OUTBOX_DIR) };
+  }
+  if (!isObject(outbox) || (outbox.dir !== undefined && (typeof outbox.dir !== 'string' || !outbox.dir))) {
+    throw invalidConfig(where, 'outbox', 'must be true, false or { dir: "path" }');
+  }
+  return { dir: path.resolve(cwd, outbox.dir ?? DEFAULT_OUTBOX_DIR) };
+}
+
+/**
+ * Validate the schedule entry.
+ * @param {boolean|Object} schedule - true for the default directory, or { dir }.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @param {string} where - Config file (for errors).
+ * @returns {{dir: string}} Schedule store options.
+ * @throws {TelegramBotError} If the entry is invalid.
+ */
+function normalizeSchedule(schedule, cwd, where) {
+  if (schedule !== true && (!isObject(schedule) || typeof schedule.dir !== 'string' || !schedule.dir)) {
+    throw invalidConfig(where, 'schedule', 'must be true or { dir: "path" }');
+  }
+  return { dir: path.resolve(cwd, schedule === true ? DEFAULT_SCHEDULE_DIR : schedule.dir) };
+}
+
+/**
+ * Validate the dedup entry.
+ * @param {boolean|Object} dedup - true for the defaults, false to disable, or { window, mode, dir }.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @param {string} where - Config file (for errors).
+ * @returns {{window?: number, mode?: string, dir: string}|undefined} Dedup options, or undefined when disabled.
+ * @throws {TelegramBotError} If the entry is invalid.
+ */
+function normalizeDedup(dedup, cwd, where) {
+  if (dedup === false) {
+    return undefined;
+  }
+  if (dedup !== true && !isObject(dedup)) {
+    throw invalidConfig(where, 'dedup', 'must be true, false or { window, mode, dir }');
+  }
+  return dedupOptions(dedup === true ? {} : dedup, cwd, (key, problem) => invalidConfig(where, `dedup.${key}`, problem));
+}
+
+/**
+ * Read the dedup settings from TELEFY_DEDUP_WINDOW (ms or a duration), TELEFY_DEDUP_MODE and TELEFY_DEDUP_DIR.
+ * @param {Object} env - Environment variables.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @returns {{dedup?: Object}} The dedup options when any of the variables is set.
+ * @throws {TelegramBotError} If a variable is invalid.
+ */
+function dedupFromEnv(env, cwd) {
+  const { TELEFY_DEDUP_WINDOW: window, TELEFY_DEDUP_MODE: mode, TELEFY_DEDUP_DIR: dir } = env;
+  if (!window && !mode && !dir) {
+    return {};
+  }
+  const dedup = dedupOptions({
+    window: /^\d+$/.test(window ?? '') ? Number(window) : window || undefined,
+    mode: mode || undefined,
+    dir: dir || undefined,
+  }, cwd, (key, problem) => new TelegramBotError(
+    `Invalid TELEFY_DEDUP_${key.toUpperCase()}: it ${problem}`,
+    'Fix the value in .env or the environment.'
+  ));
+  return { dedup };
+}
+
+/**
+ * Check the dedup window, mode and directory.
+ * @param {{window?: *, mode?: *, dir?: *}} dedup - Values to check.
+ * @param {string} cwd - Directory relative paths are resolved against.
+ * @param {function(string, string): TelegramBotError} invalid - Builds the error for a key and its problem.
+ * @returns {{window?: number, mode?: string, dir: string}} Dedup options with the window in ms and an absolute dir.
+ * @throws {TelegramBotError} If a value is invalid.
+ */
+function dedupOptions({ window, mode, dir }, cwd, invalid) {
+  const options = {};
+  if (window !== undefined) {
+    try {
+      options.window = parseDuration(window);
+    } catch {
+      throw invalid('window', 'must be a number of ms or a duration such as "10m"');
+    }
+  }
+  if (mode !== undefined) {
+    if (!DEDUP_MODES.includes(mode)) {
+      throw invalid('mode', 'must be "drop" or "collapse"');
+    }
+    options.mode = mode;
+  }
+  if (dir !== undefined && (typeof dir !== 'string' || !dir)) {
+    throw invalid('dir', 'must be the path of the dedup directory');
+  }
+  return { ...options, dir: path.resolve(cwd, dir ?? DEFAULT_DEDUP_DIR) };
+}
+
+/**
+ * Read the client's request settings from TELEFY_API_ROOT, TELEFY_PROXY and TELEFY_TIMEOUT.
+ * @param {Object} env - Environment variables.
+ * @returns {{apiRoot?: string, proxy?: string, timeout?: number}} The settings that are set.
+ * @throws {TelegramBotError} If TELEFY_PROXY or TELEFY_TIMEOUT is invalid.
+ */
+function transportFromEnv(env) {
+  const settings = {
+    apiRoot: env.TELEFY_API_ROOT || undefined,
+    proxy: env.TELEFY_PROXY || undefined,
+    timeout: env.TELEFY_TIMEOUT ? Number(env.TELEFY_TIMEOUT) : undefined,
+  };
+  validateProxy(settings.proxy, 'TELEFY_PROXY');
+  // Report the raw value rather than NaN
+  validateTimeout(Number.isNaN(settings.timeout) ? env.TELEFY_TIMEOUT : settings.timeout, 'TELEFY_TIMEOUT');
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validate the request settings of the client or a channel.
+ * @param {{apiRoot?: string, proxy?: string, timeout?: number}} settings - Settings as given.
+ * @param {string} prefix - Path prefix of the keys (for errors), e.g. "channels.ci.".
+ * @param {string} where - Config file (for errors).
+ * @returns {{apiRoot?: string, proxy?: string, timeout?: number}} The settings that are set.
+ * @throws {TelegramBotError} If a setting is invalid.
+ */
+function normalizeTransport({ apiRoot, proxy, timeout }, prefix, where) {
+  if (apiRoot !== undefined && (typeof apiRoot !== 'string' || !/^https?:\/\//i.test(apiRoot))) {
+    throw invalidConfig(where, `${prefix}apiRoot`, 'must be an http:// or https:// URL');
+  }
+  try {
+    validateProxy(proxy);
+  } catch {
+    throw invalidConfig(where, `${prefix}proxy`, 'must be an http://, https:// or socks5:// URL');
+  }
+  try {
+    validateTimeout(timeout);
+  } catch {
+    throw invalidConfig(where, `${prefix}timeout`, 'must be a positive number of milliseconds');
+  }
+  return Object.fromEntries(Object.entries({ apiRoot, proxy, timeout }).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validate rate limits, for the whole client or one channel.
+ * @param {boolean|Object} rateLimit - true for Telegram's limits, or { perChat, perGroup, perBot }.
+ * @param {string} key - Path of the value (for errors).
+ * @param {string} where - Config file (for errors).
+ * @returns {boolean|Object} The rate limits as given.
+ * @throws {TelegramBotError} If a limit is malformed.
+ */
+function normalizeRateLimit(rateLimit, key, where) {
+  try {
+    resolveRateLimits(rateLimit);
+  } catch {
+    throw invalidConfig(where, key, 'must be true or { perChat, perGroup, perBot }, each false or { limit, interval }');
+  }
+  return rateLimit;
+}
+
+/**
+ * Build a validation error for a config value.
+ * @param {string} where - Config file.
+ * @param {string} key - Path of the value.
+ * @param {string} problem - What is wrong.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function invalidConfig(where, key, problem) {
+  return new TelegramBotError(
+    `Invalid config in ${where}: ${key || 'the file'} ${problem}`,
+    'Fix the value in the config file. See the Configuration File section of the README.'
+  );
+}
+
+/**
+ * Check for a plain object.
+ * @param {*} value - Value.
+ * @returns {boolean} True for non-null, non-array objects.
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export {
+  CONFIG_FILES,
+  loadConfig,
+};
@@ -0,0 +1,250 @@
+/**
+ * @file lib/dedup.js
+ * @description Deduplication of repeated messages: the first send of a message goes out, repeats within the window are
+ * dropped or collapsed into the first one by editing it to show "(repeated ×N, last at HH:MM)".
+ * @description The file store keeps one record per line in <dir>/dedup.jsonl, so separate processes (e.g. one telefy
+ * invocation per failing job run) recognise each other's messages.
+ * @license MIT
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { TelegramBotError } from './errors.js';
+import { withLockFile } from './lockfile.js';
+import { parseDuration } from './schedule.js';
+
+const DEFAULT_DEDUP_DIR = '.telefy/dedup';
+const DEDUP_FILE = 'dedup.jsonl';
+const DEFAULT_DEDUP_WINDOW = 300000;
+const DEDUP_MODES = ['drop', 'collapse'];
+
+/**
+ * Build the key a message is deduplicated by: the caller's dedupKey, else the text, within the channel it was sent to.
+ * @param {string} channel - Target channel or group name, or 'all'.
+ * @param {string} text - Message text.
+ * @param {string} [dedupKey] - Caller-supplied key.
+ * @returns {string} Key (a SHA-256 hash, so records never hold the text unless they need it).
+ */
+function dedupKeyOf(channel, text, dedupKey) {
+  const target = String(channel).toLowerCase();
+  const parts = dedupKey === undefined ? [target, 'text', text] : [target, 'key', String(dedupKey)];
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+/**
+ * Build the note a collapsed message ends with.
+ * @param {number} count - Times the message was sent, the first included.
+ * @param {Date} last - Time of the latest repeat (shown in local time).
+ * @returns {string} Note, e.g. "(repeated ×3, last at 14:05)".
+ */
+function repeatedNote(count, last) {
+  const time = [last.getHours(), last.getMinutes()].map((value) => String(value).padStart(2, '0')).join(':');
+  return `(repeated ×${count}, last at ${time})`;
+}
+
+/**
+ * Count a message against the live records: a repeat of a live record is a duplicate, anything else starts a record.
+ * Expired records are dropped.
+ * @param {Object[]} records - Stored records.
+ * @param {string} key - Message key.
+ * @param {Date} now - Current time.
+ * @param {number} window - Suppression window in ms, counted from the first send.
+ * @returns {{duplicate: boolean, record: Object, records: Object[]}} Outcome and the records to keep.
+ */
+function countMessage(records, key, now, window) {
+  const live = records.filter((record) => Date.parse(record.expiresAt) > now.getTime());
+  const existing = live.find((record) => record.key === key);
+  if (existing) {
+    const record = { ...existing, count: existing.count + 1, last: now.toISOString() };
+    return { duplicate: true, record, records: live.map((other) => (other === existing ? record : other)) };
+  }
+  const record = {
+    key,
+    count: 1,
+    first: now.toISOString(),
+    last: now.toISOString(),
+    expiresAt: new Date(now.getTime() + window).toISOString(),
+    messages: [],
+  };
+  return { duplicate: false, record, records: [...live, record] };
+}
+
+/**
+ * Create a file-based dedup store. Changes take a lock file, so several processes can share it.
+ * @param {Object} [options] - Store options.
+ * @param {string} [options.dir='.telefy/dedup'] - Directory holding dedup.jsonl (created on first send).
+ * @returns {{dir: string, file: string, persistent: true, hit: Function, update: Function, remove: Function}} Store.
+ */
+function createDedupStore({ dir = DEFAULT_DEDUP_DIR } = {}) {
+  const file = path.resolve(dir, DEDUP_FILE);
+  // File operations of this process run one at a time; the lock file covers other processes
+  let pending = Promise.resolve();
+
+  /**
+   * Run a read-modify-write of the records after the ones already started, holding the lock file.
+   * @param {function(Object[]): {records?: Object[], result: *}} change - Gets the records and returns the result,
+   * plus the records to write when they changed.
+   * @returns {Promise<*>} The result.
+   */
+  function exclusive(change) {
+    const run = pending.then(() => withLockFile(file, async () => {
+      const { records, result } = change(await read());
+      if (records) {
+        await write(records);
+      }
+      return result;
+    }, { name: 'dedup store', toError: dedupError }));
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read all records.
+   * @returns {Promise<Object[]>} Records.
+   * @throws {TelegramBotError} If the file exists but cannot be read.
+   */
+  async function read() {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw dedupError(`Could not read the dedup store ${file}: ${error.message}`);
+    }
+    // A line cut short by a crash mid-write only forgets that message
+    return text.split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Replace all records, through a temporary file so a crash never leaves a half-written store.
+   * @param {Object[]} records - Records to keep.
+   * @throws {TelegramBotError} If the file cannot be written.
+   */
+  async function write(records) {
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(temp, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+      await fs.rename(temp, file);
+    } catch (error) {
+      throw dedupError(`Could not write to the dedup store ${file}: ${error.message}`);
+    }
+  }
+
+  return {
+    dir: path.dirname(file),
+    file,
+    persistent: true,
+    hit(key, { window, now = new Date() }) {
+      return exclusive((records) => {
+        const { duplicate, record, records: remaining } = countMessage(records, key, now, window);
+        return { records: remaining, result: { duplicate, record } };
+      });
+    },
+    update(key, fields) {
+      return exclusive((records) => (records.some((record) => record.key === key)
+        ? { records: records.map((record) => (record.key === key ? { ...record, ...fields } : record)), result: true }
+        : { result: false }));
+    },
+    remove(key) {
+      return exclusive((records) => (records.some((record) => record.key === key)
+        ? { records: records.filter((record) => record.key !== key), result: true }
+        : { result: false }));
+    },
+  };
+}
+
+/**
+ * Create a dedup store that keeps records in memory, for a single process.
+ * @returns {{persistent: false, hit: Function, update: Function, remove: Function}} Store.
+ */
+function createMemoryDedupStore() {
+  let records = [];
+  return {
+    persistent: false,
+    async hit(key, { window, now = new Date() }) {
+      const { duplicate, record, records: remaining } = countMessage(records, key, now, window);
+      records = remaining;
+      return { duplicate, record };
+    },
+    async update(key, fields) {
+      const found = records.some((record) => record.key === key);
+      records = records.map((record) => (record.key === key ? { ...record, ...fields } : record));
+      return found;
+    },
+    async remove(key) {
+      const count = records.length;
+      records = records.filter((record) => record.key !== key);
+      return records.length !== count;
+    },
+  };
+}
+
+/**
+ * Turn the dedup option into settings.
+ * @param {boolean|Object|undefined} option - Falsy to send every message, true for a 5-minute window that drops
+ * repeats, or { window, mode, dir, store }: window in ms or as a duration ('10m'), mode 'drop' or 'collapse', and
+ * dir for a file store or store for a store object with hit, update and remove (default: in memory).
+ * @returns {{window: number, mode: string, store: Object}|null} Settings, or null when disabled.
+ * @throws {TelegramBotError} If the option is invalid.
+ */
+function resolveDedup(option) {
+  if (!option) {
+    return null;
+  }
+  if (option !== true && (typeof option !== 'object' || Array.isArray(option))) {
+    throw invalidDedup(`Invalid dedup option: ${JSON.stringify(option)}`);
+  }
+  const { window = DEFAULT_DEDUP_WINDOW, mode = 'drop', dir, store } = option === true ? {} : option;
+  if (!DEDUP_MODES.includes(mode)) {
+    throw invalidDedup(`Invalid dedup mode: ${JSON.stringify(mode)}`);
+  }
+  if (store !== undefined && typeof store?.hit !== 'function') {
+    throw invalidDedup('The dedup store must have hit, update and remove functions');
+  }
+  let windowMs;
+  try {
+    windowMs = parseDuration(window);
+  } catch {
+    throw invalidDedup(`Invalid dedup window: ${JSON.stringify(window)}`);
+  }
+  return { window: windowMs, mode, store: store ?? (dir ? createDedupStore({ dir }) : createMemoryDedupStore()) };
+}
+
+/**
+ * Build an invalid dedup option error.
+ * @param {string} message - What is wrong.
+ * @returns {TelegramBotError} Error.
+ */
+function invalidDedup(message) {
+  return new TelegramBotError(
+    message,
+    'Use dedup: true, or { window: "10m", mode: "drop" or "collapse", dir: ".telefy/dedup" }.'
+  );
+}
+
+/**
+ * Build a dedup store error with a suggestion.
+ * @param {string} message - What went wrong.
+ * @returns {TelegramBotError} Error.
+ */
+function dedupError(message) {
+  return new TelegramBotError(message, 'Check that the dedup directory exists and is writable, or set a different one.');
+}
+
+export {
+  DEFAULT_DEDUP_DIR,
+  DEDUP_MODES,
+  dedupKeyOf,
+  repeatedNote,
+  createDedupStore,
+  resolveDedup,
+};
@@ -0,0 +1,166 @@
+/**
+ * @file lib/discover.js
+ * @description Finds the chats a bot can send to from its pending updates, so chat IDs do not have to be dug out of
+ * raw getUpdates responses by hand, and checks bot tokens before they are saved.
+ * @license MIT
+ */
+
+import { callTelegram } from './api.js';
+import { TELEGRAM_API_ROOT } from './channels.js';
+import { TelegramBotError } from './errors.js';
+import { resolveRetryPolicy } from './retry.js';
+import { resolveTransport, validateProxy, validateTimeout } from './transport.js';
+
+// Update fields that carry a message, and those that carry a chat directly
+const MESSAGE_FIELDS = ['message', 'edited_message', 'channel_post', 'edited_channel_post'];
+const CHAT_FIELDS = ['my_chat_member', 'chat_member', 'chat_join_request', 'message_reaction'];
+
+/**
+ * List the chats, groups, channels and forum topics a bot has seen in its pending updates.
+ * Updates are only read, not confirmed, so a TelefyListener started later still receives them. Telegram keeps updates
+ * for 24 hours; send a message to the chat (or add the bot to it) shortly before discovering.
+ * @param {string} token - Bot token.
+ * @param {Object} [options] - Options.
+ * @param {number} [options.wait=0] - Seconds to wait for an update when none is pending (long polling).
+ * @param {string} [options.apiRoot='https://api.telegram.org'] - Bot API root.
+ * @param {string} [options.proxy] - Proxy URL.
+ * @param {number} [options.timeout] - Request timeout in ms (the wait is added to it).
+ * @param {Function} [options.transport] - Custom transport (see createTelefy).
+ * @param {Object|boolean} [options.retry] - Retry policy.
+ * @returns {Promise<Array<{id: string, type: string, title: string, username?: string, topics: Array<{id: number,
+ * name?: string}>, lastSeen: number}>>} Chats, most recently active first; `topics` lists the forum topics seen.
+ * @throws {TelegramBotError} If the token is rejected, a webhook is set, or Telegram cannot be reached.
+ */
+async function discoverChats(token, { wait = 0, ...options } = {}) {
+  if (!Number.isFinite(wait) || wait < 0) {
+    throw new TelegramBotError(`Invalid wait: ${wait}`, 'Give the number of seconds to wait for updates, e.g. 30.');
+  }
+  const response = await callWithToken(token, 'getUpdates', { timeout: wait }, options, wait * 1000);
+  return chatsFromUpdates(response.result ?? []);
+}
+
+/**
+ * Check a bot token with getMe.
+ * @param {string} token - Bot token.
+ * @param {Object} [options] - apiRoot, proxy, timeout, transport and retry, as for discoverChats.
+ * @returns {Promise<{id: number, username: string, name: string}>} The bot.
+ * @throws {TelegramBotError} If the token is malformed or rejected, or Telegram cannot be reached.
+ */
+async function identifyBot(token, options = {}) {
+  const { result } = await callWithToken(token, 'getMe', {}, options);
+  return { id: result.id, username: result.username, name: result.first_name };
+}
+
+/**
+ * Call a Bot API method with a bare token, outside any configured channel.
+ * @param {string} token - Bot token.
+ * @param {string} method - Bot API method name.
+ * @param {Object} payload - Request body.
+ * @param {Object} options - apiRoot, proxy, timeout, transport and retry.
+ * @param {number} [extraTime=0] - Milliseconds added to the timeout, for long polling.
+ * @returns {Promise<Object>} Telegram response.
+ * @throws {TelegramBotError} If the token is malformed or rejected, or the call fails.
+ */
+async function callWithToken(token, method, payload, { apiRoot = TELEGRAM_API_ROOT, proxy, timeout, transport, retry }, extraTime = 0) {
+  if (!token || typeof token !== 'string' || !/^\d+:[\w-]+$/.test(token)) {
+    throw new TelegramBotError(
+      'Invalid bot token',
+      'Copy the token @BotFather gave you; it looks like 123456789:AAE...'
+    );
+  }
+  validateProxy(proxy);
+  validateTimeout(timeout);
+
+  const config = { token, baseUrl: `${apiRoot.replace(/\/+$/, '')}/bot${token}` };
+  const requestOptions = { timeout: timeout === undefined ? undefined : timeout + extraTime, proxy };
+  try {
+    return await callTelegram(`bot ${token.split(':')[0]}`, config, method, payload, resolveRetryPolicy(retry),
+      requestOptions, resolveTransport(transport));
+  } catch (error) {
+    throw discoveryError(error);
+  }
+}
+
+/**
+ * Collect the chats of a list of updates.
+ * @param {Object[]} updates - Telegram updates.
+ * @returns {Object[]} Chats, most recently active first.
+ */
+function chatsFromUpdates(updates) {
+  const chats = new Map();
+
+  const see = (chat, date, message) => {
+    const id = String(chat.id);
+    const entry = chats.get(id) ?? {
+      id,
+      type: chat.type,
+      title: chat.title ?? ([chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username || id),
+      ...(chat.username ? { username: chat.username } : {}),
+      topics: [],
+      lastSeen: 0,
+    };
+    entry.lastSeen = Math.max(entry.lastSeen, date ?? 0);
+    if (message?.is_topic_message && message.message_thread_id) {
+      let topic = entry.topics.find((candidate) => candidate.id === message.message_thread_id);
+      if (!topic) {
+        topic = { id: message.message_thread_id };
+        entry.topics.push(topic);
+      }
+      // Messages in a topic reply to the service message that created it
+      const name = message.forum_topic_created?.name ?? message.reply_to_message?.forum_topic_created?.name;
+      if (name) {
+        topic.name = name;
+      }
+    }
+    chats.set(id, entry);
+  };
+
+  for (const update of updates) {
+    for (const field of MESSAGE_FIELDS) {
+      if (update[field]?.chat) {
+        see(update[field].chat, update[field].date, update[field]);
+      }
+    }
+    const callbackMessage = update.callback_query?.message;
+    if (callbackMessage?.chat) {
+      see(callbackMessage.chat, callbackMessage.date, callbackMessage);
+    }
+    for (const field of CHAT_FIELDS) {
+      if (update[field]?.chat) {
+        see(update[field].chat, update[field].date);
+      }
+    }
+  }
+
+  return [...chats.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Give token and webhook failures suggestions that fit discovery and setup.
+ * @param {TelegramBotError} error - Error from the call.
+ * @returns {TelegramBotError} Error to throw.
+ */
+function discoveryError(error) {
+  const details = { code: error.code, httpStatus: error.httpStatus, telegramErrorCode: error.telegramErrorCode, cause: error };
+  if (error.httpStatus === 401 || error.httpStatus === 404) {
+    return new TelegramBotError(
+      'Invalid bot token: Telegram rejected it',
+      'Copy the token again from @BotFather (/mybots → API Token), or revoke and create a new one.',
+      details
+    );
+  }
+  if (error.httpStatus === 409) {
+    return new TelegramBotError(
+      'Cannot read updates while the bot has a webhook',
+      'Chats can only be discovered with polling. Remove the webhook (deleteWebhook) or find the chat ID in your webhook logs.',
+      details
+    );
+  }
+  return error;
+}
+
+export {
+  discoverChats,
+  identifyBot,
+  chatsFromUpdates,
+};
@@ -0,0 +1,98 @@
+/**
+ * @file lib/envfile.js
+ * @description Updates variables in a .env file in place, keeping comments, order and unrelated variables.
+ * @license MIT
+ */
+
+import fs from 'fs';
+import { TelegramBotError } from './errors.js';
+
+const ASSIGNMENT_PATTERN = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=/;
+
+/**
+ * Set or remove variables in a .env file, creating it if needed.
+ * A variable that is already set keeps its place; new variables are appended.
+ * @param {string} file - Path of the .env file.
+ * @param {Object<string, string|undefined>} changes - New values keyed by variable name; undefined removes the variable.
+ * @returns {Promise<{added: string[], updated: string[], removed: string[]}>} Names of the variables changed.
+ * @throws {TelegramBotError} If the file cannot be read or written.
+ */
+async function updateEnvFile(file, changes) {
+  let content = '';
+  try {
+    content = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw envFileError(file, error);
+    }
+  }
+
+  const summary = { added: [], updated: [], removed: [] };
+  const pending = new Map(Object.entries(changes));
+  const lines = content === '' ? [] : content.replace(/\r?\n$/, '').split(/\r?\n/);
+  const kept = [];
+  for (const line of lines) {
+    const name = ASSIGNMENT_PATTERN.exec(line)?.[1];
+    if (name === undefined || !Object.hasOwn(changes, name)) {
+      kept.push(line);
+    } else if (changes[name] === undefined) {
+      // Drop every assignment of a removed variable
+      if (!summary.removed.includes(name)) {
+        summary.removed.push(name);
+      }
+      pending.delete(name);
+    } else if (pending.has(name)) {
+      kept.push(`${name}=${formatValue(changes[name])}`);
+      if (line !== kept.at(-1)) {
+        summary.updated.push(name);
+      }
+      pending.delete(name);
+    }
+    // Later duplicates of an updated variable are dropped so the new value wins
+  }
+  for (const [name, value] of pending) {
+    if (value !== undefined) {
+      kept.push(`${name}=${formatValue(value)}`);
+      summary.added.push(name);
+    }
+  }
+
+  try {
+    await fs.promises.writeFile(file, kept.length > 0 ? `${kept.join('\n')}\n` : '');
+  } catch (error) {
+    throw envFileError(file, error);
+  }
+  return summary;
+}
+
+/**
+ * Quote a value if dotenv would not read it back unchanged.
+ * @param {string|number} value - Value.
+ * @returns {string} Value as written to the file.
+ */
+function formatValue(value) {
+  const text = String(value);
+  if (/^[\w.:@/+,-]*$/.test(text)) {
+    return text;
+  }
+  // dotenv expands \n only inside double quotes and reads single-quoted values literally
+  return text.includes('"') ? `'${text}'` : `"${text.replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Build the error for a .env file that cannot be read or written.
+ * @param {string} file - Path of the file.
+ * @param {Error} error - File system error.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function envFileError(file, error) {
+  return new TelegramBotError(
+    `Could not update ${file}: ${error.message}`,
+    'Check that the file is writable, or set the variables by hand.',
+    { cause: error }
+  );
+}
+
+export {
+  updateEnvFile,
+};
@@ -0,0 +1,55 @@
+/**
+ * @file lib/errors.js
+ * @description Error classes thrown by telefy.
+ * @license MIT
+ */
+
+// Custom error class for Telegram bot errors
+class TelegramBotError extends Error {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {string} [suggestion=''] - How to fix it.
+   * @param {Object} [details] - Machine-readable details.
+   * @param {string} [details.code='CLIENT_ERROR'] - Error code: CLIENT_ERROR for problems found before calling
+   * Telegram, otherwise the kind of Bot API failure (CHAT_NOT_FOUND, RATE_LIMITED, NETWORK, ...).
+   * @param {number} [details.httpStatus] - HTTP status of the Bot API response.
+   * @param {number} [details.telegramErrorCode] - error_code of the Bot API response.
+   * @param {number} [details.retryAfter] - Seconds Telegram asked to wait before the next request.
+   * @param {string} [details.channel] - Channel the request was for.
+   * @param {*} [details.cause] - Original error.
+   */
+  constructor(message, suggestion = '', { code = 'CLIENT_ERROR', httpStatus, telegramErrorCode, retryAfter, channel, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'TelegramBotError';
+    this.suggestion = suggestion;
+    this.code = code;
+    // Only set the details that are known, so errors stay easy to compare and log
+    Object.entries({ httpStatus, telegramErrorCode, retryAfter, channel })
+      .filter(([, value]) => value !== undefined)
+      .forEach(([key, value]) => { this[key] = value; });
+  }
+}
+
+// Aggregate error for broadcasts where some channels failed
+class TelegramBroadcastError extends TelegramBotError {
+  /**
+   * @param {Array<{channel: string, ok: boolean, response?: Object, error?: TelegramBotError}>} results - Per-channel results.
+   */
+  constructor(results) {
+    const failures = results.filter((result) => !result.ok);
+    const failed = failures.map((result) => `"${result.channel}"`).join(', ');
+    super(
+      `Failed to deliver to ${failures.length} of ${results.length} channels: ${failed}`,
+      'Inspect error.results for the per-channel errors and suggestions.',
+      { code: 'BROADCAST_FAILED' }
+    );
+    this.name = 'TelegramBroadcastError';
+    this.results = results;
+    this.errors = failures.map((result) => result.error);
+  }
+}
+
+export {
+  TelegramBotError,
+  TelegramBroadcastError,
+};
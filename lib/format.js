@@ -0,0 +1,265 @@
+/**
+ * @file lib/format.js
+ * @description Safe formatting helpers for Telegram's Markdown, MarkdownV2 and HTML parse modes.
+ * @description Escapes user data, builds entities (bold, code, links, ...) and provides `md`/`html` tagged templates
+ * that escape interpolated values while keeping the template's own markup.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+
+// Characters that must be escaped anywhere in MarkdownV2 text (see core.telegram.org/bots/api#markdownv2-style)
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+// Text that is already formatted for a parse mode and must not be escaped again
+class FormattedText {
+  /**
+   * @param {string} text - Formatted text.
+   * @param {string} parseMode - Parse mode the text is formatted for.
+   */
+  constructor(text, parseMode) {
+    this.text = text;
+    this.parseMode = parseMode;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Escape text for MarkdownV2.
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeMarkdownV2(text) {
+  return String(text).replace(MARKDOWN_V2_SPECIAL, '\\$&');
+}
+
+/**
+ * Escape text for legacy Markdown (only _, *, ` and [ are special).
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/[_*`[]/g, '\\$&');
+}
+
+/**
+ * Escape text for HTML.
+ * @param {string} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escape text for the given parse mode. Already formatted text is returned as-is.
+ * @param {string|FormattedText} text - Raw or formatted text.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
+ * @returns {string} Escaped text.
+ * @throws {TelegramBotError} If formatted text was built for another parse mode.
+ */
+function escapeText(text, parseMode = 'MarkdownV2') {
+  if (text instanceof FormattedText) {
+    if (text.parseMode !== parseMode) {
+      throw new TelegramBotError(
+        `Cannot mix ${text.parseMode} formatted text into ${parseMode} text`,
+        'Build every part of the message with helpers for the same parse mode.'
+      );
+    }
+    return text.text;
+  }
+  if (parseMode === 'HTML') {
+    return escapeHTML(text);
+  }
+  return parseMode === 'Markdown' ? escapeMarkdown(text) : escapeMarkdownV2(text);
+}
+
+/**
+ * Escape text for use inside code or pre entities, where fewer characters are special.
+ * @param {string} text - Raw code.
+ * @param {string} parseMode - Parse mode.
+ * @returns {string} Escaped code.
+ */
+function escapeCode(text, parseMode) {
+  if (parseMode === 'HTML') {
+    return escapeHTML(text);
+  }
+  // Legacy Markdown has no escaping inside code entities
+  return parseMode === 'Markdown' ? String(text) : String(text).replace(/[`\\]/g, '\\$&');
+}
+
+/**
+ * Build an entity from per-mode templates.
+ * @param {string} parseMode - Parse mode.
+ * @param {Object<string, string|null>} markup - Result per parse mode; null when the mode does not support the entity.
+ * @param {string} name - Entity name (for errors).
+ * @returns {FormattedText} Formatted entity.
+ * @throws {TelegramBotError} If the parse mode does not support the entity.
+ */
+function entity(parseMode, markup, name) {
+  if (!(parseMode in markup)) {
+    throw new TelegramBotError(
+      `Invalid parseMode: ${parseMode}`,
+      'Use one of: Markdown, HTML, MarkdownV2.'
+    );
+  }
+  if (markup[parseMode] === null) {
+    throw new TelegramBotError(
+      `${name} is not supported in ${parseMode}`,
+      'Use MarkdownV2 or HTML for this formatting.'
+    );
+  }
+  return new FormattedText(markup[parseMode], parseMode);
+}
+
+/**
+ * Bold text.
+ * @param {string|FormattedText} text - Text to embolden.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ */
+function bold(text, parseMode = 'MarkdownV2') {
+  const inner = escapeText(text, parseMode);
+  return entity(parseMode, { MarkdownV2: `*${inner}*`, Markdown: `*${inner}*`, HTML: `<b>${inner}</b>` }, 'Bold');
+}
+
+/**
+ * Italic text.
+ * @param {string|FormattedText} text - Text to italicize.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ */
+function italic(text, parseMode = 'MarkdownV2') {
+  const inner = escapeText(text, parseMode);
+  return entity(parseMode, { MarkdownV2: `_${inner}_`, Markdown: `_${inner}_`, HTML: `<i>${inner}</i>` }, 'Italic');
+}
+
+/**
+ * Spoiler (hidden until tapped).
+ * @param {string|FormattedText} text - Text to hide.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ * @throws {TelegramBotError} In legacy Markdown, which has no spoilers.
+ */
+function spoiler(text, parseMode = 'MarkdownV2') {
+  const inner = escapeText(text, parseMode);
+  return entity(parseMode, { MarkdownV2: `||${inner}||`, Markdown: null, HTML: `<tg-spoiler>${inner}</tg-spoiler>` }, 'Spoiler');
+}
+
+/**
+ * Inline code.
+ * @param {string} text - Code.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ */
+function code(text, parseMode = 'MarkdownV2') {
+  const inner = escapeCode(text, parseMode);
+  return entity(parseMode, { MarkdownV2: `\`${inner}\``, Markdown: `\`${inner}\``, HTML: `<code>${inner}</code>` }, 'Code');
+}
+
+/**
+ * Pre-formatted code block.
+ * @param {string} text - Code.
+ * @param {string} [language] - Language for syntax highlighting.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ */
+function pre(text, language = '', parseMode = 'MarkdownV2') {
+  const inner = escapeCode(text, parseMode);
+  const lang = String(language).replace(/[^\w+#-]/g, '');
+  const html = lang ? `<pre><code class="language-${lang}">${inner}</code></pre>` : `<pre>${inner}</pre>`;
+  const markdown = `\`\`\`${lang}\n${inner}\n\`\`\``;
+  return entity(parseMode, { MarkdownV2: markdown, Markdown: markdown, HTML: html }, 'Pre');
+}
+
+/**
+ * Inline link.
+ * @param {string|FormattedText} text - Link text.
+ * @param {string} url - Target URL.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ */
+function link(text, url, parseMode = 'MarkdownV2') {
+  const inner = escapeText(text, parseMode);
+  return entity(parseMode, {
+    MarkdownV2: `[${inner}](${String(url).replace(/[)\\]/g, '\\$&')})`,
+    Markdown: `[${inner}](${url})`,
+    HTML: `<a href="${escapeHTML(url)}">${inner}</a>`,
+  }, 'Link');
+}
+
+/**
+ * Mention of a user by ID (works for users without a username).
+ * @param {string|FormattedText} text - Text shown for the mention.
+ * @param {number|string} userId - Telegram user ID.
+ * @param {string} [parseMode='MarkdownV2'] - Parse mode.
+ * @returns {FormattedText} Formatted text.
+ */
+function mention(text, userId, parseMode = 'MarkdownV2') {
+  return link(text, `tg://user?id=${userId}`, parseMode);
+}
+
+/**
+ * Create a tagged template for a parse mode: the template's own markup is kept, interpolated values are escaped.
+ * Values built with the helpers above (or nested templates) are inserted as-is.
+ * @param {string} parseMode - Parse mode.
+ * @returns {function(TemplateStringsArray, ...*): FormattedText} Tagged template function.
+ */
+function template(parseMode) {
+  return (strings, ...values) => {
+    let text = strings[0];
+    values.forEach((value, index) => {
+      const parts = Array.isArray(value) ? value : [value];
+      text += parts.map((part) => (part === undefined || part === null ? '' : escapeText(part, parseMode))).join('');
+      text += strings[index + 1];
+    });
+    return new FormattedText(text, parseMode);
+  };
+}
+
+/**
+ * Attach the entity builders for one parse mode to a template tag (e.g. md.bold('x')).
+ * @param {Function} tag - Template tag.
+ * @param {string} parseMode - Parse mode.
+ * @returns {Function} The tag with builder properties.
+ */
+function withBuilders(tag, parseMode) {
+  return Object.assign(tag, {
+    escape: (text) => escapeText(text, parseMode),
+    bold: (text) => bold(text, parseMode),
+    italic: (text) => italic(text, parseMode),
+    spoiler: (text) => spoiler(text, parseMode),
+    code: (text) => code(text, parseMode),
+    pre: (text, language) => pre(text, language, parseMode),
+    link: (text, url) => link(text, url, parseMode),
+    mention: (text, userId) => mention(text, userId, parseMode),
+  });
+}
+
+// md`Deploy *${name}* failed` for MarkdownV2, html`<b>${name}</b>` for HTML
+const md = withBuilders(template('MarkdownV2'), 'MarkdownV2');
+const html = withBuilders(template('HTML'), 'HTML');
+
+export {
+  FormattedText,
+  escapeMarkdownV2,
+  escapeMarkdown,
+  escapeHTML,
+  escapeText,
+  bold,
+  italic,
+  spoiler,
+  code,
+  pre,
+  link,
+  mention,
+  md,
+  html,
+};
@@ -0,0 +1,231 @@
+/**
+ * @file lib/http.js
+ * @description Shared plumbing of the relay and webhook servers: listening, JSON bodies and responses, API keys, and
+ * mapping TelegramBotError codes to HTTP statuses.
+ * @license MIT
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { TelegramBotError } from './errors.js';
+
+const MAX_BODY = 1024 * 1024;
+
+// HTTP status for each error code: problems with the request are 4xx, problems between telefy and Telegram are 5xx
+const ERROR_STATUS = {
+  CLIENT_ERROR: 400,
+  PARSE_ERROR: 400,
+  BAD_REQUEST: 400,
+  RATE_LIMITED: 429,
+  TIMEOUT: 504,
+};
+
+/**
+ * Create an HTTP server answering with JSON. Errors thrown by the handler are answered for it: a TelegramBotError
+ * with its mapped status, message and suggestion, anything else with 500.
+ * @param {function(http.IncomingMessage, http.ServerResponse, string): Promise<void>} handle - Answers one request;
+ * called with the request path.
+ * @param {Object} options - Server options.
+ * @param {string} options.name - What the server is, for errors (e.g. 'Relay').
+ * @param {number} options.port - Port to listen on (0 picks a free one).
+ * @param {string} options.host - Interface to listen on.
+ * @param {function(Object): void} [options.onRequest] - Called after each request with { method, path, status, ms, error? }.
+ * @returns {{listen: function(): Promise<string>, close: function(): Promise<void>, url: string|null}} Server; listen()
+ * resolves with its base URL.
+ */
+function createJsonServer(handle, { name, port, host, onRequest }) {
+  let url = null;
+
+  const server = http.createServer((req, res) => {
+    const started = Date.now();
+    const path = new URL(req.url, 'http://localhost').pathname;
+    handle(req, res, path).then(() => undefined, (error) => {
+      if (error instanceof TelegramBotError) {
+        respondError(res, error);
+      } else {
+        respond(res, 500, { ok: false, error: { message: `Internal error: ${error.message}`, code: 'UNKNOWN' } });
+      }
+      return error;
+    }).then((error) => {
+      onRequest?.({ method: req.method, path, status: res.statusCode, ms: Date.now() - started, ...(error ? { error } : {}) });
+    });
+  });
+
+  return {
+    /**
+     * Start listening.
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:8787.
+     * @throws {TelegramBotError} If the port cannot be used.
+     */
+    listen() {
+      return new Promise((resolve, reject) => {
+        server.once('error', (error) => reject(new TelegramBotError(
+          `${name} could not listen on port ${port}: ${error.message}`,
+          'Choose another port with --port or stop the process using it.'
+        )));
+        server.listen(port, host, () => {
+          url = `http://${host.includes(':') ? `[${host}]` : host}:${server.address().port}`;
+          resolve(url);
+        });
+      });
+    },
+
+    /**
+     * Stop listening and drop open connections.
+     * @returns {Promise<void>} Resolves once the server is closed.
+     */
+    close() {
+      return new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    },
+
+    get url() {
+      return url;
+    },
+  };
+}
+
+/**
+ * Answer a request that has no route, or the wrong method for its route.
+ * @param {http.ServerResponse} res - Response.
+ * @param {string} path - Request path.
+ * @param {string[]} allowed - Methods the path accepts (empty when the path is unknown).
+ */
+function respondNotFound(res, path, allowed) {
+  if (allowed.length > 0) {
+    res.setHeader('allow', allowed.join(', '));
+  }
+  respond(res, allowed.length > 0 ? 405 : 404, {
+    ok: false,
+    error: { message: allowed.length > 0 ? `Use ${allowed.join(' or ')} for ${path}` : `No route for ${path}`, code: 'CLIENT_ERROR' },
+  });
+}
+
+/**
+ * Answer a failed request.
+ * @param {http.ServerResponse} res - Response.
+ * @param {TelegramBotError} error - Error; a statusCode property overrides the status mapped from its code.
+ */
+function respondError(res, error) {
+  if (error.retryAfter !== undefined) {
+    res.setHeader('retry-after', String(error.retryAfter));
+  }
+  if (error.statusCode === 401) {
+    res.setHeader('www-authenticate', 'Bearer');
+  }
+  // Invalid tokens, missing chats and bots without rights are telefy's configuration, not the caller's fault
+  respond(res, error.statusCode ?? ERROR_STATUS[error.code] ?? 502, {
+    ok: false,
+    error: errorBody(error),
+    ...(error.results ? { results: error.results.map(resultBody) } : {}),
+  });
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {Object} body - Response body.
+ */
+function respond(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Describe an error for a response body.
+ * @param {TelegramBotError} error - Error.
+ * @returns {{message: string, suggestion?: string, code: string, channel?: string, retryAfter?: number}} Error fields.
+ */
+function errorBody(error) {
+  return Object.fromEntries(Object.entries({
+    message: error.message,
+    suggestion: error.suggestion || undefined,
+    code: error.code,
+    channel: error.channel,
+    retryAfter: error.retryAfter,
+  }).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Describe a send result for a response body, without the raw Telegram response.
+ * @param {Object} result - Result from the client.
+ * @returns {Object} Result fields.
+ */
+function resultBody({ response, error, ...fields }) {
+  return error ? { ...fields, error: errorBody(error) } : fields;
+}
+
+/**
+ * Read a request body as text.
+ * @param {http.IncomingMessage} req - Request.
+ * @returns {Promise<string>} Body.
+ * @throws {TelegramBotError} If the body is over 1 MB (status 413).
+ */
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      throw Object.assign(new TelegramBotError('Request body too large', 'Keep requests under 1 MB.'), { statusCode: 413 });
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parse a request body as JSON.
+ * @param {string} text - Body.
+ * @returns {*} Parsed body.
+ * @throws {TelegramBotError} If the body is not JSON.
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new TelegramBotError(`Invalid JSON: ${error.message}`, 'Send a JSON body with Content-Type: application/json.');
+  }
+}
+
+/**
+ * Check the API key of a request, sent as "Authorization: Bearer <key>" or "X-Api-Key: <key>".
+ * @param {http.IncomingMessage} req - Request.
+ * @param {string} apiKey - Expected key.
+ * @throws {TelegramBotError} If the key is missing or wrong (status 401).
+ */
+function checkApiKey(req, apiKey) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '')?.[1];
+  if (!safeEqual(bearer ?? req.headers['x-api-key'] ?? '', apiKey)) {
+    throw Object.assign(new TelegramBotError(
+      'Missing or wrong API key',
+      'Send the key as "Authorization: Bearer <key>" or "X-Api-Key: <key>".'
+    ), { statusCode: 401 });
+  }
+}
+
+/**
+ * Compare a received secret with the expected one in constant time.
+ * @param {string|undefined} value - Received value, e.g. a header that may be missing.
+ * @param {string} secret - Expected value.
+ * @returns {boolean} True if they are equal.
+ */
+function safeEqual(value, secret) {
+  // Hashing first gives equal lengths, so the comparison does not reveal the secret's length
+  const digest = (text) => crypto.createHash('sha256').update(String(text ?? '')).digest();
+  return crypto.timingSafeEqual(digest(value), digest(secret));
+}
+
+export {
+  createJsonServer,
+  respond,
+  respondNotFound,
+  resultBody,
+  readBody,
+  parseJson,
+  checkApiKey,
+  safeEqual,
+};
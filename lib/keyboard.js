@@ -0,0 +1,261 @@
+/**
+ * @file lib/keyboard.js
+ * @description Validation and builders for reply markup: inline keyboards, reply keyboards, remove_keyboard and force_reply.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+
+// Fields that give an inline button its behaviour; every button needs exactly one
+const INLINE_BUTTON_ACTIONS = [
+  'url',
+  'callback_data',
+  'web_app',
+  'login_url',
+  'switch_inline_query',
+  'switch_inline_query_current_chat',
+  'switch_inline_query_chosen_chat',
+  'copy_text',
+  'callback_game',
+  'pay',
+];
+
+// Optional fields of a reply keyboard button; at most one may be set
+const REPLY_BUTTON_REQUESTS = ['request_users', 'request_chat', 'request_contact', 'request_location', 'request_poll', 'web_app'];
+
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+// Prefixes of CLI button actions; anything else after the "|" is a URL
+const BUTTON_ACTIONS = {
+  'cb:': (value) => ({ callback_data: value }),
+  'copy:': (value) => ({ copy_text: { text: value } }),
+  'inline:': (value) => ({ switch_inline_query: value }),
+  'inline-here:': (value) => ({ switch_inline_query_current_chat: value }),
+  'webapp:': (value) => ({ web_app: { url: value } }),
+  'login:': (value) => ({ login_url: { url: value } }),
+};
+
+/**
+ * Turn the buttons argument into a reply_markup object.
+ * An array of rows is an inline keyboard; objects with inline_keyboard, keyboard, remove_keyboard or force_reply
+ * are used as the markup itself.
+ * @param {Array<Array<Object>>|Object} buttons - Inline keyboard rows, or a reply markup object.
+ * @param {Object} [options] - Build options.
+ * @param {boolean} [options.inlineOnly=false] - Only accept inline keyboards (e.g. for edited messages).
+ * @returns {Object} Validated reply markup.
+ * @throws {TelegramBotError} If the markup is invalid.
+ */
+function buildReplyMarkup(buttons, { inlineOnly = false } = {}) {
+  if (Array.isArray(buttons) || !buttons || typeof buttons !== 'object') {
+    validateInlineKeyboard(buttons);
+    return { inline_keyboard: buttons };
+  }
+  if (buttons.inline_keyboard) {
+    validateInlineKeyboard(buttons.inline_keyboard);
+    return buttons;
+  }
+  if (inlineOnly) {
+    throw new TelegramBotError(
+      'Only inline keyboards can be attached to edited messages',
+      'Pass inline buttons as [[{ text: "Ack", callback_data: "ack" }]].'
+    );
+  }
+  if (buttons.keyboard) {
+    return { ...buttons, keyboard: validateReplyKeyboard(buttons.keyboard) };
+  }
+  if (buttons.remove_keyboard === true || buttons.force_reply === true) {
+    return buttons;
+  }
+  throw new TelegramBotError(
+    'Unsupported reply markup',
+    'Use inline buttons [[{ text, url }]] or replyKeyboard(), removeKeyboard() or forceReply().'
+  );
+}
+
+/**
+ * Validate an inline keyboard.
+ * @param {Array<Array<Object>>} rows - Button rows.
+ * @throws {TelegramBotError} If a row or button is invalid.
+ */
+function validateInlineKeyboard(rows) {
+  if (!Array.isArray(rows)) {
+    throw new TelegramBotError(
+      'Buttons must be an array of arrays',
+      'Provide buttons in the format: [[{ text: "Button", url: "https://example.com" }]].'
+    );
+  }
+  for (const row of rows) {
+    if (!Array.isArray(row)) {
+      throw new TelegramBotError(
+        'Each button row must be an array',
+        'Ensure buttons is an array of arrays.'
+      );
+    }
+    for (const button of row) {
+      validateInlineButton(button);
+    }
+  }
+}
+
+/**
+ * Validate one inline keyboard button.
+ * @param {Object} button - InlineKeyboardButton.
+ * @throws {TelegramBotError} If the button has no text, no action, several actions or invalid action data.
+ */
+function validateInlineButton(button) {
+  if (!button || typeof button.text !== 'string' || !button.text) {
+    throw new TelegramBotError(
+      'Each button must have a text property',
+      'Example: { text: "Visit", url: "https://example.com" }.'
+    );
+  }
+  const actions = INLINE_BUTTON_ACTIONS.filter((action) => button[action] !== undefined);
+  if (actions.length === 0) {
+    throw new TelegramBotError(
+      `Button "${button.text}" has no action`,
+      `Add one of: ${INLINE_BUTTON_ACTIONS.join(', ')}.`
+    );
+  }
+  if (actions.length > 1) {
+    throw new TelegramBotError(
+      `Button "${button.text}" has more than one action (${actions.join(', ')})`,
+      'Each inline button can only have one action; use separate buttons instead.'
+    );
+  }
+
+  const [action] = actions;
+  const value = button[action];
+  if (action === 'callback_data') {
+    if (typeof value !== 'string' || !value || Buffer.byteLength(value, 'utf8') > MAX_CALLBACK_DATA_BYTES) {
+      throw new TelegramBotError(
+        `Callback data of button "${button.text}" must be 1-${MAX_CALLBACK_DATA_BYTES} bytes`,
+        'Store larger payloads on your side and put a short key in callback_data.'
+      );
+    }
+  } else if (['url', 'switch_inline_query', 'switch_inline_query_current_chat'].includes(action)) {
+    // An empty inline query is allowed: it opens inline mode with just the bot's username
+    if (typeof value !== 'string' || (action === 'url' && !value)) {
+      throw invalidActionError(button.text, action, 'a string');
+    }
+  } else if (action === 'switch_inline_query_chosen_chat') {
+    if (!value || typeof value !== 'object') {
+      throw invalidActionError(button.text, action, 'an object, e.g. { query: "", allow_group_chats: true }');
+    }
+  } else if (action === 'web_app' || action === 'login_url') {
+    if (typeof value?.url !== 'string' || !value.url) {
+      throw invalidActionError(button.text, action, 'an object with a url, e.g. { url: "https://example.com/app" }');
+    }
+  } else if (action === 'copy_text') {
+    if (typeof value?.text !== 'string' || !value.text || value.text.length > 256) {
+      throw invalidActionError(button.text, action, 'an object with 1-256 characters of text, e.g. { text: "ABC-123" }');
+    }
+  } else if (action === 'pay' && value !== true) {
+    throw invalidActionError(button.text, action, 'true');
+  }
+}
+
+/**
+ * Build the error for a button action with the wrong value type.
+ * @param {string} text - Button text.
+ * @param {string} action - Action field.
+ * @param {string} expected - Description of the expected value.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function invalidActionError(text, action, expected) {
+  return new TelegramBotError(
+    `Invalid ${action} for button "${text}"`,
+    `Set ${action} to ${expected}.`
+  );
+}
+
+/**
+ * Validate a reply keyboard, turning plain strings into { text } buttons.
+ * @param {Array<Array<string|Object>>} rows - Button rows.
+ * @returns {Array<Array<Object>>} Normalized rows.
+ * @throws {TelegramBotError} If a row or button is invalid.
+ */
+function validateReplyKeyboard(rows) {
+  if (!Array.isArray(rows) || rows.some((row) => !Array.isArray(row))) {
+    throw new TelegramBotError(
+      'Reply keyboard must be an array of arrays',
+      'Example: replyKeyboard([["Yes", "No"], [{ text: "Share location", request_location: true }]]).'
+    );
+  }
+  return rows.map((row) => row.map((button) => {
+    const normalized = typeof button === 'string' ? { text: button } : button;
+    if (!normalized || typeof normalized.text !== 'string' || !normalized.text) {
+      throw new TelegramBotError(
+        'Each reply keyboard button must have text',
+        'Use a string or an object like { text: "Share contact", request_contact: true }.'
+      );
+    }
+    const requests = REPLY_BUTTON_REQUESTS.filter((request) => normalized[request] !== undefined);
+    if (requests.length > 1) {
+      throw new TelegramBotError(
+        `Button "${normalized.text}" has more than one request (${requests.join(', ')})`,
+        'Each reply keyboard button can only request one thing.'
+      );
+    }
+    return normalized;
+  }));
+}
+
+/**
+ * Build a reply keyboard (shown instead of the user's keyboard).
+ * @param {Array<Array<string|Object>>} rows - Button rows; strings become plain text buttons.
+ * @param {Object} [options] - Extra ReplyKeyboardMarkup fields (resize_keyboard, one_time_keyboard, is_persistent, ...).
+ * @returns {Object} Reply markup.
+ */
+function replyKeyboard(rows, options = {}) {
+  return { ...options, keyboard: validateReplyKeyboard(rows) };
+}
+
+/**
+ * Build markup that removes a previously shown reply keyboard.
+ * @param {Object} [options] - Extra ReplyKeyboardRemove fields (selective).
+ * @returns {Object} Reply markup.
+ */
+function removeKeyboard(options = {}) {
+  return { ...options, remove_keyboard: true };
+}
+
+/**
+ * Build markup that asks the user to reply to the message.
+ * @param {Object} [options] - Extra ForceReply fields (input_field_placeholder, selective).
+ * @returns {Object} Reply markup.
+ */
+function forceReply(options = {}) {
+  return { ...options, force_reply: true };
+}
+
+/**
+ * Parse a --button value into one row of inline buttons.
+ * Buttons are written "text|action" and separated by ";" to share a row, e.g. "Yes|cb:yes; No|cb:no". A ";" that is
+ * part of a button, e.g. in a URL, is written "\;".
+ * @param {string} value - Option value.
+ * @returns {Object[]|null} Button row, or null if a button is malformed.
+ */
+function parseButtonRow(value) {
+  const row = value.split(/(?<!\\);/).map((button) => {
+    const part = button.replaceAll('\\;', ';');
+    const separator = part.indexOf('|');
+    const text = part.slice(0, separator).trim();
+    const action = part.slice(separator + 1).trim();
+    if (separator === -1 || !text || !action) {
+      return null;
+    }
+    const prefix = Object.keys(BUTTON_ACTIONS).find((key) => action.startsWith(key));
+    return { text, ...(prefix ? BUTTON_ACTIONS[prefix](action.slice(prefix.length)) : { url: action }) };
+  });
+  return row.includes(null) ? null : row;
+}
+
+export {
+  INLINE_BUTTON_ACTIONS,
+  MAX_CALLBACK_DATA_BYTES,
+  buildReplyMarkup,
+  replyKeyboard,
+  removeKeyboard,
+  forceReply,
+  parseButtonRow,
+};
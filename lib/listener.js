@@ -0,0 +1,452 @@
+/**
+ * @file lib/listener.js
+ * @description Receives updates (button presses, messages, ...) for the configured bots and dispatches them to handlers.
+ * @description Updates arrive through getUpdates long polling or an HTTP webhook server verified with a secret token.
+ * @license MIT
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { callTelegram } from './api.js';
+import { chatsOf, fromEnv, normalizeChannels } from './channels.js';
+import { TelegramBotError } from './errors.js';
+import { readBody, safeEqual } from './http.js';
+import { buildReplyMarkup } from './keyboard.js';
+import { buildRequestBody } from './media.js';
+import { resolveRetryPolicy } from './retry.js';
+import { resolveTransport, validateProxy } from './transport.js';
+
+const LISTENER_MODES = ['polling', 'webhook'];
+const SECRET_TOKEN_PATTERN = /^[\w-]{1,256}$/;
+const MAX_POLL_BACKOFF = 30000;
+
+class TelefyListener {
+  #bots = new Map();
+  #handlers = new Map();
+  #callbackHandlers = [];
+  #polls = [];
+  #abortController = null;
+  #retryPolicy;
+  #transport;
+  #proxy;
+
+  /**
+   * @param {Object} [options] - Listener options.
+   * @param {Map<string, Object>|Object<string, Object>} [options.channels] - Channels keyed by name (default: from the environment).
+   * Channels sharing a bot token are served by one poller or webhook.
+   * @param {string} [options.mode='polling'] - 'polling' (getUpdates) or 'webhook' (HTTP server).
+   * @param {number} [options.pollTimeout=30] - Long polling timeout in seconds.
+   * @param {string[]} [options.allowedUpdates] - Update types to receive (default: Telegram's default set).
+   * @param {Object|boolean} [options.retry] - Retry policy for calls made by handlers, or false to disable.
+   * @param {Object} [options.webhook] - Webhook server options.
+   * @param {number} [options.webhook.port=8443] - Port to listen on (0 picks a free port).
+   * @param {string} [options.webhook.host] - Host to bind to (default: all interfaces).
+   * @param {string} [options.webhook.path='/telefy'] - Path prefix; each bot is served at <path>/<bot id>.
+   * @param {string} [options.webhook.url] - Public base URL; when set, start() registers the webhook with setWebhook.
+   * @param {string} [options.webhook.secretToken] - Secret Telegram sends in X-Telegram-Bot-Api-Secret-Token
+   * (generated when url is set and no secret is given).
+   * @param {string} [options.apiRoot] - Bot API root for channels without their own.
+   * @param {string} [options.proxy] - Proxy URL for channels without their own.
+   * @param {Function} [options.transport] - Sends requests instead of axios (see createTelefy).
+   * @throws {TelegramBotError} If the channels or options are invalid.
+   */
+  constructor({
+    channels,
+    mode = 'polling',
+    pollTimeout = 30,
+    allowedUpdates,
+    retry,
+    webhook = {},
+    apiRoot,
+    proxy,
+    transport,
+  } = {}) {
+    if (!LISTENER_MODES.includes(mode)) {
+      throw new TelegramBotError(
+        `Invalid listener mode: ${mode}`,
+        `Use one of: ${LISTENER_MODES.join(', ')}.`
+      );
+    }
+    if (webhook.secretToken !== undefined && !SECRET_TOKEN_PATTERN.test(webhook.secretToken)) {
+      throw new TelegramBotError(
+        'Invalid webhook secret token',
+        'Use 1-256 characters: letters, digits, _ and -.'
+      );
+    }
+
+    validateProxy(proxy);
+    this.channels = normalizeChannels(channels || fromEnv(), { apiRoot });
+    this.mode = mode;
+    this.pollTimeout = pollTimeout;
+    this.allowedUpdates = allowedUpdates;
+    this.#retryPolicy = resolveRetryPolicy(retry);
+    this.#transport = resolveTransport(transport);
+    this.#proxy = proxy;
+    this.webhook = {
+      port: 8443,
+      path: '/telefy',
+      ...webhook,
+      secretToken: webhook.secretToken || (webhook.url ? crypto.randomBytes(32).toString('hex') : undefined),
+    };
+    this.server = null;
+    this.running = false;
+
+    for (const [name, config] of this.channels) {
+      if (!this.#bots.has(config.token)) {
+        this.#bots.set(config.token, { id: config.token.split(':')[0], config, channels: [], offset: 0 });
+      }
+      this.#bots.get(config.token).channels.push(name);
+    }
+  }
+
+  /**
+   * Register a handler for an update type ('message', 'callback_query', 'channel_post', ...),
+   * 'update' for every update, or 'error' for failures.
+   * @param {string} type - Update type.
+   * @param {function(Object, Object): (void|Promise<void>)} handler - Called with the update's payload and a context.
+   * @returns {TelefyListener} This listener, for chaining.
+   */
+  on(type, handler) {
+    if (!this.#handlers.has(type)) {
+      this.#handlers.set(type, []);
+    }
+    this.#handlers.get(type).push(handler);
+    return this;
+  }
+
+  /**
+   * Register a handler for button presses whose callback_data matches.
+   * Only the first matching handler runs; the query is answered automatically if the handler does not answer it.
+   * @param {string|RegExp|function(string): boolean} match - Exact callback_data, pattern or predicate.
+   * @param {function(Object, Object): (void|Promise<void>)} handler - Called with the callback query and a context (ctx.match holds regex groups).
+   * @returns {TelefyListener} This listener, for chaining.
+   */
+  onCallback(match, handler) {
+    this.#callbackHandlers.push({ match, handler });
+    return this;
+  }
+
+  /**
+   * Start receiving updates.
+   * @returns {Promise<void>} Resolves once polling has started or the webhook server is listening (and registered).
+   * @throws {TelegramBotError} If the listener is already running or the webhook cannot be set up.
+   */
+  async start() {
+    if (this.running) {
+      throw new TelegramBotError('Listener is already running', 'Call stop() before starting it again.');
+    }
+    this.running = true;
+    this.#abortController = new AbortController();
+
+    if (this.mode === 'webhook') {
+      try {
+        await this.#listen();
+      } catch (error) {
+        await this.stop();
+        throw error;
+      }
+      return;
+    }
+    this.#polls = [...this.#bots.values()].map((bot) => this.#poll(bot));
+  }
+
+  /**
+   * Stop receiving updates. Polling confirms the offsets of handled updates so they are not delivered again.
+   * @returns {Promise<void>} Resolves once polling has ended or the webhook server is closed.
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    this.#abortController.abort();
+    await Promise.all(this.#polls);
+    this.#polls = [];
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(() => resolve()));
+      return;
+    }
+    for (const bot of this.#bots.values()) {
+      if (bot.offset > 0) {
+        await this.#call(bot, 'getUpdates', { offset: bot.offset, timeout: 0, limit: 1 }).catch((error) => this.#reportError(error));
+      }
+    }
+  }
+
+  /**
+   * Offsets of the next update expected per bot.
+   * @returns {Object<string, number>} Offset keyed by bot ID.
+   */
+  getOffsets() {
+    return Object.fromEntries([...this.#bots.values()].map((bot) => [bot.id, bot.offset]));
+  }
+
+  /**
+   * Call a Bot API method with a bot's token.
+   * @param {Object} bot - Bot entry.
+   * @param {string} method - Bot API method.
+   * @param {Object} payload - Request body.
+   * @param {Object} [requestOptions] - Transport options (signal, timeout).
+   * @param {Object} [retryPolicy] - Retry policy (default: the listener's).
+   * @returns {Promise<Object>} Telegram API response body.
+   */
+  #call(bot, method, payload, requestOptions, retryPolicy = this.#retryPolicy) {
+    const options = { timeout: bot.config.timeout, proxy: bot.config.proxy ?? this.#proxy, ...requestOptions };
+    return callTelegram(bot.channels.join(', '), bot.config, method, buildRequestBody(payload), retryPolicy, options, this.#transport);
+  }
+
+  /**
+   * Long-poll getUpdates for one bot until stopped, backing off after failures.
+   * @param {Object} bot - Bot entry.
+   * @returns {Promise<void>} Resolves when the listener stops.
+   */
+  async #poll(bot) {
+    const noRetry = resolveRetryPolicy(false);
+    let failures = 0;
+
+    while (this.running) {
+      let updates;
+      try {
+        const response = await this.#call(bot, 'getUpdates', {
+          offset: bot.offset || undefined,
+          timeout: this.pollTimeout,
+          allowed_updates: this.allowedUpdates,
+        }, { signal: this.#abortController.signal, timeout: (this.pollTimeout + 10) * 1000 }, noRetry);
+        updates = response.result || [];
+        failures = 0;
+      } catch (error) {
+        if (!this.running) {
+          return;
+        }
+        failures++;
+        await this.#reportError(error);
+        await this.#sleep(Math.min(MAX_POLL_BACKOFF, 1000 * 2 ** (failures - 1)));
+        continue;
+      }
+
+      for (const update of updates) {
+        bot.offset = update.update_id + 1;
+        await this.#dispatch(bot, update);
+      }
+    }
+  }
+
+  /**
+   * Wait, returning early when the listener stops.
+   * @param {number} ms - Milliseconds to wait.
+   * @returns {Promise<void>} Resolves after the delay or on stop.
+   */
+  #sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.#abortController.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Start the webhook server and register it with Telegram when a public URL is configured.
+   * @returns {Promise<void>} Resolves once listening (and registered).
+   * @throws {TelegramBotError} If the server cannot listen or setWebhook fails.
+   */
+  async #listen() {
+    const { port, host, path, url, secretToken } = this.webhook;
+    this.server = http.createServer((req, res) => {
+      this.#handleRequest(req, res).catch((error) => {
+        this.#reportError(error);
+        if (!res.headersSent) {
+          res.writeHead(500).end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', (error) => reject(new TelegramBotError(
+        `Webhook server could not listen on port ${port}: ${error.message}`,
+        'Choose another port or stop the process using it.'
+      )));
+      this.server.listen(port, host, resolve);
+    });
+
+    if (url) {
+      for (const bot of this.#bots.values()) {
+        await this.#call(bot, 'setWebhook', {
+          url: `${url.replace(/\/+$/, '')}${path}/${bot.id}`,
+          secret_token: secretToken,
+          allowed_updates: this.allowedUpdates,
+        });
+      }
+    }
+  }
+
+  /**
+   * Handle one webhook request: route it to its bot, verify the secret and dispatch the update.
+   * @param {http.IncomingMessage} req - Request.
+   * @param {http.ServerResponse} res - Response.
+   * @returns {Promise<void>} Resolves once the response is sent.
+   */
+  async #handleRequest(req, res) {
+    const requestPath = (req.url || '').split('?')[0];
+    const bot = [...this.#bots.values()].find((entry) => requestPath === `${this.webhook.path}/${entry.id}`);
+    if (req.method !== 'POST' || !bot) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (this.webhook.secretToken && !safeEqual(req.headers['x-telegram-bot-api-secret-token'], this.webhook.secretToken)) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await readBody(req));
+    } catch (error) {
+      res.writeHead(error.statusCode || 400).end();
+      return;
+    }
+
+    // Telegram redelivers updates it did not get a 2xx for; skip ones already handled
+    if (Number.isInteger(update?.update_id) && update.update_id >= bot.offset) {
+      bot.offset = update.update_id + 1;
+      await this.#dispatch(bot, update);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+  }
+
+  /**
+   * Run the handlers for one update. Handler failures are reported and never stop the listener.
+   * @param {Object} bot - Bot entry the update arrived for.
+   * @param {Object} update - Telegram Update.
+   * @returns {Promise<void>} Resolves once every handler has run.
+   */
+  async #dispatch(bot, update) {
+    const type = Object.keys(update).find((key) => key !== 'update_id');
+    const payload = update[type];
+    const context = this.#createContext(bot, update, type, payload);
+
+    const run = async (handler, ...args) => {
+      try {
+        await handler(...args);
+      } catch (error) {
+        await this.#reportError(error, context);
+      }
+    };
+
+    for (const handler of this.#handlers.get('update') || []) {
+      await run(handler, update, context);
+    }
+    for (const handler of this.#handlers.get(type) || []) {
+      await run(handler, payload, context);
+    }
+    if (type === 'callback_query') {
+      const callback = this.#callbackHandlers.find(({ match }) => matchCallback(match, payload.data, context));
+      if (callback) {
+        await run(callback.handler, payload, context);
+      }
+      // Stop the loading indicator on the button even if no handler answered
+      if (!context.answered) {
+        await run(() => context.answer());
+      }
+    }
+  }
+
+  /**
+   * Build the context passed to handlers.
+   * @param {Object} bot - Bot entry.
+   * @param {Object} update - Telegram Update.
+   * @param {string} type - Update type.
+   * @param {Object} payload - The update's payload (message, callback query, ...).
+   * @returns {Object} Handler context.
+   */
+  #createContext(bot, update, type, payload) {
+    const message = type === 'callback_query' ? payload.message : payload;
+    const chatId = message?.chat?.id ?? payload?.chat?.id;
+    const channel = bot.channels.find((name) => chatsOf(this.channels.get(name)).some((chat) => chat.chatId === String(chatId))) || null;
+    const call = (method, body) => this.#call(bot, method, body);
+
+    const context = {
+      type,
+      update,
+      channel,
+      chatId,
+      botId: bot.id,
+      answered: false,
+      match: null,
+      call,
+      reply: (text, extra = {}) => call('sendMessage', { chat_id: chatId, text, ...extra }),
+    };
+
+    if (type === 'callback_query') {
+      Object.assign(context, {
+        answer: (text, extra = {}) => {
+          context.answered = true;
+          return call('answerCallbackQuery', { callback_query_id: payload.id, text, ...extra });
+        },
+        editText: (text, extra = {}) => call('editMessageText', {
+          chat_id: chatId,
+          message_id: message?.message_id,
+          text,
+          ...extra,
+        }),
+        editButtons: (buttons = []) => call('editMessageReplyMarkup', {
+          chat_id: chatId,
+          message_id: message?.message_id,
+          reply_markup: buildReplyMarkup(buttons, { inlineOnly: true }),
+        }),
+      });
+    }
+    return context;
+  }
+
+  /**
+   * Pass an error to the 'error' handlers, or log it when there are none.
+   * @param {Error} error - Error to report.
+   * @param {Object} [context] - Context of the update being handled.
+   * @returns {Promise<void>} Resolves once the error handlers have run.
+   */
+  async #reportError(error, context) {
+    const handlers = this.#handlers.get('error') || [];
+    if (handlers.length === 0) {
+      console.error(`Error: ${error.message}`);
+      if (error.suggestion) {
+        console.error(`Suggestion: ${error.suggestion}`);
+      }
+      return;
+    }
+    for (const handler of handlers) {
+      try {
+        await handler(error, context);
+      } catch (handlerError) {
+        console.error(`Error in error handler: ${handlerError.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether callback data matches an onCallback pattern, storing regex groups in the context.
+ * @param {string|RegExp|Function} match - Pattern.
+ * @param {string} data - callback_data of the pressed button.
+ * @param {Object} context - Handler context.
+ * @returns {boolean} True if the handler should run.
+ */
+function matchCallback(match, data, context) {
+  if (data === undefined) {
+    return false;
+  }
+  if (match instanceof RegExp) {
+    context.match = match.exec(data);
+    return context.match !== null;
+  }
+  return typeof match === 'function' ? Boolean(match(data)) : match === data;
+}
+
+export {
+  TelefyListener,
+};
@@ -0,0 +1,60 @@
+/**
+ * @file lib/lockfile.js
+ * @description Lock files that let several processes change the same state file, e.g. the schedule and the dedup store.
+ * @license MIT
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// A lock older than this was left behind by a crashed process and is taken over
+const STALE_LOCK_AGE = 10000;
+const LOCK_TIMEOUT = 5000;
+const RETRY_DELAY = 20;
+
+/**
+ * Run an operation while holding <file>.lock, creating the file's directory first.
+ * @param {string} file - State file the lock protects.
+ * @param {function(): Promise<*>} operation - Operation.
+ * @param {Object} options - How to report failures.
+ * @param {string} options.name - Name of the file in error messages, e.g. 'schedule'.
+ * @param {function(string): Error} options.toError - Builds the error for a message.
+ * @returns {Promise<*>} The operation's result.
+ * @throws {Error} From toError if the directory cannot be created or the lock cannot be taken.
+ */
+async function withLockFile(file, operation, { name, toError }) {
+  const lockFile = `${file}.lock`;
+  const started = Date.now();
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+  } catch (error) {
+    throw toError(`Could not create the ${name} directory ${path.dirname(file)}: ${error.message}`);
+  }
+  for (;;) {
+    try {
+      await (await fs.open(lockFile, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw toError(`Could not lock the ${name} ${file}: ${error.message}`);
+      }
+    }
+    const stat = await fs.stat(lockFile).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_AGE) {
+      await fs.rm(lockFile, { force: true });
+    } else if (Date.now() - started > LOCK_TIMEOUT) {
+      throw toError(`The ${name} ${file} is locked by another process`);
+    } else {
+      await new Promise((resolve) => { setTimeout(resolve, RETRY_DELAY); });
+    }
+  }
+  try {
+    return await operation();
+  } finally {
+    await fs.rm(lockFile, { force: true });
+  }
+}
+
+export {
+  withLockFile,
+};
@@ -0,0 +1,139 @@
+/**
+ * @file lib/media.js
+ * @description Helpers for sending photos, documents, audio, video and media groups.
+ * @description Resolves media inputs (file path, Buffer, stream, Blob, URL or file_id) and builds multipart request bodies.
+ * @license MIT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TelegramBotError } from './errors.js';
+
+// Telegram file_ids are long URL-safe base64 strings; anything else that is not a URL is treated as a path, so a
+// missing file such as "report" is reported instead of being sent as a file_id
+const FILE_ID_PATTERN = /^[\w-]{20,}$/;
+const URL_PATTERN = /^https?:\/\//i;
+const MEDIA_GROUP_TYPES = ['photo', 'video', 'document', 'audio'];
+
+/**
+ * Resolve a media input into either a remote reference or an upload.
+ * Streams are buffered so the upload can be repeated for retries and for every channel.
+ * @param {string|Buffer|Uint8Array|Blob|NodeJS.ReadableStream} input - File path, Buffer, stream, Blob, URL or file_id.
+ * @param {string} [filename] - File name to use for uploads.
+ * @returns {Promise<{reference: string}|{file: Blob, filename: string}>} Resolved media.
+ * @throws {TelegramBotError} If the input is invalid or the file cannot be read.
+ */
+async function resolveMediaInput(input, filename) {
+  if (typeof input === 'string') {
+    if (!input) {
+      throw invalidMediaError();
+    }
+    if (URL_PATTERN.test(input)) {
+      return { reference: input };
+    }
+    if (fs.existsSync(input)) {
+      const data = await fs.promises.readFile(input);
+      return { file: new Blob([data]), filename: filename || path.basename(input) };
+    }
+    if (FILE_ID_PATTERN.test(input)) {
+      return { reference: input };
+    }
+    throw new TelegramBotError(
+      `File not found: ${input}`,
+      'Check the file path, or pass a URL or Telegram file_id instead.'
+    );
+  }
+  if (input instanceof Blob) {
+    return { file: input, filename: filename || input.name || 'file' };
+  }
+  if (input instanceof Uint8Array) {
+    return { file: new Blob([input]), filename: filename || 'file' };
+  }
+  if (input && typeof input[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    try {
+      for await (const chunk of input) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+      }
+    } catch (error) {
+      throw new TelegramBotError(
+        `Could not read media stream: ${error.message}`,
+        'Ensure the stream is readable and has not been consumed already.'
+      );
+    }
+    const streamName = typeof input.path === 'string' ? path.basename(input.path) : 'file';
+    return { file: new Blob(chunks), filename: filename || streamName };
+  }
+  throw invalidMediaError();
+}
+
+/**
+ * Build the error for unsupported media inputs.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function invalidMediaError() {
+  return new TelegramBotError(
+    'Invalid media input',
+    'Provide a file path, Buffer, readable stream, URL or Telegram file_id.'
+  );
+}
+
+/**
+ * Validate media group items.
+ * @param {Array<{type: string, media: *, caption?: string}>} items - Media group items.
+ * @throws {TelegramBotError} If validation fails.
+ */
+function validateMediaGroup(items) {
+  if (!Array.isArray(items) || items.length < 2 || items.length > 10) {
+    throw new TelegramBotError(
+      'Media group must contain 2 to 10 items',
+      'Example: [{ type: "photo", media: "./a.png" }, { type: "photo", media: "./b.png" }].'
+    );
+  }
+  for (const item of items) {
+    if (!item || !MEDIA_GROUP_TYPES.includes(item.type) || !item.media) {
+      throw new TelegramBotError(
+        'Each media group item must have a type and media',
+        `Use one of these types: ${MEDIA_GROUP_TYPES.join(', ')}.`
+      );
+    }
+  }
+  // Telegram only groups documents with documents and audio with audio
+  for (const exclusive of ['document', 'audio']) {
+    if (items.some((item) => item.type === exclusive) && !items.every((item) => item.type === exclusive)) {
+      throw new TelegramBotError(
+        `Media group items of type "${exclusive}" cannot be mixed with other types`,
+        `Send ${exclusive} files in a separate media group.`
+      );
+    }
+  }
+}
+
+/**
+ * Build a request body, using multipart/form-data when files are attached.
+ * @param {Object} fields - Bot API parameters; undefined values are dropped.
+ * @param {Object<string, {file: Blob, filename: string}>} [files={}] - Files keyed by field name.
+ * @returns {Object|FormData} JSON payload, or FormData when uploading.
+ */
+function buildRequestBody(fields, files = {}) {
+  const definedFields = Object.entries(fields).filter(([, value]) => value !== undefined);
+  if (Object.keys(files).length === 0) {
+    return Object.fromEntries(definedFields);
+  }
+
+  const form = new FormData();
+  for (const [key, value] of definedFields) {
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  for (const [key, { file, filename }] of Object.entries(files)) {
+    form.append(key, file, filename);
+  }
+  return form;
+}
+
+export {
+  MEDIA_GROUP_TYPES,
+  resolveMediaInput,
+  validateMediaGroup,
+  buildRequestBody,
+};
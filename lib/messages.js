@@ -0,0 +1,86 @@
+/**
+ * @file lib/messages.js
+ * @description Resolves references to previously sent messages for edit, delete and pin operations.
+ * @description Accepts the per-channel results returned by the send functions or plain { channel, messageId } objects.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+
+/**
+ * Collect the message IDs of a sent message reference.
+ * @param {Object} ref - Send result or { channel, messageId }.
+ * @returns {number[]} Message IDs (several for split messages and media groups).
+ */
+function messageIdsOf(ref) {
+  if (Array.isArray(ref.messageIds)) {
+    return ref.messageIds;
+  }
+  const id = ref.messageId ?? ref.message_id;
+  if (id !== undefined) {
+    return [id];
+  }
+  const result = ref.response?.result;
+  if (Array.isArray(result)) {
+    return result.map((message) => message.message_id);
+  }
+  return result?.message_id !== undefined ? [result.message_id] : [];
+}
+
+/**
+ * Normalize one or more message references.
+ * Failed entries of settled broadcast results (ok: false) are skipped.
+ * @param {Object|Object[]} target - Send results, or { channel, messageId } objects (plus chatId for channels with several chats).
+ * @returns {Array<{channel: string, chatId?: string, messageIds: number[]}>} Message references.
+ * @throws {TelegramBotError} If a reference has no channel or message ID.
+ */
+function resolveMessageRefs(target) {
+  const refs = (Array.isArray(target) ? target : [target]).filter((ref) => ref?.ok !== false);
+  if (refs.length === 0) {
+    throw new TelegramBotError(
+      'No messages to act on',
+      'Pass the results returned by the send functions or { channel, messageId }.'
+    );
+  }
+
+  return refs.map((ref) => {
+    if (!ref || typeof ref.channel !== 'string' || ref.channel === 'all') {
+      throw new TelegramBotError(
+        'Message reference is missing its channel',
+        'Each reference needs the channel the message was sent to, e.g. { channel: "news", messageId: 42 }.'
+      );
+    }
+    const messageIds = messageIdsOf(ref);
+    if (messageIds.length === 0 || messageIds.some((id) => !Number.isInteger(Number(id)))) {
+      throw new TelegramBotError(
+        `Message reference for channel "${ref.channel}" is missing a message ID`,
+        'Pass the results returned by the send functions or { channel, messageId }.'
+      );
+    }
+    if (ref.chatId !== undefined) {
+      return { channel: ref.channel, chatId: String(ref.chatId), messageIds: messageIds.map(Number) };
+    }
+    return { channel: ref.channel, messageIds: messageIds.map(Number) };
+  });
+}
+
+/**
+ * Parse a CLI message reference of the form <channel>:<message_id> or <channel>:<chat_id>:<message_id>.
+ * @param {string} value - Reference text.
+ * @returns {{channel: string, chatId?: string, messageId: number}|null} Reference, or null if the text is not one.
+ */
+function parseMessageRef(value) {
+  const match = /^([\w-]+)(?::(-?\d+|@\w+))?:(\d+)$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [, channel, chatId, messageId] = match;
+  return chatId === undefined
+    ? { channel: channel.toLowerCase(), messageId: Number(messageId) }
+    : { channel: channel.toLowerCase(), chatId, messageId: Number(messageId) };
+}
+
+export {
+  resolveMessageRefs,
+  parseMessageRef,
+};
@@ -0,0 +1,281 @@
+/**
+ * @file lib/outbox.js
+ * @description Durable outbox for sends that failed because Telegram was unreachable, rate limiting or erroring.
+ * @description Entries are stored one per line in <dir>/outbox.jsonl and replayed in order, per chat, by replayOutbox.
+ * @license MIT
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { TelegramBotError } from './errors.js';
+import { withLockFile } from './lockfile.js';
+
+const DEFAULT_OUTBOX_DIR = '.telefy/outbox';
+const OUTBOX_FILE = 'outbox.jsonl';
+// A replay's claim on entries older than this is treated as abandoned (the process died mid-replay)
+const CLAIM_TIMEOUT = 600000;
+
+/**
+ * Create a file-based outbox.
+ * @param {Object} [options] - Outbox options.
+ * @param {string} [options.dir='.telefy/outbox'] - Directory holding outbox.jsonl (created on first enqueue).
+ * @returns {{dir: string, file: string, enqueue: Function, list: Function, claim: Function, update: Function,
+ * purge: Function}} Outbox.
+ */
+function createOutbox({ dir = DEFAULT_OUTBOX_DIR } = {}) {
+  const file = path.resolve(dir, OUTBOX_FILE);
+  // File operations of this process run one at a time; the lock file covers other processes, so an enqueue never
+  // interleaves with a rewrite
+  let pending = Promise.resolve();
+
+  /**
+   * Run a file operation after the ones already started, holding the lock file if it changes the outbox.
+   * @param {function(): Promise<*>} operation - Operation.
+   * @param {boolean} [lock=true] - Take the lock file.
+   * @returns {Promise<*>} Its result.
+   */
+  function exclusive(operation, lock = true) {
+    const run = pending.then(() => (lock
+      ? withLockFile(file, operation, { name: 'outbox', toError: outboxError })
+      : operation()));
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read all entries.
+   * @returns {Promise<Object[]>} Entries, oldest first.
+   * @throws {TelegramBotError} If the file exists but cannot be read.
+   */
+  async function read() {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw outboxError(`Could not read the outbox ${file}: ${error.message}`);
+    }
+    // A line cut short by a crash mid-write is skipped rather than blocking the whole outbox
+    return text.split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Replace all entries, through a temporary file so a crash never leaves a half-written outbox.
+   * @param {Object[]} entries - Entries to keep.
+   * @throws {TelegramBotError} If the file cannot be written.
+   */
+  async function write(entries) {
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(temp, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+      await fs.rename(temp, file);
+    } catch (error) {
+      throw outboxError(`Could not write to the outbox ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a failed request, unless it has a key and an entry with the same key is already queued.
+   * @param {{key?: string, channel: string, chatId: string, method: string, payload: Object, error?: string, attempts?: number}} request -
+   * Request to queue, with the number of requests already made for it.
+   * @returns {Promise<{entry: Object, duplicate: boolean}>} The queued entry (the existing one for duplicates).
+   */
+  function enqueue({ key, channel, chatId, method, payload, error, attempts = 0 }) {
+    return exclusive(async () => {
+      const existing = key === undefined ? undefined : (await read()).find((entry) => entry.key === key);
+      if (existing) {
+        return { entry: existing, duplicate: true };
+      }
+      const entry = {
+        id: crypto.randomUUID(),
+        key,
+        createdAt: new Date().toISOString(),
+        channel,
+        chatId,
+        method,
+        payload,
+        attempts,
+        lastError: error,
+      };
+      try {
+        await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+      } catch (appendError) {
+        throw outboxError(`Could not write to the outbox ${file}: ${appendError.message}`);
+      }
+      return { entry, duplicate: false };
+    });
+  }
+
+  /**
+   * List queued entries, oldest first.
+   * @returns {Promise<Object[]>} Entries.
+   */
+  function list() {
+    return exclusive(read, false);
+  }
+
+  /**
+   * Claim the entries for a replay. Chats with entries another replay has claimed are left to it, so two flushes
+   * running at the same time never send the same message and each chat keeps its order.
+   * @returns {Promise<Object[]>} Claimed entries, oldest first; pass their IDs to update() as releaseIds afterwards.
+   */
+  function claim() {
+    const claimedBy = crypto.randomUUID();
+    return exclusive(async () => {
+      const now = new Date();
+      const entries = await read();
+      const busyChats = new Set(entries
+        .filter((entry) => entry.claimedBy && now.getTime() - Date.parse(entry.claimedAt) < CLAIM_TIMEOUT)
+        .map(chatOf));
+      const claimed = entries.map((entry) => (busyChats.has(chatOf(entry))
+        ? entry
+        : { ...entry, claimedBy, claimedAt: now.toISOString() }));
+      if (claimed.some((entry) => entry.claimedBy === claimedBy)) {
+        await write(claimed);
+      }
+      return claimed.filter((entry) => entry.claimedBy === claimedBy);
+    });
+  }
+
+  /**
+   * Remove delivered entries, record failed attempts on the ones that stay and release a replay's claim.
+   * @param {string[]} removeIds - IDs of entries to drop.
+   * @param {Object<string, string>} [failures={}] - Error message keyed by the ID of an entry that failed again.
+   * @param {string[]} [releaseIds=[]] - IDs of claimed entries to release.
+   * @returns {Promise<Object[]>} Entries still queued.
+   */
+  function update(removeIds, failures = {}, releaseIds = []) {
+    return exclusive(async () => {
+      const remaining = (await read())
+        .filter((entry) => !removeIds.includes(entry.id))
+        .map((entry) => {
+          const { claimedBy, claimedAt, ...unclaimed } = entry;
+          const kept = releaseIds.includes(entry.id) ? unclaimed : entry;
+          return failures[entry.id] === undefined
+            ? kept
+            : { ...kept, attempts: entry.attempts + 1, lastError: failures[entry.id] };
+        });
+      await write(remaining);
+      return remaining;
+    });
+  }
+
+  /**
+   * Drop queued entries.
+   * @param {string[]} [ids] - Entries to drop (default: all).
+   * @returns {Promise<number>} Number of entries dropped.
+   */
+  function purge(ids) {
+    return exclusive(async () => {
+      const entries = await read();
+      const remaining = ids ? entries.filter((entry) => !ids.includes(entry.id)) : [];
+      await write(remaining);
+      return entries.length - remaining.length;
+    });
+  }
+
+  return { dir: path.dirname(file), file, enqueue, list, claim, update, purge };
+}
+
+/**
+ * Identify the chat of an entry.
+ * @param {Object} entry - Outbox entry.
+ * @returns {string} Channel and chat ID.
+ */
+function chatOf(entry) {
+  return `${entry.channel}:${entry.chatId}`;
+}
+
+/**
+ * Turn the outbox option into an outbox.
+ * @param {boolean|Object|undefined} option - true for the default directory, { dir }, or an object from createOutbox.
+ * @returns {Object|null} Outbox, or null when disabled.
+ */
+function resolveOutbox(option) {
+  if (!option) {
+    return null;
+  }
+  if (typeof option.enqueue === 'function') {
+    return option;
+  }
+  return createOutbox(option === true ? {} : option);
+}
+
+/**
+ * Build the deduplication key of a queued request.
+ * @param {string} channel - Channel name.
+ * @param {string} chatId - Chat ID.
+ * @param {string} method - Bot API method.
+ * @param {*} identity - Caller's dedupKey.
+ * @returns {string} Hex digest.
+ */
+function outboxKey(channel, chatId, method, identity) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([channel, chatId, method, identity]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Replay queued entries in order. A chat whose entry fails again with a transient error is skipped for the rest of
+ * the run so its messages keep their order; entries that fail permanently (e.g. 400, 403) are dropped and reported.
+ * Outboxes with claim() (like createOutbox's) only replay the entries no other replay is working on.
+ * @param {Object} outbox - Outbox from createOutbox.
+ * @param {function(Object): Promise<Object>} send - Sends one entry and resolves with the Telegram response.
+ * @returns {Promise<{sent: Object[], failed: Object[], pending: Object[]}>} Delivered entries with their response,
+ * dropped entries with their error, and the entries still queued.
+ */
+async function replayOutbox(outbox, send) {
+  const sent = [];
+  const failed = [];
+  const failures = {};
+  const blockedChats = new Set();
+
+  const entries = outbox.claim ? await outbox.claim() : await outbox.list();
+  for (const entry of entries) {
+    const chat = chatOf(entry);
+    if (blockedChats.has(chat)) {
+      continue;
+    }
+    try {
+      sent.push({ entry, response: await send(entry) });
+    } catch (error) {
+      if (error.retryable) {
+        failures[entry.id] = error.message;
+        blockedChats.add(chat);
+      } else {
+        failed.push({ entry, error });
+      }
+    }
+  }
+
+  const done = [...sent, ...failed].map(({ entry }) => entry.id);
+  const pending = await outbox.update(done, failures, entries.map((entry) => entry.id));
+  return { sent, failed, pending };
+}
+
+/**
+ * Build an outbox error with a suggestion.
+ * @param {string} message - What went wrong.
+ * @returns {TelegramBotError} Error.
+ */
+function outboxError(message) {
+  return new TelegramBotError(message, 'Check that the outbox directory exists and is writable, or set a different one.');
+}
+
+export {
+  DEFAULT_OUTBOX_DIR,
+  createOutbox,
+  resolveOutbox,
+  outboxKey,
+  replayOutbox,
+};
@@ -0,0 +1,238 @@
+/**
+ * @file lib/ratelimit.js
+ * @description Client-side rate limiting of Bot API calls with token buckets per chat, per group chat and per bot.
+ * @description Calls over the limit wait in a queue instead of being fired and rejected with 429 by Telegram.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+
+// Telegram's documented limits: ~1 message/s per chat, 20 messages/min per group, ~30 messages/s per bot
+const DEFAULT_RATE_LIMITS = {
+  perChat: { limit: 1, interval: 1000 },
+  perGroup: { limit: 20, interval: 60000 },
+  perBot: { limit: 30, interval: 1000 },
+};
+
+const BUCKETS = Object.keys(DEFAULT_RATE_LIMITS);
+
+/**
+ * Build complete limits from user options.
+ * @param {Object|boolean} [options] - true for the base limits, or { perChat, perGroup, perBot }, each { limit, interval }
+ * or false to lift that limit.
+ * @param {Object} [base=DEFAULT_RATE_LIMITS] - Limits used for whatever the options leave out.
+ * @returns {{perChat: Object|false, perGroup: Object|false, perBot: Object|false}} Limits.
+ * @throws {TelegramBotError} If a limit is malformed.
+ */
+function resolveRateLimits(options, base = DEFAULT_RATE_LIMITS) {
+  if (options === true || options === undefined) {
+    return { ...base };
+  }
+  if (!options || typeof options !== 'object') {
+    throw invalidLimit('rateLimit', 'must be true or an object with perChat, perGroup and perBot');
+  }
+  const limits = { ...base };
+  for (const [name, value] of Object.entries(options)) {
+    if (!BUCKETS.includes(name)) {
+      throw invalidLimit(name, `is not a rate limit; use ${BUCKETS.join(', ')}`);
+    }
+    if (value === false) {
+      limits[name] = false;
+      continue;
+    }
+    const { limit, interval } = { ...(base[name] || DEFAULT_RATE_LIMITS[name]), ...value };
+    // A bucket only releases whole tokens, so a fractional limit would hold every call forever
+    if (!Number.isInteger(limit) || limit < 1 || !Number.isFinite(interval) || interval <= 0) {
+      throw invalidLimit(name, 'must be false or { limit, interval } with positive numbers (interval in ms) and a whole number limit');
+    }
+    limits[name] = { limit, interval };
+  }
+  return limits;
+}
+
+/**
+ * Create a rate limiter. Calls for the same chat run in the order they were scheduled.
+ * @param {Object|boolean} [options] - Default limits (see resolveRateLimits).
+ * @returns {{schedule: Function, stats: Function}} Rate limiter.
+ * @throws {TelegramBotError} If a limit is malformed.
+ */
+function createRateLimiter(options) {
+  const defaultLimits = resolveRateLimits(options);
+  // Per-call overrides resolved against the defaults, cached per options object
+  const overrides = new WeakMap();
+  const buckets = new Map();
+  const queue = [];
+  const counters = { sent: 0, delayed: 0 };
+  let active = 0;
+  let timer = null;
+
+  /**
+   * Get the bucket for a key, refilled up to now.
+   * @param {string} key - Bucket key.
+   * @param {{limit: number, interval: number}} limit - Limit of the bucket.
+   * @param {number} now - Current time in ms.
+   * @returns {{tokens: number, updatedAt: number, limit: number, interval: number}} Bucket.
+   */
+  function bucket(key, { limit, interval }, now) {
+    let entry = buckets.get(key);
+    if (!entry) {
+      entry = { tokens: limit, updatedAt: now, limit, interval };
+      buckets.set(key, entry);
+    }
+    entry.tokens = Math.min(entry.limit, entry.tokens + ((now - entry.updatedAt) * entry.limit) / entry.interval);
+    entry.updatedAt = now;
+    return entry;
+  }
+
+  /**
+   * List the buckets a job draws from.
+   * @param {Object} job - Queued job.
+   * @param {number} now - Current time in ms.
+   * @returns {Object[]} Buckets.
+   */
+  function bucketsFor(job, now) {
+    const { token, chatId } = job.key;
+    const limits = job.limits;
+    // Negative IDs are groups, supergroups and channels; @username targets are public groups or channels
+    const isGroup = String(chatId).startsWith('-') || String(chatId).startsWith('@');
+    // Channels sharing a bot or chat may set different limits, so each limit has a bucket of its own
+    const rate = ({ limit, interval }) => `${limit}/${interval}`;
+    return [
+      limits.perChat && bucket(`chat:${token}:${chatId}:${rate(limits.perChat)}`, limits.perChat, now),
+      isGroup && limits.perGroup && bucket(`group:${token}:${chatId}:${rate(limits.perGroup)}`, limits.perGroup, now),
+      limits.perBot && bucket(`bot:${token}:${rate(limits.perBot)}`, limits.perBot, now),
+    ].filter(Boolean);
+  }
+
+  /**
+   * Start every queued job whose buckets have a token, keeping each chat's jobs in order, then wait for the next token.
+   */
+  function pump() {
+    timer = null;
+    const now = Date.now();
+    const blockedChats = new Set();
+    let wait = Infinity;
+
+    for (let index = 0; index < queue.length; index++) {
+      const job = queue[index];
+      const chat = `${job.key.token}:${job.key.chatId}`;
+      if (blockedChats.has(chat)) {
+        continue;
+      }
+      const jobBuckets = bucketsFor(job, now);
+      const empty = jobBuckets.filter((entry) => entry.tokens < 1);
+      if (empty.length > 0) {
+        blockedChats.add(chat);
+        job.delayed = true;
+        wait = Math.min(wait, ...empty.map((entry) => ((1 - entry.tokens) * entry.interval) / entry.limit));
+        continue;
+      }
+
+      jobBuckets.forEach((entry) => { entry.tokens -= 1; });
+      queue.splice(index--, 1);
+      run(job);
+    }
+
+    if (queue.length > 0) {
+      timer = setTimeout(pump, Math.max(1, Math.ceil(wait)));
+    } else {
+      // Forget buckets that are full again; they would be recreated full anyway
+      for (const [key, entry] of buckets) {
+        if (bucket(key, entry, now).tokens >= entry.limit) {
+          buckets.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Run a job that got its tokens and settle its promise.
+   * @param {Object} job - Queued job.
+   */
+  async function run(job) {
+    active++;
+    counters.sent++;
+    if (job.delayed) {
+      counters.delayed++;
+    }
+    try {
+      job.resolve(await job.fn());
+    } catch (error) {
+      job.reject(error);
+    } finally {
+      active--;
+    }
+  }
+
+  /**
+   * Run a call once the chat, group and bot limits allow it.
+   * @param {{token: string, chatId: string, channel?: string}} key - Bot token and chat the call goes to.
+   * @param {function(): Promise<*>} fn - The call.
+   * @param {Object} [limits] - Limits overriding the limiter's defaults for this call (e.g. the channel's rateLimit).
+   * @returns {Promise<*>} What the call resolves with.
+   * @throws {TelegramBotError} If the overriding limits are malformed.
+   */
+  function schedule(key, fn, limits) {
+    if (limits && !overrides.has(limits)) {
+      overrides.set(limits, resolveRateLimits(limits, defaultLimits));
+    }
+    return new Promise((resolve, reject) => {
+      queue.push({ key, fn, limits: limits ? overrides.get(limits) : defaultLimits, resolve, reject, delayed: false });
+      // Pump right away: the new call may be for a chat that is not waiting
+      clearTimeout(timer);
+      pump();
+    });
+  }
+
+  /**
+   * Report the queue state.
+   * @returns {{queued: number, active: number, sent: number, delayed: number, channels: Object<string, number>}}
+   * Calls waiting, calls in flight, calls started so far, how many of them had to wait, and waiting calls per channel.
+   */
+  function stats() {
+    const channels = {};
+    for (const { key } of queue) {
+      const name = key.channel ?? String(key.chatId);
+      channels[name] = (channels[name] || 0) + 1;
+    }
+    return { queued: queue.length, active, sent: counters.sent, delayed: counters.delayed, channels };
+  }
+
+  return { schedule, stats };
+}
+
+/**
+ * Turn the rateLimit option into a limiter.
+ * @param {boolean|Object|undefined} option - true for the default limits, limits, or an object with schedule().
+ * @returns {Object|null} Rate limiter, or null when disabled.
+ * @throws {TelegramBotError} If a limit is malformed.
+ */
+function resolveRateLimiter(option) {
+  if (!option) {
+    return null;
+  }
+  if (typeof option.schedule === 'function') {
+    return option;
+  }
+  return createRateLimiter(option);
+}
+
+/**
+ * Build the error for a malformed limit.
+ * @param {string} name - Limit name.
+ * @param {string} problem - What is wrong.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function invalidLimit(name, problem) {
+  return new TelegramBotError(
+    `Invalid rate limit: ${name} ${problem}`,
+    'Example: { perChat: { limit: 1, interval: 1000 }, perGroup: { limit: 20, interval: 60000 }, perBot: false }.'
+  );
+}
+
+export {
+  DEFAULT_RATE_LIMITS,
+  resolveRateLimits,
+  createRateLimiter,
+  resolveRateLimiter,
+};
@@ -0,0 +1,144 @@
+/**
+ * @file lib/relay.js
+ * @description HTTP relay: lets tools that can only make HTTP requests send through telefy, so bot tokens stay on
+ * one host. Requests are authenticated with a shared API key.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+import { checkApiKey, createJsonServer, parseJson, readBody, respond, respondNotFound, resultBody } from './http.js';
+
+// Body fields passed on to the send functions as options
+const SEND_OPTIONS = [
+  'split', 'asDocument', 'filename', 'settle', 'concurrency', 'disableNotification', 'protectContent', 'messageThreadId', 'dedupKey', 'dedup',
+];
+
+/**
+ * Create an HTTP relay for a telefy client. Call listen() to start it and close() to stop it.
+ *
+ * Routes (all need the API key as "Authorization: Bearer <key>" or "X-Api-Key: <key>"):
+ * - POST /send: { text, channel?, parseMode?, ...options } → sendTGMessage
+ * - POST /send-buttons: { text, buttons, channel?, parseMode?, ...options } → sendTGMessageWithButtons
+ * - GET /channels: the channel names with their chats, and the groups
+ *
+ * @param {Object} client - Client from createTelefy, or an object with the same sendTGMessage, sendTGMessageWithButtons,
+ * getChannels and getGroups functions.
+ * @param {Object} options - Server options.
+ * @param {string} options.apiKey - Shared secret callers must send.
+ * @param {number} [options.port=8787] - Port to listen on (0 picks a free one).
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on; use 0.0.0.0 to accept requests from other hosts.
+ * @param {function(Object): void} [options.onRequest] - Called after each request with { method, path, status, ms, error? }.
+ * @returns {{listen: function(): Promise<string>, close: function(): Promise<void>, url: string|null}} Relay; listen()
+ * resolves with its base URL.
+ * @throws {TelegramBotError} If the API key is missing.
+ */
+function createRelay(client, { apiKey, port = 8787, host = '127.0.0.1', onRequest } = {}) {
+  if (!apiKey || typeof apiKey !== 'string') {
+    throw new TelegramBotError(
+      'The relay needs an API key',
+      'Set TELEFY_API_KEY (or pass apiKey) to a long random string, e.g. from "openssl rand -hex 32".'
+    );
+  }
+
+  const routes = {
+    'POST /send': (body) => {
+      requireText(body);
+      return client.sendTGMessage(body.text, body.channel, body.parseMode, sendOptions(body, ['text', 'channel', 'parseMode']));
+    },
+    'POST /send-buttons': (body) => {
+      requireText(body);
+      if (body.buttons === undefined) {
+        throw new TelegramBotError('Missing "buttons"', 'Send buttons as rows of inline buttons, e.g. [[{ "text": "Open", "url": "https://..." }]].');
+      }
+      return client.sendTGMessageWithButtons(body.text, body.buttons, body.channel, body.parseMode,
+        sendOptions(body, ['text', 'buttons', 'channel', 'parseMode']));
+    },
+    'GET /channels': () => ({
+      channels: [...client.getChannels()].map(([name, config]) => ({
+        name,
+        chats: (config.chats ?? [config]).map(({ chatId, messageThreadId }) => (messageThreadId ? `${chatId}:${messageThreadId}` : chatId)),
+      })),
+      groups: Object.fromEntries(client.getGroups()),
+    }),
+  };
+
+  /**
+   * Authenticate, route and answer one request.
+   * @param {http.IncomingMessage} req - Request.
+   * @param {http.ServerResponse} res - Response.
+   * @param {string} path - Request path.
+   * @returns {Promise<void>} Resolves once the response is sent.
+   * @throws {TelegramBotError} If the request is refused or the send fails.
+   */
+  async function handle(req, res, path) {
+    const route = routes[`${req.method} ${path}`];
+    if (!route) {
+      respondNotFound(res, path, Object.keys(routes).filter((key) => key.endsWith(` ${path}`)).map((key) => key.split(' ')[0]));
+      return;
+    }
+    checkApiKey(req, apiKey);
+    const body = req.method === 'POST' ? parseJson(await readBody(req)) : undefined;
+    const outcome = await route(body);
+    respond(res, 200, Array.isArray(outcome) ? { ok: true, results: outcome.map(resultBody) } : { ok: true, ...outcome });
+  }
+
+  /**
+   * Check the channel a request names, so unknown channels are a 404 rather than a 400.
+   * @param {Object} body - Request body.
+   * @throws {TelegramBotError} If the channel is not configured.
+   */
+  function checkChannel(body) {
+    if (body.channel === undefined || body.channel === 'all') {
+      return;
+    }
+    const name = String(body.channel).toLowerCase();
+    if (!client.getChannels().has(name) && !client.getGroups().has(name)) {
+      throw Object.assign(new TelegramBotError(
+        `Channel "${name}" not found`,
+        `Available channels: ${[...client.getChannels().keys()].join(', ')}. GET /channels lists them.`
+      ), { statusCode: 404 });
+    }
+  }
+
+  /**
+   * Validate the common fields of a send request.
+   * @param {*} body - Parsed request body.
+   * @throws {TelegramBotError} If the body is not an object with text, or the channel is unknown.
+   */
+  function requireText(body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new TelegramBotError('The request body must be a JSON object', 'Send e.g. { "text": "Deploy finished", "channel": "ops" }.');
+    }
+    if (typeof body.text !== 'string' || body.text === '') {
+      throw new TelegramBotError('Missing "text"', 'Send the message as a non-empty "text" string.');
+    }
+    if (body.channel !== undefined && typeof body.channel !== 'string') {
+      throw new TelegramBotError('"channel" must be a string', 'Give a channel or group name, or "all".');
+    }
+    checkChannel(body);
+  }
+
+  return createJsonServer(handle, { name: 'Relay', port, host, onRequest });
+}
+
+/**
+ * Collect the send options of a request body.
+ * @param {Object} body - Request body.
+ * @param {string[]} fields - Fields the route uses itself.
+ * @returns {Object} Options for the send function.
+ * @throws {TelegramBotError} If the body has fields the route does not know.
+ */
+function sendOptions(body, fields) {
+  const unknown = Object.keys(body).filter((key) => !fields.includes(key) && !SEND_OPTIONS.includes(key));
+  if (unknown.length > 0) {
+    throw new TelegramBotError(
+      `Unknown fields: ${unknown.join(', ')}`,
+      `Allowed fields: ${[...fields, ...SEND_OPTIONS].join(', ')}.`
+    );
+  }
+  return Object.fromEntries(SEND_OPTIONS.filter((key) => body[key] !== undefined).map((key) => [key, body[key]]));
+}
+
+export {
+  createRelay,
+};
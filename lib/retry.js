@@ -0,0 +1,136 @@
+/**
+ * @file lib/retry.js
+ * @description Retry policy for Telegram Bot API calls.
+ * @description Retries rate-limited (429), server-side (5xx) and network failures with jittered exponential backoff,
+ * honouring the retry_after hint Telegram sends with 429 responses.
+ * @license MIT
+ */
+
+import { TelegramBotError } from './errors.js';
+
+const DEFAULT_RETRY_POLICY = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+};
+
+/**
+ * Build a complete retry policy from user options.
+ * @param {Object|boolean|undefined} options - Partial policy, or false to disable retries.
+ * @returns {{retries: number, minDelay: number, maxDelay: number, factor: number, jitter: boolean}} Retry policy.
+ * @throws {TelegramBotError} If the policy is malformed.
+ */
+function resolveRetryPolicy(options) {
+  if (options === false) {
+    return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+  }
+  if (options !== undefined && options !== true && (!options || typeof options !== 'object')) {
+    throw invalidPolicy('retry', 'must be false or an object with retries, minDelay, maxDelay, factor and jitter');
+  }
+  const policy = { ...DEFAULT_RETRY_POLICY, ...(options === true ? {} : options) };
+  const { retries, minDelay, maxDelay, factor } = policy;
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw invalidPolicy('retries', 'must be a whole number of at least 0');
+  }
+  if (!Number.isFinite(minDelay) || minDelay < 0 || !Number.isFinite(maxDelay) || maxDelay < 0) {
+    throw invalidPolicy('minDelay and maxDelay', 'must be numbers of at least 0 (in ms)');
+  }
+  if (minDelay > maxDelay) {
+    throw invalidPolicy('minDelay', `(${minDelay}) must not be greater than maxDelay (${maxDelay})`);
+  }
+  // A factor below 1 would shrink the delay with every attempt
+  if (!Number.isFinite(factor) || factor < 1) {
+    throw invalidPolicy('factor', 'must be a number of at least 1');
+  }
+  return policy;
+}
+
+/**
+ * Check whether a failed request is worth retrying.
+ * @param {Error} error - Axios error object.
+ * @returns {boolean} True for 429, 5xx and network errors.
+ */
+function isRetryable(error) {
+  if (error.response) {
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+  }
+  return Boolean(error.request);
+}
+
+/**
+ * Compute how long to wait before the next attempt.
+ * @param {Error} error - Axios error from the failed attempt.
+ * @param {number} attempt - Number of the attempt that just failed (1-based).
+ * @param {Object} policy - Retry policy.
+ * @returns {number|null} Delay in milliseconds, or null when Telegram asks to wait longer than maxDelay.
+ */
+function getRetryDelay(error, attempt, policy) {
+  const retryAfter = error.response?.data?.parameters?.retry_after;
+  if (typeof retryAfter === 'number' && retryAfter >= 0) {
+    // Retrying sooner than Telegram asked would only be rejected again
+    return retryAfter * 1000 <= policy.maxDelay ? retryAfter * 1000 : null;
+  }
+
+  const backoff = Math.min(policy.maxDelay, policy.minDelay * policy.factor ** (attempt - 1));
+  if (!policy.jitter) {
+    return backoff;
+  }
+  // Spread retries over [backoff / 2, backoff] so parallel senders do not retry in lockstep
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * Run a request, retrying it according to the policy.
+ * @param {function(number): Promise<*>} fn - Request to run; receives the 1-based attempt number.
+ * @param {Object} policy - Retry policy from resolveRetryPolicy.
+ * @returns {Promise<{result: *, attempts: number}>} Result of the first successful attempt.
+ * @throws {Error} The last error, with an `attempts` property, once retries are exhausted, the error is not retryable or
+ * a 429 asks to wait longer than maxDelay.
+ */
+async function withRetry(fn, policy) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      return { result, attempts: attempt };
+    } catch (error) {
+      const delay = attempt > policy.retries || !isRetryable(error) ? null : getRetryDelay(error, attempt, policy);
+      if (delay === null) {
+        throw Object.assign(error, { attempts: attempt });
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>} Resolves after the delay.
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Build the error for a malformed retry policy.
+ * @param {string} name - Option name.
+ * @param {string} problem - What is wrong.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function invalidPolicy(name, problem) {
+  return new TelegramBotError(
+    `Invalid retry policy: ${name} ${problem}`,
+    'Example: { retries: 3, minDelay: 500, maxDelay: 30000, factor: 2, jitter: true }, or false to disable retries.'
+  );
+}
+
+export {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryable,
+  getRetryDelay,
+  withRetry,
+};
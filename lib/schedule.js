@@ -0,0 +1,587 @@
+/**
+ * @file lib/schedule.js
+ * @description Scheduled and delayed messages: cron expressions, the schedule store and the scheduler that sends due jobs.
+ * @description The file store keeps one job per line in <dir>/schedule.jsonl, so jobs survive restarts and can be
+ * added by one process (e.g. telefy schedule add) and sent by another (telefy daemon or telefy serve).
+ * @license MIT
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { TelegramBotError } from './errors.js';
+import { withLockFile } from './lockfile.js';
+
+const DEFAULT_SCHEDULE_DIR = '.telefy/schedule';
+const SCHEDULE_FILE = 'schedule.jsonl';
+
+// How often the scheduler looks for jobs other processes added, in ms
+const POLL_INTERVAL = 30000;
+// Longest delay setTimeout accepts
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Fields of a cron expression, in order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Units of durations like "90s" or "1h30m", in ms
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Parse a five-field cron expression (minute hour day-of-month month day-of-week) or a macro such as @daily.
+ * Fields take *, numbers, ranges (1-5), steps (*\/15, 0-30/10), lists (1,15) and month and weekday names (jan, mon).
+ * As in cron, when both the day of month and the day of week are restricted, a day matching either runs the job.
+ * @param {string} expression - Cron expression.
+ * @returns {{expression: string, minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>,
+ * weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}} Parsed expression.
+ * @throws {TelegramBotError} If the expression is invalid.
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw cronError(expression, 'it must be a string');
+  }
+  const source = CRON_MACROS[expression.trim().toLowerCase()] ?? expression.trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw cronError(expression, `it has ${fields.length} ${fields.length === 1 ? 'field' : 'fields'} instead of 5`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index], expression));
+  return { expression, minutes, hours, days, months, weekdays, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+}
+
+/**
+ * Parse one field of a cron expression into the values it matches.
+ * @param {string} text - Field text.
+ * @param {Object} field - Entry of CRON_FIELDS.
+ * @param {string} expression - Whole expression, for error messages.
+ * @returns {Set<number>} Matching values (Sunday is always 0).
+ * @throws {TelegramBotError} If the field is invalid.
+ */
+function parseCronField(text, field, expression) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i.exec(part);
+    if (!match) {
+      throw cronError(expression, `the ${field.name} "${part}" is invalid`);
+    }
+    const [, range, step] = match;
+    let [start, end] = range === '*' ? [field.min, field.max] : range.split('-').map((value) => cronValue(value, field, expression));
+    if (end === undefined) {
+      // "5/15" runs from 5 to the end of the range
+      end = step === undefined ? start : field.max;
+    }
+    if (start > end) {
+      throw cronError(expression, `the ${field.name} "${part}" is an empty range`);
+    }
+    if (Number(step) === 0) {
+      throw cronError(expression, `the ${field.name} "${part}" has a step of 0`);
+    }
+    for (let value = start; value <= end; value += Number(step ?? 1)) {
+      values.add(field.name === 'day of week' ? value % 7 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Read a number or name in a cron field.
+ * @param {string} text - Value text.
+ * @param {Object} field - Entry of CRON_FIELDS.
+ * @param {string} expression - Whole expression, for error messages.
+ * @returns {number} Value.
+ * @throws {TelegramBotError} If the value is out of range or unknown.
+ */
+function cronValue(text, field, expression) {
+  const index = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (index !== -1) {
+    return index + field.offset;
+  }
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!(value >= field.min && value <= field.max)) {
+    throw cronError(expression, `the ${field.name} "${text}" is not between ${field.min} and ${field.max}`);
+  }
+  return value;
+}
+
+/**
+ * Find the next time a cron expression matches, in the local time zone of the process (set TZ to change it).
+ * @param {string|Object} cron - Cron expression, or one parsed by parseCron.
+ * @param {Date|number} [after=new Date()] - The result is the first matching minute after this time.
+ * @returns {Date} Next run.
+ * @throws {TelegramBotError} If the expression is invalid or never matches (e.g. 30 February).
+ */
+function nextCronRun(cron, after = new Date()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  // Every valid expression matches within eight years (29 February on a given weekday takes the longest)
+  const limit = new Date(date).setFullYear(date.getFullYear() + 8);
+
+  const dayMatches = () => {
+    const day = parsed.days.has(date.getDate());
+    const weekday = parsed.weekdays.has(date.getDay());
+    if (parsed.anyDay || parsed.anyWeekday) {
+      return day && weekday;
+    }
+    return day || weekday;
+  };
+
+  while (date.getTime() <= limit) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches()) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  throw cronError(parsed.expression, 'it never matches a date');
+}
+
+/**
+ * Convert a delay to ms.
+ * @param {number|string} value - ms, or a duration such as '90s', '10m', '1h30m', '2d' or '1w'.
+ * @returns {number} Delay in ms.
+ * @throws {TelegramBotError} If the value is not a non-negative number or a valid duration.
+ */
+function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+  const text = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (/^(?:\d+(?:\.\d+)?(?:ms|s|m|h|d|w))+$/.test(text)) {
+    return [...text.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g)].reduce((total, [, amount, unit]) => total + Number(amount) * DURATION_UNITS[unit], 0);
+  }
+  throw new TelegramBotError(
+    `Invalid delay: ${JSON.stringify(value) ?? String(value)}`,
+    'Give the delay in ms, or as a duration such as "90s", "10m", "1h30m" or "2d".'
+  );
+}
+
+/**
+ * Work out when a job runs.
+ * @param {{at?: Date|string|number, delay?: number|string, cron?: string}} when - Exactly one of: a time (Date, ISO
+ * string or ms since the epoch), a delay (ms or a duration such as '10m') or a cron expression.
+ * @param {Date} [now=new Date()] - Current time.
+ * @returns {{nextRun: Date, cron?: string}} First run, and the cron expression of repeating jobs.
+ * @throws {TelegramBotError} If `when` is invalid, in the past, or a cron expression that never matches.
+ */
+function resolveWhen(when, now = new Date()) {
+  const keys = when !== null && typeof when === 'object' ? ['at', 'delay', 'cron'].filter((key) => when[key] !== undefined) : [];
+  if (keys.length !== 1) {
+    throw new TelegramBotError(
+      'A scheduled message needs exactly one of at, delay or cron',
+      'Pass e.g. { at: "2025-06-01T09:00:00Z" }, { delay: "10m" } or { cron: "0 9 * * 1-5" }.'
+    );
+  }
+  if (keys[0] === 'cron') {
+    return { nextRun: nextCronRun(parseCron(when.cron), now), cron: when.cron.trim() };
+  }
+  if (keys[0] === 'delay') {
+    return { nextRun: new Date(now.getTime() + parseDuration(when.delay)) };
+  }
+  const at = new Date(when.at);
+  if (Number.isNaN(at.getTime()) || typeof when.at === 'boolean') {
+    throw new TelegramBotError(`Invalid time: ${String(when.at)}`, 'Give a Date, an ISO 8601 string such as "2025-06-01T09:00:00Z", or ms since the epoch.');
+  }
+  if (at < now) {
+    throw new TelegramBotError(`The time ${at.toISOString()} is in the past`, 'Schedule the message for a later time, or send it now.');
+  }
+  return { nextRun: at };
+}
+
+/**
+ * Build a schedule job.
+ * @param {Object} fields - { channel, text, parseMode?, buttons?, options, nextRun, cron? }.
+ * @returns {Object} Job with a new id and createdAt, and nextRun as an ISO string.
+ */
+function createJob({ nextRun, ...fields }) {
+  return { id: crypto.randomUUID(), createdAt: new Date().toISOString(), ...fields, nextRun: nextRun.toISOString() };
+}
+
+/**
+ * Take the due jobs out of a list: one-time jobs are removed and repeating jobs move on to their next run.
+ * Missed runs of a repeating job (e.g. while no scheduler was running) run once, not once per missed time.
+ * @param {Object[]} jobs - Stored jobs.
+ * @param {Date} now - Current time.
+ * @returns {{due: Object[], remaining: Object[]}} Jobs to run now, and the jobs to store.
+ */
+function takeDue(jobs, now) {
+  const due = jobs.filter((job) => Date.parse(job.nextRun) <= now.getTime());
+  const remaining = jobs.flatMap((job) => {
+    if (!due.includes(job)) {
+      return [job];
+    }
+    if (!job.cron) {
+      return [];
+    }
+    return [{ ...job, nextRun: nextCronRun(job.cron, now).toISOString(), lastRun: now.toISOString(), runs: (job.runs ?? 0) + 1 }];
+  });
+  return { due, remaining };
+}
+
+/**
+ * Order jobs by their next run.
+ * @param {Object[]} jobs - Jobs.
+ * @returns {Object[]} Sorted copy.
+ */
+function byNextRun(jobs) {
+  return [...jobs].sort((a, b) => Date.parse(a.nextRun) - Date.parse(b.nextRun));
+}
+
+/**
+ * Create a file-based schedule store. Changes take a lock file, so several processes can share the store and a due
+ * job is only ever taken by one of them.
+ * @param {Object} [options] - Store options.
+ * @param {string} [options.dir='.telefy/schedule'] - Directory holding schedule.jsonl (created on first add).
+ * @returns {{dir: string, file: string, persistent: true, add: Function, list: Function, remove: Function,
+ * claimDue: Function}} Store.
+ */
+function createScheduleStore({ dir = DEFAULT_SCHEDULE_DIR } = {}) {
+  const file = path.resolve(dir, SCHEDULE_FILE);
+  // File operations of this process run one at a time; the lock file covers other processes
+  let pending = Promise.resolve();
+
+  /**
+   * Run a file operation after the ones already started, holding the lock file if it changes the store.
+   * @param {function(): Promise<*>} operation - Operation.
+   * @param {boolean} [lock=true] - Take the lock file.
+   * @returns {Promise<*>} Its result.
+   */
+  function exclusive(operation, lock = true) {
+    const run = pending.then(() => (lock
+      ? withLockFile(file, operation, { name: 'schedule', toError: scheduleError })
+      : operation()));
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read all jobs.
+   * @returns {Promise<Object[]>} Jobs in the order they were added.
+   * @throws {TelegramBotError} If the file exists but cannot be read.
+   */
+  async function read() {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw scheduleError(`Could not read the schedule ${file}: ${error.message}`);
+    }
+    // A line cut short by a crash mid-write is skipped rather than blocking the whole schedule
+    return text.split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Replace all jobs, through a temporary file so a crash never leaves a half-written schedule.
+   * @param {Object[]} jobs - Jobs to keep.
+   * @throws {TelegramBotError} If the file cannot be written.
+   */
+  async function write(jobs) {
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(temp, jobs.map((job) => `${JSON.stringify(job)}\n`).join(''));
+      await fs.rename(temp, file);
+    } catch (error) {
+      throw scheduleError(`Could not write to the schedule ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a job.
+   * @param {Object} job - Job from createJob.
+   * @returns {Promise<Object>} The job.
+   */
+  function add(job) {
+    return exclusive(async () => {
+      try {
+        await fs.appendFile(file, `${JSON.stringify(job)}\n`);
+      } catch (error) {
+        throw scheduleError(`Could not write to the schedule ${file}: ${error.message}`);
+      }
+      return job;
+    });
+  }
+
+  /**
+   * List the stored jobs, next to run first.
+   * @returns {Promise<Object[]>} Jobs.
+   */
+  function list() {
+    return exclusive(async () => byNextRun(await read()), false);
+  }
+
+  /**
+   * Remove jobs.
+   * @param {string[]} ids - Jobs to remove.
+   * @returns {Promise<number>} Number of jobs removed.
+   */
+  function remove(ids) {
+    return exclusive(async () => {
+      const jobs = await read();
+      const remaining = jobs.filter((job) => !ids.includes(job.id));
+      if (remaining.length !== jobs.length) {
+        await write(remaining);
+      }
+      return jobs.length - remaining.length;
+    });
+  }
+
+  /**
+   * Take the jobs that are due: one-time jobs are removed and repeating jobs move on to their next run.
+   * @param {Date} [now=new Date()] - Current time.
+   * @returns {Promise<Object[]>} Due jobs, as they were stored.
+   */
+  function claimDue(now = new Date()) {
+    return exclusive(async () => {
+      const { due, remaining } = takeDue(await read(), now);
+      if (due.length > 0) {
+        await write(remaining);
+      }
+      return due;
+    });
+  }
+
+  return { dir: path.dirname(file), file, persistent: true, add, list, remove, claimDue };
+}
+
+/**
+ * Create a schedule store that keeps jobs in memory, for clients without a persistent store.
+ * @returns {{persistent: false, add: Function, list: Function, remove: Function, claimDue: Function}} Store.
+ */
+function createMemoryStore() {
+  let jobs = [];
+  return {
+    persistent: false,
+    async add(job) {
+      jobs.push(job);
+      return job;
+    },
+    async list() {
+      return byNextRun(jobs);
+    },
+    async remove(ids) {
+      const count = jobs.length;
+      jobs = jobs.filter((job) => !ids.includes(job.id));
+      return count - jobs.length;
+    },
+    async claimDue(now = new Date()) {
+      const { due, remaining } = takeDue(jobs, now);
+      jobs = remaining;
+      return due;
+    },
+  };
+}
+
+/**
+ * Turn the schedule option into a store.
+ * @param {boolean|Object|undefined} option - Falsy for memory, true for .telefy/schedule, { dir }, or a store object
+ * with add, list, remove and claimDue.
+ * @returns {Object} Store.
+ */
+function resolveScheduleStore(option) {
+  if (!option) {
+    return createMemoryStore();
+  }
+  if (typeof option.claimDue === 'function') {
+    return option;
+  }
+  return createScheduleStore(option === true ? {} : option);
+}
+
+/**
+ * Create the scheduler that sends the due jobs of a store. It sleeps until the next job is due, and at most
+ * pollInterval so it notices jobs other processes add.
+ *
+ * The scheduler keeps the process running while it has jobs of its own (see own()) or was started with keepAlive;
+ * otherwise its timer does not hold the process open.
+ * @param {Object} store - Schedule store.
+ * @param {function(Object): Promise<Object[]>} run - Sends a job and resolves with its results.
+ * @param {Object} [options] - Scheduler options.
+ * @param {number} [options.pollInterval=30000] - Longest time between looks at the store, in ms.
+ * @returns {{start: Function, stop: Function, wake: Function, own: Function, running: function(): boolean}} Scheduler.
+ */
+function createScheduler(store, run, { pollInterval = POLL_INTERVAL } = {}) {
+  const owned = new Set();
+  let running = false;
+  let keepAlive = false;
+  let handlers = {};
+  let timer = null;
+  let ticking = null;
+  let again = false;
+
+  /**
+   * Report a failed job or store error to the handlers, or as a process warning without one.
+   * @param {Object|null} job - Job that failed, or null for store errors.
+   * @param {Error} error - Error.
+   */
+  function reportError(job, error) {
+    if (job && handlers.onRun) {
+      handlers.onRun({ job, error });
+    } else if (!job && handlers.onError) {
+      handlers.onError(error);
+    } else {
+      process.emitWarning(job ? `Scheduled message ${job.id} failed: ${error.message}` : `Scheduler error: ${error.message}`, 'TelefyScheduleWarning');
+    }
+  }
+
+  /**
+   * Send the due jobs, then set the timer for the next look at the store.
+   */
+  async function tick() {
+    clearTimeout(timer);
+    timer = null;
+    let jobs = [];
+    try {
+      for (const job of await store.claimDue(new Date())) {
+        try {
+          const results = await run(job);
+          handlers.onRun?.({ job, results });
+        } catch (error) {
+          reportError(job, error);
+        }
+      }
+      jobs = await store.list();
+    } catch (error) {
+      reportError(null, error);
+    }
+
+    const stored = new Set(jobs.map((job) => job.id));
+    for (const id of owned) {
+      if (!stored.has(id)) {
+        owned.delete(id);
+      }
+    }
+    if (!running) {
+      return;
+    }
+    const next = Math.min(...jobs.map((job) => Date.parse(job.nextRun)));
+    timer = setTimeout(wake, Math.min(Math.max(next - Date.now(), 0), pollInterval, MAX_TIMER_DELAY));
+    if (!keepAlive && owned.size === 0) {
+      timer.unref();
+    }
+  }
+
+  /**
+   * Look at the store now (again after the current look, if one is under way).
+   * @returns {Promise<void>} Resolves once the store has been looked at.
+   */
+  function wake() {
+    if (!running) {
+      return Promise.resolve();
+    }
+    if (ticking) {
+      again = true;
+      return ticking;
+    }
+    ticking = (async () => {
+      do {
+        again = false;
+        await tick();
+      } while (again && running);
+    })().finally(() => {
+      ticking = null;
+    });
+    return ticking;
+  }
+
+  /**
+   * Start the scheduler, or update the handlers of a running one.
+   * @param {Object} [options] - Start options.
+   * @param {boolean} [options.keepAlive=false] - Keep the process running until stop().
+   * @param {function(Object): void} [options.onRun] - Called after each job with { job, results } or { job, error }.
+   * @param {function(Error): void} [options.onError] - Called when the store cannot be read or written.
+   * @returns {Promise<void>} Resolves after the first look at the store.
+   */
+  function start({ keepAlive: keep = false, onRun, onError } = {}) {
+    keepAlive = keepAlive || keep;
+    handlers = { onRun: onRun ?? handlers.onRun, onError: onError ?? handlers.onError };
+    running = true;
+    return wake();
+  }
+
+  /**
+   * Stop the scheduler after the job being sent, if any.
+   * @returns {Promise<void>} Resolves once stopped.
+   */
+  async function stop() {
+    running = false;
+    keepAlive = false;
+    clearTimeout(timer);
+    timer = null;
+    await ticking;
+  }
+
+  return {
+    start,
+    stop,
+    wake,
+    own: (id) => owned.add(id),
+    running: () => running,
+  };
+}
+
+/**
+ * Build an invalid cron expression error.
+ * @param {*} expression - Expression.
+ * @param {string} reason - What is wrong with it.
+ * @returns {TelegramBotError} Error.
+ */
+function cronError(expression, reason) {
+  return new TelegramBotError(
+    `Invalid cron expression "${expression}": ${reason}`,
+    'Use five fields, minute hour day-of-month month day-of-week, e.g. "0 9 * * 1-5" for 09:00 on weekdays, or @hourly, @daily, @weekly or @monthly.'
+  );
+}
+
+/**
+ * Build a schedule store error with a suggestion.
+ * @param {string} message - What went wrong.
+ * @returns {TelegramBotError} Error.
+ */
+function scheduleError(message) {
+  return new TelegramBotError(message, 'Check that the schedule directory exists and is writable, or set a different one.');
+}
+
+export {
+  DEFAULT_SCHEDULE_DIR,
+  parseCron,
+  nextCronRun,
+  parseDuration,
+  resolveWhen,
+  createJob,
+  createScheduleStore,
+  resolveScheduleStore,
+  createScheduler,
+};
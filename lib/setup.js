@@ -0,0 +1,200 @@
+/**
+ * @file lib/setup.js
+ * @description Adds and removes channels in .env or the config file, leaving the rest of the file as it was.
+ * @license MIT
+ */
+
+import fs from 'fs';
+import YAML from 'yaml';
+import { updateEnvFile } from './envfile.js';
+import { TelegramBotError } from './errors.js';
+
+/**
+ * Hide all of a bot token but the bot ID and the last four characters.
+ * @param {string} token - Bot token.
+ * @returns {string} Masked token, e.g. 123456789:****wxyz.
+ */
+function maskToken(token) {
+  const separator = String(token).indexOf(':');
+  const secret = separator === -1 ? String(token) : String(token).slice(separator + 1);
+  const botId = separator === -1 ? '' : `${String(token).slice(0, separator)}:`;
+  return `${botId}****${secret.length > 8 ? secret.slice(-4) : ''}`;
+}
+
+/**
+ * Save a channel, replacing any channel of the same name. The token and chat are removed from the other file, so an
+ * old entry there cannot override the new one; other settings of the channel in the config file are kept.
+ * @param {string} name - Channel name.
+ * @param {{token: string, chatId: string}} channel - Bot token and chat (<chat_id> or <chat_id>:<topic_id>).
+ * @param {Object} files - Files of the configuration.
+ * @param {string} [files.envFile] - .env file; the channel is written as CHANNEL_<NAME>_TOKEN and CHANNEL_<NAME>_CHAT_ID.
+ * @param {string} [files.configFile] - JSON or YAML config file; the channel is written under channels.<name>.
+ * @param {string} [files.saveTo='env'] - 'env' or 'config': which of the two files to write the channel to.
+ * @returns {Promise<void>}
+ * @throws {TelegramBotError} If a file cannot be read, parsed or written.
+ */
+async function saveChannel(name, { token, chatId }, { envFile, configFile, saveTo = 'env' }) {
+  const channelName = name.toLowerCase();
+  const prefix = `CHANNEL_${channelName.toUpperCase()}`;
+  const toConfig = saveTo === 'config';
+
+  if (configFile && (toConfig || fs.existsSync(configFile))) {
+    await updateConfigFile(configFile, (config) => {
+      const entry = Object.entries(config.channels ?? {}).find(([key]) => key.toLowerCase() === channelName)?.[1];
+      if (!toConfig && entry?.token === undefined && entry?.chatId === undefined && entry?.chat_id === undefined) {
+        return false;
+      }
+      const settings = Object.fromEntries(Object.entries(entry ?? {}).filter(([key]) => !['token', 'chatId', 'chat_id'].includes(key)));
+      const channels = withoutChannel(config.channels, channelName);
+      if (toConfig) {
+        channels[channelName] = { ...settings, token, chatId };
+      } else if (Object.keys(settings).length > 0) {
+        channels[channelName] = settings;
+      }
+      config.channels = channels;
+      return true;
+    });
+  }
+  if (envFile && (!toConfig || fs.existsSync(envFile))) {
+    // A topic in the chat ID replaces a separate THREAD_ID from an earlier setup
+    await updateEnvFile(envFile, {
+      [`${prefix}_TOKEN`]: toConfig ? undefined : token,
+      [`${prefix}_CHAT_ID`]: toConfig ? undefined : chatId,
+      [`${prefix}_THREAD_ID`]: undefined,
+    });
+  }
+}
+
+/**
+ * Remove a channel from the .env file and the config file. In the config file, the channel is also taken out of its
+ * groups (dropping groups left empty) and out of defaults.channel.
+ * @param {string} name - Channel name.
+ * @param {Object} files - Files to remove it from.
+ * @param {string} [files.envFile] - .env file.
+ * @param {string} [files.configFile] - JSON or YAML config file.
+ * @returns {Promise<string[]>} The files the channel was removed from.
+ * @throws {TelegramBotError} If a file cannot be read, parsed or written.
+ */
+async function removeChannel(name, { envFile, configFile }) {
+  const channelName = name.toLowerCase();
+  const removedFrom = [];
+
+  if (envFile && fs.existsSync(envFile)) {
+    const prefix = `CHANNEL_${channelName.toUpperCase()}`;
+    const { removed } = await updateEnvFile(envFile, {
+      [`${prefix}_TOKEN`]: undefined,
+      [`${prefix}_CHAT_ID`]: undefined,
+      [`${prefix}_THREAD_ID`]: undefined,
+    });
+    if (removed.length > 0) {
+      removedFrom.push(envFile);
+    }
+  }
+
+  if (configFile) {
+    await updateConfigFile(configFile, (config) => {
+      const channels = withoutChannel(config.channels, channelName);
+      if (!config.channels || Object.keys(channels).length === Object.keys(config.channels).length) {
+        return false;
+      }
+      config.channels = channels;
+      for (const [group, members] of Object.entries(config.groups ?? {})) {
+        const remaining = Array.isArray(members) ? members.filter((member) => String(member).toLowerCase() !== channelName) : members;
+        if (Array.isArray(remaining) && remaining.length === 0) {
+          delete config.groups[group];
+        } else {
+          config.groups[group] = remaining;
+        }
+      }
+      if (String(config.defaults?.channel ?? '').toLowerCase() === channelName) {
+        delete config.defaults.channel;
+      }
+      removedFrom.push(configFile);
+      return true;
+    });
+  }
+  return removedFrom;
+}
+
+/**
+ * Copy the channels section without a channel, whatever the case of its key.
+ * @param {Object} [channels] - Channels section of the config file.
+ * @param {string} channelName - Lowercased channel name.
+ * @returns {Object} Remaining channels.
+ */
+function withoutChannel(channels, channelName) {
+  return Object.fromEntries(Object.entries(channels ?? {}).filter(([key]) => key.toLowerCase() !== channelName));
+}
+
+/**
+ * Read a JSON or YAML config file (an empty object if it does not exist yet), let the caller change it, and write it
+ * back. YAML comments and formatting outside the changed sections are kept.
+ * @param {string} file - Path of the config file.
+ * @param {function(Object): (boolean|void)} change - Changes the parsed config in place; returning false skips the write.
+ * @returns {Promise<void>}
+ * @throws {TelegramBotError} If the file cannot be read, parsed or written.
+ */
+async function updateConfigFile(file, change) {
+  const yaml = /\.ya?ml$/i.test(file);
+  let text = '';
+  try {
+    text = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw configFileError(file, error);
+    }
+  }
+
+  let output;
+  try {
+    if (yaml) {
+      const document = YAML.parseDocument(text);
+      const config = document.toJS() ?? {};
+      if (change(config) === false) {
+        return;
+      }
+      for (const section of ['channels', 'groups', 'defaults']) {
+        if (config[section] === undefined) {
+          document.delete(section);
+        } else if (JSON.stringify(config[section]) !== JSON.stringify(document.toJS()?.[section])) {
+          document.set(section, document.createNode(config[section]));
+        }
+      }
+      output = String(document);
+    } else {
+      const config = text.trim() === '' ? {} : JSON.parse(text);
+      if (change(config) === false) {
+        return;
+      }
+      output = `${JSON.stringify(config, null, 2)}\n`;
+    }
+  } catch (error) {
+    throw configFileError(file, error);
+  }
+
+  try {
+    await fs.promises.writeFile(file, output);
+  } catch (error) {
+    throw configFileError(file, error);
+  }
+}
+
+/**
+ * Build the error for a config file that cannot be updated.
+ * @param {string} file - Path of the file.
+ * @param {Error} error - File system or parse error.
+ * @returns {TelegramBotError} Error with suggestion.
+ */
+function configFileError(file, error) {
+  return new TelegramBotError(
+    `Could not update ${file}: ${error.message}`,
+    /\.ya?ml$/i.test(file) ? 'Check the file is valid YAML and writable.' : 'Check the file is valid JSON and writable.',
+    { cause: error }
+  );
+}
+
+export {
+  maskToken,
+  saveChannel,
+  removeChannel,
+};
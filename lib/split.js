@@ -0,0 +1,240 @@
+/**
+ * @file lib/split.js
+ * @description Splits long message text into parts that fit Telegram's 4096 character limit.
+ * @description Parts are cut on paragraph, line or word boundaries, never inside a Markdown/HTML entity;
+ * code blocks and HTML tags that span a cut are closed at the end of one part and reopened in the next.
+ * @license MIT
+ */
+
+const MAX_MESSAGE_LENGTH = 4096;
+
+/**
+ * Split text into message parts.
+ * @param {string} text - Full message text.
+ * @param {string} parseMode - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
+ * @param {number} [limit=4096] - Maximum length of each part.
+ * @returns {string[]} Message parts in order.
+ */
+function splitMessage(text, parseMode, limit = MAX_MESSAGE_LENGTH) {
+  const parts = [];
+  let rest = text;
+  let reopened = 0;
+
+  while (rest.length > limit) {
+    const states = scan(rest, limit, parseMode);
+    const { end, state } = findCut(rest, states, limit, reopened);
+    const prefix = opening(state);
+
+    parts.push(rest.slice(0, end).replace(/\s+$/, '') + closing(state));
+    rest = prefix + rest.slice(end).replace(/^[ \t]*\n?/, '');
+    reopened = prefix.length;
+  }
+  if (rest.trim()) {
+    parts.push(rest);
+  }
+  return parts;
+}
+
+/**
+ * Scan the first `limit` characters, recording the formatting state at every position.
+ * A null entry means cutting there would break an entity.
+ * @param {string} text - Text to scan.
+ * @param {number} limit - Number of characters to scan.
+ * @param {string} parseMode - Parse mode.
+ * @returns {Array<Object|null>} State per position (index = number of characters before the cut).
+ */
+function scan(text, limit, parseMode) {
+  return parseMode === 'HTML' ? scanHTML(text, limit) : scanMarkdown(text, limit, parseMode === 'MarkdownV2');
+}
+
+/**
+ * Scan Markdown or MarkdownV2 text.
+ * @param {string} text - Text to scan.
+ * @param {number} limit - Number of characters to scan.
+ * @param {boolean} v2 - Whether MarkdownV2 entities (~, ||, __) apply.
+ * @returns {Array<Object|null>} State per position.
+ */
+function scanMarkdown(text, limit, v2) {
+  const states = new Array(limit + 1).fill(null);
+  const toggles = new Set();
+  let codeBlock = null; // Language of the open ``` block ('' when none given)
+  let inlineCode = false;
+  let linkText = false;
+  let linkUrl = false;
+
+  const record = (index) => {
+    if (!inlineCode && toggles.size === 0 && !linkText && !linkUrl) {
+      states[index] = { codeBlock };
+    }
+  };
+
+  let i = 0;
+  record(0);
+  while (i < limit) {
+    const char = text[i];
+    let step = 1;
+
+    if (codeBlock !== null) {
+      if (text.startsWith('```', i)) {
+        codeBlock = null;
+        step = 3;
+      } else if (char === '\\') {
+        step = 2;
+      }
+    } else if (inlineCode) {
+      if (char === '`') {
+        inlineCode = false;
+      } else if (char === '\\') {
+        step = 2;
+      }
+    } else if (linkUrl) {
+      if (char === ')') {
+        linkUrl = false;
+      } else if (char === '\\') {
+        step = 2;
+      }
+    } else if (char === '\\') {
+      step = 2;
+    } else if (text.startsWith('```', i)) {
+      const header = /^(\w*)\n/.exec(text.slice(i + 3, i + 64));
+      codeBlock = header ? header[1] : '';
+      step = 3 + (header ? header[0].length : 0);
+    } else if (char === '`') {
+      inlineCode = true;
+    } else if (char === '[' && !linkText) {
+      linkText = true;
+    } else if (char === ']' && linkText) {
+      linkText = false;
+      if (text[i + 1] === '(') {
+        linkUrl = true;
+        step = 2;
+      }
+    } else {
+      const marker = v2 && (text.startsWith('||', i) || text.startsWith('__', i)) ? text.slice(i, i + 2) : char;
+      if (marker === '*' || marker === '_' || (v2 && ['~', '||', '__'].includes(marker))) {
+        if (toggles.has(marker)) {
+          toggles.delete(marker);
+        } else {
+          toggles.add(marker);
+        }
+        step = marker.length;
+      }
+    }
+
+    i += step;
+    if (i <= limit) {
+      record(i);
+    }
+  }
+  return states;
+}
+
+/**
+ * Scan HTML text.
+ * @param {string} text - Text to scan.
+ * @param {number} limit - Number of characters to scan.
+ * @returns {Array<Object|null>} State per position; state.tags lists the open tags as written.
+ */
+function scanHTML(text, limit) {
+  const states = new Array(limit + 1).fill(null);
+  const tags = [];
+
+  let i = 0;
+  states[0] = { tags: [] };
+  while (i < limit) {
+    let step = 1;
+    if (text[i] === '<') {
+      const end = text.indexOf('>', i);
+      if (end !== -1) {
+        const tag = text.slice(i, end + 1);
+        const name = /^<\/?\s*([a-zA-Z-]+)/.exec(tag)?.[1]?.toLowerCase();
+        if (name && tag.startsWith('</')) {
+          const index = tags.map((open) => open.name).lastIndexOf(name);
+          if (index !== -1) {
+            tags.splice(index);
+          }
+        } else if (name && !tag.endsWith('/>')) {
+          tags.push({ name, tag });
+        }
+        step = end + 1 - i;
+      }
+    } else if (text[i] === '&') {
+      const end = /^&#?\w+;/.exec(text.slice(i, i + 12));
+      step = end ? end[0].length : 1;
+    }
+
+    i += step;
+    if (i <= limit) {
+      states[i] = { tags: [...tags] };
+    }
+  }
+  return states;
+}
+
+/**
+ * Pick where to cut: the last paragraph break, line break or space with a safe state, else the last safe position.
+ * @param {string} text - Remaining text.
+ * @param {Array<Object|null>} states - State per position from scan().
+ * @param {number} limit - Maximum part length.
+ * @param {number} minEnd - Cuts must come after this position so every part makes progress.
+ * @returns {{end: number, state: Object}} Cut position and the formatting state there.
+ */
+function findCut(text, states, limit, minEnd) {
+  const boundaries = [
+    (index) => text[index] === '\n' && text[index - 1] === '\n',
+    (index) => text[index] === '\n',
+    (index) => text[index] === ' ',
+    () => true,
+  ];
+
+  for (const isBoundary of boundaries) {
+    for (let index = limit; index > minEnd; index--) {
+      const state = states[index];
+      if (state && isBoundary(index) && index + closing(state).length <= limit && !isHighSurrogate(text, index - 1)) {
+        return { end: index, state };
+      }
+    }
+  }
+  // No safe position at all (e.g. a single entity longer than the limit): hard cut
+  return { end: isHighSurrogate(text, limit - 1) ? limit - 1 : limit, state: {} };
+}
+
+/**
+ * Check whether the character at index is the first half of a surrogate pair.
+ * @param {string} text - Text.
+ * @param {number} index - Character index.
+ * @returns {boolean} True if cutting after index would split an emoji or other astral character.
+ */
+function isHighSurrogate(text, index) {
+  const code = text.charCodeAt(index);
+  return code >= 0xd800 && code <= 0xdbff;
+}
+
+/**
+ * Markup that closes the formatting open at a cut.
+ * @param {Object} state - Formatting state at the cut.
+ * @returns {string} Closing markup.
+ */
+function closing(state) {
+  if (state.tags) {
+    return state.tags.map(({ name }) => `</${name}>`).reverse().join('');
+  }
+  return typeof state.codeBlock === 'string' ? '\n```' : '';
+}
+
+/**
+ * Markup that reopens the formatting open at a cut.
+ * @param {Object} state - Formatting state at the cut.
+ * @returns {string} Opening markup.
+ */
+function opening(state) {
+  if (state.tags) {
+    return state.tags.map(({ tag }) => tag).join('');
+  }
+  return typeof state.codeBlock === 'string' ? `\`\`\`${state.codeBlock}\n` : '';
+}
+
+export {
+  MAX_MESSAGE_LENGTH,
+  splitMessage,
+};
@@ -0,0 +1,402 @@
+/**
+ * @file lib/templates.js
+ * @description Message templates: named files (e.g. templates/deploy.md) rendered with variables, conditionals and
+ * loops, values escaped for the parse mode, and buttons defined in YAML front matter.
+ * @license MIT
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { TelegramBotError } from './errors.js';
+import { escapeText, FormattedText } from './format.js';
+
+const DEFAULT_TEMPLATES_DIR = 'templates';
+const PARSE_MODES = ['Markdown', 'HTML', 'MarkdownV2'];
+// Extensions tried for a name without one, and the parse mode each implies
+const EXTENSIONS = { '.md': undefined, '.html': 'HTML', '.txt': undefined };
+const FRONT_MATTER_KEYS = ['parseMode', 'buttons', 'description'];
+// Variable names that would reach Object.prototype when set by path
+const UNSAFE_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+const TAG = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH = String.raw`(?:@\w+|this(?:\.[\w-]+)*|[\w-]+(?:\.[\w-]+)*)`;
+const LITERAL = String.raw`"[^"]*"|'[^']*'|-?\d+(?:\.\d+)?|true|false`;
+const VALUE_EXPRESSION = new RegExp(String.raw`^(${PATH})(?:\s*\?\?\s*(${LITERAL}))?$`);
+const CONDITION = new RegExp(String.raw`^(${PATH})(?:\s*(==|!=)\s*(${LITERAL}))?$`);
+
+/**
+ * Render a template. The source may start with YAML front matter between --- lines, giving its parseMode and buttons.
+ *
+ * Syntax: {{name}} and {{user.name}} insert a value escaped for the parse mode ({{{name}}} inserts it as-is);
+ * {{name ?? "fallback"}} gives a default; {{#if name}}, {{#if env == "prod"}}, {{#unless name}} with optional
+ * {{else}} and {{/if}} / {{/unless}} choose text; {{#each items}} ... {{/each}} repeats text for each item of a list,
+ * with {{this}}, {{this.field}}, {{@index}}, {{@number}}, {{@first}} and {{@last}}; {{! comment }} is dropped. Tags
+ * alone on their line take the line with them.
+ *
+ * @param {string} source - Template source.
+ * @param {Object} [vars={}] - Variables; FormattedText values of the same parse mode are inserted as-is.
+ * @param {Object} [options] - Render options.
+ * @param {string} [options.parseMode='Markdown'] - Parse mode when the front matter does not set one.
+ * @param {string} [options.name='template'] - Template name, for errors.
+ * @param {boolean} [options.strict=true] - Throw for missing variables instead of inserting nothing.
+ * @param {Array} [options.buttons] - Buttons when the front matter does not define any.
+ * @returns {{text: string, parseMode: string, buttons: Object[][]}} Rendered text, its parse mode and inline keyboard
+ * rows (empty without buttons).
+ * @throws {TelegramBotError} If the template is malformed or uses a variable that was not given.
+ */
+function renderTemplate(source, vars = {}, { parseMode, name = 'template', strict = true, buttons: defaultButtons } = {}) {
+  const { settings, body } = splitFrontMatter(String(source), name);
+  const mode = settings.parseMode ?? parseMode ?? 'Markdown';
+  const context = { name, strict, parseMode: mode };
+  // The newline ending the file is not part of the message
+  const text = renderNodes(parse(body, name), [{ value: vars }], { ...context, escape: true }).trimEnd();
+
+  // Front matter buttons: each entry is a button on its own row, or a list of buttons for one row
+  const buttons = (settings.buttons ?? defaultButtons ?? []).map((row) => (Array.isArray(row) ? row : [row]).filter((button) => {
+    if (button === null || typeof button !== 'object' || Array.isArray(button)) {
+      throw templateError(name, 'has a button that is not an object', 'Define buttons as { text, url } (or another inline button type).');
+    }
+    return button.if === undefined || evaluate(String(button.if), [{ value: vars }], context);
+  }).map(({ if: condition, ...button }) => Object.fromEntries(Object.entries(button).map(([key, value]) => [
+    key,
+    typeof value === 'string' ? renderNodes(parse(value, name), [{ value: vars }], { ...context, escape: false }) : value,
+  ])))).filter((row) => row.length > 0);
+
+  return { text, parseMode: mode, buttons };
+}
+
+/**
+ * Create a loader for named templates.
+ * @param {string|Object<string, string>} [option='templates'] - Directory holding <name>.md / .html / .txt files, or
+ * template sources keyed by name.
+ * @returns {function(string): Promise<{name: string, source: string, parseMode?: string, file?: string}>} Loader;
+ * .html files imply HTML.
+ * @throws {TelegramBotError} From the loader, if the name is invalid or the template does not exist.
+ */
+function resolveTemplates(option = DEFAULT_TEMPLATES_DIR) {
+  if (typeof option !== 'string') {
+    const sources = Object.fromEntries(Object.entries(option));
+    return async (name) => {
+      if (!Object.hasOwn(sources, name)) {
+        throw new TelegramBotError(
+          `Template "${name}" not found`,
+          `Available templates: ${Object.keys(sources).join(', ') || 'none'}.`
+        );
+      }
+      return { name, source: String(sources[name]) };
+    };
+  }
+
+  const dir = option;
+  return async (name) => {
+    if (typeof name !== 'string' || !/^[\w-]+(?:\/[\w-]+)*(?:\.\w+)?$/.test(name)) {
+      throw new TelegramBotError(
+        `Invalid template name: ${name}`,
+        'Use the file name in the templates directory, without or with its extension (e.g. deploy or alerts/disk.html).'
+      );
+    }
+    const extension = path.extname(name);
+    const candidates = extension ? [name] : Object.keys(EXTENSIONS).map((ext) => `${name}${ext}`);
+    for (const candidate of candidates) {
+      const file = path.resolve(dir, candidate);
+      try {
+        const source = await fs.promises.readFile(file, 'utf8');
+        const parseMode = EXTENSIONS[path.extname(candidate)];
+        return { name, source, file, ...(parseMode ? { parseMode } : {}) };
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new TelegramBotError(`Could not read template ${file}: ${error.message}`, 'Check the file is readable.');
+        }
+      }
+    }
+    throw new TelegramBotError(
+      `Template "${name}" not found in ${dir}`,
+      `Create ${path.join(dir, extension ? name : `${name}.md`)}, or point templates (TELEFY_TEMPLATES_DIR) at the directory holding your templates.`
+    );
+  };
+}
+
+/**
+ * Take the YAML front matter off a template.
+ * @param {string} source - Template source.
+ * @param {string} name - Template name, for errors.
+ * @returns {{settings: {parseMode?: string, buttons?: Array, description?: string}, body: string}} Front matter and text.
+ * @throws {TelegramBotError} If the front matter is not valid YAML or has unknown keys.
+ */
+function splitFrontMatter(source, name) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+  if (!match) {
+    return { settings: {}, body: source };
+  }
+  let settings;
+  try {
+    settings = YAML.parse(match[1]) ?? {};
+  } catch (error) {
+    throw templateError(name, `has invalid front matter: ${error.message}`, 'Write the front matter as YAML between two --- lines.');
+  }
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw templateError(name, 'has front matter that is not a mapping', `Use the keys ${FRONT_MATTER_KEYS.join(', ')}.`);
+  }
+  const unknown = Object.keys(settings).filter((key) => !FRONT_MATTER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw templateError(name, `has unknown front matter keys: ${unknown.join(', ')}`, `Use the keys ${FRONT_MATTER_KEYS.join(', ')}.`);
+  }
+  if (settings.parseMode !== undefined && !PARSE_MODES.includes(settings.parseMode)) {
+    throw templateError(name, `has an invalid parseMode: ${settings.parseMode}`, `Use one of ${PARSE_MODES.join(', ')}.`);
+  }
+  if (settings.buttons !== undefined && !Array.isArray(settings.buttons)) {
+    throw templateError(name, 'has buttons that are not a list', 'List buttons as { text, url } entries, or lists of them for one row.');
+  }
+  return { settings, body: source.slice(match[0].length) };
+}
+
+/**
+ * Parse a template body into a tree of text, value and block nodes.
+ * @param {string} source - Template body.
+ * @param {string} name - Template name, for errors.
+ * @returns {Object[]} Nodes.
+ * @throws {TelegramBotError} If a tag is malformed or a block is not closed.
+ */
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+
+  const append = (node) => {
+    const block = stack[stack.length - 1];
+    (block.inElse ? block.otherwise : block.children).push(node);
+  };
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, raw, content] = match;
+    const kind = raw === undefined ? (/^[#/!]|^else$/.exec(content)?.[0] ?? '') : '';
+    let start = match.index;
+    let end = start + tag.length;
+
+    // A block tag alone on its line takes the line (and its newline) with it
+    if (kind) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const lineEnd = source.indexOf('\n', end);
+      if (lineStart >= cursor && /^[ \t]*$/.test(source.slice(lineStart, start))
+        && /^[ \t\r]*$/.test(source.slice(end, lineEnd === -1 ? source.length : lineEnd))) {
+        start = lineStart;
+        end = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+    if (start > cursor) {
+      append({ type: 'text', value: source.slice(cursor, start) });
+    }
+    cursor = end;
+
+    if (raw !== undefined || kind === '') {
+      const expression = VALUE_EXPRESSION.exec(raw ?? content);
+      if (!expression) {
+        throw templateError(name, `has an invalid tag: ${tag}`, 'Write values as {{name}}, {{user.name}} or {{name ?? "fallback"}}.');
+      }
+      append({ type: 'value', path: expression[1], fallback: literal(expression[2]), escape: raw === undefined });
+    } else if (kind === '#') {
+      const [, block, condition = ''] = /^#(\w+)\s*([\s\S]*)$/.exec(content) ?? [];
+      if (!['if', 'unless', 'each'].includes(block)) {
+        throw templateError(name, `has an unknown block: ${tag}`, 'Use {{#if ...}}, {{#unless ...}} or {{#each ...}}.');
+      }
+      if (!(block === 'each' ? new RegExp(`^${PATH}$`) : CONDITION).test(condition)) {
+        throw templateError(name, `has an invalid condition: ${tag}`,
+          block === 'each' ? 'Name the list to repeat, e.g. {{#each services}}.' : 'Write e.g. {{#if failed}} or {{#if env == "prod"}}.');
+      }
+      const node = { type: block, condition, children: [], otherwise: [], inElse: false };
+      append(node);
+      stack.push(node);
+    } else if (kind === 'else') {
+      const block = stack[stack.length - 1];
+      if (block === root || block.inElse) {
+        throw templateError(name, 'has a misplaced {{else}}', 'Put {{else}} once between {{#if ...}} and {{/if}}.');
+      }
+      block.inElse = true;
+    } else if (kind === '/') {
+      const block = stack.pop();
+      if (block === root || `/${block.type}` !== content) {
+        stack.push(block);
+        throw templateError(name, `has an unexpected ${tag}`,
+          block === root ? 'Remove it, or open the block first.' : `Close {{#${block.type} ${block.condition}}} with {{/${block.type}}} first.`);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = stack[stack.length - 1];
+    throw templateError(name, `has an unclosed {{#${block.type} ${block.condition}}}`, `Close it with {{/${block.type}}}.`);
+  }
+  if (cursor < source.length) {
+    append({ type: 'text', value: source.slice(cursor) });
+  }
+  return root.children;
+}
+
+/**
+ * Render parsed nodes.
+ * @param {Object[]} nodes - Nodes from parse().
+ * @param {Object[]} scopes - Variable scopes, outermost first; {{#each}} adds one per item.
+ * @param {{name: string, strict: boolean, parseMode: string, escape: boolean}} context - Render settings.
+ * @returns {string} Rendered text.
+ * @throws {TelegramBotError} If a variable is missing in strict mode.
+ */
+function renderNodes(nodes, scopes, context) {
+  return nodes.map((node) => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    if (node.type === 'value') {
+      return formatValue(node, lookup(node.path, scopes), context);
+    }
+    if (node.type === 'each') {
+      const list = lookup(node.condition, scopes);
+      if (list !== undefined && list !== null && !Array.isArray(list)) {
+        throw templateError(context.name, `repeats {{#each ${node.condition}}}, which is not a list`, `Pass ${node.condition} as an array.`);
+      }
+      if (!list || list.length === 0) {
+        return renderNodes(node.otherwise, scopes, context);
+      }
+      return list.map((item, index) => renderNodes(node.children, [...scopes, {
+        value: item,
+        item: true,
+        locals: { index, number: index + 1, first: index === 0, last: index === list.length - 1 },
+      }], context)).join('');
+    }
+    const passed = evaluate(node.condition, scopes, context) !== (node.type === 'unless');
+    return renderNodes(passed ? node.children : node.otherwise, scopes, context);
+  }).join('');
+}
+
+/**
+ * Format a {{value}} tag.
+ * @param {{path: string, fallback: *, escape: boolean}} node - Value node.
+ * @param {*} value - Looked-up value.
+ * @param {{name: string, strict: boolean, parseMode: string, escape: boolean}} context - Render settings.
+ * @returns {string} Text to insert.
+ * @throws {TelegramBotError} If the value is missing in strict mode.
+ */
+function formatValue(node, value, context) {
+  if (value === undefined) {
+    value = node.fallback;
+  }
+  if (value === undefined) {
+    if (context.strict) {
+      throw templateError(context.name, `uses {{${node.path}}}, which was not given`,
+        `Pass ${node.path} as a variable (--var ${node.path}=...), or give a fallback: {{${node.path} ?? "unknown"}}.`);
+    }
+    return '';
+  }
+  if (value === null) {
+    return '';
+  }
+  if (value instanceof FormattedText) {
+    return context.escape && node.escape ? escapeText(value, context.parseMode) : value.text;
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return context.escape && node.escape ? escapeText(text, context.parseMode) : text;
+}
+
+/**
+ * Evaluate a condition: a variable's truthiness, or a comparison with a literal.
+ * @param {string} condition - Condition, e.g. 'failed' or 'env == "prod"'.
+ * @param {Object[]} scopes - Variable scopes.
+ * @param {{name: string}} context - Render settings.
+ * @returns {boolean} Result.
+ * @throws {TelegramBotError} If the condition is malformed.
+ */
+function evaluate(condition, scopes, context) {
+  const match = CONDITION.exec(condition.trim());
+  if (!match) {
+    throw templateError(context.name, `has an invalid condition: ${condition}`, 'Write e.g. failed or env == "prod".');
+  }
+  const [, variable, operator, expected] = match;
+  const value = lookup(variable, scopes);
+  if (!operator) {
+    return !(value === undefined || value === null || value === false || value === '' || value === 0
+      || (Array.isArray(value) && value.length === 0));
+  }
+  // Compare as text, so --var count=3 equals 3
+  const equal = value !== undefined && value !== null && String(value) === String(literal(expected));
+  return operator === '==' ? equal : !equal;
+}
+
+/**
+ * Look a variable up, innermost scope first.
+ * @param {string} variablePath - e.g. 'user.name', 'this.url' or '@index'.
+ * @param {Object[]} scopes - Variable scopes.
+ * @returns {*} Value, or undefined when it is not set.
+ */
+function lookup(variablePath, scopes) {
+  const inner = scopes[scopes.length - 1];
+  if (variablePath.startsWith('@')) {
+    return inner.locals?.[variablePath.slice(1)];
+  }
+  const [first, ...rest] = variablePath.split('.');
+  const walk = (value, keys) => keys.reduce((current, key) => (
+    current !== null && typeof current === 'object' && Object.hasOwn(current, key) ? current[key] : undefined
+  ), value);
+  if (first === 'this') {
+    return walk(inner.value, rest);
+  }
+  const scope = [...scopes].reverse().find(({ value }) => value !== null && typeof value === 'object' && Object.hasOwn(value, first));
+  return scope ? walk(scope.value[first], rest) : undefined;
+}
+
+/**
+ * Parse a literal of a tag.
+ * @param {string} [text] - "text", 'text', a number, true or false.
+ * @returns {*} Value, or undefined without a literal.
+ */
+function literal(text) {
+  if (text === undefined) {
+    return undefined;
+  }
+  if (/^["']/.test(text)) {
+    return text.slice(1, -1);
+  }
+  return text === 'true' || text === 'false' ? text === 'true' : Number(text);
+}
+
+/**
+ * Set a variable by a dotted path, creating objects on the way (user.name=Dana sets { user: { name: 'Dana' } }).
+ * Used for variables given as text, e.g. telefy --var.
+ * @param {Object} vars - Variables so far.
+ * @param {string} variablePath - Name, possibly dotted.
+ * @param {*} value - Value.
+ * @throws {TelegramBotError} If a part of the name is empty or would reach an object's prototype.
+ */
+function setVariable(vars, variablePath, value) {
+  const keys = variablePath.split('.');
+  if (keys.some((key) => !key || UNSAFE_KEYS.includes(key))) {
+    throw new TelegramBotError(
+      `Invalid template variable name: ${variablePath}`,
+      `Join names with dots, e.g. user.name; ${UNSAFE_KEYS.join(', ')} cannot be used as names.`
+    );
+  }
+  const parent = keys.slice(0, -1).reduce((current, key) => {
+    if (!Object.hasOwn(current, key) || current[key] === null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, vars);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Build the error for a template that cannot be rendered.
+ * @param {string} name - Template name.
+ * @param {string} problem - What is wrong.
+ * @param {string} suggestion - How to fix it.
+ * @returns {TelegramBotError} Error.
+ */
+function templateError(name, problem, suggestion) {
+  return new TelegramBotError(`Template "${name}" ${problem}`, suggestion);
+}
+
+export {
+  DEFAULT_TEMPLATES_DIR,
+  renderTemplate,
+  resolveTemplates,
+  setVariable,
+};
@@ -0,0 +1,378 @@
+/**
+ * @file lib/testing.js
+ * @description In-process mock of the Telegram Bot API for tests, exported as "telefy/testing".
+ * @description Records every request, answers with realistic messages, and can fail requests with Telegram's
+ * 400/401/403/429/5xx errors or by dropping the connection. Point a client at it with createTelefy({ apiRoot }).
+ * @license MIT
+ */
+
+import http from 'http';
+import { AssertionError } from 'assert';
+import { TelegramBotError } from './errors.js';
+
+// Default Telegram error descriptions for simulated failures (429 names its retry_after)
+const FAILURES = {
+  400: 'Bad Request: chat not found',
+  401: 'Unauthorized',
+  403: 'Forbidden: bot was blocked by the user',
+  404: 'Not Found',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+};
+
+/**
+ * Create a mock Bot API server. Call listen() before sending and close() when done.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.port=0] - Port to listen on (0 picks a free one).
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on.
+ * @returns {Object} Mock with listen, close, apiRoot, requests, fail, reply, reset and the assertion helpers.
+ */
+function createMockTelegram({ port = 0, host = '127.0.0.1' } = {}) {
+  const requests = [];
+  const failures = [];
+  const replies = new Map();
+  let nextMessageId = 1;
+  let apiRoot = null;
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      respond(res, 500, { ok: false, error_code: 500, description: `Internal Server Error: ${error.message}` });
+    });
+  });
+
+  /**
+   * Record a request and answer it, or fail it as queued with fail().
+   * @param {http.IncomingMessage} req - Request.
+   * @param {http.ServerResponse} res - Response.
+   */
+  async function handle(req, res) {
+    const match = /^\/bot([^/]+)\/(\w+)$/.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      respond(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+      return;
+    }
+    const [, token, method] = match;
+    const payload = await readPayload(req);
+    const request = { method, token, payload, time: Date.now() };
+    requests.push(request);
+
+    const failure = takeFailure(method);
+    if (failure?.network) {
+      request.status = null;
+      req.socket.destroy();
+      return;
+    }
+    if (failure) {
+      const { status, description, retryAfter } = failure;
+      request.status = status;
+      respond(res, status, {
+        ok: false,
+        error_code: status,
+        description,
+        ...(retryAfter !== undefined ? { parameters: { retry_after: retryAfter } } : {}),
+      });
+      return;
+    }
+
+    const custom = replies.get(method);
+    const result = custom ? await custom(payload, request) : defaultResult(method, payload);
+    request.status = 200;
+    respond(res, 200, { ok: true, result });
+  }
+
+  /**
+   * Take the next queued failure that applies to a method.
+   * @param {string} method - Bot API method name.
+   * @returns {Object|undefined} Failure, if one applies.
+   */
+  function takeFailure(method) {
+    const index = failures.findIndex((failure) => !failure.method || failure.method === method);
+    if (index === -1) {
+      return undefined;
+    }
+    const failure = failures[index];
+    if (--failure.times <= 0) {
+      failures.splice(index, 1);
+    }
+    return failure;
+  }
+
+  /**
+   * Build what Telegram answers for a successful call.
+   * @param {string} method - Bot API method name.
+   * @param {Object} payload - Request payload.
+   * @returns {*} Result of the call.
+   */
+  function defaultResult(method, payload) {
+    const chatId = String(payload.chat_id);
+    const chat = { id: /^-?\d+$/.test(chatId) ? Number(chatId) : chatId, type: chatId.startsWith('-') ? 'supergroup' : 'private' };
+    const message = (fields = {}) => ({
+      message_id: nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat,
+      ...(payload.message_thread_id ? { message_thread_id: Number(payload.message_thread_id) } : {}),
+      ...fields,
+    });
+
+    if (method === 'getMe') {
+      return { id: 123456789, is_bot: true, first_name: 'Mock Bot', username: 'mock_bot' };
+    }
+    if (method === 'getUpdates') {
+      return [];
+    }
+    if (method === 'getChat') {
+      return chat.type === 'private' ? { ...chat, first_name: 'Mock User' } : { ...chat, title: 'Mock Chat' };
+    }
+    if (method === 'getChatMember') {
+      return { status: 'administrator', user: { id: Number(payload.user_id), is_bot: true, first_name: 'Mock Bot' } };
+    }
+    if (method === 'sendMediaGroup') {
+      const media = typeof payload.media === 'string' ? JSON.parse(payload.media) : payload.media;
+      return media.map((item) => message(item.caption ? { caption: item.caption } : {}));
+    }
+    if (method === 'sendMessage') {
+      return message({ text: payload.text });
+    }
+    if (method.startsWith('send')) {
+      return message(payload.caption ? { caption: payload.caption } : {});
+    }
+    if (method === 'editMessageText') {
+      return { ...message({ text: payload.text }), message_id: Number(payload.message_id), edit_date: Math.floor(Date.now() / 1000) };
+    }
+    return true;
+  }
+
+  /**
+   * Start listening.
+   * @returns {Promise<string>} API root to pass to createTelefy, e.g. http://127.0.0.1:43210.
+   */
+  function listen() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        apiRoot = `http://${host}:${server.address().port}`;
+        resolve(apiRoot);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections.
+   * @returns {Promise<void>} Resolves once the server is closed.
+   */
+  function close() {
+    return new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Make the next request(s) fail.
+   * @param {number|string|Object} failure - HTTP status (400, 401, 403, 404, 429, 500, 502), 'network' to drop the
+   * connection, or { status, description, retryAfter }.
+   * @param {Object} [options] - Which requests fail.
+   * @param {string} [options.method] - Only fail calls of this Bot API method (default: any).
+   * @param {number} [options.times=1] - Number of requests to fail.
+   * @returns {Object} The mock, for chaining.
+   * @throws {TelegramBotError} If the failure is not an HTTP error status or 'network'.
+   */
+  function fail(failure, { method, times = 1 } = {}) {
+    const spec = failure && typeof failure === 'object' ? failure : { status: failure };
+    if (spec.status === 'network') {
+      failures.push({ network: true, method, times });
+      return mock;
+    }
+    if (!Number.isInteger(spec.status) || spec.status < 400) {
+      throw new TelegramBotError(
+        `Unsupported failure: ${JSON.stringify(failure)}`,
+        "Use an HTTP error status such as 400, 401, 403 or 429, 'network', or { status, description, retryAfter }."
+      );
+    }
+    const retryAfter = spec.retryAfter ?? (spec.status === 429 ? 1 : undefined);
+    const description = spec.description
+      ?? (spec.status === 429 ? `Too Many Requests: retry after ${retryAfter}` : FAILURES[spec.status] ?? 'Error');
+    failures.push({ status: spec.status, description, retryAfter, method, times });
+    return mock;
+  }
+
+  /**
+   * Answer a method with a custom result instead of the default one.
+   * @param {string} method - Bot API method name.
+   * @param {function(Object, Object): *|*} result - Result, or a function of (payload, request) returning it.
+   * @returns {Object} The mock, for chaining.
+   */
+  function reply(method, result) {
+    replies.set(method, typeof result === 'function' ? result : () => result);
+    return mock;
+  }
+
+  /**
+   * Forget recorded requests, queued failures and custom replies.
+   */
+  function reset() {
+    requests.length = 0;
+    failures.length = 0;
+    replies.clear();
+    nextMessageId = 1;
+  }
+
+  /**
+   * List the recorded requests, optionally only those of one method.
+   * @param {string} [method] - Bot API method name.
+   * @returns {Object[]} Requests ({ method, token, payload, status, time }), oldest first.
+   */
+  function requestsFor(method) {
+    return method ? requests.filter((request) => request.method === method) : [...requests];
+  }
+
+  /**
+   * Get the most recent request, optionally of one method.
+   * @param {string} [method] - Bot API method name.
+   * @returns {Object|undefined} Request, if any.
+   */
+  function lastRequest(method) {
+    return requestsFor(method).at(-1);
+  }
+
+  /**
+   * Assert that a request was received whose payload contains the given fields.
+   * @param {string} method - Bot API method name.
+   * @param {Object} [fields={}] - Expected payload fields; nested objects and arrays match partially.
+   * @returns {Object} The first matching request.
+   * @throws {AssertionError} If no request matches.
+   */
+  function assertSent(method, fields = {}) {
+    const match = requestsFor(method).find((request) => matches(request.payload, fields));
+    if (!match) {
+      const received = requests.map((request) => `  ${request.method} ${JSON.stringify(request.payload)}`).join('\n') || '  (none)';
+      throw new AssertionError({
+        message: `Expected a ${method} request with ${JSON.stringify(fields)}\nReceived:\n${received}`,
+        expected: fields,
+        operator: 'assertSent',
+      });
+    }
+    return match;
+  }
+
+  /**
+   * Assert that no request of a method (or none at all) was received.
+   * @param {string} [method] - Bot API method name.
+   * @throws {AssertionError} If a matching request was received.
+   */
+  function assertNotSent(method) {
+    const received = requestsFor(method);
+    if (received.length > 0) {
+      throw new AssertionError({
+        message: `Expected no ${method ? `${method} ` : ''}requests, received ${received.length}`,
+        actual: received.map((request) => request.payload),
+        operator: 'assertNotSent',
+      });
+    }
+  }
+
+  const mock = {
+    listen,
+    close,
+    fail,
+    reply,
+    reset,
+    requestsFor,
+    lastRequest,
+    assertSent,
+    assertNotSent,
+    get apiRoot() {
+      return apiRoot;
+    },
+    get requests() {
+      return requests;
+    },
+  };
+  return mock;
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {Object} body - Response body.
+ */
+function respond(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body as JSON, multipart form data or URL-encoded parameters.
+ * Multipart fields holding JSON (reply_markup, media) are parsed; files are recorded as { filename, size, type }.
+ * @param {http.IncomingMessage} req - Request.
+ * @returns {Promise<Object>} Payload.
+ */
+async function readPayload(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const body = Buffer.concat(chunks);
+  const type = req.headers['content-type'] || '';
+  if (body.length === 0) {
+    return {};
+  }
+  if (type.startsWith('application/json')) {
+    return JSON.parse(body.toString('utf8'));
+  }
+  if (type.startsWith('multipart/form-data') || type.startsWith('application/x-www-form-urlencoded')) {
+    const form = await new Response(body, { headers: { 'content-type': type } }).formData();
+    const payload = {};
+    for (const [key, value] of form.entries()) {
+      payload[key] = value instanceof Blob ? { filename: value.name, size: value.size, type: value.type } : parseField(value);
+    }
+    return payload;
+  }
+  return { body: body.toString('utf8') };
+}
+
+/**
+ * Parse a form field that holds JSON, leaving other values as strings.
+ * @param {string} value - Field value.
+ * @returns {*} Parsed value.
+ */
+function parseField(value) {
+  if (!/^[[{]/.test(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Check whether a value contains the expected fields.
+ * @param {*} actual - Received value.
+ * @param {*} expected - Expected value; objects and arrays match partially, other values strictly
+ * (numbers also match their string form, as multipart sends them as text).
+ * @returns {boolean} Whether the value matches.
+ */
+function matches(actual, expected) {
+  if (expected instanceof RegExp) {
+    return typeof actual === 'string' && expected.test(actual);
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every((item, index) => matches(actual[index], item));
+  }
+  if (expected && typeof expected === 'object') {
+    return Boolean(actual) && typeof actual === 'object'
+      && Object.entries(expected).every(([key, value]) => matches(actual[key], value));
+  }
+  if (typeof expected === 'number' || typeof expected === 'boolean') {
+    return actual === expected || actual === String(expected);
+  }
+  return actual === expected;
+}
+
+export {
+  createMockTelegram,
+};
@@ -0,0 +1,112 @@
+/**
+ * @file lib/verify.js
+ * @description Health checks for configured channels: the bot token works, the chat exists, and the bot is a member
+ * allowed to send there (and to post to the configured forum topic).
+ * @license MIT
+ */
+
+// Statuses of a bot that is no longer in the chat
+const GONE = { left: 'Bot is not a member of the chat', kicked: 'Bot was banned from the chat' };
+
+// How the other statuses are reported
+const ROLES = { creator: 'the owner', administrator: 'an administrator', member: 'a member', restricted: 'a restricted member' };
+
+/**
+ * Check one chat of a channel. Failures are reported in the checks instead of thrown.
+ * @param {function(string, Object): Promise<Object>} call - Calls a Bot API method for the channel and resolves with
+ * the response body, rejecting with a TelegramBotError.
+ * @param {{chatId: string, messageThreadId?: number}} config - Configuration of the channel for the chat.
+ * @param {function(): Promise<Object>} [getMe] - Resolves with the getMe response (lets channels sharing a bot share
+ * one call).
+ * @returns {Promise<{chatId: string, ok: boolean, bot?: Object, chat?: Object, member?: Object, checks: Object[]}>}
+ * Report: the bot ({ id, username }), the chat ({ id, title, type, isForum }), the bot's membership
+ * ({ status, canSend }), and every check as { name, ok, detail, suggestion? } with name token, chat, membership,
+ * permissions or topic.
+ */
+async function verifyChat(call, config, getMe = () => call('getMe', {})) {
+  const report = { chatId: config.chatId };
+  const checks = [];
+  const check = (name, ok, detail, suggestion) => checks.push({ name, ok, detail, ...(suggestion ? { suggestion } : {}) });
+  const done = () => ({ ...report, ok: checks.every((entry) => entry.ok), checks });
+  const fail = (name, error) => {
+    check(name, false, error.message, error.suggestion);
+    return done();
+  };
+
+  let bot;
+  try {
+    bot = (await getMe()).result;
+  } catch (error) {
+    return fail('token', error);
+  }
+  report.bot = { id: bot.id, username: bot.username };
+  check('token', true, `Bot @${bot.username}`);
+
+  let chat;
+  try {
+    chat = (await call('getChat', { chat_id: config.chatId })).result;
+  } catch (error) {
+    return fail('chat', error);
+  }
+  const title = chat.title ?? ([chat.first_name, chat.last_name].filter(Boolean).join(' ') || chat.username);
+  report.chat = { id: chat.id, title, type: chat.type, isForum: Boolean(chat.is_forum) };
+  check('chat', true, `${title} (${chat.type}${chat.is_forum ? ', forum' : ''})`);
+
+  // A private chat exists for the bot only once the user has started it, so getChat is enough
+  if (chat.type !== 'private') {
+    let member;
+    try {
+      member = (await call('getChatMember', { chat_id: config.chatId, user_id: bot.id })).result;
+    } catch (error) {
+      return fail('membership', error);
+    }
+    const canSend = canSendMessages(chat, member);
+    report.member = { status: member.status, canSend };
+    if (GONE[member.status]) {
+      const role = chat.type === 'channel' ? ' as an administrator' : '';
+      check('membership', false, GONE[member.status],
+        member.status === 'kicked' ? `Unban the bot and add it to the chat again${role}.` : `Add the bot to the chat${role}.`);
+    } else {
+      check('membership', true, `Bot is ${ROLES[member.status] ?? member.status}`);
+      const suggestion = chat.type === 'channel'
+        ? 'Make the bot an administrator of the channel with the "Post Messages" right.'
+        : 'Allow the bot to send messages in the chat permissions, or make it an administrator.';
+      check('permissions', canSend, canSend ? 'Bot can send messages' : 'Bot cannot send messages', canSend ? undefined : suggestion);
+    }
+  }
+
+  if (config.messageThreadId !== undefined && chat.is_forum) {
+    check('topic', true, `Messages go to topic ${config.messageThreadId}`);
+  } else if (config.messageThreadId !== undefined) {
+    check('topic', false, `Topic ${config.messageThreadId} is set but the chat is not a forum`,
+      'Enable topics in the group settings, or remove the topic (messageThreadId) from the channel.');
+  }
+
+  return done();
+}
+
+/**
+ * Decide whether a chat member may send messages.
+ * @param {{type: string, permissions?: Object}} chat - Chat from getChat.
+ * @param {{status: string, can_post_messages?: boolean, can_send_messages?: boolean}} member - ChatMember from getChatMember.
+ * @returns {boolean} Whether sending is allowed.
+ */
+function canSendMessages(chat, member) {
+  switch (member.status) {
+    case 'creator':
+      return true;
+    case 'administrator':
+      // Channel admins need the right to post; group admins can always send
+      return chat.type !== 'channel' || member.can_post_messages !== false;
+    case 'member':
+      return chat.type !== 'channel' && chat.permissions?.can_send_messages !== false;
+    case 'restricted':
+      return member.can_send_messages === true;
+    default:
+      return false;
+  }
+}
+
+export {
+  verifyChat,
+};
@@ -0,0 +1,195 @@
+/**
+ * @file lib/webhook.js
+ * @description Webhook receiver: accepts webhooks from GitHub, Alertmanager, Grafana and other tools, formats them with
+ * an adapter and sends them to the channels their routes pick.
+ * @license MIT
+ */
+
+import crypto from 'crypto';
+import { resolveAdapter } from './adapters.js';
+import { getTargetChannels } from './channels.js';
+import { TelegramBotError } from './errors.js';
+import { checkApiKey, createJsonServer, parseJson, readBody, respond, respondNotFound, resultBody, safeEqual } from './http.js';
+import { renderTemplate } from './templates.js';
+
+// Endpoints served when none are configured
+const DEFAULT_ENDPOINTS = { github: {}, alertmanager: {}, grafana: {} };
+
+/**
+ * Create a webhook receiver for a telefy client. Call listen() to start it and close() to stop it.
+ *
+ * Each endpoint is served as POST /<name>. GitHub endpoints check the X-Hub-Signature-256 of the payload against the
+ * secret; the others need it as "Authorization: Bearer <secret>" or "X-Api-Key: <secret>". The message goes to the
+ * ?channel= of the request, else the channel of the first route whose labels match, else the endpoint's channel, else
+ * the client's default channel.
+ *
+ * @param {Object} client - Client from createTelefy, or an object with the same sendTGMessage, sendTGMessageWithButtons,
+ * getChannels and getGroups functions.
+ * @param {Object} options - Receiver options.
+ * @param {Object<string, Object>} [options.endpoints] - Endpoints keyed by name (default: github, alertmanager and
+ * grafana). Each is { adapter?, channel?, secret?, routes?, template?, buttons?, parseMode? }: adapter is a built-in
+ * adapter name (default: the endpoint name) or a function (payload, { headers, endpoint }) returning
+ * { text, buttons?, labels?, parseMode? } or null to skip the payload; routes are [{ match: { label: value|values },
+ * channel }].
+ * @param {string} options.secret - Shared secret, for endpoints without their own.
+ * @param {number} [options.port=8788] - Port to listen on (0 picks a free one).
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on; use 0.0.0.0 to accept webhooks from other hosts.
+ * @param {function(Object): void} [options.onRequest] - Called after each request with { method, path, status, ms, error? }.
+ * @returns {{listen: function(): Promise<string>, close: function(): Promise<void>, url: string|null}} Receiver;
+ * listen() resolves with its base URL.
+ * @throws {TelegramBotError} If an endpoint has no secret, an unknown adapter, no or a malformed template, or an unknown
+ * channel.
+ */
+function createWebhookReceiver(client, { endpoints = DEFAULT_ENDPOINTS, secret, port = 8788, host = '127.0.0.1', onRequest } = {}) {
+  const routes = new Map(Object.entries(endpoints).map(([name, endpoint]) => [`/${name}`, prepareEndpoint(client, name, endpoint, secret)]));
+
+  /**
+   * Authenticate, format and send one webhook.
+   * @param {http.IncomingMessage} req - Request.
+   * @param {http.ServerResponse} res - Response.
+   * @param {string} path - Request path.
+   * @returns {Promise<void>} Resolves once the response is sent.
+   * @throws {TelegramBotError} If the request is refused or the send fails.
+   */
+  async function handle(req, res, path) {
+    const endpoint = routes.get(path);
+    if (!endpoint || req.method !== 'POST') {
+      respondNotFound(res, path, endpoint ? ['POST'] : []);
+      return;
+    }
+    const body = await readBody(req);
+    authenticate(req, body, endpoint);
+    const payload = parseJson(body);
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const message = await format(endpoint, payload, req.headers);
+    if (!message) {
+      respond(res, 202, { ok: true, ignored: true });
+      return;
+    }
+
+    const channel = query.get('channel') ?? route(endpoint, message.labels ?? {});
+    if (channel !== undefined) {
+      checkChannel(client, channel);
+    }
+    const buttons = message.buttons ?? [];
+    const parseMode = message.parseMode ?? 'HTML';
+    const results = buttons.length > 0
+      ? await client.sendTGMessageWithButtons(message.text, buttons, channel, parseMode, { split: true })
+      : await client.sendTGMessage(message.text, channel, parseMode, { split: true });
+    respond(res, 200, { ok: true, results: results.map(resultBody) });
+  }
+
+  return createJsonServer(handle, { name: 'Webhook receiver', port, host, onRequest });
+}
+
+/**
+ * Validate an endpoint and resolve its adapter and secret.
+ * @param {Object} client - telefy client.
+ * @param {string} name - Endpoint name.
+ * @param {Object} endpoint - Endpoint settings.
+ * @param {string} [secret] - Shared secret.
+ * @returns {Object} Endpoint with name, format function and secret.
+ * @throws {TelegramBotError} If the endpoint is invalid.
+ */
+function prepareEndpoint(client, name, endpoint, secret) {
+  const adapter = endpoint.adapter ?? name;
+  const prepared = { ...endpoint, name, adapter, format: resolveAdapter(adapter), secret: endpoint.secret ?? secret };
+  if (!prepared.secret || typeof prepared.secret !== 'string') {
+    throw new TelegramBotError(
+      `The webhook endpoint "${name}" needs a secret`,
+      'Set TELEFY_WEBHOOK_SECRET (or pass secret) to a long random string, e.g. from "openssl rand -hex 32".'
+    );
+  }
+  if (adapter === 'template') {
+    if (typeof endpoint.template !== 'string') {
+      throw new TelegramBotError(
+        `The webhook endpoint "${name}" needs a template`,
+        'Give the message text with {{field}} placeholders, e.g. "Deploy of {{service}} {{status}}".'
+      );
+    }
+    // Report template syntax errors at startup rather than on the first webhook
+    renderTemplate(endpoint.template, {}, { name, strict: false, buttons: endpoint.buttons });
+  }
+  for (const channel of [endpoint.channel, ...(endpoint.routes ?? []).map((entry) => entry.channel)]) {
+    if (channel !== undefined) {
+      getTargetChannels(client.getChannels(), channel, client.getGroups());
+    }
+  }
+  return prepared;
+}
+
+/**
+ * Check a webhook's credentials: the payload signature for GitHub, the shared secret for everything else.
+ * @param {http.IncomingMessage} req - Request.
+ * @param {string} body - Raw body.
+ * @param {Object} endpoint - Prepared endpoint.
+ * @throws {TelegramBotError} If the signature or secret is missing or wrong (status 401).
+ */
+function authenticate(req, body, endpoint) {
+  if (endpoint.adapter !== 'github') {
+    checkApiKey(req, endpoint.secret);
+    return;
+  }
+  const expected = `sha256=${crypto.createHmac('sha256', endpoint.secret).update(body).digest('hex')}`;
+  if (!safeEqual(req.headers['x-hub-signature-256'] ?? '', expected)) {
+    throw Object.assign(new TelegramBotError(
+      'Missing or wrong X-Hub-Signature-256',
+      'Set the secret of the GitHub webhook to TELEFY_WEBHOOK_SECRET (or the endpoint\'s secret), with content type application/json.'
+    ), { statusCode: 401 });
+  }
+}
+
+/**
+ * Run an endpoint's adapter on a payload.
+ * @param {Object} endpoint - Prepared endpoint.
+ * @param {*} payload - Parsed body.
+ * @param {Object} headers - Request headers.
+ * @returns {Promise<Object|null>} Message, or null to skip the payload.
+ * @throws {TelegramBotError} If the payload is not an object or the adapter cannot format it.
+ */
+async function format(endpoint, payload, headers) {
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new TelegramBotError('The webhook payload must be a JSON object', `Check the tool posting to /${endpoint.name} sends JSON.`);
+  }
+  try {
+    return await endpoint.format(payload, { headers, endpoint });
+  } catch (error) {
+    if (error instanceof TelegramBotError) {
+      throw error;
+    }
+    throw new TelegramBotError(
+      `Could not format the ${endpoint.name} webhook: ${error.message}`,
+      `Check the tool posting to /${endpoint.name} sends ${typeof endpoint.adapter === 'string' ? `${endpoint.adapter} payloads` : 'the payload its adapter expects'}.`
+    );
+  }
+}
+
+/**
+ * Pick the channel for a message from the endpoint's routes.
+ * @param {Object} endpoint - Prepared endpoint.
+ * @param {Object} labels - Labels of the message.
+ * @returns {string|undefined} Channel of the first matching route, else the endpoint's channel.
+ */
+function route(endpoint, labels) {
+  const matches = ({ match }) => Object.entries(match).every(([label, expected]) => (Array.isArray(expected) ? expected : [expected])
+    .some((value) => labels[label] !== undefined && String(labels[label]) === String(value)));
+  return (endpoint.routes ?? []).find(matches)?.channel ?? endpoint.channel;
+}
+
+/**
+ * Check the channel a webhook is sent to, so unknown channels are a 404 rather than a 400.
+ * @param {Object} client - telefy client.
+ * @param {string} channel - Channel or group name, or 'all'.
+ * @throws {TelegramBotError} If the channel is not configured.
+ */
+function checkChannel(client, channel) {
+  try {
+    getTargetChannels(client.getChannels(), channel, client.getGroups());
+  } catch (error) {
+    throw Object.assign(error, { statusCode: 404 });
+  }
+}
+
+export {
+  createWebhookReceiver,
+};
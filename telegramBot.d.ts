@@ -0,0 +1,701 @@
+/**
+ * @file telegramBot.d.ts
+ * @description TypeScript declarations for telefy.
+ * @license MIT
+ */
+
+/// <reference types="node" />
+
+export type ParseMode = 'Markdown' | 'HTML' | 'MarkdownV2';
+
+/** Codes of TelegramBotError; CLIENT_ERROR is raised before anything is sent to Telegram. */
+export type TelegramErrorCode =
+  | 'CLIENT_ERROR'
+  | 'BROADCAST_FAILED'
+  | 'BAD_REQUEST'
+  | 'CHAT_NOT_FOUND'
+  | 'MESSAGE_NOT_FOUND'
+  | 'MESSAGE_NOT_MODIFIED'
+  | 'PARSE_ERROR'
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'RATE_LIMITED'
+  | 'SERVER_ERROR'
+  | 'API_ERROR'
+  | 'NETWORK'
+  | 'TIMEOUT'
+  | 'UNKNOWN';
+
+export interface TelegramErrorDetails {
+  code?: TelegramErrorCode;
+  httpStatus?: number;
+  telegramErrorCode?: number;
+  retryAfter?: number;
+  channel?: string;
+  cause?: unknown;
+}
+
+export class TelegramBotError extends Error {
+  constructor(message: string, suggestion?: string, details?: TelegramErrorDetails);
+  name: 'TelegramBotError' | 'TelegramBroadcastError';
+  suggestion: string;
+  code: TelegramErrorCode;
+  /** HTTP status of the Bot API response. */
+  httpStatus?: number;
+  /** error_code of the Bot API response. */
+  telegramErrorCode?: number;
+  /** Seconds Telegram asked to wait (429 responses). */
+  retryAfter?: number;
+  /** Channel the failed request was for. */
+  channel?: string;
+  /** Number of requests made, including retries. */
+  attempts?: number;
+  /** Whether the failure was transient (network, 429 or 5xx). */
+  retryable?: boolean;
+  cause?: unknown;
+}
+
+export class TelegramBroadcastError extends TelegramBotError {
+  constructor(results: SettledResult[]);
+  code: 'BROADCAST_FAILED';
+  results: SettledResult[];
+  errors: TelegramBotError[];
+}
+
+/** Raw Bot API response body. */
+export interface TelegramResponse<T = any> {
+  ok: boolean;
+  result?: T;
+  description?: string;
+  error_code?: number;
+  parameters?: { retry_after?: number; migrate_to_chat_id?: number };
+}
+
+/** A request rendered by a dry run instead of being sent. */
+export interface DryRunRequest {
+  method: string;
+  /** Method URL with the bot token masked. */
+  url: string;
+  /** Request body; uploads are listed as { filename, size }. */
+  payload: Record<string, unknown>;
+}
+
+/** Result of a send or edit for one chat of a channel. */
+export interface SendResult {
+  channel: string;
+  /** Chat the message went to (set when Telegram returned the message, and for channels with several chats). */
+  chatId?: string;
+  messageId?: number;
+  /** Unix time in seconds, as sent by Telegram. */
+  date?: number;
+  /** Every message ID, for split messages and media groups. */
+  messageIds?: number[];
+  response?: TelegramResponse;
+  /** Responses of every part of a split message. */
+  responses?: TelegramResponse[];
+  /** True when the request was queued in the outbox instead of sent. */
+  queued?: boolean;
+  outboxId?: string;
+  /** True when the client is a dry run and nothing was sent. */
+  dryRun?: boolean;
+  /** Request a dry run rendered. */
+  request?: DryRunRequest;
+  /** Requests of every part of a split message, for dry runs. */
+  requests?: DryRunRequest[];
+  /** True when the message repeated one sent within the dedup window and was not sent; messageId is the first one's. */
+  duplicate?: true;
+  /** Times the message was sent within the dedup window, the first included. */
+  count?: number;
+  /** True when the first message was edited to show the repeat count. */
+  collapsed?: true;
+  /** Why the first message could not be edited to show the repeat count. */
+  error?: TelegramBotError;
+}
+
+export type SettledResult =
+  | (SendResult & { ok: true })
+  | { channel: string; chatId?: string; ok: false; error: TelegramBotError };
+
+/** Reference to a sent message: a send result or { channel, chatId?, messageId }. */
+export type MessageRef = SendResult | { channel: string; chatId?: string | number; messageId: number };
+
+export interface DeliveryOptions {
+  /** Deliver to every channel even if some fail; failures throw a TelegramBroadcastError. */
+  settle?: boolean;
+  /** Maximum number of channels sent to at the same time. */
+  concurrency?: number;
+}
+
+export interface SendOptions extends DeliveryOptions {
+  disableNotification?: boolean;
+  protectContent?: boolean;
+  messageThreadId?: number;
+  /** Identifies the message in the outbox so it is queued once, and for deduplication instead of its text. */
+  dedupKey?: string;
+  /** The text or caption is plain text: escape it for each channel that sends MarkdownV2. */
+  escapeMarkdownV2?: boolean;
+}
+
+export interface TextOptions extends SendOptions {
+  /** Send text over 4096 characters as several messages. */
+  split?: boolean;
+  /** Send text over 4096 characters as a .txt document. */
+  asDocument?: boolean;
+  filename?: string;
+  /** false to send even if the message repeats one sent within the client's dedup window. */
+  dedup?: false;
+}
+
+export interface MediaOptions extends SendOptions {
+  /** File name for uploads. */
+  filename?: string;
+}
+
+export type MediaInput = string | Buffer | Blob | NodeJS.ReadableStream;
+
+export interface MediaGroupItem {
+  type: 'photo' | 'video' | 'document' | 'audio';
+  media: MediaInput;
+  caption?: string | FormattedText;
+  filename?: string;
+}
+
+export type InlineButton = { text: string } & Record<string, unknown>;
+export type ReplyMarkup = Record<string, unknown>;
+export type Buttons = InlineButton[][] | ReplyMarkup;
+
+export interface ChannelOptions {
+  token: string;
+  chatId: string | number | Array<string | number | { chatId: string | number; messageThreadId?: number }>;
+  /** Bot API root, e.g. a local Bot API server. */
+  apiRoot?: string;
+  parseMode?: ParseMode;
+  disableNotification?: boolean;
+  protectContent?: boolean;
+  messageThreadId?: number;
+  rateLimit?: true | RateLimits;
+  /** Proxy URL for this channel's requests (http://, https:// or socks5://). */
+  proxy?: string;
+  /** Request timeout in ms for this channel. */
+  timeout?: number;
+}
+
+export interface ChannelConfig {
+  token: string;
+  baseUrl: string;
+  chatId?: string;
+  chats?: Array<{ chatId: string; messageThreadId?: number }>;
+  parseMode?: ParseMode;
+  disableNotification?: boolean;
+  protectContent?: boolean;
+  messageThreadId?: number;
+  rateLimit?: true | RateLimits;
+  proxy?: string;
+  timeout?: number;
+}
+
+export interface RetryPolicy {
+  retries?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+}
+
+export interface RateLimit {
+  limit: number;
+  /** Interval in ms. */
+  interval: number;
+}
+
+export interface RateLimits {
+  perChat?: Partial<RateLimit> | false;
+  perGroup?: Partial<RateLimit> | false;
+  perBot?: Partial<RateLimit> | false;
+}
+
+/** One check of verifyChannels. */
+export interface VerifyCheck {
+  name: 'token' | 'chat' | 'membership' | 'permissions' | 'topic';
+  ok: boolean;
+  detail: string;
+  suggestion?: string;
+}
+
+/** Health of one chat of a channel, from verifyChannels. */
+export interface VerifyReport {
+  channel: string;
+  chatId: string;
+  ok: boolean;
+  bot?: { id: number; username: string };
+  chat?: { id: number | string; title: string; type: 'private' | 'group' | 'supergroup' | 'channel'; isForum: boolean };
+  /** Membership of the bot; not checked for private chats. */
+  member?: { status: string; canSend: boolean };
+  checks: VerifyCheck[];
+}
+
+export interface RateLimitStats {
+  queued: number;
+  active: number;
+  sent: number;
+  delayed: number;
+  channels: Record<string, number>;
+}
+
+export interface RateLimiter {
+  schedule<T>(key: { token: string; chatId: string; channel?: string }, fn: () => Promise<T>, limits?: true | RateLimits): Promise<T>;
+  stats?(): RateLimitStats;
+}
+
+export interface TransportRequest {
+  url: string;
+  body: Record<string, unknown> | FormData;
+  timeout?: number;
+  proxy?: string;
+  signal?: AbortSignal;
+}
+
+/**
+ * Sends a Bot API request. Reject like axios: with `response: { status, data }` for HTTP errors,
+ * or with `request` set when no response arrived.
+ */
+export type Transport = (request: TransportRequest) => Promise<{ status: number; data: TelegramResponse }>;
+
+export interface OutboxEntry {
+  id: string;
+  /** Set when the send had a dedupKey; entries with the same key are queued once. */
+  key?: string;
+  createdAt: string;
+  channel: string;
+  chatId: string;
+  method: string;
+  payload: Record<string, unknown>;
+  attempts: number;
+  lastError?: string;
+  /** Set while a replay is sending the entry. */
+  claimedBy?: string;
+  claimedAt?: string;
+}
+
+export interface Outbox {
+  dir: string;
+  file: string;
+  enqueue(request: Omit<OutboxEntry, 'id' | 'createdAt' | 'attempts' | 'lastError'> & { error?: string; attempts?: number }):
+    Promise<{ entry: OutboxEntry; duplicate: boolean }>;
+  list(): Promise<OutboxEntry[]>;
+  /** Claim the entries of chats no other replay is working on. */
+  claim(): Promise<OutboxEntry[]>;
+  update(removeIds: string[], failures?: Record<string, string>, releaseIds?: string[]): Promise<OutboxEntry[]>;
+  purge(ids?: string[]): Promise<number>;
+}
+
+export interface FlushResult {
+  sent: Array<{ entry: OutboxEntry; response: TelegramResponse }>;
+  failed: Array<{ entry: OutboxEntry; error: TelegramBotError }>;
+  pending: OutboxEntry[];
+}
+
+/** When a scheduled message is sent: exactly one of a time, a delay or a cron expression (local time zone). */
+export type ScheduleWhen =
+  | { at: Date | string | number; delay?: never; cron?: never }
+  | { delay: number | string; at?: never; cron?: never }
+  | { cron: string; at?: never; delay?: never };
+
+export interface ScheduleOptions extends TextOptions {
+  parseMode?: ParseMode;
+  buttons?: InlineButton[][];
+  /** Only store the job, for a scheduler in another process (telefy daemon or telefy serve) to send. */
+  detached?: boolean;
+}
+
+export interface ScheduledMessage {
+  id: string;
+  createdAt: string;
+  channel: string;
+  text: string;
+  parseMode?: ParseMode;
+  buttons?: InlineButton[][];
+  options: TextOptions;
+  /** Cron expression of repeating messages. */
+  cron?: string;
+  /** ISO time of the next run. */
+  nextRun: string;
+  lastRun?: string;
+  runs?: number;
+}
+
+export interface ScheduledMessageHandle extends ScheduledMessage {
+  /** Resolves true if the message was still scheduled. */
+  cancel(): Promise<boolean>;
+  /** Set when the client is a dry run; the message was validated but not stored. */
+  dryRun?: true;
+}
+
+export interface ScheduleStore {
+  add(job: ScheduledMessage): Promise<ScheduledMessage>;
+  list(): Promise<ScheduledMessage[]>;
+  remove(ids: string[]): Promise<number>;
+  /** Take the due jobs: one-time jobs are removed and repeating jobs move on to their next run. */
+  claimDue(now?: Date): Promise<ScheduledMessage[]>;
+  /** Whether jobs outlive the process (needed for detached messages). */
+  persistent?: boolean;
+}
+
+export interface FileScheduleStore extends ScheduleStore {
+  dir: string;
+  file: string;
+  persistent: true;
+}
+
+export interface ScheduledRun {
+  job: ScheduledMessage;
+  results?: SendResult[];
+  error?: TelegramBotError;
+}
+
+/** A message sent within the dedup window, as kept by a dedup store. */
+export interface DedupRecord {
+  key: string;
+  count: number;
+  /** ISO dates of the first send, the latest repeat and the end of the window. */
+  first: string;
+  last: string;
+  expiresAt: string;
+  /** Messages the first send created. */
+  messages: Array<{ channel: string; chatId?: string; messageId: number }>;
+  /** Text, parse mode and buttons of the first send, kept in collapse mode to edit it. */
+  text?: string;
+  parseMode?: ParseMode;
+  buttons?: InlineButton[][];
+}
+
+export interface DedupStore {
+  /** Count a message: a duplicate if a record for the key is still within its window, else a new record. */
+  hit(key: string, options: { window: number; now?: Date }): Promise<{ duplicate: boolean; record: DedupRecord }>;
+  update(key: string, fields: Partial<DedupRecord>): Promise<boolean>;
+  remove(key: string): Promise<boolean>;
+  persistent?: boolean;
+}
+
+export interface FileDedupStore extends DedupStore {
+  dir: string;
+  file: string;
+  persistent: true;
+}
+
+export interface DedupOptions {
+  /** Suppression window from the first send, in ms or as a duration such as '10m' (default: 5 minutes). */
+  window?: number | string;
+  /** Drop repeats, or edit the first message to show "(repeated ×N, last at HH:MM)" (default: 'drop'). */
+  mode?: 'drop' | 'collapse';
+  /** Directory of a file store shared between processes. */
+  dir?: string;
+  /** Store to use instead (default: in memory, or a file store in dir). */
+  store?: DedupStore;
+}
+
+export interface ClientDefaults {
+  channel?: string;
+  parseMode?: ParseMode;
+  settle?: boolean;
+  concurrency?: number;
+}
+
+export interface TelefyOptions {
+  channels: Map<string, ChannelOptions> | Record<string, ChannelOptions>;
+  groups?: Map<string, string[]> | Record<string, string[]>;
+  defaults?: ClientDefaults;
+  retry?: RetryPolicy | boolean;
+  outbox?: boolean | { dir?: string } | Outbox;
+  rateLimit?: boolean | RateLimits | RateLimiter;
+  /** Bot API root, e.g. a self-hosted telegram-bot-api server. */
+  apiRoot?: string;
+  proxy?: string;
+  timeout?: number;
+  transport?: Transport;
+  /** Validate and render requests without sending them. */
+  dryRun?: boolean;
+  /** Directory of template files (default: templates), or template sources keyed by name. */
+  templates?: string | Record<string, string>;
+  /** Where scheduled messages are kept: true for .telefy/schedule, { dir }, or a store (default: in memory). */
+  schedule?: boolean | { dir?: string } | ScheduleStore;
+  /** Suppress repeats of a text message to the same target: true for a 5-minute window that drops them. */
+  dedup?: boolean | DedupOptions;
+}
+
+export interface TemplateOptions {
+  parseMode?: ParseMode;
+  /** Name used in error messages. */
+  name?: string;
+  /** Throw on missing variables (default: true); otherwise they render empty. */
+  strict?: boolean;
+  /** Buttons used when the front matter has none; their fields may hold placeholders. */
+  buttons?: Array<InlineButton | InlineButton[]>;
+}
+
+export interface RenderedTemplate {
+  text: string;
+  parseMode: ParseMode;
+  buttons: InlineButton[][];
+}
+
+export type Text = string | FormattedText;
+
+export interface TelefyClient {
+  getChannels(): Map<string, ChannelConfig>;
+  getGroups(): Map<string, string[]>;
+  sendTGMessage(text: Text, channel?: string, parseMode?: ParseMode, options?: TextOptions): Promise<SendResult[]>;
+  sendTGMessageWithButtons(text: Text, buttons?: Buttons, channel?: string, parseMode?: ParseMode, options?: TextOptions):
+    Promise<SendResult[]>;
+  sendTGTemplate(name: string, vars?: Record<string, unknown>, channel?: string, options?: TextOptions): Promise<SendResult[]>;
+  sendTGPhoto(photo: MediaInput, caption?: Text, channel?: string, parseMode?: ParseMode, options?: MediaOptions): Promise<SendResult[]>;
+  sendTGDocument(document: MediaInput, caption?: Text, channel?: string, parseMode?: ParseMode, options?: MediaOptions):
+    Promise<SendResult[]>;
+  sendTGVideo(video: MediaInput, caption?: Text, channel?: string, parseMode?: ParseMode, options?: MediaOptions): Promise<SendResult[]>;
+  sendTGAudio(audio: MediaInput, caption?: Text, channel?: string, parseMode?: ParseMode, options?: MediaOptions): Promise<SendResult[]>;
+  sendTGMediaGroup(items: MediaGroupItem[], channel?: string, parseMode?: ParseMode, options?: SendOptions): Promise<SendResult[]>;
+  editTGMessage(target: MessageRef | MessageRef[], text: Text, parseMode?: ParseMode,
+    options?: DeliveryOptions & { buttons?: InlineButton[][]; escapeMarkdownV2?: boolean }): Promise<SendResult[]>;
+  editTGMessageButtons(target: MessageRef | MessageRef[], buttons?: InlineButton[][], options?: DeliveryOptions): Promise<SendResult[]>;
+  deleteTGMessage(target: MessageRef | MessageRef[], options?: DeliveryOptions): Promise<SendResult[]>;
+  pinTGMessage(target: MessageRef | MessageRef[], options?: DeliveryOptions & { silent?: boolean }): Promise<SendResult[]>;
+  scheduleTGMessage(text: Text, when: ScheduleWhen, channel?: string, options?: ScheduleOptions): Promise<ScheduledMessageHandle>;
+  listScheduledTGMessages(): Promise<ScheduledMessage[]>;
+  cancelScheduledTGMessage(id: string): Promise<boolean>;
+  startScheduler(options?: { onRun?: (run: ScheduledRun) => void; onError?: (error: TelegramBotError) => void }): Promise<void>;
+  stopScheduler(): Promise<void>;
+  flushOutbox(): Promise<FlushResult>;
+  getRateLimitStats(): RateLimitStats | null;
+  verifyChannels(channel?: string, options?: { concurrency?: number }): Promise<VerifyReport[]>;
+}
+
+export interface TelefyConfig {
+  channels: Map<string, ChannelOptions>;
+  groups: Map<string, string[]>;
+  defaults: ClientDefaults;
+  outbox?: { dir: string };
+  rateLimit?: true | RateLimits;
+  apiRoot?: string;
+  proxy?: string;
+  timeout?: number;
+  /** Set by TELEFY_DRY_RUN. */
+  dryRun?: true;
+  /** Templates directory, from the file or TELEFY_TEMPLATES_DIR. */
+  templates?: string;
+  /** Schedule directory, from the file or TELEFY_SCHEDULE_DIR. */
+  schedule?: { dir: string };
+  /** Dedup settings (window in ms), from the file or TELEFY_DEDUP_WINDOW, TELEFY_DEDUP_MODE and TELEFY_DEDUP_DIR. */
+  dedup?: { window?: number; mode?: 'drop' | 'collapse'; dir: string };
+  /** Webhook endpoints, when the file has a webhooks section. */
+  webhooks?: Record<string, WebhookEndpoint>;
+  /** Config file that was loaded, or null. */
+  path: string | null;
+}
+
+export function createTelefy(options: TelefyOptions): TelefyClient;
+export function createOutbox(options?: { dir?: string }): Outbox;
+export function createScheduleStore(options?: { dir?: string }): FileScheduleStore;
+export function createDedupStore(options?: { dir?: string }): FileDedupStore;
+export function createRateLimiter(limits?: boolean | RateLimits): RateLimiter & { stats(): RateLimitStats };
+/** A chat the bot has seen, from discoverChats. */
+export interface DiscoveredChat {
+  id: string;
+  type: 'private' | 'group' | 'supergroup' | 'channel';
+  title: string;
+  username?: string;
+  /** Forum topics seen in the chat. */
+  topics: Array<{ id: number; name?: string }>;
+  /** Unix time in seconds of the latest update from the chat. */
+  lastSeen: number;
+}
+
+export interface DiscoverOptions {
+  /** Seconds to wait for an update when none is pending. */
+  wait?: number;
+  apiRoot?: string;
+  proxy?: string;
+  timeout?: number;
+  transport?: Transport;
+  retry?: RetryPolicy | boolean;
+}
+
+export function discoverChats(token: string, options?: DiscoverOptions): Promise<DiscoveredChat[]>;
+
+export interface RelayOptions {
+  /** Shared secret callers send as "Authorization: Bearer <key>" or "X-Api-Key: <key>". */
+  apiKey: string;
+  /** Port to listen on (default 8787, 0 picks a free one). */
+  port?: number;
+  /** Interface to listen on (default 127.0.0.1). */
+  host?: string;
+  /** Called after each request. */
+  onRequest?: (entry: { method: string; path: string; status: number; ms: number; error?: Error }) => void;
+}
+
+export interface Relay {
+  /** Resolves with the base URL, e.g. http://127.0.0.1:8787. */
+  listen(): Promise<string>;
+  close(): Promise<void>;
+  readonly url: string | null;
+}
+
+export function createRelay(
+  client: Pick<TelefyClient, 'sendTGMessage' | 'sendTGMessageWithButtons' | 'getChannels' | 'getGroups'>,
+  options: RelayOptions
+): Relay;
+export interface WebhookMessage {
+  text: string;
+  buttons?: InlineButton[][];
+  /** Values routes match against. */
+  labels?: Record<string, string | number | boolean>;
+  /** Default 'HTML'. */
+  parseMode?: ParseMode;
+}
+
+export type WebhookAdapter = (
+  payload: Record<string, unknown>,
+  context: { headers: Record<string, string | string[] | undefined>; endpoint: WebhookEndpoint & { name: string } }
+) => WebhookMessage | null | Promise<WebhookMessage | null>;
+
+export interface WebhookEndpoint {
+  /** Built-in adapter or a function; default: the endpoint name. */
+  adapter?: 'github' | 'alertmanager' | 'grafana' | 'template' | WebhookAdapter;
+  /** Channel or group for messages no route matches (default: the client's default channel). */
+  channel?: string;
+  /** Secret for this endpoint instead of the shared one. */
+  secret?: string;
+  /** The first route whose labels all match picks the channel. */
+  routes?: { match: Record<string, string | number | boolean | Array<string | number | boolean>>; channel: string }[];
+  /** Message text with {{path}} placeholders, for the template adapter. */
+  template?: string;
+  /** Link buttons (or rows of them) with {{path}} placeholders, for the template adapter. */
+  buttons?: Array<{ text: string; url: string } | { text: string; url: string }[]>;
+  /** Parse mode of the template (default 'HTML'). */
+  parseMode?: ParseMode;
+}
+
+export interface WebhookReceiverOptions {
+  /** Endpoints served as POST /<name> (default: github, alertmanager and grafana). */
+  endpoints?: Record<string, WebhookEndpoint>;
+  /** Shared secret: GitHub signs payloads with it, other tools send it as a bearer token or X-Api-Key. */
+  secret?: string;
+  /** Port to listen on (default 8788, 0 picks a free one). */
+  port?: number;
+  /** Interface to listen on (default 127.0.0.1). */
+  host?: string;
+  /** Called after each request. */
+  onRequest?: (entry: { method: string; path: string; status: number; ms: number; error?: Error }) => void;
+}
+
+export function createWebhookReceiver(
+  client: Pick<TelefyClient, 'sendTGMessage' | 'sendTGMessageWithButtons' | 'getChannels' | 'getGroups'>,
+  options: WebhookReceiverOptions
+): Relay;
+export function fromEnv(options?: { env?: Record<string, string | undefined>; path?: string }): Map<string, ChannelOptions>;
+export function loadConfig(options?: { path?: string; cwd?: string; env?: Record<string, string | undefined> }): TelefyConfig;
+export function getConfig(): TelefyConfig;
+
+export const getChannels: TelefyClient['getChannels'];
+export const getGroups: TelefyClient['getGroups'];
+export const sendTGMessage: TelefyClient['sendTGMessage'];
+export const sendTGMessageWithButtons: TelefyClient['sendTGMessageWithButtons'];
+export const sendTGTemplate: TelefyClient['sendTGTemplate'];
+export const sendTGPhoto: TelefyClient['sendTGPhoto'];
+export const sendTGDocument: TelefyClient['sendTGDocument'];
+export const sendTGVideo: TelefyClient['sendTGVideo'];
+export const sendTGAudio: TelefyClient['sendTGAudio'];
+export const sendTGMediaGroup: TelefyClient['sendTGMediaGroup'];
+export const editTGMessage: TelefyClient['editTGMessage'];
+export const editTGMessageButtons: TelefyClient['editTGMessageButtons'];
+export const deleteTGMessage: TelefyClient['deleteTGMessage'];
+export const pinTGMessage: TelefyClient['pinTGMessage'];
+export const scheduleTGMessage: TelefyClient['scheduleTGMessage'];
+export const listScheduledTGMessages: TelefyClient['listScheduledTGMessages'];
+export const cancelScheduledTGMessage: TelefyClient['cancelScheduledTGMessage'];
+export const startScheduler: TelefyClient['startScheduler'];
+export const stopScheduler: TelefyClient['stopScheduler'];
+export const flushOutbox: TelefyClient['flushOutbox'];
+export const getRateLimitStats: TelefyClient['getRateLimitStats'];
+export const verifyChannels: TelefyClient['verifyChannels'];
+
+export class FormattedText {
+  constructor(text: string, parseMode: ParseMode);
+  text: string;
+  parseMode: ParseMode;
+  toString(): string;
+}
+
+export function escapeMarkdownV2(text: unknown): string;
+export function escapeMarkdown(text: unknown): string;
+export function escapeHTML(text: unknown): string;
+export function escapeText(text: unknown, parseMode?: ParseMode): string;
+export function bold(text: Text, parseMode?: ParseMode): FormattedText;
+export function italic(text: Text, parseMode?: ParseMode): FormattedText;
+export function spoiler(text: Text, parseMode?: ParseMode): FormattedText;
+export function code(text: string, parseMode?: ParseMode): FormattedText;
+export function pre(text: string, language?: string, parseMode?: ParseMode): FormattedText;
+export function link(text: Text, url: string, parseMode?: ParseMode): FormattedText;
+export function mention(text: Text, userId: number | string, parseMode?: ParseMode): FormattedText;
+
+export interface FormatTag {
+  (strings: TemplateStringsArray, ...values: unknown[]): FormattedText;
+  escape(text: unknown): string;
+  bold(text: Text): FormattedText;
+  italic(text: Text): FormattedText;
+  spoiler(text: Text): FormattedText;
+  code(text: string): FormattedText;
+  pre(text: string, language?: string): FormattedText;
+  link(text: Text, url: string): FormattedText;
+  mention(text: Text, userId: number | string): FormattedText;
+}
+
+export const md: FormatTag;
+export const html: FormatTag;
+
+export function replyKeyboard(rows: Array<Array<string | Record<string, unknown>>>, options?: Record<string, unknown>): ReplyMarkup;
+export function removeKeyboard(options?: { selective?: boolean }): ReplyMarkup;
+export function forceReply(options?: { input_field_placeholder?: string; selective?: boolean }): ReplyMarkup;
+export function renderTemplate(source: string, vars?: Record<string, unknown>, options?: TemplateOptions): RenderedTemplate;
+
+export interface ListenerContext {
+  type: string;
+  update: Record<string, any>;
+  channel: string | null;
+  chatId?: number;
+  botId: string;
+  answered: boolean;
+  match: RegExpExecArray | null;
+  call(method: string, body?: Record<string, unknown>): Promise<TelegramResponse>;
+  reply(text: string, extra?: Record<string, unknown>): Promise<TelegramResponse>;
+  answer?(text?: string, extra?: Record<string, unknown>): Promise<TelegramResponse>;
+  editText?(text: string, extra?: Record<string, unknown>): Promise<TelegramResponse>;
+  editButtons?(buttons?: InlineButton[][]): Promise<TelegramResponse>;
+}
+
+export interface ListenerOptions {
+  channels?: Map<string, ChannelOptions> | Record<string, ChannelOptions>;
+  mode?: 'polling' | 'webhook';
+  pollTimeout?: number;
+  allowedUpdates?: string[];
+  retry?: RetryPolicy | boolean;
+  webhook?: { port?: number; host?: string; path?: string; url?: string; secretToken?: string };
+  apiRoot?: string;
+  proxy?: string;
+  transport?: Transport;
+}
+
+export class TelefyListener {
+  constructor(options?: ListenerOptions);
+  channels: Map<string, ChannelConfig>;
+  mode: 'polling' | 'webhook';
+  running: boolean;
+  on(type: 'error', handler: (error: Error, context?: ListenerContext) => void | Promise<void>): this;
+  on(type: string, handler: (payload: any, context: ListenerContext) => void | Promise<void>): this;
+  onCallback(
+    match: string | RegExp | ((data: string) => boolean),
+    handler: (query: any, context: ListenerContext) => void | Promise<void>
+  ): this;
+  start(): Promise<void>;
+  stop(): Promise<void>;
+}
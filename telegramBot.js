@@ -1,6 +1,6 @@
 /**
  * @file telegramBot.js
- * @description A simple Telegram bot API wrapper for sending messages and inline buttons.
+ * @description A simple Telegram bot API wrapper for sending, editing and deleting messages, inline buttons and media.
  * @description This module provides functions to send messages with optional markdown formatting and inline buttons.
  * @description It handles errors gracefully and provides suggestions for common issues.
  * @description It uses the Telegram Bot API and Axios for HTTP requests.
@@ -10,260 +10,1358 @@
  * @license MIT
  */
 
-import axios from 'axios';
-import dotenv from 'dotenv';
+import { callTelegram as callBotApi, renderRequest } from './lib/api.js';
+import { deliver } from './lib/broadcast.js';
+import { discoverChats } from './lib/discover.js';
+import { expandChats, findChat, fromEnv, getTargetChannels, normalizeChannels, normalizeGroups } from './lib/channels.js';
+import { loadConfig } from './lib/config.js';
+import { createDedupStore, dedupKeyOf, repeatedNote, resolveDedup } from './lib/dedup.js';
+import { TelegramBotError, TelegramBroadcastError } from './lib/errors.js';
+import {
+  FormattedText,
+  escapeMarkdownV2,
+  escapeMarkdown,
+  escapeHTML,
+  escapeText,
+  bold,
+  italic,
+  spoiler,
+  code,
+  pre,
+  link,
+  mention,
+  md,
+  html,
+} from './lib/format.js';
+import { buildReplyMarkup, forceReply, removeKeyboard, replyKeyboard } from './lib/keyboard.js';
+import { TelefyListener } from './lib/listener.js';
+import { buildRequestBody, resolveMediaInput, validateMediaGroup } from './lib/media.js';
+import { resolveMessageRefs } from './lib/messages.js';
+import { createOutbox, outboxKey, replayOutbox, resolveOutbox } from './lib/outbox.js';
+import { createRateLimiter, resolveRateLimiter } from './lib/ratelimit.js';
+import { createRelay } from './lib/relay.js';
+import { resolveTransport, validateProxy, validateTimeout } from './lib/transport.js';
+import { resolveRetryPolicy } from './lib/retry.js';
+import { MAX_MESSAGE_LENGTH, splitMessage } from './lib/split.js';
+import { createJob, createScheduleStore, createScheduler, resolveScheduleStore, resolveWhen } from './lib/schedule.js';
+import { renderTemplate, resolveTemplates } from './lib/templates.js';
+import { verifyChat } from './lib/verify.js';
+import { createWebhookReceiver } from './lib/webhook.js';
 
-// Load environment variables
-dotenv.config();
+/**
+ * Create an isolated client bound to its own set of channels.
+ * @param {Object} options - Client options.
+ * @param {Map<string, Object>|Object<string, Object>} options.channels - Channels keyed by name, each with token and chatId,
+ * optional per-channel send defaults (parseMode, disableNotification, protectContent, messageThreadId), and optional
+ * rateLimit, apiRoot, proxy and timeout overriding the client's for the channel.
+ * @param {Map<string, string[]>|Object<string, string[]>} [options.groups] - Named lists of channels that can be used as a target.
+ * @param {Object} [options.defaults] - Values used when a call omits them.
+ * @param {string} [options.defaults.channel='all'] - Default target channel or group.
+ * @param {string} [options.defaults.parseMode='Markdown'] - Default parse mode for channels without their own.
+ * @param {boolean} [options.defaults.settle=false] - Deliver to every channel even if some fail.
+ * @param {number} [options.defaults.concurrency=1] - Maximum number of channels sent to at the same time.
+ * @param {Object|boolean} [options.retry] - Retry policy ({ retries, minDelay, maxDelay, factor, jitter }) or false to disable.
+ * @param {Object|boolean} [options.outbox] - Queue sends that fail with a network, rate-limit or server error:
+ * true for .telefy/outbox, { dir }, or an outbox from createOutbox. A send's options.dedupKey keeps the message from
+ * being queued twice.
+ * @param {Object|boolean} [options.rateLimit] - Queue calls so they stay within Telegram's limits: true for the default
+ * limits, { perChat, perGroup, perBot } (each { limit, interval } or false), or a limiter from createRateLimiter
+ * to share between clients.
+ * @param {string} [options.apiRoot='https://api.telegram.org'] - Bot API root, e.g. a self-hosted telegram-bot-api
+ * server or a local fake.
+ * @param {string} [options.proxy] - Proxy URL for every request (http://, https:// or socks5://).
+ * @param {number} [options.timeout] - Request timeout in ms (default: none).
+ * @param {Function} [options.transport] - Sends requests instead of axios: called with { url, body, timeout, proxy }
+ * and resolving with { status, data }.
+ * @param {boolean} [options.dryRun=false] - Validate and render every request without sending it: results carry
+ * `dryRun: true` and the `request` ({ method, url, payload }) that would have been sent.
+ * @param {string|Object<string, string>} [options.templates='templates'] - Directory of the templates sendTGTemplate
+ * renders (<name>.md, .html or .txt), or template sources keyed by name.
+ * @param {Object|boolean} [options.schedule] - Where scheduleTGMessage keeps jobs: true for .telefy/schedule, { dir },
+ * or a store from createScheduleStore; by default they are kept in memory and lost when the process exits.
+ * @param {Object|boolean} [options.dedup] - Suppress repeats of a text message sent to the same target within a window:
+ * true to drop them for 5 minutes, or { window, mode, dir, store } with window in ms or as a duration ('10m'), mode
+ * 'drop' or 'collapse' (edit the first message to show "(repeated ×N, last at HH:MM)"), and dir or a store from
+ * createDedupStore to share the state between processes. Messages are matched by options.dedupKey, else by their text.
+ * @returns {Object} Client instance with getChannels, getGroups, the send functions, the edit, delete and pin functions,
+ * the scheduling functions, flushOutbox, getRateLimitStats and verifyChannels.
+ * @throws {TelegramBotError} If the channel, group, retry, rate limit or transport configuration is invalid.
+ */
+function createTelefy({
+  channels: definition,
+  groups: groupDefinition,
+  defaults = {},
+  retry,
+  outbox: outboxOption,
+  rateLimit,
+  apiRoot,
+  proxy,
+  timeout,
+  transport: transportOption,
+  dryRun = false,
+  templates: templatesOption,
+  schedule: scheduleOption,
+  dedup: dedupOption,
+} = {}) {
+  validateProxy(proxy);
+  validateTimeout(timeout);
+  const channels = normalizeChannels(definition, { apiRoot });
+  const groups = normalizeGroups(groupDefinition, channels);
+  const defaultChannel = defaults.channel || 'all';
+  const defaultParseMode = defaults.parseMode || 'Markdown';
+  const retryPolicy = resolveRetryPolicy(retry);
+  const outbox = resolveOutbox(outboxOption);
+  const limiter = resolveRateLimiter(rateLimit);
+  const transport = resolveTransport(transportOption);
+  const loadTemplate = resolveTemplates(templatesOption);
+  const dedup = resolveDedup(dedupOption);
+  const scheduleStore = resolveScheduleStore(scheduleOption);
+  const scheduler = createScheduler(scheduleStore, (job) => (job.buttons
+    ? sendTGMessageWithButtons(job.text, job.buttons, job.channel, job.parseMode, job.options)
+    : sendTGMessage(job.text, job.channel, job.parseMode, job.options)));
+  const defaultDelivery = { settle: Boolean(defaults.settle), concurrency: defaults.concurrency || 1 };
 
-// Custom error class for Telegram bot errors
-class TelegramBotError extends Error {
-  constructor(message, suggestion = '') {
-    super(message);
-    this.name = 'TelegramBotError';
-    this.suggestion = suggestion;
+  /**
+   * Call a Bot API method for one channel with this client's retry policy and transport, waiting for the rate limiter
+   * if there is one. Dry runs return the rendered request instead.
+   * @param {string} channelName - Channel name (used in error messages).
+   * @param {{baseUrl: string}} config - Channel configuration.
+   * @param {string} method - Bot API method name.
+   * @param {Object} payload - Request body.
+   * @returns {Promise<Object>} Telegram API response body.
+   * @throws {TelegramBotError} If the call fails.
+   */
+  function callTelegram(channelName, config, method, payload) {
+    if (dryRun) {
+      return Promise.resolve(renderRequest(config, method, payload));
+    }
+    const requestOptions = { timeout: config.timeout ?? timeout, proxy: config.proxy ?? proxy };
+    const call = () => callBotApi(channelName, config, method, payload, retryPolicy, requestOptions, transport);
+    if (!limiter) {
+      return call();
+    }
+    return limiter.schedule({ token: config.token, chatId: config.chatId, channel: channelName }, call, config.rateLimit);
+  }
+
+  /**
+   * Send a message request, queueing it in the outbox when Telegram cannot be reached, or behind the entries already
+   * queued for the same chat so its messages arrive in order.
+   * Only JSON requests are queued; uploads of local files, Buffers and streams fail as usual.
+   * @param {string} channelName - Channel name.
+   * @param {Object} config - Configuration of the channel for one chat.
+   * @param {string} method - Bot API method name.
+   * @param {Object|FormData} payload - Request body.
+   * @param {string} [dedupKey] - Identifies the message in the outbox; without one, every failed send is queued.
+   * @param {boolean} [queueOnly=false] - Queue without trying first, so later parts of a split message stay in order.
+   * @returns {Promise<Object>} Telegram response, or { queued: true, outboxId } when the request was queued.
+   * @throws {TelegramBotError} If the call fails and the request cannot be queued, or the outbox cannot be read.
+   */
+  async function sendRequest(channelName, config, method, payload, dedupKey, queueOnly = false) {
+    if (!outbox || dryRun || payload instanceof FormData) {
+      return callTelegram(channelName, config, method, payload);
+    }
+    let failure;
+    // A newer message must not overtake the ones already waiting for the same chat
+    const behind = queueOnly || (await outbox.list()).some((entry) => entry.channel === channelName && entry.chatId === config.chatId);
+    if (!behind) {
+      try {
+        return await callTelegram(channelName, config, method, payload);
+      } catch (error) {
+        if (!error.retryable) {
+          throw error;
+        }
+        failure = error;
+      }
+    }
+    const { entry } = await outbox.enqueue({
+      key: dedupKey === undefined ? undefined : outboxKey(channelName, config.chatId, method, dedupKey),
+      channel: channelName,
+      chatId: config.chatId,
+      method,
+      payload,
+      error: failure?.message,
+      attempts: failure?.attempts ?? 0,
+    });
+    return { queued: true, outboxId: entry.id };
+  }
+
+  /**
+   * Get all channels configured on this client.
+   * @returns {Map<string, {token: string, chatId: string, baseUrl: string}>} Map of channel configurations.
+   */
+  function getChannels() {
+    return channels;
+  }
+
+  /**
+   * Get the channel groups configured on this client.
+   * @returns {Map<string, string[]>} Channel names keyed by group name.
+   */
+  function getGroups() {
+    return groups;
+  }
+
+  /**
+   * Resolve a channel, group or 'all' into delivery targets, one per chat of each channel.
+   * @param {string} channel - Channel name, group name or 'all'.
+   * @returns {Array<[string, Object, Object?]>} Targets for deliver().
+   * @throws {TelegramBotError} If the channel is unknown.
+   */
+  function getTargets(channel) {
+    return expandChats(getTargetChannels(channels, channel, groups));
+  }
+
+  /**
+   * Pick the parse mode for one channel: an explicit or formatted-text mode wins over the channel's own default.
+   * @param {{parseMode?: string}} config - Channel configuration.
+   * @param {string} [parseMode] - Parse mode passed to the call.
+   * @returns {string} Parse mode.
+   */
+  function parseModeFor(config, parseMode) {
+    return parseMode || config.parseMode || defaultParseMode;
   }
-}
 
-// Load and validate channel configurations
-const channels = new Map();
-const envKeys = Object.keys(process.env);
-for (const key of envKeys) {
-  if (key.startsWith('CHANNEL_') && key.endsWith('_TOKEN')) {
-    const channelName = key.slice(8, -6).toLowerCase(); // Extract name from CHANNEL_<name>_TOKEN
-    const token = process.env[key];
-    const chatIdKey = `CHANNEL_${channelName.toUpperCase()}_CHAT_ID`;
-    const chatId = process.env[chatIdKey];
+  /**
+   * Send a simple text message to one or all channels.
+   * @param {string} text - Message text (max 4096 characters unless split or asDocument is set).
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and long-text handling ({ split, asDocument, filename }).
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGMessage(text, channel = defaultChannel, parseMode = parseModeOf(text), options = {}) {
+    text = unwrapText(text);
+    // Validate inputs
+    validateInputs(text, parseMode, options);
+
+    return sendText(text, channel, parseMode, undefined, options);
+  }
+
+  /**
+   * Send a message with inline buttons (or other reply markup) to one or all channels.
+   * @param {string} text - Message text (max 4096 characters unless split or asDocument is set).
+   * @param {Array<Array<Object>>|Object} [buttons=[[]]] - Inline keyboard rows (url, callback_data, ... buttons) or a reply markup object.
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and long-text handling ({ split, asDocument, filename }).
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGMessageWithButtons(text, buttons = [[]], channel = defaultChannel, parseMode = parseModeOf(text), options = {}) {
+    text = unwrapText(text);
+    // Validate inputs
+    validateInputs(text, parseMode, options);
+    const replyMarkup = buildReplyMarkup(buttons);
+
+    return sendText(text, channel, parseMode, replyMarkup, options);
+  }
+
+  /**
+   * Render a named template and send it, with the buttons of its front matter, to one or all channels.
+   * The template's parseMode (else HTML for .html files, else the client's default) applies to every channel.
+   * @param {string} name - Template name, e.g. 'deploy' for templates/deploy.md.
+   * @param {Object} [vars={}] - Template variables.
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and long-text handling ({ split, asDocument, filename }).
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If the template cannot be found or rendered, or validation or an API call fails.
+   */
+  async function sendTGTemplate(name, vars = {}, channel = defaultChannel, options = {}) {
+    const template = await loadTemplate(name);
+    const { text, parseMode, buttons } = renderTemplate(template.source, vars, { name, parseMode: template.parseMode ?? defaultParseMode });
+    validateInputs(text, parseMode, options);
+
+    // Rendered templates are escaped already
+    return sendText(text, channel, parseMode, buttons.length > 0 ? buildReplyMarkup(buttons) : undefined,
+      { ...options, escapeMarkdownV2: false });
+  }
+
+  /**
+   * Send validated text, splitting it or uploading it as a .txt document when it is too long.
+   * With split, each channel receives the parts in order and the reply markup is attached to the last part.
+   * @param {string} text - Message text.
+   * @param {string} channel - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode (each channel's default when omitted).
+   * @param {Object} [replyMarkup] - Reply markup to attach.
+   * @param {Object} options - Delivery and long-text options, and `dedup: false` to skip the client's deduplication.
+   * @returns {Promise<Object[]>} Per-channel results; split sends add `responses` and `messageIds` for every part.
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendText(text, channel, parseMode, replyMarkup, options) {
+    if (dedup && !dryRun && options.dedup !== false) {
+      return sendDeduplicated(text, channel, parseMode, replyMarkup, options);
+    }
+    const targetChannels = getTargets(channel);
+    const textOf = (config) => textForChannel(text, parseModeFor(config, parseMode), options);
+    if (options.escapeMarkdownV2) {
+      for (const [, config] of targetChannels) {
+        validateInputs(textOf(config), parseModeFor(config, parseMode), options);
+      }
+    }
+    const fits = targetChannels.every(([, config]) => textOf(config).length <= MAX_MESSAGE_LENGTH);
+    if (!fits && options.asDocument) {
+      return sendMedia('sendDocument', 'document', Buffer.from(text), '', channel, parseMode,
+        { filename: 'message.txt', ...options }, { reply_markup: replyMarkup });
+    }
+
+    const delivery = { ...defaultDelivery, ...options };
+    const payload = (config, part, last) => buildRequestBody({
+      chat_id: config.chatId,
+      text: part,
+      parse_mode: parseModeFor(config, parseMode),
+      reply_markup: last ? replyMarkup : undefined,
+      ...sendOptions(config, options),
+    });
+
+    if (fits) {
+      return deliver(targetChannels, (channelName, config) => sendRequest(channelName, config, 'sendMessage',
+        payload(config, textOf(config), true), options.dedupKey), { ...delivery, toResult: sendResult });
+    }
+
+    return deliver(targetChannels, async (channelName, config) => {
+      const parts = splitMessage(textOf(config), parseModeFor(config, parseMode));
+      const responses = [];
+      for (const [index, part] of parts.entries()) {
+        const dedupKey = options.dedupKey === undefined ? undefined : `${options.dedupKey}#${index + 1}`;
+        const queueOnly = responses.some((response) => response.queued);
+        responses.push(await sendRequest(channelName, config, 'sendMessage', payload(config, part, index === parts.length - 1),
+          dedupKey, queueOnly));
+      }
+      return responses;
+    }, {
+      ...delivery,
+      toResult: (responses, config) => ({
+        ...messageFields(responses[0].result, config),
+        response: responses[responses.length - 1],
+        responses,
+        messageIds: responses.map((response) => response.result?.message_id),
+        ...(dryRun ? { dryRun: true, chatId: config.chatId, requests: responses.map((response) => response.request) } : {}),
+        ...(responses.some((response) => response.queued) ? { queued: true } : {}),
+      }),
+    });
+  }
+
+  /**
+   * Send text unless the same message went to the same target within the dedup window. The sent messages are
+   * recorded so repeats can refer to them; a send that fails everywhere is forgotten, so a retry goes out, while a
+   * settled broadcast that reached some channels is recorded with the messages that were delivered.
+   * @param {string} text - Message text.
+   * @param {string} channel - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode (each channel's default when omitted).
+   * @param {Object} [replyMarkup] - Reply markup to attach.
+   * @param {Object} options - Delivery and long-text options; options.dedupKey identifies the message.
+   * @returns {Promise<Object[]>} Per-channel results, or the results of suppressDuplicate for a repeat.
+   * @throws {TelegramBotError} If the dedup store, validation or API call fails.
+   */
+  async function sendDeduplicated(text, channel, parseMode, replyMarkup, options) {
+    const key = dedupKeyOf(channel, text, options.dedupKey);
+    const { duplicate, record } = await dedup.store.hit(key, { window: dedup.window });
+    if (duplicate) {
+      return suppressDuplicate(record, channel);
+    }
+
+    let results;
+    let failure;
+    try {
+      results = await sendText(text, channel, parseMode, replyMarkup, { ...options, dedup: false });
+    } catch (error) {
+      // A settled broadcast that reached some channels keeps the record, so a retry does not send those again
+      const delivered = error instanceof TelegramBroadcastError ? error.results.filter((result) => result.ok) : [];
+      if (delivered.length === 0) {
+        await dedup.store.remove(key).catch(() => {});
+        throw error;
+      }
+      results = delivered;
+      failure = error;
+    }
+    const messages = results.filter((result) => result.messageId !== undefined)
+      .map(({ channel: channelName, chatId, messageId }) => ({ channel: channelName, chatId, messageId }));
+    // Split messages and .txt documents cannot be edited into, so their repeats are dropped
+    const collapsible = dedup.mode === 'collapse' && text.length <= MAX_MESSAGE_LENGTH
+      ? { text, parseMode, buttons: replyMarkup?.inline_keyboard, escapeMarkdownV2: options.escapeMarkdownV2 || undefined }
+      : {};
+    try {
+      await dedup.store.update(key, { messages, ...collapsible });
+    } catch (error) {
+      // The message went out; failing now would only make the caller send it again
+      process.emitWarning(`Could not record the sent message for deduplication: ${error.message}`, 'TelefyDedupWarning');
+    }
+    if (failure) {
+      throw failure;
+    }
+    return results;
+  }
+
+  /**
+   * Answer a repeated message without sending it: in collapse mode the first message is edited to show how often it
+   * was repeated.
+   * @param {Object} record - Dedup record, with the messages sent first and the repeat count.
+   * @param {string} channel - Target of the repeat.
+   * @returns {Promise<Object[]>} Results flagged `duplicate: true` with the `count`, one per first message (the edit
+   * results with `collapsed: true` in collapse mode, or `error` when an edit failed).
+   */
+  async function suppressDuplicate(record, channel) {
+    const { count, messages = [] } = record;
+    if (messages.length === 0) {
+      return [{ channel, duplicate: true, count }];
+    }
+    const note = repeatedNote(count, new Date(record.last));
+    return Promise.all(messages.map(async (message) => {
+      const config = channels.get(message.channel);
+      const parseMode = config && parseModeFor(config, record.parseMode);
+      const text = dedup.mode !== 'collapse' || record.text === undefined || !config
+        ? undefined
+        : `${textForChannel(record.text, parseMode, record)}\n\n${escapeText(note, parseMode)}`;
+      if (text === undefined || text.length > MAX_MESSAGE_LENGTH) {
+        return { ...message, duplicate: true, count };
+      }
+      try {
+        const [result] = await editTGMessage(message, text, record.parseMode, { buttons: record.buttons });
+        return { ...result, duplicate: true, collapsed: true, count };
+      } catch (error) {
+        return { ...message, duplicate: true, count, error };
+      }
+    }));
+  }
+
+  /**
+   * Send a single file with an optional caption to one or all channels.
+   * @param {string} method - Bot API method (e.g. 'sendPhoto').
+   * @param {string} field - Name of the file parameter (e.g. 'photo').
+   * @param {string|Buffer|Blob|NodeJS.ReadableStream} media - File path, Buffer, stream, Blob, URL or file_id.
+   * @param {string} caption - Optional caption (max 1024 characters).
+   * @param {string} channel - Target channel or group name, or 'all' for all channels.
+   * @param {string} parseMode - Parse mode for the caption.
+   * @param {Object} options - Delivery options plus `filename` for uploads.
+   * @param {Object} [extra={}] - Additional Bot API parameters (e.g. reply_markup).
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendMedia(method, field, media, caption, channel, parseMode, options, extra = {}) {
+    caption = unwrapText(caption);
+    validateCaption(caption, parseMode);
+    const targetChannels = getTargets(channel);
+    const captionOf = (config) => textForChannel(caption, parseModeFor(config, parseMode), options);
+    if (options.escapeMarkdownV2) {
+      for (const [, config] of targetChannels) {
+        validateCaption(captionOf(config), parseModeFor(config, parseMode));
+      }
+    }
+    const resolved = await resolveMediaInput(media, options.filename);
+
+    return deliver(targetChannels, (channelName, config) => sendRequest(channelName, config, method, buildRequestBody(
+      {
+        chat_id: config.chatId,
+        [field]: resolved.reference,
+        caption: captionOf(config) || undefined,
+        parse_mode: caption ? parseModeFor(config, parseMode) : undefined,
+        ...sendOptions(config, options),
+        ...extra,
+      },
+      resolved.file ? { [field]: resolved } : {}
+    ), options.dedupKey), { ...defaultDelivery, ...options, toResult: sendResult });
+  }
+
+  /**
+   * Send a photo to one or all channels.
+   * @param {string|Buffer|Blob|NodeJS.ReadableStream} photo - File path, Buffer, stream, Blob, URL or file_id.
+   * @param {string} [caption] - Optional caption (max 1024 characters).
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode for the caption ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGPhoto(photo, caption = '', channel = defaultChannel, parseMode = parseModeOf(caption), options = {}) {
+    return sendMedia('sendPhoto', 'photo', photo, caption, channel, parseMode, options);
+  }
+
+  /**
+   * Send a document (any file type) to one or all channels.
+   * @param {string|Buffer|Blob|NodeJS.ReadableStream} document - File path, Buffer, stream, Blob, URL or file_id.
+   * @param {string} [caption] - Optional caption (max 1024 characters).
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode for the caption ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGDocument(document, caption = '', channel = defaultChannel, parseMode = parseModeOf(caption), options = {}) {
+    return sendMedia('sendDocument', 'document', document, caption, channel, parseMode, options);
+  }
+
+  /**
+   * Send a video to one or all channels.
+   * @param {string|Buffer|Blob|NodeJS.ReadableStream} video - File path, Buffer, stream, Blob, URL or file_id.
+   * @param {string} [caption] - Optional caption (max 1024 characters).
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode for the caption ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGVideo(video, caption = '', channel = defaultChannel, parseMode = parseModeOf(caption), options = {}) {
+    return sendMedia('sendVideo', 'video', video, caption, channel, parseMode, options);
+  }
+
+  /**
+   * Send an audio file to one or all channels.
+   * @param {string|Buffer|Blob|NodeJS.ReadableStream} audio - File path, Buffer, stream, Blob, URL or file_id.
+   * @param {string} [caption] - Optional caption (max 1024 characters).
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode for the caption ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGAudio(audio, caption = '', channel = defaultChannel, parseMode = parseModeOf(caption), options = {}) {
+    return sendMedia('sendAudio', 'audio', audio, caption, channel, parseMode, options);
+  }
+
+  /**
+   * Send 2-10 photos, videos, documents or audio files as an album to one or all channels.
+   * @param {Array<{type: string, media: *, caption?: string, filename?: string}>} items - Media group items.
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {string} [parseMode] - Parse mode for the captions ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }).
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function sendTGMediaGroup(items, channel = defaultChannel, parseMode = parseModeOf(items?.find((item) => item?.caption)?.caption), options = {}) {
+    validateMediaGroup(items);
+    items = items.map((item) => ({ ...item, caption: unwrapText(item.caption) }));
+    for (const item of items) {
+      validateCaption(item.caption, parseMode);
+    }
+    const targetChannels = getTargets(channel);
+    const captionOf = (item, config) => textForChannel(item.caption, parseModeFor(config, parseMode), options);
+    if (options.escapeMarkdownV2) {
+      for (const [, config] of targetChannels) {
+        items.forEach((item) => validateCaption(captionOf(item, config), parseModeFor(config, parseMode)));
+      }
+    }
 
-    if (!token) {
+    const files = {};
+    const media = [];
+    for (const [index, item] of items.entries()) {
+      const resolved = await resolveMediaInput(item.media, item.filename);
+      if (resolved.file) {
+        files[`file${index}`] = resolved;
+      }
+      media.push({
+        type: item.type,
+        media: resolved.file ? `attach://file${index}` : resolved.reference,
+        caption: item.caption || undefined,
+      });
+    }
+
+    return deliver(targetChannels, (channelName, config) => sendRequest(channelName, config, 'sendMediaGroup', buildRequestBody(
+      {
+        chat_id: config.chatId,
+        media: media.map((item) => (item.caption
+          ? { ...item, caption: captionOf(item, config), parse_mode: parseModeFor(config, parseMode) }
+          : item)),
+        ...sendOptions(config, options),
+      },
+      files
+    ), options.dedupKey), { ...defaultDelivery, ...options, toResult: sendResult });
+  }
+
+  /**
+   * Resolve message references into delivery targets, one per referenced message (or split/album message set).
+   * @param {Object|Object[]} target - Send results, or { channel, chatId, messageId } objects.
+   * @param {string} action - What is being done (for errors).
+   * @param {boolean} [single=false] - Whether each reference must point at exactly one message.
+   * @returns {Array<[string, Object, Object?]>} [channelName, config with chatId and messageIds, extra result fields] for deliver().
+   * @throws {TelegramBotError} If a reference is invalid, names a group or 'all', or names an unknown channel or chat.
+   */
+  function getMessageTargets(target, action, single = false) {
+    return resolveMessageRefs(target).map(({ channel, chatId, messageIds }) => {
+      // A group holds a different message ID in each of its channels, so one ID cannot name them all
+      if (groups.has(channel.toLowerCase())) {
+        throw new TelegramBotError(
+          `Cannot ${action} a message by the group "${channel.toLowerCase()}"`,
+          `Pass the results returned by the send function, or one { channel, messageId } per channel of the group: ${groups.get(channel.toLowerCase()).join(', ')}.`
+        );
+      }
+      const [[channelName, config]] = getTargetChannels(channels, channel, groups);
+      const chat = findChat(channelName, config, chatId);
+      if (single && messageIds.length > 1) {
+        throw new TelegramBotError(
+          `Cannot ${action} a message sent in ${messageIds.length} parts on channel "${channelName}"`,
+          'Pass { channel, messageId } for the part you want to change.'
+        );
+      }
+      return [channelName, { ...config, chatId: chat.chatId, messageIds }, config.chats ? { chatId: chat.chatId } : undefined];
+    });
+  }
+
+  /**
+   * Replace the text of previously sent messages.
+   * Telegram drops the inline keyboard of an edited message unless it is passed again in options.buttons.
+   * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+   * @param {string} text - New message text (max 4096 characters).
+   * @param {string} [parseMode] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `buttons` to keep or replace the keyboard.
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }) for the edited messages.
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function editTGMessage(target, text, parseMode = parseModeOf(text), options = {}) {
+    text = unwrapText(text);
+    validateInputs(text, parseMode);
+    const replyMarkup = options.buttons ? buildReplyMarkup(options.buttons, { inlineOnly: true }) : undefined;
+    const targets = getMessageTargets(target, 'edit', true);
+    const textOf = (config) => textForChannel(text, parseModeFor(config, parseMode), options);
+    if (options.escapeMarkdownV2) {
+      targets.forEach(([, config]) => validateInputs(textOf(config), parseModeFor(config, parseMode)));
+    }
+
+    return deliver(targets, (channelName, config) => callTelegram(channelName, config, 'editMessageText', buildRequestBody({
+      chat_id: config.chatId,
+      message_id: config.messageIds[0],
+      text: textOf(config),
+      parse_mode: parseModeFor(config, parseMode),
+      reply_markup: replyMarkup,
+    })), { ...defaultDelivery, ...options, toResult: sendResult });
+  }
+
+  /**
+   * Replace the inline buttons of previously sent messages; an empty array removes them.
+   * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+   * @param {Array<Array<Object>>} [buttons=[]] - New inline keyboard rows.
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }).
+   * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }) for the edited messages.
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function editTGMessageButtons(target, buttons = [], options = {}) {
+    const replyMarkup = buildReplyMarkup(buttons, { inlineOnly: true });
+    const targets = getMessageTargets(target, 'edit the buttons of', true);
+
+    return deliver(targets, (channelName, config) => callTelegram(channelName, config, 'editMessageReplyMarkup', {
+      chat_id: config.chatId,
+      message_id: config.messageIds[0],
+      reply_markup: replyMarkup,
+    }), { ...defaultDelivery, ...options, toResult: sendResult });
+  }
+
+  /**
+   * Delete previously sent messages. Every part of a split message and every item of an album is deleted.
+   * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }).
+   * @returns {Promise<Object[]>} Per-channel results.
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function deleteTGMessage(target, options = {}) {
+    const targets = getMessageTargets(target, 'delete');
+
+    return deliver(targets, async (channelName, config) => {
+      let response;
+      for (const messageId of config.messageIds) {
+        response = await callTelegram(channelName, config, 'deleteMessage', { chat_id: config.chatId, message_id: messageId });
+      }
+      return response;
+    }, { ...defaultDelivery, ...options });
+  }
+
+  /**
+   * Pin previously sent messages in their chats. For split messages and albums the first message is pinned.
+   * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+   * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `silent` to pin without notifying members.
+   * @returns {Promise<Object[]>} Per-channel results.
+   * @throws {TelegramBotError} If validation or API call fails.
+   */
+  async function pinTGMessage(target, options = {}) {
+    const targets = getMessageTargets(target, 'pin');
+
+    return deliver(targets, (channelName, config) => callTelegram(channelName, config, 'pinChatMessage', buildRequestBody({
+      chat_id: config.chatId,
+      message_id: config.messageIds[0],
+      disable_notification: options.silent ? true : undefined,
+    })), { ...defaultDelivery, ...options });
+  }
+
+  /**
+   * Schedule a message for a time, after a delay or on a cron schedule. The message is validated now and sent by this
+   * client's scheduler, which keeps the process running until its one-time messages are sent; with a persistent store
+   * (options.schedule), a scheduler in another process (telefy daemon or telefy serve) may send it instead.
+   * @param {string} text - Message text (max 4096 characters unless split or asDocument is set).
+   * @param {{at?: Date|string|number, delay?: number|string, cron?: string}} when - Exactly one of: a time, a delay in ms
+   * or as a duration ('10m', '1h30m'), or a cron expression in the local time zone ('0 9 * * 1-5').
+   * @param {string} [channel] - Target channel or group name, or 'all' for all channels.
+   * @param {Object} [options] - parseMode, buttons (inline keyboard rows), detached (only store the job, for a scheduler
+   * in another process to send), and the options of sendTGMessage.
+   * @returns {Promise<Object>} The job ({ id, channel, text, nextRun, cron?, ... }) with cancel(), which resolves true
+   * if the job was still scheduled; dry runs return the job with dryRun: true without storing it.
+   * @throws {TelegramBotError} If the message, channel or time is invalid, or the job cannot be stored.
+   */
+  async function scheduleTGMessage(text, when, channel = defaultChannel, options = {}) {
+    const { parseMode = parseModeOf(text), buttons, detached = false, ...delivery } = options;
+    text = unwrapText(text);
+    validateInputs(text, parseMode, delivery);
+    if (buttons !== undefined) {
+      buildReplyMarkup(buttons);
+    }
+    const targets = getTargets(channel);
+    if (delivery.escapeMarkdownV2) {
+      for (const [, config] of targets) {
+        const mode = parseModeFor(config, parseMode);
+        validateInputs(textForChannel(text, mode, delivery), mode, delivery);
+      }
+    }
+    const job = createJob({ channel, text, parseMode, buttons, options: delivery, ...resolveWhen(when) });
+    const cancel = () => cancelScheduledTGMessage(job.id);
+    if (dryRun) {
+      return { ...job, dryRun: true, cancel };
+    }
+    if (detached && !scheduleStore.persistent) {
+      throw new TelegramBotError(
+        'Cannot detach a scheduled message without a persistent schedule',
+        'Pass schedule: true or { dir } to createTelefy so another process can send it, or leave out detached.'
+      );
+    }
+    await scheduleStore.add(job);
+    if (!detached) {
+      scheduler.own(job.id);
+      scheduler.start();
+    }
+    return { ...job, cancel };
+  }
+
+  /**
+   * List the scheduled messages, next to run first.
+   * @returns {Promise<Object[]>} Jobs ({ id, channel, text, nextRun, cron?, runs?, ... }).
+   */
+  function listScheduledTGMessages() {
+    return scheduleStore.list();
+  }
+
+  /**
+   * Cancel a scheduled message.
+   * @param {string} id - Job ID.
+   * @returns {Promise<boolean>} Whether the job was still scheduled.
+   */
+  async function cancelScheduledTGMessage(id) {
+    const removed = await scheduleStore.remove([id]);
+    // Let the scheduler release the process if it was waiting for this job
+    scheduler.wake();
+    return removed > 0;
+  }
+
+  /**
+   * Run this client's scheduler until stopScheduler(), for long-running processes that send the messages others
+   * schedule in a persistent store. Messages that were due while no scheduler ran are sent at once; a repeating
+   * message runs once for all its missed times. Each job is taken out of the store (or moved on to its next run) just
+   * before it is sent, so two schedulers never send it twice; a failed send is reported, not retried.
+   * @param {Object} [options] - Scheduler options.
+   * @param {function(Object): void} [options.onRun] - Called after each job with { job, results } or { job, error }.
+   * @param {function(Error): void} [options.onError] - Called when the store cannot be read or written.
+   * @returns {Promise<void>} Resolves after the due messages have been sent.
+   * @throws {TelegramBotError} If the client is a dry run.
+   */
+  function startScheduler(options = {}) {
+    if (dryRun) {
+      throw new TelegramBotError(
+        'Cannot run the scheduler in dry-run mode',
+        'The scheduler removes the messages it sends; run it without dry run, or use "telefy schedule list" to see what is scheduled.'
+      );
+    }
+    return scheduler.start({ ...options, keepAlive: true });
+  }
+
+  /**
+   * Stop this client's scheduler, after the message being sent, if any.
+   * @returns {Promise<void>} Resolves once stopped.
+   */
+  function stopScheduler() {
+    return scheduler.stop();
+  }
+
+  /**
+   * Replay the requests queued in the outbox, oldest first.
+   * @returns {Promise<{sent: Object[], failed: Object[], pending: Object[]}>} Delivered entries with their response,
+   * entries dropped after a permanent error, and entries still queued.
+   * @throws {TelegramBotError} If no outbox is configured, it cannot be read, or the client is a dry run.
+   */
+  async function flushOutbox() {
+    if (!outbox) {
       throw new TelegramBotError(
-        `Invalid token for channel "${channelName}"`,
-        `Ensure ${key} is set in your .env file.`
+        'No outbox configured',
+        'Pass outbox: true or { dir } to createTelefy, or set outbox in the config file or TELEFY_OUTBOX_DIR.'
       );
     }
-    if (!chatId) {
+    if (dryRun) {
+      throw new TelegramBotError(
+        'Cannot flush the outbox in dry-run mode',
+        'Flushing removes delivered entries; run it without dry run, or use "telefy outbox list" to see what is queued.'
+      );
+    }
+    return replayOutbox(outbox, (entry) => {
+      const config = channels.get(entry.channel);
+      if (!config) {
+        // Keep the entry: the channel may be restored in the configuration
+        const error = new TelegramBotError(
+          `Channel "${entry.channel}" not found`,
+          'Restore the channel in your configuration, or purge the entry with "telefy outbox purge".'
+        );
+        error.retryable = true;
+        throw error;
+      }
+      return callTelegram(entry.channel, config, entry.method, entry.payload);
+    });
+  }
+
+  /**
+   * Report the state of this client's rate limiter.
+   * @returns {{queued: number, active: number, sent: number, delayed: number, channels: Object<string, number>}|null}
+   * Calls waiting, calls in flight, calls started, how many had to wait and waiting calls per channel; null without a limiter.
+   */
+  function getRateLimitStats() {
+    return limiter ? limiter.stats() : null;
+  }
+
+  /**
+   * Check that every chat of the channels can receive messages: calls getMe, getChat and getChatMember and reports the
+   * bot, the chat title and type, forum support, and the bot's membership and right to send.
+   * @param {string} [channel='all'] - Channel or group name, or 'all' for all channels.
+   * @param {Object} [options] - Options.
+   * @param {number} [options.concurrency] - Maximum number of chats checked at the same time (default: the client's).
+   * @returns {Promise<Object[]>} Per-chat reports ({ channel, chatId, ok, bot, chat, member, checks }); failed checks
+   * carry the error message and suggestion instead of throwing.
+   * @throws {TelegramBotError} If the channel is unknown or the client is a dry run.
+   */
+  async function verifyChannels(channel = 'all', options = {}) {
+    if (dryRun) {
       throw new TelegramBotError(
-        `Missing chat ID for channel "${channelName}"`,
-        `Set ${chatIdKey} in your .env file. See .env.sample for details.`
+        'Cannot verify channels in dry-run mode',
+        'Verification has to call Telegram; run it without dry run.'
       );
     }
+    const targets = getTargets(channel);
+    // Channels sharing a bot check its token once
+    const bots = new Map();
+    return deliver(targets, (channelName, config) => {
+      const call = (method, payload) => callTelegram(channelName, config, method, payload);
+      const getMe = () => {
+        if (!bots.has(config.token)) {
+          bots.set(config.token, call('getMe', {}));
+        }
+        return bots.get(config.token);
+      };
+      return verifyChat(call, config, getMe);
+    }, { concurrency: options.concurrency ?? defaultDelivery.concurrency, toResult: (report) => report });
+  }
+
+  return {
+    getChannels,
+    getGroups,
+    sendTGMessage,
+    sendTGMessageWithButtons,
+    sendTGTemplate,
+    sendTGPhoto,
+    sendTGDocument,
+    sendTGVideo,
+    sendTGAudio,
+    sendTGMediaGroup,
+    editTGMessage,
+    editTGMessageButtons,
+    deleteTGMessage,
+    pinTGMessage,
+    scheduleTGMessage,
+    listScheduledTGMessages,
+    cancelScheduledTGMessage,
+    startScheduler,
+    stopScheduler,
+    flushOutbox,
+    getRateLimitStats,
+    verifyChannels,
+  };
+}
+
+// Default client, built from environment variables and the config file on first use so importing never throws
+let defaultConfig = null;
+let defaultClient = null;
 
-    channels.set(channelName, { token, chatId, baseUrl: `https://api.telegram.org/bot${token}` });
+/**
+ * Load the default configuration (once): CHANNEL_<name>_* variables plus telefy.config.json/.yaml if present.
+ * @returns {{channels: Map<string, Object>, groups: Map<string, string[]>, defaults: Object, path: string|null}} Configuration.
+ * @throws {TelegramBotError} If the config file is invalid.
+ */
+function getConfig() {
+  if (!defaultConfig) {
+    defaultConfig = loadConfig();
   }
+  return defaultConfig;
 }
 
-if (channels.size === 0) {
-  throw new TelegramBotError(
-    'No channels configured',
-    'Add at least one channel with CHANNEL_<name>_TOKEN and CHANNEL_<name>_CHAT_ID in your .env file. See .env.sample.'
-  );
+/**
+ * Get the default client configured from environment variables and the config file.
+ * @returns {Object} Client created by createTelefy.
+ * @throws {TelegramBotError} If no valid channels are configured.
+ */
+function getDefaultClient() {
+  if (!defaultClient) {
+    const {
+      channels, groups, defaults, outbox, rateLimit, apiRoot, proxy, timeout, dryRun, templates, schedule, dedup,
+    } = getConfig();
+    // Unlike createTelefy, the default client keeps scheduled messages on disk so telefy daemon can send them
+    defaultClient = createTelefy({
+      channels, groups, defaults, outbox, rateLimit, apiRoot, proxy, timeout, dryRun, templates, schedule: schedule ?? true, dedup,
+    });
+  }
+  return defaultClient;
 }
 
 /**
- * Get all configured channels.
- * @returns {Map<string, {token: string, chatId: string, baseUrl: string}>} Map of channel configurations.
+ * Get all channels configured through environment variables and the config file.
+ * @returns {Map<string, {token: string, chatId: string, baseUrl: string}>} Map of channel configurations (empty if none).
  */
 function getChannels() {
-  return channels;
+  if (getConfig().channels.size === 0) {
+    return new Map();
+  }
+  return getDefaultClient().getChannels();
+}
+
+/**
+ * Get the channel groups defined in the config file.
+ * @returns {Map<string, string[]>} Channel names keyed by group name (empty if none).
+ */
+function getGroups() {
+  return getConfig().groups;
 }
 
 /**
- * Send a simple text message to one or all channels.
+ * Send a simple text message to one or all channels configured in the environment.
  * @param {string} text - Message text (max 4096 characters).
- * @param {string} [channel='all'] - Target channel name or 'all' for all channels.
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
  * @param {string} [parseMode='Markdown'] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
- * @returns {Promise<Object[]>} Array of Telegram API responses.
- * @throws {TelegramBotError} If validation or API call fails.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and long-text handling ({ split, asDocument, filename }).
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
  */
-async function sendTGMessage(text, channel = 'all', parseMode = 'Markdown') {
-  // Validate inputs
-  validateInputs(text, parseMode);
+async function sendTGMessage(...args) {
+  return getDefaultClient().sendTGMessage(...args);
+}
 
-  const targetChannels = getTargetChannels(channel);
-  const results = [];
+/**
+ * Send a message with inline buttons (or other reply markup) to one or all channels configured in the environment.
+ * @param {string} text - Message text (max 4096 characters).
+ * @param {Array<Array<Object>>|Object} [buttons=[[]]] - Inline keyboard rows (url, callback_data, ... buttons) or a reply markup object.
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {string} [parseMode='Markdown'] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and long-text handling ({ split, asDocument, filename }).
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function sendTGMessageWithButtons(...args) {
+  return getDefaultClient().sendTGMessageWithButtons(...args);
+}
 
-  for (const [channelName, config] of targetChannels) {
-    try {
-      const response = await axios.post(`${config.baseUrl}/sendMessage`, {
-        chat_id: config.chatId,
-        text,
-        parse_mode: parseMode,
-      });
-      results.push({ channel: channelName, response: response.data });
-    } catch (error) {
-      throw handleAxiosError(error, channelName);
-    }
-  }
+/**
+ * Render a named template and send it to one or all channels configured in the environment.
+ * @param {string} name - Template name, e.g. 'deploy' for templates/deploy.md.
+ * @param {Object} [vars={}] - Template variables.
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and long-text handling ({ split, asDocument, filename }).
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, the template, validation or API call fails.
+ */
+async function sendTGTemplate(...args) {
+  return getDefaultClient().sendTGTemplate(...args);
+}
 
-  return results;
+/**
+ * Send a photo to one or all channels configured in the environment.
+ * @param {string|Buffer|Blob|NodeJS.ReadableStream} photo - File path, Buffer, stream, Blob, URL or file_id.
+ * @param {string} [caption] - Optional caption (max 1024 characters).
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {string} [parseMode='Markdown'] - Parse mode for the caption.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function sendTGPhoto(...args) {
+  return getDefaultClient().sendTGPhoto(...args);
 }
 
 /**
- * Send a message with inline buttons to one or all channels.
- * @param {string} text - Message text (max 4096 characters).
- * @param {Array<Array<{text: string, url: string}>>} [buttons=[[]]] - Inline keyboard buttons.
- * @param {string} [channel='all'] - Target channel name or 'all' for all channels.
+ * Send a document to one or all channels configured in the environment.
+ * @param {string|Buffer|Blob|NodeJS.ReadableStream} document - File path, Buffer, stream, Blob, URL or file_id.
+ * @param {string} [caption] - Optional caption (max 1024 characters).
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {string} [parseMode='Markdown'] - Parse mode for the caption.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function sendTGDocument(...args) {
+  return getDefaultClient().sendTGDocument(...args);
+}
+
+/**
+ * Send a video to one or all channels configured in the environment.
+ * @param {string|Buffer|Blob|NodeJS.ReadableStream} video - File path, Buffer, stream, Blob, URL or file_id.
+ * @param {string} [caption] - Optional caption (max 1024 characters).
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {string} [parseMode='Markdown'] - Parse mode for the caption.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function sendTGVideo(...args) {
+  return getDefaultClient().sendTGVideo(...args);
+}
+
+/**
+ * Send an audio file to one or all channels configured in the environment.
+ * @param {string|Buffer|Blob|NodeJS.ReadableStream} audio - File path, Buffer, stream, Blob, URL or file_id.
+ * @param {string} [caption] - Optional caption (max 1024 characters).
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {string} [parseMode='Markdown'] - Parse mode for the caption.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `filename` for uploads.
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function sendTGAudio(...args) {
+  return getDefaultClient().sendTGAudio(...args);
+}
+
+/**
+ * Send a media group (album) to one or all channels configured in the environment.
+ * @param {Array<{type: string, media: *, caption?: string, filename?: string}>} items - 2-10 media group items.
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {string} [parseMode='Markdown'] - Parse mode for the captions.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }).
+ * @returns {Promise<Object[]>} Per-channel results ({ channel, chatId, messageId, date, response }).
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function sendTGMediaGroup(...args) {
+  return getDefaultClient().sendTGMediaGroup(...args);
+}
+
+/**
+ * Replace the text of messages previously sent to channels configured in the environment.
+ * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+ * @param {string} text - New message text (max 4096 characters).
  * @param {string} [parseMode='Markdown'] - Parse mode ('Markdown', 'HTML', 'MarkdownV2').
- * @returns {Promise<Object[]>} Array of Telegram API responses.
- * @throws {TelegramBotError} If validation or API call fails.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `buttons` to keep or replace the keyboard.
+ * @returns {Promise<Object[]>} Per-channel results.
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
  */
-async function sendTGMessageWithButtons(text, buttons = [[]], channel = 'all', parseMode = 'Markdown') {
-  // Validate inputs
-  validateInputs(text, parseMode);
-  validateButtons(buttons);
+async function editTGMessage(...args) {
+  return getDefaultClient().editTGMessage(...args);
+}
 
-  const targetChannels = getTargetChannels(channel);
-  const results = [];
+/**
+ * Replace the inline buttons of messages previously sent to channels configured in the environment.
+ * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+ * @param {Array<Array<Object>>} [buttons=[]] - New inline keyboard rows (empty removes them).
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }).
+ * @returns {Promise<Object[]>} Per-channel results.
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function editTGMessageButtons(...args) {
+  return getDefaultClient().editTGMessageButtons(...args);
+}
 
-  for (const [channelName, config] of targetChannels) {
-    try {
-      const response = await axios.post(`${config.baseUrl}/sendMessage`, {
-        chat_id: config.chatId,
-        text,
-        parse_mode: parseMode,
-        reply_markup: {
-          inline_keyboard: buttons,
-        },
-      });
-      results.push({ channel: channelName, response: response.data });
-    } catch (error) {
-      throw handleAxiosError(error, channelName);
-    }
+/**
+ * Delete messages previously sent to channels configured in the environment.
+ * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }).
+ * @returns {Promise<Object[]>} Per-channel results.
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function deleteTGMessage(...args) {
+  return getDefaultClient().deleteTGMessage(...args);
+}
+
+/**
+ * Pin messages previously sent to channels configured in the environment.
+ * @param {Object|Object[]} target - Results returned by a send function, or { channel, messageId } objects.
+ * @param {Object} [options] - Delivery options ({ settle, concurrency }) and `silent` to pin without notifying members.
+ * @returns {Promise<Object[]>} Per-channel results.
+ * @throws {TelegramBotError} If configuration, validation or API call fails.
+ */
+async function pinTGMessage(...args) {
+  return getDefaultClient().pinTGMessage(...args);
+}
+
+/**
+ * Schedule a message for the channels configured in the environment. Jobs are kept in .telefy/schedule (or the
+ * config file's schedule.dir / TELEFY_SCHEDULE_DIR), so telefy daemon or telefy serve can send them after a restart.
+ * @param {string} text - Message text.
+ * @param {{at?: Date|string|number, delay?: number|string, cron?: string}} when - Time, delay or cron expression.
+ * @param {string} [channel='all'] - Target channel or group name, or 'all' for all channels.
+ * @param {Object} [options] - parseMode, buttons, detached and the options of sendTGMessage.
+ * @returns {Promise<Object>} The job with cancel().
+ * @throws {TelegramBotError} If configuration, validation or storing the job fails.
+ */
+async function scheduleTGMessage(...args) {
+  return getDefaultClient().scheduleTGMessage(...args);
+}
+
+/**
+ * List the messages scheduled for the channels configured in the environment, next to run first.
+ * @returns {Promise<Object[]>} Jobs.
+ * @throws {TelegramBotError} If no channels are configured or the schedule cannot be read.
+ */
+async function listScheduledTGMessages() {
+  return getDefaultClient().listScheduledTGMessages();
+}
+
+/**
+ * Cancel a message scheduled with scheduleTGMessage.
+ * @param {string} id - Job ID.
+ * @returns {Promise<boolean>} Whether the job was still scheduled.
+ * @throws {TelegramBotError} If no channels are configured or the schedule cannot be written.
+ */
+async function cancelScheduledTGMessage(id) {
+  return getDefaultClient().cancelScheduledTGMessage(id);
+}
+
+/**
+ * Run the default client's scheduler until stopScheduler() (see createTelefy().startScheduler).
+ * @param {Object} [options] - { onRun, onError }.
+ * @returns {Promise<void>} Resolves after the due messages have been sent.
+ * @throws {TelegramBotError} If no channels are configured or dry run is on.
+ */
+async function startScheduler(options) {
+  return getDefaultClient().startScheduler(options);
+}
+
+/**
+ * Stop the default client's scheduler.
+ * @returns {Promise<void>} Resolves once stopped.
+ */
+async function stopScheduler() {
+  return defaultClient ? defaultClient.stopScheduler() : undefined;
+}
+
+/**
+ * Replay the requests queued in the outbox of the default client, oldest first.
+ * @returns {Promise<{sent: Object[], failed: Object[], pending: Object[]}>} Delivered, dropped and still queued entries.
+ * @throws {TelegramBotError} If no outbox is configured or it cannot be read.
+ */
+async function flushOutbox() {
+  return getDefaultClient().flushOutbox();
+}
+
+/**
+ * Report the state of the default client's rate limiter.
+ * @returns {Object|null} Queue statistics, or null when rate limiting is not enabled.
+ */
+function getRateLimitStats() {
+  return getDefaultClient().getRateLimitStats();
+}
+
+/**
+ * Check the channels of the default client (see createTelefy().verifyChannels).
+ * @param {...*} args - Arguments for verifyChannels (channel, options).
+ * @returns {Promise<Object[]>} Per-chat reports.
+ * @throws {TelegramBotError} If no channels are configured or the channel is unknown.
+ */
+async function verifyChannels(...args) {
+  return getDefaultClient().verifyChannels(...args);
+}
+
+/**
+ * Map the response of a send to its result fields.
+ * @param {Object} response - Telegram response, { queued: true, outboxId } from the outbox, or a rendered dry-run request.
+ * @param {Object} config - Configuration of the channel for the chat the message went to.
+ * @returns {Object} { chatId, messageId, date, response } (plus messageIds for albums) when Telegram returned the
+ * message, { response } for other responses, { queued, outboxId } for requests waiting in the outbox, or
+ * { dryRun, chatId, request, response } for dry runs.
+ */
+function sendResult(response, config) {
+  if (response.queued) {
+    return { queued: true, outboxId: response.outboxId };
+  }
+  if (response.dryRun) {
+    return { dryRun: true, chatId: config.chatId, request: response.request, response };
+  }
+  return { ...messageFields(response.result, config), response };
+}
+
+/**
+ * Pick the typed result fields of the message(s) Telegram returned.
+ * @param {Object|Object[]|*} result - `result` of the Telegram response.
+ * @param {Object} config - Configuration of the channel for the chat the message went to.
+ * @returns {Object} { chatId, messageId, date } (plus messageIds for albums), or {} when the result is not a message.
+ */
+function messageFields(result, config) {
+  const messages = Array.isArray(result) ? result : [result];
+  if (messages.length === 0 || messages.some((message) => message?.message_id === undefined)) {
+    return {};
   }
+  const [first] = messages;
+  const fields = { chatId: config.chatId, messageId: first.message_id, date: first.date };
+  return Array.isArray(result) ? { ...fields, messageIds: messages.map((message) => message.message_id) } : fields;
+}
+
+/**
+ * Get the parse mode a text was formatted for, if it was built with the formatting helpers.
+ * @param {string|FormattedText} text - Message text or caption.
+ * @returns {string|undefined} Parse mode, or undefined for plain strings (the channel default applies).
+ */
+function parseModeOf(text) {
+  return text instanceof FormattedText ? text.parseMode : undefined;
+}
+
+/**
+ * Build the per-message Bot API flags from call options, falling back to the channel's defaults.
+ * @param {Object} config - Channel configuration.
+ * @param {Object} [options] - Call options (disableNotification, protectContent, messageThreadId).
+ * @returns {Object} disable_notification, protect_content and message_thread_id (undefined when unset).
+ */
+function sendOptions(config, options = {}) {
+  return {
+    message_thread_id: options.messageThreadId ?? config.messageThreadId,
+    disable_notification: options.disableNotification ?? config.disableNotification,
+    protect_content: options.protectContent ?? config.protectContent,
+  };
+}
 
-  return results;
+/**
+ * Get the text or caption to send to one channel. With options.escapeMarkdownV2 the text is plain: it is escaped for
+ * channels that send MarkdownV2 and sent as it is to the others.
+ * @param {string} text - Message text or caption.
+ * @param {string} parseMode - Parse mode of the channel.
+ * @param {Object} [options] - Send options.
+ * @returns {string} Text for the channel.
+ */
+function textForChannel(text, parseMode, options = {}) {
+  return options.escapeMarkdownV2 && parseMode === 'MarkdownV2' && typeof text === 'string' ? escapeMarkdownV2(text) : text;
+}
+
+/**
+ * Turn formatted text into the plain string sent to Telegram.
+ * @param {string|FormattedText} text - Message text or caption.
+ * @returns {string} Text as a string (other values are returned unchanged for validation).
+ */
+function unwrapText(text) {
+  return text instanceof FormattedText ? text.text : text;
 }
 
 /**
  * Validate text and parseMode inputs.
  * @param {string} text - Message text.
  * @param {string} parseMode - Parse mode.
+ * @param {Object} [options] - Send options; split or asDocument allow text longer than 4096 characters.
  * @throws {TelegramBotError} If validation fails.
  */
-function validateInputs(text, parseMode) {
+function validateInputs(text, parseMode, options = {}) {
   if (!text || typeof text !== 'string') {
     throw new TelegramBotError(
       'Text parameter must be a non-empty string',
       'Provide a valid message text.'
     );
   }
-  if (text.length > 4096) {
+  if (text.length > MAX_MESSAGE_LENGTH && !options.split && !options.asDocument) {
     throw new TelegramBotError(
       'Message text exceeds 4096 characters',
       'Shorten the message to 4096 characters or less.'
     );
   }
-  const validParseModes = ['Markdown', 'HTML', 'MarkdownV2'];
-  if (!validParseModes.includes(parseMode)) {
-    throw new TelegramBotError(
-      `Invalid parseMode: ${parseMode}`,
-      `Use one of: ${validParseModes.join(', ')}.`
-    );
-  }
+  validateParseMode(parseMode);
 }
 
 /**
- * Validate buttons array.
- * @param {Array<Array<{text: string, url: string}>>} buttons - Inline keyboard buttons.
+ * Validate an optional media caption and its parseMode.
+ * @param {string} [caption] - Caption text.
+ * @param {string} parseMode - Parse mode.
  * @throws {TelegramBotError} If validation fails.
  */
-function validateButtons(buttons) {
-  if (!Array.isArray(buttons)) {
+function validateCaption(caption, parseMode) {
+  if (caption === undefined || caption === null || caption === '') {
+    return;
+  }
+  if (typeof caption !== 'string') {
     throw new TelegramBotError(
-      'Buttons must be an array of arrays',
-      'Provide buttons in the format: [[{ text: "Button", url: "https://example.com" }]].'
+      'Caption must be a string',
+      'Provide the caption as text or leave it empty.'
     );
   }
-  for (const row of buttons) {
-    if (!Array.isArray(row)) {
-      throw new TelegramBotError(
-        'Each button row must be an array',
-        'Ensure buttons is an array of arrays.'
-      );
-    }
-    for (const button of row) {
-      if (!button.text || !button.url) {
-        throw new TelegramBotError(
-          'Each button must have text and url properties',
-          'Example: { text: "Visit", url: "https://example.com" }.'
-        );
-      }
-    }
-  }
-}
-
-/**
- * Get target channels based on the channel parameter.
- * @param {string} channel - Channel name or 'all'.
- * @returns {Map<string, {token: string, chatId: string, baseUrl: string}>} Map of target channels.
- * @throws {TelegramBotError} If channel is invalid.
- */
-function getTargetChannels(channel) {
-  if (channel === 'all') {
-    return channels;
-  }
-  const channelName = channel.toLowerCase();
-  if (!channels.has(channelName)) {
+  if (caption.length > 1024) {
     throw new TelegramBotError(
-      `Channel "${channelName}" not found`,
-      `Available channels: ${[...channels.keys()].join(', ')}. Check your .env file.`
+      'Caption exceeds 1024 characters',
+      'Shorten the caption to 1024 characters or less, or send the text as a separate message.'
     );
   }
-  return new Map([[channelName, channels.get(channelName)]]);
+  validateParseMode(parseMode);
 }
 
 /**
- * Handle Axios errors and throw TelegramBotError with specific messages.
- * @param {Error} error - Axios error object.
- * @param {string} channelName - Channel name.
- * @returns {TelegramBotError} Specific error with suggestion.
+ * Validate parseMode.
+ * @param {string} [parseMode] - Parse mode; undefined means the channel default.
+ * @throws {TelegramBotError} If the parse mode is not supported.
  */
-function handleAxiosError(error, channelName) {
-  if (error.response) {
-    const { status, data } = error.response;
-    const telegramError = data.description || 'Unknown Telegram API error';
-
-    if (status === 400) {
-      return new TelegramBotError(
-        `Bad Request on channel "${channelName}": ${telegramError}`,
-        'Check your message content, parse mode, or button format.'
-      );
-    } else if (status === 401) {
-      return new TelegramBotError(
-        `Unauthorized on channel "${channelName}": ${telegramError}`,
-        `Verify the bot token for channel "${channelName}" in your .env file.`
-      );
-    } else if (status === 403) {
-      return new TelegramBotError(
-        `Forbidden on channel "${channelName}": ${telegramError}`,
-        `Ensure the bot has permission to send messages to the chat ID for channel "${channelName}".`
-      );
-    } else if (status === 404) {
-      return new TelegramBotError(
-        `Not Found on channel "${channelName}": ${telegramError}`,
-        `Check if the chat ID for channel "${channelName}" is valid and the bot is added to the chat.`
-      );
-    } else {
-      return new TelegramBotError(
-        `Telegram API error on channel "${channelName}": ${telegramError} (Status: ${status})`,
-        'Check the Telegram API documentation for details.'
-      );
-    }
-  } else if (error.request) {
-    return new TelegramBotError(
-      `Network error on channel "${channelName}": Could not connect to Telegram API`,
-      'Check your internet connection or try again later.'
-    );
-  } else {
-    return new TelegramBotError(
-      `Unexpected error on channel "${channelName}": ${error.message}`,
-      'Check your code or report this issue to the package maintainer.'
+function validateParseMode(parseMode) {
+  if (parseMode === undefined) {
+    return;
+  }
+  const validParseModes = ['Markdown', 'HTML', 'MarkdownV2'];
+  if (!validParseModes.includes(parseMode)) {
+    throw new TelegramBotError(
+      `Invalid parseMode: ${parseMode}`,
+      `Use one of: ${validParseModes.join(', ')}.`
     );
   }
 }
 
 export {
+  TelegramBotError,
+  TelegramBroadcastError,
+  FormattedText,
+  escapeMarkdownV2,
+  escapeMarkdown,
+  escapeHTML,
+  escapeText,
+  bold,
+  italic,
+  spoiler,
+  code,
+  pre,
+  link,
+  mention,
+  md,
+  html,
+  replyKeyboard,
+  removeKeyboard,
+  forceReply,
+  renderTemplate,
+  createTelefy,
+  createOutbox,
+  createScheduleStore,
+  createDedupStore,
+  createRateLimiter,
+  createRelay,
+  createWebhookReceiver,
+  discoverChats,
+  fromEnv,
+  loadConfig,
+  TelefyListener,
+  getConfig,
   getChannels,
+  getGroups,
   sendTGMessage,
   sendTGMessageWithButtons,
+  sendTGTemplate,
+  sendTGPhoto,
+  sendTGDocument,
+  sendTGVideo,
+  sendTGAudio,
+  sendTGMediaGroup,
+  editTGMessage,
+  editTGMessageButtons,
+  deleteTGMessage,
+  pinTGMessage,
+  scheduleTGMessage,
+  listScheduledTGMessages,
+  cancelScheduledTGMessage,
+  startScheduler,
+  stopScheduler,
+  flushOutbox,
+  getRateLimitStats,
+  verifyChannels,
 };
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * @file testing.d.ts
+ * @description TypeScript declarations for telefy/testing.
+ * @license MIT
+ */
+
+/// <reference types="node" />
+
+/** A request received by the mock Bot API. */
+export interface MockRequest {
+  method: string;
+  token: string;
+  /** JSON body, or the multipart fields with uploads as { filename, size, type }. */
+  payload: Record<string, any>;
+  /** HTTP status answered, or null when the connection was dropped. */
+  status?: number | null;
+  /** When the request arrived (ms since epoch). */
+  time: number;
+}
+
+/** A simulated failure: an HTTP error status, 'network' to drop the connection, or a custom error. */
+export type MockFailure = number | 'network' | { status: number | 'network'; description?: string; retryAfter?: number };
+
+export interface MockTelegram {
+  /** Start listening; resolves with the API root to pass to createTelefy. */
+  listen(): Promise<string>;
+  close(): Promise<void>;
+  /** API root, once listening. */
+  readonly apiRoot: string | null;
+  /** Every request received, oldest first. */
+  readonly requests: MockRequest[];
+  fail(failure: MockFailure, options?: { method?: string; times?: number }): this;
+  reply(method: string, result: unknown | ((payload: Record<string, any>, request: MockRequest) => unknown)): this;
+  reset(): void;
+  requestsFor(method?: string): MockRequest[];
+  lastRequest(method?: string): MockRequest | undefined;
+  /** Throws an AssertionError unless a request of the method contains the given payload fields. */
+  assertSent(method: string, fields?: Record<string, unknown>): MockRequest;
+  /** Throws an AssertionError if a request of the method (or any request) was received. */
+  assertNotSent(method?: string): void;
+}
+
+export function createMockTelegram(options?: { port?: number; host?: string }): MockTelegram;
@@ -0,0 +1,180 @@
+/**
+ * @file adapters.test.js
+ * @description Jest tests for the webhook adapters, run against sample payloads in tests/fixtures/webhooks.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import { ADAPTERS, resolveAdapter } from '../lib/adapters.js';
+import { TelegramBotError } from '../lib/errors.js';
+
+/**
+ * Load a sample payload.
+ * @param {string} name - Fixture name, without .json.
+ * @returns {Object} Payload.
+ */
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/webhooks/${name}.json`, import.meta.url), 'utf8'));
+
+describe('github adapter', () => {
+  const github = (payload, event) => ADAPTERS.github(payload, { headers: { 'x-github-event': event }, endpoint: {} });
+
+  it('lists the commits of a push with a compare button', () => {
+    expect(github(fixture('github-push'), 'push')).toEqual({
+      text: '📦 <b>acme/api</b>: 2 new commits pushed to <code>main</code> by dana'
+        + '\n• <a href="https://github.com/acme/api/commit/a10867b14bb761a232cd80139fbd4c0d33264240">a10867b</a> Fix &lt;script&gt; escaping in reports — Dana Smith'
+        + '\n• <a href="https://github.com/acme/api/commit/0d1a26e67d8f5eaf1f6ba5c57fc3c7d91ac0fd1c">0d1a26e</a> Bump axios &amp; yaml — Lee Park',
+      buttons: [[{ text: 'View changes', url: 'https://github.com/acme/api/compare/6113728f27ae...0d1a26e67d8f' }]],
+      labels: { event: 'push', repository: 'acme/api', branch: 'main', sender: 'dana' },
+      parseMode: 'HTML',
+    });
+  });
+
+  it('summarises long pushes, tags and deleted branches', () => {
+    const payload = fixture('github-push');
+    const commits = Array.from({ length: 7 }, (_, index) => ({ ...payload.commits[0], id: `${index}`.repeat(40) }));
+    expect(github({ ...payload, commits, forced: true }, 'push').text).toMatch(/7 new commits pushed to <code>main<\/code> by dana \(force-push\)(\n• .*){5}\n… and 2 more$/);
+
+    const tag = github({ ...payload, ref: 'refs/tags/v2.3.1', commits: [], created: true }, 'push');
+    expect(tag.text).toBe('🌱 <b>acme/api</b>: tag <code>v2.3.1</code> created by dana');
+    expect(tag.labels).toEqual({ event: 'push', repository: 'acme/api', tag: 'v2.3.1', sender: 'dana' });
+
+    const deleted = github({ ...payload, ref: 'refs/heads/old', commits: [], deleted: true, compare: undefined }, 'push');
+    expect(deleted.text).toBe('🗑 <b>acme/api</b>: <code>old</code> deleted by dana');
+    expect(deleted.buttons).toEqual([]);
+  });
+
+  it('reports merged and opened pull requests', () => {
+    expect(github(fixture('github-pull_request'), 'pull_request')).toEqual({
+      text: '🟣 <b>acme/api</b>: pull request <a href="https://github.com/acme/api/pull/42">#42</a> merged by dana'
+        + '\n<b>Add retries to the &lt;Exporter&gt;</b>\n<code>feature/retries</code> → <code>main</code>',
+      buttons: [[{ text: 'View pull request', url: 'https://github.com/acme/api/pull/42' }]],
+      labels: { event: 'pull_request', action: 'merged', repository: 'acme/api', branch: 'main', sender: 'dana' },
+      parseMode: 'HTML',
+    });
+    const opened = github({ ...fixture('github-pull_request'), action: 'opened' }, 'pull_request');
+    expect(opened.text).toMatch(/^🔀 .* opened by dana/);
+    expect(opened.labels.action).toBe('opened');
+  });
+
+  it('reports completed workflow runs', () => {
+    expect(github(fixture('github-workflow_run'), 'workflow_run')).toEqual({
+      text: '❌ <b>acme/api</b>: workflow <b>CI</b> failed on <code>main</code>\nBump axios &amp; yaml (dana)',
+      buttons: [[{ text: 'View run', url: 'https://github.com/acme/api/actions/runs/30433642' }]],
+      labels: {
+        event: 'workflow_run', action: 'completed', repository: 'acme/api', branch: 'main', workflow: 'CI', conclusion: 'failure', sender: 'dana',
+      },
+      parseMode: 'HTML',
+    });
+    const payload = fixture('github-workflow_run');
+    expect(github({ ...payload, workflow_run: { ...payload.workflow_run, conclusion: 'success' } }, 'workflow_run').text).toMatch(/^✅ .* succeeded on/);
+  });
+
+  it('skips pings, other events and uninteresting actions', () => {
+    expect(github({ zen: 'Keep it logically awesome.', hook_id: 1 }, 'ping')).toBeNull();
+    expect(github(fixture('github-push'), 'issues')).toBeNull();
+    expect(github({ ...fixture('github-pull_request'), action: 'labeled' }, 'pull_request')).toBeNull();
+    expect(github({ ...fixture('github-workflow_run'), action: 'requested' }, 'workflow_run')).toBeNull();
+  });
+});
+
+describe('alertmanager adapter', () => {
+  it('lists the alerts of a group with links', () => {
+    expect(ADAPTERS.alertmanager(fixture('alertmanager'), { headers: {}, endpoint: {} })).toEqual({
+      text: '<b>🔥 [FIRING:1] HighLatency</b> (service=api)'
+        + '\n• <b>critical</b> p99 latency &gt; 2s — api-1:9100'
+        + '\n• ✅ <b>critical</b> p99 latency &gt; 2s — api-2:9100',
+      buttons: [[
+        { text: 'Alertmanager', url: 'https://alertmanager.example.com' },
+        { text: 'Source', url: 'https://prometheus.example.com/graph?g0.expr=latency' },
+        { text: 'Runbook', url: 'https://runbooks.example.com/high-latency' },
+      ]],
+      labels: { status: 'firing', receiver: 'telefy', alertname: 'HighLatency', service: 'api', severity: 'critical' },
+      parseMode: 'HTML',
+    });
+  });
+
+  it('reports resolved groups and leaves out links Telegram would reject', () => {
+    const payload = fixture('alertmanager');
+    const message = ADAPTERS.alertmanager({
+      ...payload,
+      status: 'resolved',
+      externalURL: 'http://alertmanager:9093',
+      alerts: payload.alerts.map((alert) => ({ ...alert, status: 'resolved', generatorURL: 'http://prometheus:9090/graph', annotations: {} })),
+    }, { headers: {}, endpoint: {} });
+    expect(message.text).toMatch(/^<b>✅ \[RESOLVED\] HighLatency<\/b>/);
+    expect(message.text).toContain('\n• ✅ <b>critical</b> HighLatency — api-1:9100');
+    expect(message.buttons).toEqual([]);
+  });
+
+  it('keeps its status and receiver labels when the alerts share labels of the same name', () => {
+    const payload = fixture('alertmanager');
+    const message = ADAPTERS.alertmanager({
+      ...payload,
+      commonLabels: { ...payload.commonLabels, status: 'acknowledged', receiver: 'pager' },
+    }, { headers: {}, endpoint: {} });
+    expect(message.labels).toMatchObject({ status: 'firing', receiver: 'telefy', service: 'api' });
+  });
+
+  it('skips payloads without alerts', () => {
+    expect(ADAPTERS.alertmanager({ status: 'firing', alerts: [] }, { headers: {}, endpoint: {} })).toBeNull();
+  });
+});
+
+describe('grafana adapter', () => {
+  it('formats unified alerting payloads', () => {
+    expect(ADAPTERS.grafana(fixture('grafana'), { headers: {}, endpoint: {} })).toEqual({
+      text: '🔥 <b>[FIRING:1] DiskFull Infra (db-1 warning)</b>'
+        + '\n• <b>warning</b> Disk usage above 90% on db-1 <code>[ var=\'A\' labels={host=db-1} value=93.5 ]</code>',
+      buttons: [[
+        { text: 'Dashboard', url: 'https://grafana.example.com/d/infra?viewPanel=4' },
+        { text: 'Silence', url: 'https://grafana.example.com/alerting/silence/new?matcher=alertname%3DDiskFull' },
+        { text: 'Grafana', url: 'https://grafana.example.com/' },
+      ]],
+      labels: { status: 'firing', receiver: 'telefy', alertname: 'DiskFull', grafana_folder: 'Infra', host: 'db-1', severity: 'warning' },
+      parseMode: 'HTML',
+    });
+  });
+
+  it('formats legacy alerting payloads', () => {
+    expect(ADAPTERS.grafana(fixture('grafana-legacy'), { headers: {}, endpoint: {} })).toEqual({
+      text: '🔥 <b>[Alerting] Panel Title alert</b>\nNotification Message\n• High value: 100\n• Higher Value: 200',
+      buttons: [[{ text: 'View rule', url: 'https://grafana.example.com/d/infra?fullscreen&edit&tab=alert&panelId=2&orgId=1' }]],
+      labels: { status: 'alerting', rule: 'Panel Title alert', team: 'db' },
+      parseMode: 'HTML',
+    });
+  });
+});
+
+describe('template adapter', () => {
+  const endpoint = {
+    template: '<b>{{service}}</b> {{ deploy.version }} {{status}} in {{environment}}: {{error}}{{missing}}',
+    buttons: [{ text: 'Run {{deploy.id}}', url: '{{deploy.url}}' }, { text: 'Logs', url: '{{logs}}' }],
+  };
+
+  it('fills placeholders with escaped values and buttons with raw ones', () => {
+    expect(ADAPTERS.template(fixture('custom'), { headers: {}, endpoint })).toEqual({
+      text: '<b>billing</b> v2.3.1 failed in production: migration &lt;0042&gt; failed &amp; rolled back',
+      buttons: [[{ text: 'Run 981', url: 'https://deploy.example.com/runs/981' }]],
+      labels: { service: 'billing', status: 'failed', environment: 'production', error: 'migration <0042> failed & rolled back' },
+      parseMode: 'HTML',
+    });
+  });
+
+  it('escapes for the endpoint parse mode', () => {
+    const message = ADAPTERS.template(fixture('custom'), { headers: {}, endpoint: { template: '*{{deploy.version}}* {{deploy}}', parseMode: 'MarkdownV2' } });
+    expect(message.text).toBe('*v2\\.3\\.1* \\{"id":981,"version":"v2\\.3\\.1","url":"https://deploy\\.example\\.com/runs/981"\\}');
+    expect(message.parseMode).toBe('MarkdownV2');
+  });
+});
+
+describe('resolveAdapter', () => {
+  it('returns built-in adapters and functions', () => {
+    const custom = () => null;
+    expect(resolveAdapter('grafana')).toBe(ADAPTERS.grafana);
+    expect(resolveAdapter(custom)).toBe(custom);
+    expect(() => resolveAdapter('jenkins')).toThrow(TelegramBotError);
+    expect(() => resolveAdapter('toString')).toThrow('Unknown webhook adapter: toString');
+  });
+});
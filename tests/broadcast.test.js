@@ -0,0 +1,78 @@
+/**
+ * @file broadcast.test.js
+ * @description Jest tests for multi-channel delivery (fail-fast, settle-all and concurrency).
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { jest } from '@jest/globals';
+import { deliver } from '../lib/broadcast.js';
+import { TelegramBotError } from '../lib/errors.js';
+
+describe('deliver', () => {
+  const targets = new Map([
+    ['news', { chatId: '1' }],
+    ['alerts', { chatId: '2' }],
+    ['ops', { chatId: '3' }],
+  ]);
+
+  it('sends to channels in order and returns their responses', async () => {
+    const sendOne = jest.fn(async (name) => ({ ok: true, name }));
+    await expect(deliver(targets, sendOne)).resolves.toEqual([
+      { channel: 'news', response: { ok: true, name: 'news' } },
+      { channel: 'alerts', response: { ok: true, name: 'alerts' } },
+      { channel: 'ops', response: { ok: true, name: 'ops' } },
+    ]);
+    expect(sendOne.mock.calls.map(([name]) => name)).toEqual(['news', 'alerts', 'ops']);
+  });
+
+  it('stops at the first failure by default', async () => {
+    const failure = new TelegramBotError('boom');
+    const sendOne = jest.fn(async (name) => {
+      if (name === 'alerts') throw failure;
+      return { ok: true };
+    });
+    await expect(deliver(targets, sendOne)).rejects.toBe(failure);
+    expect(sendOne).toHaveBeenCalledTimes(2);
+  });
+
+  it('delivers to every channel when settling and reports failures', async () => {
+    const failure = new TelegramBotError('boom', 'fix it');
+    const sendOne = jest.fn(async (name) => {
+      if (name === 'alerts') throw failure;
+      return { ok: true };
+    });
+    const error = await deliver(targets, sendOne, { settle: true }).catch((e) => e);
+    expect(error).toMatchObject({
+      name: 'TelegramBroadcastError',
+      message: 'Failed to deliver to 1 of 3 channels: "alerts"',
+      errors: [failure],
+      results: [
+        { channel: 'news', ok: true, response: { ok: true } },
+        { channel: 'alerts', ok: false, error: failure },
+        { channel: 'ops', ok: true, response: { ok: true } },
+      ],
+    });
+    expect(error).toBeInstanceOf(TelegramBotError);
+  });
+
+  it('returns settled results when every channel succeeds', async () => {
+    const results = await deliver(targets, async () => ({ ok: true }), { settle: true });
+    expect(results.every((result) => result.ok)).toBe(true);
+  });
+
+  it('limits the number of channels sent to at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const sendOne = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setImmediate(resolve));
+      active--;
+      return { ok: true };
+    };
+    await deliver(targets, sendOne, { concurrency: 2 });
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @file cli.test.js
+ * @description Jest tests for how the telefy command line tells commands from messages.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const cli = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'cli.js');
+
+describe('telefy CLI', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the CLI in an empty directory with one configured channel.
+   * @param {string[]} args - Command-line arguments.
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>} Exit code and output.
+   */
+  function telefy(args) {
+    const env = Object.fromEntries(Object.entries(process.env).filter(([key]) => !/^(CHANNEL_|TELEFY_)/.test(key)));
+    return new Promise((resolve) => {
+      const child = execFile(process.execPath, [cli, ...args], {
+        cwd,
+        env: { ...env, CHANNEL_OPS_TOKEN: '1:A', CHANNEL_OPS_CHAT_ID: '5' },
+        timeout: 20000,
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+      child.stdin.end();
+    });
+  }
+
+  it('sends a message that starts with a command word after "--"', async () => {
+    const { code, stdout } = await telefy(['--', 'delete', 'old', 'builds', 'finished', '--channel', 'ops', '--dry-run']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('[dry run] sendMessage to channel "ops"');
+    expect(stdout).toContain('"text": "delete old builds finished"');
+  });
+
+  it('runs the command for a command word without "--"', async () => {
+    const { code, stderr } = await telefy(['delete', 'old', 'builds', '--channel', 'ops', '--dry-run']);
+    expect(code).toBe(1);
+    expect(stderr).toContain('Invalid message reference "old"');
+  });
+});
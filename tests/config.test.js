@@ -0,0 +1,221 @@
+/**
+ * @file config.test.js
+ * @description Jest tests for loading telefy.config.json / .yaml files.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../lib/config.js';
+
+describe('loadConfig', () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  const write = (name, content) => fs.writeFileSync(path.join(cwd, name), content);
+
+  it('returns the environment channels when there is no config file', () => {
+    const config = loadConfig({ cwd, env: { CHANNEL_CI_TOKEN: '1:A', CHANNEL_CI_CHAT_ID: '-100' } });
+    expect(config).toEqual({
+      channels: new Map([['ci', { token: '1:A', chatId: '-100' }]]),
+      groups: new Map(),
+      defaults: {},
+      path: null,
+    });
+  });
+
+  it('loads channels, groups and defaults from JSON with ${VAR} interpolation', () => {
+    write('telefy.config.json', JSON.stringify({
+      channels: {
+        News: { token: '${NEWS_TOKEN}', chatId: -1001 },
+        ops: { token: '2:B', chat_id: '${OPS_CHAT:-42}', parse_mode: 'HTML', disableNotification: true },
+      },
+      groups: { OnCall: ['news', 'ops'] },
+      defaults: { channel: 'oncall', settle: true },
+    }));
+    const config = loadConfig({ cwd, env: { NEWS_TOKEN: '1:A' } });
+    expect(config.channels).toEqual(new Map([
+      ['news', { token: '1:A', chatId: '-1001' }],
+      ['ops', { token: '2:B', chatId: '42', parseMode: 'HTML', disableNotification: true }],
+    ]));
+    expect(config.groups).toEqual(new Map([['oncall', ['news', 'ops']]]));
+    expect(config.defaults).toEqual({ channel: 'oncall', settle: true });
+    expect(config.path).toBe(path.join(cwd, 'telefy.config.json'));
+  });
+
+  it('loads YAML and extends channels defined in the environment', () => {
+    write('telefy.config.yaml', [
+      'channels:',
+      '  ci:',
+      '    messageThreadId: 12',
+      '    protectContent: true',
+      'defaults:',
+      '  parseMode: MarkdownV2',
+    ].join('\n'));
+    const config = loadConfig({ cwd, env: { CHANNEL_CI_TOKEN: '1:A', CHANNEL_CI_CHAT_ID: '-100' } });
+    expect(config.channels.get('ci')).toEqual({ token: '1:A', chatId: '-100', messageThreadId: 12, protectContent: true });
+    expect(config.defaults).toEqual({ parseMode: 'MarkdownV2' });
+  });
+
+  it('accepts lists of chats with forum topics', () => {
+    write('telefy.config.yaml', [
+      'channels:',
+      '  services:',
+      '    token: "1:A"',
+      '    chatId:',
+      '      - -1001',
+      '      - { chatId: -1002, message_thread_id: 5 }',
+    ].join('\n'));
+    expect(loadConfig({ cwd, env: {} }).channels.get('services').chatId).toEqual(['-1001', { chatId: '-1002', messageThreadId: 5 }]);
+  });
+
+  it('reads the outbox directory from the file or TELEFY_OUTBOX_DIR', () => {
+    expect(loadConfig({ cwd, env: { TELEFY_OUTBOX_DIR: 'queue' } }).outbox).toEqual({ dir: path.join(cwd, 'queue') });
+    write('telefy.config.json', JSON.stringify({ outbox: true }));
+    expect(loadConfig({ cwd, env: { TELEFY_OUTBOX_DIR: 'queue' } }).outbox).toEqual({ dir: path.join(cwd, '.telefy/outbox') });
+    write('telefy.config.json', JSON.stringify({ outbox: { dir: '/var/spool/telefy' } }));
+    expect(loadConfig({ cwd, env: {} }).outbox).toEqual({ dir: '/var/spool/telefy' });
+  });
+
+  it('reads the schedule directory from the file or TELEFY_SCHEDULE_DIR', () => {
+    expect(loadConfig({ cwd, env: { TELEFY_SCHEDULE_DIR: 'jobs' } }).schedule).toEqual({ dir: path.join(cwd, 'jobs') });
+    write('telefy.config.yaml', 'schedule: { dir: /var/lib/telefy }');
+    expect(loadConfig({ cwd, env: { TELEFY_SCHEDULE_DIR: 'jobs' } }).schedule).toEqual({ dir: '/var/lib/telefy' });
+    write('telefy.config.yaml', 'schedule: true');
+    expect(loadConfig({ cwd, env: {} }).schedule).toEqual({ dir: path.join(cwd, '.telefy/schedule') });
+  });
+
+  it('reads the dedup settings from the file or TELEFY_DEDUP_*', () => {
+    expect(loadConfig({ cwd, env: {} }).dedup).toBeUndefined();
+    expect(loadConfig({ cwd, env: { TELEFY_DEDUP_WINDOW: '600000', TELEFY_DEDUP_MODE: 'collapse' } }).dedup)
+      .toEqual({ window: 600000, mode: 'collapse', dir: path.join(cwd, '.telefy/dedup') });
+    expect(loadConfig({ cwd, env: { TELEFY_DEDUP_DIR: 'state' } }).dedup).toEqual({ dir: path.join(cwd, 'state') });
+    expect(() => loadConfig({ cwd, env: { TELEFY_DEDUP_WINDOW: 'soon' } }))
+      .toThrow('Invalid TELEFY_DEDUP_WINDOW: it must be a number of ms or a duration such as "10m"');
+
+    write('telefy.config.yaml', 'dedup: { window: 1h, mode: drop, dir: /var/lib/telefy }');
+    expect(loadConfig({ cwd, env: { TELEFY_DEDUP_MODE: 'collapse' } }).dedup).toEqual({ window: 3600000, mode: 'drop', dir: '/var/lib/telefy' });
+    write('telefy.config.yaml', 'dedup: false');
+    expect(loadConfig({ cwd, env: { TELEFY_DEDUP_MODE: 'collapse' } }).dedup).toBeUndefined();
+  });
+
+  it('reads client and per-channel rate limits', () => {
+    write('telefy.config.yaml', [
+      'rateLimit: true',
+      'channels:',
+      '  a: { token: "1:A", chatId: 1, rateLimit: { perChat: { limit: 3, interval: 1000 } } }',
+    ].join('\n'));
+    const config = loadConfig({ cwd, env: {} });
+    expect(config.rateLimit).toBe(true);
+    expect(config.channels.get('a').rateLimit).toEqual({ perChat: { limit: 3, interval: 1000 } });
+  });
+
+  it('reads the API root, proxy and timeout from the file or the environment', () => {
+    const env = { TELEFY_PROXY: 'http://proxy.example.com:3128', TELEFY_TIMEOUT: '5000', TELEFY_API_ROOT: 'http://localhost:8081' };
+    expect(loadConfig({ cwd, env })).toMatchObject({ proxy: env.TELEFY_PROXY, timeout: 5000, apiRoot: env.TELEFY_API_ROOT });
+
+    write('telefy.config.json', JSON.stringify({
+      proxy: 'socks5://127.0.0.1:1080',
+      channels: { a: { token: '1:A', chatId: 1, apiRoot: 'https://bots.example.com', timeout: 2000 } },
+    }));
+    const config = loadConfig({ cwd, env });
+    expect(config).toMatchObject({ proxy: 'socks5://127.0.0.1:1080', timeout: 5000, apiRoot: env.TELEFY_API_ROOT });
+    expect(config.channels.get('a')).toEqual({ token: '1:A', chatId: '1', apiRoot: 'https://bots.example.com', timeout: 2000 });
+    expect(() => loadConfig({ cwd, env: { TELEFY_TIMEOUT: 'soon' } })).toThrow('Invalid TELEFY_TIMEOUT: soon');
+  });
+
+  it('turns on dry runs with TELEFY_DRY_RUN', () => {
+    expect(loadConfig({ cwd, env: { TELEFY_DRY_RUN: '1' } }).dryRun).toBe(true);
+    expect(loadConfig({ cwd, env: { TELEFY_DRY_RUN: '0' } }).dryRun).toBeUndefined();
+  });
+
+  it('reads the templates directory from the file or TELEFY_TEMPLATES_DIR', () => {
+    expect(loadConfig({ cwd, env: { TELEFY_TEMPLATES_DIR: 'messages' } }).templates).toBe(path.join(cwd, 'messages'));
+    write('telefy.config.json', JSON.stringify({ templates: 'config/templates' }));
+    expect(loadConfig({ cwd, env: { TELEFY_TEMPLATES_DIR: 'messages' } }).templates).toBe(path.join(cwd, 'config/templates'));
+  });
+
+  it('reads webhook endpoints', () => {
+    write('telefy.config.yaml', [
+      'channels:',
+      '  ops: { token: "1:A", chatId: 1 }',
+      '  oncall: { token: "1:A", chatId: 2 }',
+      'webhooks:',
+      '  github: { channel: ops }',
+      '  alerts:',
+      '    adapter: alertmanager',
+      '    secret: ${ALERTS_SECRET}',
+      '    routes:',
+      '      - match: { severity: [critical, page] }',
+      '        channel: oncall',
+      '  deploys: { adapter: template, template: "{{service}} {{status}}", buttons: [{ text: Run, url: "{{url}}" }] }',
+    ].join('\n'));
+    expect(loadConfig({ cwd, env: { ALERTS_SECRET: 's3cret' } }).webhooks).toEqual({
+      github: { adapter: 'github', channel: 'ops' },
+      alerts: { adapter: 'alertmanager', secret: 's3cret', routes: [{ match: { severity: ['critical', 'page'] }, channel: 'oncall' }] },
+      deploys: { adapter: 'template', template: '{{service}} {{status}}', buttons: [{ text: 'Run', url: '{{url}}' }] },
+    });
+    write('telefy.config.yaml', 'channels:\n  ops: { token: "1:A", chatId: 1 }\n');
+    expect(loadConfig({ cwd, env: {} }).webhooks).toBeUndefined();
+  });
+
+  it('uses the path given explicitly or in TELEFY_CONFIG', () => {
+    write('custom.yml', 'channels:\n  a: { token: "1:A", chatId: 1 }\n');
+    expect(loadConfig({ cwd, env: {}, path: 'custom.yml' }).channels.has('a')).toBe(true);
+    expect(loadConfig({ cwd, env: { TELEFY_CONFIG: 'custom.yml' } }).channels.has('a')).toBe(true);
+    expect(() => loadConfig({ cwd, env: {}, path: 'missing.json' })).toThrow(
+      expect.objectContaining({ name: 'TelegramBotError', message: 'Config file not found: missing.json' })
+    );
+  });
+
+  it('reports unset variables and unparsable files', () => {
+    write('telefy.config.json', '{ "channels": { "a": { "token": "${TOKEN}", "chatId": 1 } } }');
+    expect(() => loadConfig({ cwd, env: {} })).toThrow(
+      `Environment variable TOKEN is not set (used by channels.a.token in ${path.join(cwd, 'telefy.config.json')})`
+    );
+    write('telefy.config.json', '{ channels: ');
+    expect(() => loadConfig({ cwd, env: {} })).toThrow(/^Could not parse config file/);
+  });
+
+  it.each([
+    [{ channels: { a: { token: '1:A', chatId: 1, parseMode: 'md' } } }, 'channels.a.parseMode must be one of Markdown, HTML, MarkdownV2'],
+    [{ channels: { a: { token: '1:A', chatId: 1, messageThreadId: '7' } } }, 'channels.a.messageThreadId must be a positive integer'],
+    [{ channels: { a: { token: '1:A', chatId: [1, true] } } }, 'channels.a.chatId[1] must be a chat ID or { chatId, messageThreadId }'],
+    [{ channels: { a: { token: '1:A', chatId: 1 } }, groups: { all: ['a'] } }, "groups.all has the same name as the 'all' target"],
+    [{ channels: { a: { token: '1:A', chatId: 1 } }, groups: { g: ['a', 'b'] } }, 'groups.g refers to unknown channels: b'],
+    [{ channels: { a: { token: '1:A', chatId: 1 } }, groups: ['a'] }, 'groups must map group names to lists of channel names'],
+    [{ channels: { a: { token: '1:A', chatId: 1 } }, groups: { g: [1] } }, 'groups.g must be a non-empty list of channel names'],
+    [{ channels: { a: { token: '1:A', chatId: 1 } }, defaults: { channel: 'b' } }, 'defaults.channel refers to unknown channel or group "b"'],
+    [{ channels: { a: { token: '1:A', chatId: 1 } }, defaults: { concurrency: 0 } }, 'defaults.concurrency must be a positive integer'],
+    [{ outbox: 'yes' }, 'outbox must be true, false or { dir: "path" }'],
+    [{ schedule: { dir: '' } }, 'schedule must be true or { dir: "path" }'],
+    [{ dedup: 'yes' }, 'dedup must be true, false or { window, mode, dir }'],
+    [{ dedup: { mode: 'merge' } }, 'dedup.mode must be "drop" or "collapse"'],
+    [{ dedup: { window: -5 } }, 'dedup.window must be a number of ms or a duration such as "10m"'],
+    [{ proxy: 'proxy.example.com:3128' }, 'proxy must be an http://, https:// or socks5:// URL'],
+    [{ channels: { a: { token: '1:A', chatId: 1, timeout: '5s' } } }, 'channels.a.timeout must be a positive number of milliseconds'],
+    [{ channels: { a: { token: '1:A', chatId: 1, apiRoot: 8081 } } }, 'channels.a.apiRoot must be an http:// or https:// URL'],
+    [{ rateLimit: { perChat: { limit: -1 } } }, 'rateLimit must be true or { perChat, perGroup, perBot }, each false or { limit, interval }'],
+    [{ templates: true }, 'templates must be the path of the templates directory'],
+    [{ webhooks: { jenkins: {} } }, 'webhooks.jenkins.adapter must be one of github, alertmanager, grafana, template'],
+    [{ webhooks: { 'a/b': { adapter: 'github' } } }, 'webhooks.a/b must be named with letters, digits, - and _ only (the name is the URL path)'],
+    [{ webhooks: { github: { channel: 'ops' } } }, 'webhooks.github.channel refers to unknown channel or group "ops"'],
+    [{ webhooks: { hook: { adapter: 'template' } } }, 'webhooks.hook.template must be the message text, with {{field}} placeholders'],
+    [{ webhooks: { grafana: { routes: [{ channel: 'all' }] } } }, 'webhooks.grafana.routes[0] must be { match: { label: value }, channel }'],
+  ])('rejects invalid values (%#)', (content, problem) => {
+    write('telefy.config.json', JSON.stringify(content));
+    expect(() => loadConfig({ cwd, env: {} })).toThrow(
+      expect.objectContaining({ message: `Invalid config in telefy.config.json: ${problem}` })
+    );
+  });
+});
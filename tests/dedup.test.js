@@ -0,0 +1,218 @@
+/**
+ * @file dedup.test.js
+ * @description Jest tests for deduplication of repeated messages and the dedup store.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockTelegram } from '../lib/testing.js';
+import { dedupKeyOf, repeatedNote } from '../lib/dedup.js';
+import { createDedupStore, createTelefy, TelegramBotError, TelegramBroadcastError } from '../telegramBot.js';
+
+describe('dedup helpers', () => {
+  it('keys messages by dedupKey or text, within the target', () => {
+    expect(dedupKeyOf('ops', 'Disk full')).toBe(dedupKeyOf('OPS', 'Disk full'));
+    expect(dedupKeyOf('ops', 'Disk full')).not.toBe(dedupKeyOf('news', 'Disk full'));
+    expect(dedupKeyOf('ops', 'Disk full', 'disk')).toBe(dedupKeyOf('ops', 'Disk 95% full', 'disk'));
+    expect(dedupKeyOf('ops', 'disk', undefined)).not.toBe(dedupKeyOf('ops', 'other', 'disk'));
+  });
+
+  it('formats the repeat note in local time', () => {
+    expect(repeatedNote(3, new Date(2025, 0, 1, 9, 5))).toBe('(repeated ×3, last at 09:05)');
+  });
+});
+
+describe('createDedupStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-dedup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('counts repeats within the window and forgets expired records', async () => {
+    const store = createDedupStore({ dir });
+    const now = new Date(2025, 0, 1, 9, 0);
+    await expect(store.hit('a', { window: 60000, now })).resolves.toMatchObject({ duplicate: false, record: { count: 1 } });
+    await store.update('a', { messages: [{ channel: 'ops', chatId: '5', messageId: 7 }] });
+    await expect(store.hit('a', { window: 60000, now: new Date(2025, 0, 1, 9, 0, 30) })).resolves.toMatchObject({
+      duplicate: true,
+      record: { count: 2, first: now.toISOString(), messages: [{ messageId: 7 }] },
+    });
+
+    // Another process sees the same records
+    const other = createDedupStore({ dir });
+    await expect(other.hit('a', { window: 60000, now: new Date(2025, 0, 1, 9, 1) })).resolves.toMatchObject({ duplicate: false });
+    await expect(other.remove('a')).resolves.toBe(true);
+    expect(fs.readFileSync(store.file, 'utf8')).toBe('');
+  });
+
+  it('skips corrupt lines and keeps changes of concurrent hits', async () => {
+    const store = createDedupStore({ dir });
+    fs.writeFileSync(store.file, '{"key":"a","count":1,"expiresAt":"2999-01-01T00:00:00.000Z"}\n{"key":');
+    const outcomes = await Promise.all(['a', 'b', 'b'].map((key) => store.hit(key, { window: 60000 })));
+    expect(outcomes.map((outcome) => [outcome.duplicate, outcome.record.count])).toEqual([[true, 2], [false, 1], [true, 2]]);
+    expect(fs.readFileSync(store.file, 'utf8').trim().split('\n')).toHaveLength(2);
+    expect(fs.existsSync(`${store.file}.lock`)).toBe(false);
+  });
+});
+
+describe('deduplicated sends', () => {
+  const telegram = createMockTelegram();
+  let apiRoot;
+
+  beforeAll(async () => {
+    apiRoot = await telegram.listen();
+  });
+
+  afterEach(() => {
+    telegram.reset();
+  });
+
+  afterAll(async () => {
+    await telegram.close();
+  });
+
+  const channels = { ops: { token: '1:A', chatId: '5' }, news: { token: '2:B', chatId: '6' } };
+
+  it('drops repeats within the window and points to the first message', async () => {
+    const client = createTelefy({ channels, apiRoot, dedup: true });
+    const [first] = await client.sendTGMessage('Backup failed', 'ops');
+    const repeats = await client.sendTGMessage('Backup failed', 'ops');
+    expect(repeats).toEqual([{ channel: 'ops', chatId: '5', messageId: first.messageId, duplicate: true, count: 2 }]);
+    await expect(client.sendTGMessage('Backup failed', 'ops')).resolves.toMatchObject([{ duplicate: true, count: 3 }]);
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(1);
+
+    // Other text, other targets and dedup: false are sent
+    await client.sendTGMessage('Backup failed again', 'ops');
+    await client.sendTGMessage('Backup failed', 'news');
+    await client.sendTGMessage('Backup failed', 'ops', undefined, { dedup: false });
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(4);
+  });
+
+  it('matches messages by dedupKey and sends again once the window has passed', async () => {
+    const client = createTelefy({ channels, apiRoot, dedup: { window: 50 } });
+    await client.sendTGMessage('Disk 91% full', 'ops', undefined, { dedupKey: 'disk-db1' });
+    await expect(client.sendTGMessage('Disk 93% full', 'ops', undefined, { dedupKey: 'disk-db1' }))
+      .resolves.toMatchObject([{ duplicate: true, count: 2 }]);
+    await new Promise((resolve) => { setTimeout(resolve, 60); });
+    const [result] = await client.sendTGMessage('Disk 95% full', 'ops', undefined, { dedupKey: 'disk-db1' });
+    expect(result.duplicate).toBeUndefined();
+    expect(telegram.requestsFor('sendMessage').map((request) => request.payload.text)).toEqual(['Disk 91% full', 'Disk 95% full']);
+  });
+
+  it('forgets a send that failed so the retry goes out', async () => {
+    const client = createTelefy({ channels, apiRoot, dedup: true, retry: false });
+    telegram.fail({ status: 500, description: 'Internal Server Error' }, { method: 'sendMessage' });
+    await expect(client.sendTGMessage('Deploy failed', 'ops')).rejects.toThrow(TelegramBotError);
+    const [result] = await client.sendTGMessage('Deploy failed', 'ops');
+    expect(result).toMatchObject({ channel: 'ops', messageId: expect.any(Number) });
+    expect(result.duplicate).toBeUndefined();
+  });
+
+  it('keeps the messages a settled broadcast delivered when other channels failed', async () => {
+    const client = createTelefy({ channels, apiRoot, dedup: true, retry: false, defaults: { settle: true } });
+    telegram.fail({ status: 500, description: 'Internal Server Error' }, { method: 'sendMessage' });
+    const error = await client.sendTGMessage('Release failed', 'all').catch((caught) => caught);
+    expect(error).toBeInstanceOf(TelegramBroadcastError);
+    const delivered = error.results.find((result) => result.ok);
+    expect(delivered).toMatchObject({ channel: 'news', messageId: expect.any(Number) });
+
+    await expect(client.sendTGMessage('Release failed', 'all')).resolves.toEqual([
+      { channel: 'news', chatId: '6', messageId: delivered.messageId, duplicate: true, count: 2 },
+    ]);
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(2);
+  });
+
+  it('collapses repeats into the first message, keeping its buttons', async () => {
+    const client = createTelefy({
+      channels: { ops: { token: '1:A', chatId: '5', parseMode: 'MarkdownV2' } },
+      apiRoot,
+      dedup: { mode: 'collapse', window: '10m' },
+    });
+    const buttons = [[{ text: 'Logs', url: 'https://example.com/logs' }]];
+    const [first] = await client.sendTGMessageWithButtons('*Job failed*', buttons, 'ops');
+    await client.sendTGMessageWithButtons('*Job failed*', buttons, 'ops');
+    const [repeat] = await client.sendTGMessageWithButtons('*Job failed*', buttons, 'ops');
+
+    expect(repeat).toMatchObject({ channel: 'ops', chatId: '5', messageId: first.messageId, duplicate: true, collapsed: true, count: 3 });
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(1);
+    expect(telegram.requestsFor('editMessageText')).toHaveLength(2);
+    const { payload } = telegram.lastRequest('editMessageText');
+    expect(payload).toEqual({
+      chat_id: '5',
+      message_id: first.messageId,
+      text: expect.stringMatching(/^\*Job failed\*\n\n\\\(repeated ×3, last at \d\d:\d\d\\\)$/),
+      parse_mode: 'MarkdownV2',
+      reply_markup: { inline_keyboard: buttons },
+    });
+  });
+
+  it('reports a failed collapse edit instead of throwing', async () => {
+    const client = createTelefy({ channels, apiRoot, dedup: { mode: 'collapse' }, retry: false });
+    await client.sendTGMessage('Queue stuck', 'ops');
+    telegram.fail({ status: 400, description: 'Bad Request: message to edit not found' }, { method: 'editMessageText' });
+    const [repeat] = await client.sendTGMessage('Queue stuck', 'ops');
+    expect(repeat).toMatchObject({ channel: 'ops', duplicate: true, count: 2, error: expect.any(TelegramBotError) });
+    expect(repeat.collapsed).toBeUndefined();
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(1);
+  });
+
+  it('drops repeats of split messages in collapse mode', async () => {
+    const client = createTelefy({ channels, apiRoot, dedup: { mode: 'collapse' } });
+    const text = `${'a'.repeat(4000)}\n${'b'.repeat(200)}`;
+    await client.sendTGMessage(text, 'ops', undefined, { split: true });
+    await expect(client.sendTGMessage(text, 'ops', undefined, { split: true })).resolves.toMatchObject([{ duplicate: true, count: 2 }]);
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(2);
+    expect(telegram.requestsFor('editMessageText')).toHaveLength(0);
+  });
+
+  it('shares the state between clients through a file store', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-dedup-'));
+    try {
+      const first = createTelefy({ channels, apiRoot, dedup: { dir, mode: 'collapse' } });
+      const second = createTelefy({ channels, apiRoot, dedup: { store: createDedupStore({ dir }), mode: 'collapse' } });
+      const [sent] = await first.sendTGMessage('Nightly build failed', 'all');
+      await expect(second.sendTGMessage('Nightly build failed', 'all')).resolves.toMatchObject([
+        { channel: 'ops', messageId: sent.messageId, collapsed: true, count: 2 },
+        { channel: 'news', collapsed: true, count: 2 },
+      ]);
+      expect(telegram.requestsFor('sendMessage')).toHaveLength(2);
+      expect(telegram.requestsFor('editMessageText')).toHaveLength(2);
+
+      // A client that drops repeats leaves the first message as it is
+      const dropping = createTelefy({ channels, apiRoot, dedup: { dir } });
+      await expect(dropping.sendTGMessage('Nightly build failed', 'all')).resolves.toMatchObject([{ duplicate: true, count: 3 }, { duplicate: true }]);
+      expect(telegram.requestsFor('editMessageText')).toHaveLength(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('sends every message in dry runs and with templates through the same check', async () => {
+    const dryClient = createTelefy({ channels, apiRoot, dedup: true, dryRun: true });
+    await dryClient.sendTGMessage('Hi', 'ops');
+    await expect(dryClient.sendTGMessage('Hi', 'ops')).resolves.toMatchObject([{ dryRun: true }]);
+
+    const client = createTelefy({ channels, apiRoot, dedup: true, templates: { alert: 'Alert: {{name}}' } });
+    await client.sendTGTemplate('alert', { name: 'disk' }, 'ops');
+    await expect(client.sendTGTemplate('alert', { name: 'disk' }, 'ops')).resolves.toMatchObject([{ duplicate: true }]);
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(1);
+  });
+
+  it.each([
+    [{ mode: 'merge' }, 'Invalid dedup mode: "merge"'],
+    [{ window: 'soon' }, 'Invalid dedup window: "soon"'],
+    [{ store: {} }, 'The dedup store must have hit, update and remove functions'],
+    ['yes', 'Invalid dedup option: "yes"'],
+  ])('rejects the dedup option %j', (dedup, message) => {
+    expect(() => createTelefy({ channels, dedup })).toThrow(new TelegramBotError(message));
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @file discover.test.js
+ * @description Jest tests for chat discovery from pending updates.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { jest } from '@jest/globals';
+import { chatsFromUpdates, discoverChats, identifyBot } from '../lib/discover.js';
+import { TelegramBotError } from '../lib/errors.js';
+
+describe('discover', () => {
+  const token = '123456:ABC-DEF';
+
+  const updates = [
+    { update_id: 1, message: { message_id: 1, date: 100, chat: { id: 42, type: 'private', first_name: 'Ada', username: 'ada' }, text: '/start' } },
+    {
+      update_id: 2,
+      my_chat_member: {
+        date: 200,
+        chat: { id: -1001, type: 'channel', title: 'Releases' },
+        new_chat_member: { status: 'administrator' },
+      },
+    },
+    {
+      update_id: 3,
+      message: {
+        message_id: 9,
+        date: 300,
+        chat: { id: -1002, type: 'supergroup', title: 'Dev', is_forum: true },
+        message_thread_id: 12,
+        is_topic_message: true,
+        reply_to_message: { message_id: 12, forum_topic_created: { name: 'Deploys' } },
+        text: 'hi',
+      },
+    },
+    { update_id: 4, message: { message_id: 2, date: 150, chat: { id: 42, type: 'private', first_name: 'Ada', username: 'ada' }, text: 'again' } },
+    { update_id: 5, callback_query: { id: 'q', data: 'ack', message: { message_id: 3, date: 50, chat: { id: -5, type: 'group', title: 'Ops' } } } },
+  ];
+
+  describe('chatsFromUpdates', () => {
+    it('lists chats and topics, most recent first', () => {
+      expect(chatsFromUpdates(updates)).toEqual([
+        { id: '-1002', type: 'supergroup', title: 'Dev', topics: [{ id: 12, name: 'Deploys' }], lastSeen: 300 },
+        { id: '-1001', type: 'channel', title: 'Releases', topics: [], lastSeen: 200 },
+        { id: '42', type: 'private', title: 'Ada', username: 'ada', topics: [], lastSeen: 150 },
+        { id: '-5', type: 'group', title: 'Ops', topics: [], lastSeen: 50 },
+      ]);
+    });
+
+    it('returns nothing without updates', () => {
+      expect(chatsFromUpdates([])).toEqual([]);
+    });
+  });
+
+  describe('discoverChats', () => {
+    it('reads pending updates without confirming them', async () => {
+      const transport = jest.fn().mockResolvedValue({ status: 200, data: { ok: true, result: updates.slice(0, 1) } });
+      const chats = await discoverChats(token, { wait: 30, timeout: 5000, transport, apiRoot: 'http://localhost:8081' });
+      expect(chats.map((chat) => chat.id)).toEqual(['42']);
+      expect(transport).toHaveBeenCalledWith({
+        url: `http://localhost:8081/bot${token}/getUpdates`,
+        body: { timeout: 30 },
+        timeout: 35000,
+        proxy: undefined,
+      });
+    });
+
+    it.each([
+      [401, 'Invalid bot token: Telegram rejected it'],
+      [409, 'Cannot read updates while the bot has a webhook'],
+    ])('explains a %i from getUpdates', async (status, message) => {
+      const transport = jest.fn().mockRejectedValue({ response: { status, data: { ok: false, description: 'x' } } });
+      const promise = discoverChats(token, { transport, retry: false });
+      await expect(promise).rejects.toThrow(message);
+      await expect(promise).rejects.toMatchObject({ httpStatus: status, code: expect.any(String) });
+    });
+
+    it('rejects malformed tokens and waits before calling Telegram', async () => {
+      const transport = jest.fn();
+      await expect(discoverChats('not-a-token', { transport })).rejects.toThrow(TelegramBotError);
+      await expect(discoverChats(token, { wait: -1, transport })).rejects.toThrow('Invalid wait: -1');
+      expect(transport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('identifyBot', () => {
+    it('checks the token with getMe', async () => {
+      const transport = jest.fn().mockResolvedValue({
+        status: 200,
+        data: { ok: true, result: { id: 123456, is_bot: true, first_name: 'Deploys', username: 'deploy_bot' } },
+      });
+      await expect(identifyBot(token, { transport })).resolves.toEqual({ id: 123456, username: 'deploy_bot', name: 'Deploys' });
+      expect(transport).toHaveBeenCalledWith(expect.objectContaining({ url: `https://api.telegram.org/bot${token}/getMe` }));
+    });
+
+    it('reports a rejected token', async () => {
+      const transport = jest.fn().mockRejectedValue({ response: { status: 401, data: { ok: false, description: 'Unauthorized' } } });
+      await expect(identifyBot(token, { transport, retry: false })).rejects.toThrow('Invalid bot token: Telegram rejected it');
+    });
+  });
+});
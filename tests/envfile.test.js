@@ -0,0 +1,77 @@
+/**
+ * @file envfile.test.js
+ * @description Jest tests for updating variables in .env files.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { updateEnvFile } from '../lib/envfile.js';
+
+describe('envfile', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-env-'));
+    file = path.join(dir, '.env');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates the file', async () => {
+    await expect(updateEnvFile(file, { CHANNEL_NEWS_TOKEN: '1:A', CHANNEL_NEWS_CHAT_ID: '-100' })).resolves.toEqual({
+      added: ['CHANNEL_NEWS_TOKEN', 'CHANNEL_NEWS_CHAT_ID'],
+      updated: [],
+      removed: [],
+    });
+    expect(fs.readFileSync(file, 'utf8')).toBe('CHANNEL_NEWS_TOKEN=1:A\nCHANNEL_NEWS_CHAT_ID=-100\n');
+  });
+
+  it('updates variables in place and keeps everything else', async () => {
+    fs.writeFileSync(file, [
+      '# Telegram',
+      'CHANNEL_NEWS_TOKEN=1:A',
+      'DATABASE_URL=postgres://db/app',
+      '',
+      'export CHANNEL_NEWS_CHAT_ID=-100',
+      'CHANNEL_OPS_TOKEN=2:B',
+      'CHANNEL_OPS_CHAT_ID=7',
+    ].join('\n'));
+    const summary = await updateEnvFile(file, {
+      CHANNEL_NEWS_TOKEN: '1:A',
+      CHANNEL_NEWS_CHAT_ID: '-200',
+      CHANNEL_OPS_TOKEN: undefined,
+      CHANNEL_OPS_CHAT_ID: undefined,
+      TELEFY_TIMEOUT: 5000,
+    });
+    expect(summary).toEqual({
+      added: ['TELEFY_TIMEOUT'],
+      updated: ['CHANNEL_NEWS_CHAT_ID'],
+      removed: ['CHANNEL_OPS_TOKEN', 'CHANNEL_OPS_CHAT_ID'],
+    });
+    expect(fs.readFileSync(file, 'utf8')).toBe([
+      '# Telegram',
+      'CHANNEL_NEWS_TOKEN=1:A',
+      'DATABASE_URL=postgres://db/app',
+      '',
+      'CHANNEL_NEWS_CHAT_ID=-200',
+      'TELEFY_TIMEOUT=5000',
+      '',
+    ].join('\n'));
+  });
+
+  it('quotes values dotenv would otherwise change', async () => {
+    await updateEnvFile(file, { A: 'two words', B: 'say "hi"', C: 'x#y' });
+    expect(fs.readFileSync(file, 'utf8')).toBe('A="two words"\nB=\'say "hi"\'\nC="x#y"\n');
+  });
+
+  it('reports files it cannot write', async () => {
+    await expect(updateEnvFile(path.join(dir, 'missing', '.env'), { A: '1' })).rejects.toThrow(/^Could not update/);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @file format.test.js
+ * @description Jest tests for the Markdown, MarkdownV2 and HTML formatting helpers.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import {
+  FormattedText,
+  escapeMarkdownV2,
+  escapeMarkdown,
+  escapeHTML,
+  escapeText,
+  bold,
+  italic,
+  spoiler,
+  code,
+  pre,
+  link,
+  mention,
+  md,
+  html,
+} from '../lib/format.js';
+
+describe('Formatting helpers', () => {
+  describe('escaping', () => {
+    it('escapes every MarkdownV2 special character including - and backslash', () => {
+      expect(escapeMarkdownV2('a_b*c[d]e(f)g~h`i>j#k+l-m=n|o{p}q.r!s\\t')).toBe(
+        'a\\_b\\*c\\[d\\]e\\(f\\)g\\~h\\`i\\>j\\#k\\+l\\-m\\=n\\|o\\{p\\}q\\.r\\!s\\\\t'
+      );
+    });
+
+    it('does not escape @ in MarkdownV2', () => {
+      expect(escapeMarkdownV2('ping @oncall')).toBe('ping @oncall');
+    });
+
+    it('escapes legacy Markdown', () => {
+      expect(escapeMarkdown('snake_case *x* `y` [z]')).toBe('snake\\_case \\*x\\* \\`y\\` \\[z]');
+    });
+
+    it('escapes HTML', () => {
+      expect(escapeHTML('<b>"Tom" & Jerry</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;');
+    });
+
+    it('escapes by parse mode and keeps formatted text', () => {
+      expect(escapeText('1.0', 'MarkdownV2')).toBe('1\\.0');
+      expect(escapeText('1 < 2', 'HTML')).toBe('1 &lt; 2');
+      expect(escapeText(bold('x'), 'MarkdownV2')).toBe('*x*');
+    });
+
+    it('throws error when mixing parse modes', () => {
+      expect(() => escapeText(bold('x', 'HTML'), 'MarkdownV2')).toThrow(
+        expect.objectContaining({ name: 'TelegramBotError', message: 'Cannot mix HTML formatted text into MarkdownV2 text' })
+      );
+    });
+  });
+
+  describe('builders', () => {
+    it('builds MarkdownV2 entities with escaped content', () => {
+      expect(bold('v1.2').text).toBe('*v1\\.2*');
+      expect(italic('a_b').text).toBe('_a\\_b_');
+      expect(spoiler('secret!').text).toBe('||secret\\!||');
+      expect(code('a`b\\c').text).toBe('`a\\`b\\\\c`');
+      expect(pre('x = 1;', 'js').text).toBe('```js\nx = 1;\n```');
+      expect(link('docs (v2)', 'https://example.com/a_(b)').text).toBe('[docs \\(v2\\)](https://example.com/a_(b\\))');
+      expect(mention('Ana', 42).text).toBe('[Ana](tg://user?id=42)');
+    });
+
+    it('builds HTML entities', () => {
+      expect(bold('a & b', 'HTML').text).toBe('<b>a &amp; b</b>');
+      expect(spoiler('x', 'HTML').text).toBe('<tg-spoiler>x</tg-spoiler>');
+      expect(code('<div>', 'HTML').text).toBe('<code>&lt;div&gt;</code>');
+      expect(pre('x', 'python', 'HTML').text).toBe('<pre><code class="language-python">x</code></pre>');
+      expect(pre('x', '', 'HTML').text).toBe('<pre>x</pre>');
+      expect(link('go', 'https://e.com/?a=1&b="2"', 'HTML').text).toBe('<a href="https://e.com/?a=1&amp;b=&quot;2&quot;">go</a>');
+    });
+
+    it('builds legacy Markdown entities', () => {
+      expect(bold('a_b', 'Markdown').text).toBe('*a\\_b*');
+      expect(link('x', 'https://e.com', 'Markdown').text).toBe('[x](https://e.com)');
+    });
+
+    it('nests builders without double escaping', () => {
+      expect(bold(link('a.b', 'https://e.com')).text).toBe('*[a\\.b](https://e.com)*');
+    });
+
+    it('throws error for spoilers in legacy Markdown', () => {
+      expect(() => spoiler('x', 'Markdown')).toThrow('Spoiler is not supported in Markdown');
+    });
+
+    it('returns FormattedText that converts to a string', () => {
+      const text = bold('x');
+      expect(text).toBeInstanceOf(FormattedText);
+      expect(`${text}`).toBe('*x*');
+      expect(text.parseMode).toBe('MarkdownV2');
+    });
+  });
+
+  describe('tagged templates', () => {
+    it('escapes interpolated values only', () => {
+      const name = 'api-server (v1.2)';
+      const message = md`Deploy *${name}* failed!`;
+      expect(message.text).toBe('Deploy *api\\-server \\(v1\\.2\\)* failed!');
+      expect(message.parseMode).toBe('MarkdownV2');
+    });
+
+    it('inserts builders and nested templates as-is', () => {
+      const message = md`${md.bold('Build')} ${md`#${42}`} by ${md.mention('Ana', 7)}`;
+      expect(message.text).toBe('*Build* #42 by [Ana](tg://user?id=7)');
+    });
+
+    it('renders HTML templates with builders', () => {
+      const message = html`<b>${'<script>'}</b> ${html.code('a && b')}`;
+      expect(message.text).toBe('<b>&lt;script&gt;</b> <code>a &amp;&amp; b</code>');
+      expect(message.parseMode).toBe('HTML');
+    });
+
+    it('joins arrays and drops null values', () => {
+      expect(md`${['a.', 'b']}${null}`.text).toBe('a\\.b');
+    });
+
+    it('exposes an escape helper per parse mode', () => {
+      expect(md.escape('1.0')).toBe('1\\.0');
+      expect(html.escape('<')).toBe('&lt;');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * @file keyboard.test.js
+ * @description Jest tests for inline keyboard validation and reply markup builders.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { buildReplyMarkup, forceReply, parseButtonRow, removeKeyboard, replyKeyboard } from '../lib/keyboard.js';
+
+describe('buildReplyMarkup', () => {
+  it('wraps button rows in an inline keyboard and accepts every button variant', () => {
+    const rows = [
+      [{ text: 'Ack', callback_data: 'ack-123' }, { text: 'Docs', url: 'https://example.com' }],
+      [{ text: 'Share', switch_inline_query: '' }, { text: 'Here', switch_inline_query_current_chat: 'q' }],
+      [{ text: 'Pick', switch_inline_query_chosen_chat: { allow_group_chats: true } }],
+      [{ text: 'App', web_app: { url: 'https://example.com/app' } }, { text: 'Login', login_url: { url: 'https://example.com/login' } }],
+      [{ text: 'Copy', copy_text: { text: 'ABC-123' } }],
+    ];
+    expect(buildReplyMarkup(rows)).toEqual({ inline_keyboard: rows });
+  });
+
+  it('requires exactly one action per button', () => {
+    expect(() => buildReplyMarkup([[{ text: 'Visit' }]])).toThrow('Button "Visit" has no action');
+    expect(() => buildReplyMarkup([[{ text: 'Both', url: 'https://example.com', callback_data: 'x' }]])).toThrow(
+      'Button "Both" has more than one action (url, callback_data)'
+    );
+    expect(() => buildReplyMarkup([[{ url: 'https://example.com' }]])).toThrow('Each button must have a text property');
+  });
+
+  it('limits callback_data to 64 bytes', () => {
+    expect(() => buildReplyMarkup([[{ text: 'Ok', callback_data: 'x'.repeat(64) }]])).not.toThrow();
+    // 22 three-byte characters are 66 bytes
+    expect(() => buildReplyMarkup([[{ text: 'Ok', callback_data: '€'.repeat(22) }]])).toThrow(
+      'Callback data of button "Ok" must be 1-64 bytes'
+    );
+  });
+
+  it('validates action values', () => {
+    expect(() => buildReplyMarkup([[{ text: 'App', web_app: 'https://example.com' }]])).toThrow('Invalid web_app for button "App"');
+    expect(() => buildReplyMarkup([[{ text: 'Copy', copy_text: { text: '' } }]])).toThrow('Invalid copy_text for button "Copy"');
+  });
+
+  it('passes reply keyboards, remove_keyboard and force_reply through', () => {
+    expect(buildReplyMarkup(replyKeyboard([['Yes', 'No']], { one_time_keyboard: true }))).toEqual({
+      one_time_keyboard: true,
+      keyboard: [[{ text: 'Yes' }, { text: 'No' }]],
+    });
+    expect(buildReplyMarkup(removeKeyboard())).toEqual({ remove_keyboard: true });
+    expect(buildReplyMarkup(forceReply({ input_field_placeholder: 'Reason' }))).toEqual({
+      input_field_placeholder: 'Reason',
+      force_reply: true,
+    });
+  });
+
+  it('rejects reply keyboard buttons with several requests', () => {
+    expect(() => replyKeyboard([[{ text: 'Me', request_contact: true, request_location: true }]])).toThrow(
+      'Button "Me" has more than one request (request_contact, request_location)'
+    );
+  });
+
+  it('only accepts inline keyboards when inlineOnly is set', () => {
+    expect(() => buildReplyMarkup(removeKeyboard(), { inlineOnly: true })).toThrow(
+      'Only inline keyboards can be attached to edited messages'
+    );
+  });
+
+  it('rejects unknown markup objects and non-arrays', () => {
+    expect(() => buildReplyMarkup({ foo: true })).toThrow('Unsupported reply markup');
+    expect(() => buildReplyMarkup('invalid')).toThrow('Buttons must be an array of arrays');
+  });
+});
+
+describe('parseButtonRow', () => {
+  it('parses buttons separated by ";" with their actions', () => {
+    expect(parseButtonRow('Yes|cb:yes; Copy|copy:db1; Docs|https://example.com')).toEqual([
+      { text: 'Yes', callback_data: 'yes' },
+      { text: 'Copy', copy_text: { text: 'db1' } },
+      { text: 'Docs', url: 'https://example.com' },
+    ]);
+  });
+
+  it('keeps an escaped ";" inside a button', () => {
+    expect(parseButtonRow('Map|https://example.com/map\\;lat=1\\;lon=2; Ack|cb:a\\;b')).toEqual([
+      { text: 'Map', url: 'https://example.com/map;lat=1;lon=2' },
+      { text: 'Ack', callback_data: 'a;b' },
+    ]);
+  });
+
+  it('returns null for a malformed button', () => {
+    expect(parseButtonRow('Docs|https://example.com/a;b=1')).toBeNull();
+    expect(parseButtonRow('Yes|cb:yes; |cb:no')).toBeNull();
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @file listener.test.js
+ * @description Jest tests for TelefyListener (long polling and webhook) against a local fake Bot API server.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import http from 'http';
+import { TelefyListener } from '../lib/listener.js';
+
+/**
+ * Start a fake Bot API server that serves queued updates from getUpdates and records every call.
+ * @returns {Promise<Object>} Server handle with apiRoot, calls, queue(update) and close().
+ */
+async function startFakeBotApi() {
+  const calls = [];
+  const pending = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const method = req.url.split('/').pop();
+    const body = chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {};
+    calls.push({ method, body });
+
+    let result = true;
+    if (method === 'getUpdates') {
+      const offset = body.offset || 0;
+      result = pending.filter((update) => update.update_id >= offset);
+      if (result.length === 0 && body.timeout > 0) {
+        // Keep the long poll short so tests stay fast
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ ok: true, result }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    apiRoot: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    queue: (update) => pending.push(update),
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+// Resolve once the condition holds, polling every few milliseconds
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+}
+
+const callbackUpdate = (id, data) => ({
+  update_id: id,
+  callback_query: {
+    id: `q${id}`,
+    data,
+    message: { message_id: 42, chat: { id: -100 } },
+  },
+});
+
+describe('TelefyListener', () => {
+  let api;
+  let listener;
+
+  beforeEach(async () => {
+    api = await startFakeBotApi();
+  });
+
+  afterEach(async () => {
+    await listener?.stop();
+    listener = null;
+    await api.close();
+  });
+
+  const channels = () => ({
+    alerts: { token: '111:AAA', chatId: '-100', apiRoot: api.apiRoot },
+    ops: { token: '111:AAA', chatId: '-200', apiRoot: api.apiRoot },
+  });
+
+  describe('long polling', () => {
+    it('dispatches callback queries to matching handlers and answers them', async () => {
+      listener = new TelefyListener({ channels: channels(), pollTimeout: 1, retry: false });
+      const seen = [];
+      listener.onCallback(/^ack-(\w+)$/, async (query, ctx) => {
+        seen.push({ alert: ctx.match[1], channel: ctx.channel });
+        await ctx.answer('Acknowledged');
+        await ctx.editButtons([]);
+      });
+      api.queue(callbackUpdate(7, 'ack-db1'));
+      await listener.start();
+
+      await waitFor(() => api.calls.some((call) => call.method === 'editMessageReplyMarkup'));
+      expect(seen).toEqual([{ alert: 'db1', channel: 'alerts' }]);
+      expect(api.calls.find((call) => call.method === 'answerCallbackQuery').body).toEqual({
+        callback_query_id: 'q7',
+        text: 'Acknowledged',
+      });
+      expect(api.calls.find((call) => call.method === 'editMessageReplyMarkup').body).toEqual({
+        chat_id: -100,
+        message_id: 42,
+        reply_markup: { inline_keyboard: [] },
+      });
+      expect(listener.getOffsets()).toEqual({ 111: 8 });
+    });
+
+    it('polls once per bot token and confirms the offset on stop', async () => {
+      listener = new TelefyListener({ channels: channels(), pollTimeout: 1, retry: false });
+      api.queue({ update_id: 3, message: { message_id: 1, chat: { id: -200 }, text: 'hi' } });
+      const messages = [];
+      listener.on('message', (message, ctx) => messages.push([message.text, ctx.channel]));
+      await listener.start();
+      await waitFor(() => messages.length === 1);
+      await listener.stop();
+
+      expect(messages).toEqual([['hi', 'ops']]);
+      const polls = api.calls.filter((call) => call.method === 'getUpdates');
+      expect(polls[0].body).toEqual({ timeout: 1 });
+      expect(polls[polls.length - 1].body).toEqual({ offset: 4, timeout: 0, limit: 1 });
+    });
+
+    it('answers callback queries no handler answered and reports handler errors', async () => {
+      listener = new TelefyListener({ channels: channels(), pollTimeout: 1, retry: false });
+      const errors = [];
+      listener.on('callback_query', () => {
+        throw new Error('boom');
+      });
+      listener.on('error', (error, ctx) => errors.push([error.message, ctx.type]));
+      api.queue(callbackUpdate(1, 'escalate'));
+      await listener.start();
+
+      await waitFor(() => api.calls.some((call) => call.method === 'answerCallbackQuery'));
+      expect(api.calls.find((call) => call.method === 'answerCallbackQuery').body).toEqual({ callback_query_id: 'q1' });
+      expect(errors).toEqual([['boom', 'callback_query']]);
+    });
+  });
+
+  describe('webhook', () => {
+    const post = (port, path, update, secret) => new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        path,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {}) },
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(update));
+    });
+
+    it('verifies the secret token and dispatches each update once', async () => {
+      listener = new TelefyListener({
+        channels: channels(),
+        mode: 'webhook',
+        retry: false,
+        webhook: { port: 0, host: '127.0.0.1', secretToken: 'shh' },
+      });
+      const data = [];
+      listener.onCallback('ack', (query) => data.push(query.data));
+      await listener.start();
+      const { port } = listener.server.address();
+
+      expect(await post(port, '/telefy/111', callbackUpdate(5, 'ack'), 'wrong')).toBe(401);
+      expect(await post(port, '/telefy/111', callbackUpdate(5, 'ack'))).toBe(401);
+      expect(await post(port, '/telefy/999', callbackUpdate(5, 'ack'), 'shh')).toBe(404);
+      expect(await post(port, '/telefy/111', callbackUpdate(5, 'ack'), 'shh')).toBe(200);
+      expect(await post(port, '/telefy/111', callbackUpdate(5, 'ack'), 'shh')).toBe(200);
+      expect(data).toEqual(['ack']);
+      expect(api.calls.filter((call) => call.method === 'answerCallbackQuery')).toHaveLength(1);
+    });
+
+    it('registers the webhook with a generated secret when a public URL is given', async () => {
+      listener = new TelefyListener({
+        channels: channels(),
+        mode: 'webhook',
+        allowedUpdates: ['callback_query'],
+        webhook: { port: 0, host: '127.0.0.1', url: 'https://bot.example.com/' },
+      });
+      await listener.start();
+      const setWebhook = api.calls.find((call) => call.method === 'setWebhook');
+      expect(setWebhook.body).toEqual({
+        url: 'https://bot.example.com/telefy/111',
+        secret_token: listener.webhook.secretToken,
+        allowed_updates: ['callback_query'],
+      });
+      expect(listener.webhook.secretToken).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  it('validates options', () => {
+    expect(() => new TelefyListener({ channels: channels(), mode: 'push' })).toThrow('Invalid listener mode: push');
+    expect(() => new TelefyListener({ channels: channels(), mode: 'webhook', webhook: { secretToken: 'no spaces' } })).toThrow(
+      'Invalid webhook secret token'
+    );
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @file media.test.js
+ * @description Jest tests for media input resolution, media group validation and request body building.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { resolveMediaInput, validateMediaGroup, buildRequestBody } from '../lib/media.js';
+
+describe('Media helpers', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-media-'));
+    filePath = path.join(tmpDir, 'screenshot.png');
+    fs.writeFileSync(filePath, 'png-bytes');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('resolveMediaInput', () => {
+    it('passes URLs and file_ids through as references', async () => {
+      await expect(resolveMediaInput('https://example.com/a.png')).resolves.toEqual({ reference: 'https://example.com/a.png' });
+      await expect(resolveMediaInput('AgACAgIAAxkBAAIB-Qh_1')).resolves.toEqual({ reference: 'AgACAgIAAxkBAAIB-Qh_1' });
+    });
+
+    it('reads local files and uses their name', async () => {
+      const resolved = await resolveMediaInput(filePath);
+      expect(resolved.filename).toBe('screenshot.png');
+      expect(await resolved.file.text()).toBe('png-bytes');
+    });
+
+    it('accepts Buffers with an explicit file name', async () => {
+      const resolved = await resolveMediaInput(Buffer.from('data'), 'report.txt');
+      expect(resolved.filename).toBe('report.txt');
+      expect(await resolved.file.text()).toBe('data');
+    });
+
+    it('buffers readable streams', async () => {
+      const resolved = await resolveMediaInput(Readable.from([Buffer.from('a'), 'b']));
+      expect(resolved.filename).toBe('file');
+      expect(await resolved.file.text()).toBe('ab');
+    });
+
+    it('uses the path of file streams as their name', async () => {
+      const resolved = await resolveMediaInput(fs.createReadStream(filePath));
+      expect(resolved.filename).toBe('screenshot.png');
+    });
+
+    it('throws error for missing files', async () => {
+      await expect(resolveMediaInput('./missing/build.log')).rejects.toMatchObject({
+        name: 'TelegramBotError',
+        message: 'File not found: ./missing/build.log',
+      });
+    });
+
+    it('reports missing files without an extension instead of sending them as file_ids', async () => {
+      await expect(resolveMediaInput('report')).rejects.toMatchObject({
+        name: 'TelegramBotError',
+        message: 'File not found: report',
+        suggestion: 'Check the file path, or pass a URL or Telegram file_id instead.',
+      });
+    });
+
+    it('throws error for unsupported inputs', async () => {
+      await expect(resolveMediaInput(42)).rejects.toMatchObject({
+        name: 'TelegramBotError',
+        message: 'Invalid media input',
+        suggestion: 'Provide a file path, Buffer, readable stream, URL or Telegram file_id.',
+      });
+    });
+  });
+
+  describe('validateMediaGroup', () => {
+    it('accepts mixed photos and videos', () => {
+      expect(() => validateMediaGroup([
+        { type: 'photo', media: 'a' },
+        { type: 'video', media: 'b' },
+      ])).not.toThrow();
+    });
+
+    it('requires 2 to 10 items', () => {
+      expect(() => validateMediaGroup([{ type: 'photo', media: 'a' }])).toThrow('Media group must contain 2 to 10 items');
+    });
+
+    it('rejects unknown types', () => {
+      expect(() => validateMediaGroup([
+        { type: 'sticker', media: 'a' },
+        { type: 'photo', media: 'b' },
+      ])).toThrow('Each media group item must have a type and media');
+    });
+
+    it('rejects documents mixed with photos', () => {
+      expect(() => validateMediaGroup([
+        { type: 'document', media: 'a' },
+        { type: 'photo', media: 'b' },
+      ])).toThrow('Media group items of type "document" cannot be mixed with other types');
+    });
+  });
+
+  describe('buildRequestBody', () => {
+    it('returns a JSON payload without undefined fields when nothing is uploaded', () => {
+      expect(buildRequestBody({ chat_id: '1', photo: 'id', caption: undefined })).toEqual({ chat_id: '1', photo: 'id' });
+    });
+
+    it('returns multipart form data when files are attached', async () => {
+      const form = buildRequestBody(
+        { chat_id: '1', media: [{ type: 'photo', media: 'attach://file0' }] },
+        { file0: { file: new Blob(['x']), filename: 'a.png' } }
+      );
+      expect(form).toBeInstanceOf(FormData);
+      expect(form.get('chat_id')).toBe('1');
+      expect(JSON.parse(form.get('media'))).toEqual([{ type: 'photo', media: 'attach://file0' }]);
+      expect(form.get('file0').name).toBe('a.png');
+    });
+  });
+});
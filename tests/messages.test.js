@@ -0,0 +1,55 @@
+/**
+ * @file messages.test.js
+ * @description Jest tests for resolving references to sent messages.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { parseMessageRef, resolveMessageRefs } from '../lib/messages.js';
+
+describe('resolveMessageRefs', () => {
+  it('reads message IDs from send results, split results and media groups', () => {
+    expect(resolveMessageRefs([
+      { channel: 'news', response: { ok: true, result: { message_id: 1 } } },
+      { channel: 'alerts', response: {}, messageIds: [2, 3] },
+      { channel: 'ops', response: { ok: true, result: [{ message_id: 4 }, { message_id: 5 }] } },
+    ])).toEqual([
+      { channel: 'news', messageIds: [1] },
+      { channel: 'alerts', messageIds: [2, 3] },
+      { channel: 'ops', messageIds: [4, 5] },
+    ]);
+  });
+
+  it('accepts a single { channel, messageId } reference', () => {
+    expect(resolveMessageRefs({ channel: 'news', messageId: '42' })).toEqual([{ channel: 'news', messageIds: [42] }]);
+  });
+
+  it('keeps the chat ID of results from channels with several chats', () => {
+    expect(resolveMessageRefs({ channel: 'alerts', chatId: -100, response: { result: { message_id: 7 } } })).toEqual([
+      { channel: 'alerts', chatId: '-100', messageIds: [7] },
+    ]);
+  });
+
+  it('skips failed broadcast entries and rejects an empty selection', () => {
+    expect(() => resolveMessageRefs([{ channel: 'news', ok: false, error: new Error('x') }])).toThrow('No messages to act on');
+  });
+
+  it('requires a concrete channel name', () => {
+    expect(() => resolveMessageRefs({ channel: 'all', messageId: 1 })).toThrow('Message reference is missing its channel');
+    expect(() => resolveMessageRefs({ messageId: 1 })).toThrow('Message reference is missing its channel');
+  });
+});
+
+describe('parseMessageRef', () => {
+  it('parses <channel>:<message_id>', () => {
+    expect(parseMessageRef('News:42')).toEqual({ channel: 'news', messageId: 42 });
+    expect(parseMessageRef('news')).toBeNull();
+    expect(parseMessageRef('news:abc')).toBeNull();
+  });
+
+  it('parses <channel>:<chat_id>:<message_id>', () => {
+    expect(parseMessageRef('alerts:-1001234:42')).toEqual({ channel: 'alerts', chatId: '-1001234', messageId: 42 });
+    expect(parseMessageRef('alerts:@ops_room:42')).toEqual({ channel: 'alerts', chatId: '@ops_room', messageId: 42 });
+  });
+});
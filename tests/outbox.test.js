@@ -0,0 +1,172 @@
+/**
+ * @file outbox.test.js
+ * @description Jest tests for the file-based outbox and its replay.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOutbox, outboxKey, replayOutbox } from '../lib/outbox.js';
+
+describe('outbox', () => {
+  let dir;
+  let outbox;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-outbox-'));
+    outbox = createOutbox({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const request = (text, chatId = '1') => ({
+    key: outboxKey('news', chatId, 'sendMessage', { text }),
+    channel: 'news',
+    chatId,
+    method: 'sendMessage',
+    payload: { chat_id: chatId, text },
+    error: 'Network error',
+    attempts: 1,
+  });
+
+  describe('createOutbox', () => {
+    it('appends entries as JSON lines and lists them in order', async () => {
+      await outbox.enqueue(request('first'));
+      await outbox.enqueue(request('second'));
+      const entries = await outbox.list();
+      expect(entries.map((entry) => entry.payload.text)).toEqual(['first', 'second']);
+      expect(entries[0]).toMatchObject({ channel: 'news', chatId: '1', method: 'sendMessage', attempts: 1, lastError: 'Network error' });
+      expect(fs.readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8').trim().split('\n')).toHaveLength(2);
+    });
+
+    it('does not queue the same key twice', async () => {
+      const first = await outbox.enqueue(request('same'));
+      const second = await outbox.enqueue(request('same'));
+      expect(second).toEqual({ entry: first.entry, duplicate: true });
+      expect(await outbox.list()).toHaveLength(1);
+    });
+
+    it('queues requests without a key every time', async () => {
+      const { key, attempts, ...unkeyed } = request('Disk full');
+      await outbox.enqueue(unkeyed);
+      await outbox.enqueue(unkeyed);
+      const entries = await outbox.list();
+      expect(entries).toHaveLength(2);
+      expect(entries[0].key).toBeUndefined();
+      expect(entries[0].attempts).toBe(0);
+    });
+
+    it('keeps concurrent enqueues', async () => {
+      await Promise.all(['a', 'b', 'c'].map((text) => outbox.enqueue(request(text))));
+      expect((await outbox.list()).map((entry) => entry.payload.text)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('skips a line cut short by a crash', async () => {
+      await outbox.enqueue(request('kept'));
+      fs.appendFileSync(path.join(dir, 'outbox.jsonl'), '{"id":"broken"');
+      expect((await outbox.list()).map((entry) => entry.payload.text)).toEqual(['kept']);
+    });
+
+    it('purges all entries or the given ones', async () => {
+      const { entry } = await outbox.enqueue(request('a'));
+      await outbox.enqueue(request('b'));
+      expect(await outbox.purge([entry.id])).toBe(1);
+      expect((await outbox.list()).map((item) => item.payload.text)).toEqual(['b']);
+      expect(await outbox.purge()).toBe(1);
+      expect(await outbox.list()).toEqual([]);
+    });
+
+    it('keeps entries another process appends while it rewrites the file', async () => {
+      await outbox.enqueue(request('a'));
+      const [entry] = await outbox.list();
+      const other = createOutbox({ dir });
+      await Promise.all([outbox.update([entry.id]), other.enqueue(request('b')), other.enqueue(request('c'))]);
+      expect((await outbox.list()).map((item) => item.payload.text)).toEqual(['b', 'c']);
+      expect(fs.existsSync(path.join(dir, 'outbox.jsonl.lock'))).toBe(false);
+    });
+
+    it('lists nothing before the first enqueue', async () => {
+      expect(await createOutbox({ dir: path.join(dir, 'missing') }).list()).toEqual([]);
+    });
+  });
+
+  describe('replayOutbox', () => {
+    it('sends entries in order and removes the delivered ones', async () => {
+      await outbox.enqueue(request('a'));
+      await outbox.enqueue(request('b'));
+      const sent = [];
+      const result = await replayOutbox(outbox, async (entry) => {
+        sent.push(entry.payload.text);
+        return { ok: true };
+      });
+      expect(sent).toEqual(['a', 'b']);
+      expect(result.sent.map(({ response }) => response)).toEqual([{ ok: true }, { ok: true }]);
+      expect(result.pending).toEqual([]);
+      expect(await outbox.list()).toEqual([]);
+    });
+
+    it('stops at the first transient failure of a chat but continues with other chats', async () => {
+      await outbox.enqueue(request('a', '1'));
+      await outbox.enqueue(request('b', '1'));
+      await outbox.enqueue(request('c', '2'));
+      const result = await replayOutbox(outbox, async (entry) => {
+        if (entry.chatId === '1') {
+          throw Object.assign(new Error('Network error again'), { retryable: true });
+        }
+        return { ok: true };
+      });
+      expect(result.sent.map(({ entry }) => entry.payload.text)).toEqual(['c']);
+      expect(result.pending.map((entry) => [entry.payload.text, entry.attempts, entry.lastError])).toEqual([
+        ['a', 2, 'Network error again'],
+        ['b', 1, 'Network error'],
+      ]);
+    });
+
+    it('never sends an entry twice when two replays run at the same time', async () => {
+      await outbox.enqueue(request('a', '1'));
+      await outbox.enqueue(request('b', '1'));
+      await outbox.enqueue(request('c', '2'));
+      const sent = [];
+      const send = async (entry) => {
+        sent.push(entry.payload.text);
+        await new Promise((resolve) => { setTimeout(resolve, 20); });
+        return { ok: true };
+      };
+      const other = createOutbox({ dir });
+      const results = await Promise.all([replayOutbox(outbox, send), replayOutbox(other, send)]);
+      expect(sent.sort()).toEqual(['a', 'b', 'c']);
+      expect(results.flatMap((result) => result.sent)).toHaveLength(3);
+      expect(await outbox.list()).toEqual([]);
+    });
+
+    it('releases the claim on entries that stay queued', async () => {
+      await outbox.enqueue(request('a'));
+      await replayOutbox(outbox, async () => {
+        throw Object.assign(new Error('Network error again'), { retryable: true });
+      });
+      const [entry] = await outbox.list();
+      expect(entry.claimedBy).toBeUndefined();
+      await expect(createOutbox({ dir }).claim()).resolves.toHaveLength(1);
+    });
+
+    it('drops and reports entries that fail permanently', async () => {
+      await outbox.enqueue(request('bad'));
+      await outbox.enqueue(request('good'));
+      const error = new Error('Bad Request');
+      const result = await replayOutbox(outbox, async (entry) => {
+        if (entry.payload.text === 'bad') {
+          throw error;
+        }
+        return { ok: true };
+      });
+      expect(result.failed).toEqual([{ entry: expect.objectContaining({ key: request('bad').key }), error }]);
+      expect(result.sent).toHaveLength(1);
+      expect(await outbox.list()).toEqual([]);
+    });
+  });
+});
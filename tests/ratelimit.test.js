@@ -0,0 +1,153 @@
+/**
+ * @file ratelimit.test.js
+ * @description Jest tests for the token-bucket rate limiter.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { jest } from '@jest/globals';
+import { DEFAULT_RATE_LIMITS, createRateLimiter, resolveRateLimiter, resolveRateLimits } from '../lib/ratelimit.js';
+import { TelegramBotError } from '../lib/errors.js';
+
+describe('ratelimit', () => {
+  describe('resolveRateLimits', () => {
+    it('uses Telegram limits by default', () => {
+      expect(resolveRateLimits()).toEqual(DEFAULT_RATE_LIMITS);
+      expect(resolveRateLimits(true)).toEqual(DEFAULT_RATE_LIMITS);
+    });
+
+    it('merges partial limits and lifts limits set to false', () => {
+      expect(resolveRateLimits({ perChat: { limit: 5 }, perGroup: false })).toEqual({
+        perChat: { limit: 5, interval: 1000 },
+        perGroup: false,
+        perBot: DEFAULT_RATE_LIMITS.perBot,
+      });
+    });
+
+    it('fills missing limits from the given base', () => {
+      const base = resolveRateLimits({ perBot: false });
+      expect(resolveRateLimits({ perChat: { interval: 2000 } }, base)).toEqual({
+        perChat: { limit: 1, interval: 2000 },
+        perGroup: DEFAULT_RATE_LIMITS.perGroup,
+        perBot: false,
+      });
+    });
+
+    it.each([
+      ['a string', 'fast', 'Invalid rate limit: rateLimit must be true or an object'],
+      ['an unknown bucket', { perUser: { limit: 1 } }, 'Invalid rate limit: perUser is not a rate limit'],
+      ['a zero limit', { perChat: { limit: 0 } }, 'Invalid rate limit: perChat must be false or { limit, interval }'],
+      ['a fractional limit', { perChat: { limit: 0.5 } }, 'Invalid rate limit: perChat must be false or { limit, interval } with positive numbers (interval in ms) and a whole number limit'],
+      ['a non-numeric interval', { perBot: { interval: '1s' } }, 'Invalid rate limit: perBot must be false'],
+    ])('rejects %s', (label, options, message) => {
+      expect(() => resolveRateLimits(options)).toThrow(TelegramBotError);
+      expect(() => resolveRateLimits(options)).toThrow(message);
+    });
+  });
+
+  describe('resolveRateLimiter', () => {
+    it('returns null when disabled and passes limiters through', () => {
+      const limiter = createRateLimiter();
+      expect(resolveRateLimiter(undefined)).toBeNull();
+      expect(resolveRateLimiter(false)).toBeNull();
+      expect(resolveRateLimiter(limiter)).toBe(limiter);
+      expect(typeof resolveRateLimiter(true).schedule).toBe('function');
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const key = (chatId, channel = 'news') => ({ token: 'T', chatId, channel });
+
+    it('spaces calls to the same chat and keeps their order', async () => {
+      const limiter = createRateLimiter();
+      const calls = [];
+      const promises = ['a', 'b', 'c'].map((name) => limiter.schedule(key('1'), async () => {
+        calls.push([name, Date.now()]);
+        return name;
+      }));
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(calls.map(([name]) => name)).toEqual(['a']);
+      expect(limiter.stats()).toMatchObject({ queued: 2, channels: { news: 2 } });
+
+      await jest.advanceTimersByTimeAsync(2000);
+      await expect(Promise.all(promises)).resolves.toEqual(['a', 'b', 'c']);
+      const start = calls[0][1];
+      expect(calls.map(([, time]) => time - start)).toEqual([0, 1000, 2000]);
+      expect(limiter.stats()).toEqual({ queued: 0, active: 0, sent: 3, delayed: 2, channels: {} });
+    });
+
+    it('does not hold up other chats while one chat waits', async () => {
+      const limiter = createRateLimiter();
+      const calls = [];
+      limiter.schedule(key('1'), async () => calls.push('1a'));
+      limiter.schedule(key('1'), async () => calls.push('1b'));
+      limiter.schedule(key('2', 'ops'), async () => calls.push('2a'));
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(calls).toEqual(['1a', '2a']);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(calls).toEqual(['1a', '2a', '1b']);
+    });
+
+    it('limits group chats to the per-group rate', async () => {
+      const limiter = createRateLimiter({ perChat: false, perGroup: { limit: 2, interval: 60000 }, perBot: false });
+      let calls = 0;
+      for (let index = 0; index < 3; index++) {
+        limiter.schedule(key('-1001'), async () => calls++);
+      }
+      limiter.schedule(key('42'), async () => calls++);
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(calls).toBe(3);
+      await jest.advanceTimersByTimeAsync(29999);
+      expect(calls).toBe(3);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(calls).toBe(4);
+    });
+
+    it('limits all chats of a bot to the per-bot rate', async () => {
+      const limiter = createRateLimiter({ perBot: { limit: 30, interval: 1000 } });
+      let calls = 0;
+      for (let index = 0; index < 40; index++) {
+        limiter.schedule(key(String(index)), async () => calls++);
+      }
+      limiter.schedule({ token: 'OTHER', chatId: '1' }, async () => calls++);
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(calls).toBe(31);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(calls).toBe(41);
+    });
+
+    it('applies per-call limits on top of the defaults', async () => {
+      const limiter = createRateLimiter();
+      const channelLimits = { perChat: { limit: 2, interval: 1000 } };
+      let calls = 0;
+      for (let index = 0; index < 3; index++) {
+        limiter.schedule(key('1'), async () => calls++, channelLimits);
+      }
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(calls).toBe(2);
+      await jest.advanceTimersByTimeAsync(500);
+      expect(calls).toBe(3);
+    });
+
+    it('rejects with the error of the call', async () => {
+      const limiter = createRateLimiter();
+      const error = new TelegramBotError('Telegram API error: Bad Request');
+      await expect(limiter.schedule(key('1'), async () => { throw error; })).rejects.toBe(error);
+      expect(limiter.stats()).toMatchObject({ sent: 1, active: 0 });
+    });
+  });
+});
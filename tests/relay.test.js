@@ -0,0 +1,159 @@
+/**
+ * @file relay.test.js
+ * @description Jest tests for the HTTP relay behind telefy serve.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { jest } from '@jest/globals';
+import { createMockTelegram } from '../lib/testing.js';
+import { createRelay, createTelefy, TelegramBotError } from '../telegramBot.js';
+
+describe('relay', () => {
+  const apiKey = 'test-key-0123456789';
+  const telegram = createMockTelegram();
+  const onRequest = jest.fn();
+  let relay;
+  let url;
+
+  /**
+   * Call the relay.
+   * @param {string} path - Route.
+   * @param {Object} [body] - JSON body; makes the request a POST.
+   * @param {Object} [headers] - Headers (default: the API key as bearer token).
+   * @returns {Promise<{status: number, headers: Headers, body: Object}>} Response.
+   */
+  const call = async (path, body, headers = { authorization: `Bearer ${apiKey}` }) => {
+    const response = await fetch(`${url}${path}`, {
+      method: body === undefined ? 'GET' : 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    const apiRoot = await telegram.listen();
+    const client = createTelefy({
+      channels: { news: { token: '123:ABC', chatId: '-100123' }, ops: { token: '456:DEF', chatId: '42,43:7' } },
+      groups: { everyone: ['news', 'ops'] },
+      defaults: { channel: 'news' },
+      apiRoot,
+      retry: false,
+    });
+    relay = createRelay(client, { apiKey, port: 0, onRequest });
+    url = await relay.listen();
+  });
+
+  afterEach(() => {
+    telegram.reset();
+    onRequest.mockClear();
+  });
+
+  afterAll(async () => {
+    await relay.close();
+    await telegram.close();
+  });
+
+  it('requires an API key to be configured', () => {
+    expect(() => createRelay({}, {})).toThrow(TelegramBotError);
+  });
+
+  it('sends a message to the default channel', async () => {
+    const { status, body } = await call('/send', { text: 'Backup done' });
+    expect(status).toBe(200);
+    expect(body).toEqual({ ok: true, results: [{ channel: 'news', chatId: '-100123', messageId: 1, date: expect.any(Number) }] });
+    telegram.assertSent('sendMessage', { chat_id: '-100123', text: 'Backup done' });
+    expect(onRequest).toHaveBeenCalledWith({ method: 'POST', path: '/send', status: 200, ms: expect.any(Number) });
+  });
+
+  it('passes the channel, parse mode and options on', async () => {
+    const { status } = await call('/send', { text: '<b>Up</b>', channel: 'ops', parseMode: 'HTML', disableNotification: true },
+      { 'x-api-key': apiKey });
+    expect(status).toBe(200);
+    expect(telegram.requestsFor('sendMessage').map((request) => request.payload)).toEqual([
+      { chat_id: '42', text: '<b>Up</b>', parse_mode: 'HTML', disable_notification: true },
+      { chat_id: '43', text: '<b>Up</b>', parse_mode: 'HTML', disable_notification: true, message_thread_id: 7 },
+    ]);
+  });
+
+  it('sends buttons', async () => {
+    const buttons = [[{ text: 'Open', url: 'https://example.com' }]];
+    const { status, body } = await call('/send-buttons', { text: 'Deploy', buttons, channel: 'news' });
+    expect(status).toBe(200);
+    expect(body.results).toHaveLength(1);
+    telegram.assertSent('sendMessage', { reply_markup: { inline_keyboard: buttons } });
+  });
+
+  it('lists channels and groups without tokens', async () => {
+    const { status, body } = await call('/channels');
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      ok: true,
+      channels: [{ name: 'news', chats: ['-100123'] }, { name: 'ops', chats: ['42', '43:7'] }],
+      groups: { everyone: ['news', 'ops'] },
+    });
+  });
+
+  it.each([
+    ['no key', {}],
+    ['a wrong key', { authorization: 'Bearer nope' }],
+  ])('rejects requests with %s', async (label, headers) => {
+    const { status, headers: responseHeaders, body } = await call('/send', { text: 'x' }, headers);
+    expect(status).toBe(401);
+    expect(responseHeaders.get('www-authenticate')).toBe('Bearer');
+    expect(body.error).toMatchObject({ message: 'Missing or wrong API key', code: 'CLIENT_ERROR' });
+    telegram.assertNotSent('sendMessage');
+  });
+
+  it.each([
+    ['invalid JSON', '{"text":', 400, 'Invalid JSON'],
+    ['a body without text', { channel: 'news' }, 400, 'Missing "text"'],
+    ['unknown fields', { text: 'x', colour: 'red' }, 400, 'Unknown fields: colour'],
+    ['an invalid parse mode', { text: 'x', parseMode: 'BBCode' }, 400, 'Invalid parseMode: BBCode'],
+    ['an unknown channel', { text: 'x', channel: 'pager' }, 404, 'Channel "pager" not found'],
+  ])('answers %s with a client error and a suggestion', async (label, request, status, message) => {
+    const response = await call('/send', request);
+    expect(response.status).toBe(status);
+    expect(response.body).toEqual({
+      ok: false,
+      error: { message: expect.stringContaining(message), suggestion: expect.any(String), code: 'CLIENT_ERROR' },
+    });
+  });
+
+  it('maps Telegram failures to gateway errors', async () => {
+    telegram.fail(403);
+    const forbidden = await call('/send', { text: 'x' });
+    expect(forbidden.status).toBe(502);
+    expect(forbidden.body.error).toMatchObject({ code: 'FORBIDDEN', channel: 'news', suggestion: expect.any(String) });
+
+    telegram.fail({ status: 429, retryAfter: 3 });
+    const limited = await call('/send', { text: 'x' });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('retry-after')).toBe('3');
+    expect(limited.body.error).toMatchObject({ code: 'RATE_LIMITED', retryAfter: 3 });
+
+    telegram.fail({ status: 400, description: "Bad Request: can't parse entities" });
+    expect((await call('/send', { text: 'x' })).body.error.code).toBe('PARSE_ERROR');
+  });
+
+  it('reports partial broadcasts with the per-chat results', async () => {
+    telegram.fail(403, { times: 1 });
+    const { status, body } = await call('/send', { text: 'x', channel: 'everyone', settle: true });
+    expect(status).toBe(502);
+    expect(body.error.code).toBe('BROADCAST_FAILED');
+    expect(body.results).toEqual([
+      { channel: 'news', ok: false, error: expect.objectContaining({ code: 'FORBIDDEN' }) },
+      expect.objectContaining({ channel: 'ops', chatId: '42', ok: true }),
+      expect.objectContaining({ channel: 'ops', chatId: '43', ok: true }),
+    ]);
+  });
+
+  it('answers unknown routes and methods', async () => {
+    expect((await call('/nope')).status).toBe(404);
+    const response = await call('/send');
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST');
+  });
+});
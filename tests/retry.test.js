@@ -0,0 +1,116 @@
+/**
+ * @file retry.test.js
+ * @description Jest tests for the retry policy used by Telegram API calls.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { jest } from '@jest/globals';
+import { resolveRetryPolicy, isRetryable, getRetryDelay, withRetry } from '../lib/retry.js';
+
+describe('Retry policy', () => {
+  const policy = resolveRetryPolicy({ retries: 2, minDelay: 100, maxDelay: 1000, jitter: false });
+
+  describe('resolveRetryPolicy', () => {
+    it('fills in defaults', () => {
+      expect(resolveRetryPolicy()).toEqual({ retries: 3, minDelay: 500, maxDelay: 30000, factor: 2, jitter: true });
+    });
+
+    it('disables retries when given false', () => {
+      expect(resolveRetryPolicy(false).retries).toBe(0);
+    });
+
+    it('rejects malformed policies with a suggestion', () => {
+      expect(() => resolveRetryPolicy({ retries: -1 })).toThrow(expect.objectContaining({
+        message: 'Invalid retry policy: retries must be a whole number of at least 0',
+        suggestion: 'Example: { retries: 3, minDelay: 500, maxDelay: 30000, factor: 2, jitter: true }, or false to disable retries.',
+      }));
+      expect(() => resolveRetryPolicy({ retries: 1.5 })).toThrow('retries must be a whole number');
+      expect(() => resolveRetryPolicy({ minDelay: -1 })).toThrow('minDelay and maxDelay must be numbers of at least 0');
+      expect(() => resolveRetryPolicy({ maxDelay: Infinity })).toThrow('minDelay and maxDelay must be numbers of at least 0');
+      expect(() => resolveRetryPolicy({ minDelay: 5000, maxDelay: 1000 })).toThrow(
+        'Invalid retry policy: minDelay (5000) must not be greater than maxDelay (1000)'
+      );
+      expect(() => resolveRetryPolicy({ factor: 0.5 })).toThrow('factor must be a number of at least 1');
+      expect(() => resolveRetryPolicy('often')).toThrow('Invalid retry policy: retry must be false or an object');
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('retries 429, 5xx and network errors only', () => {
+      expect(isRetryable({ response: { status: 429 } })).toBe(true);
+      expect(isRetryable({ response: { status: 503 } })).toBe(true);
+      expect(isRetryable({ request: {} })).toBe(true);
+      expect(isRetryable({ response: { status: 400 } })).toBe(false);
+      expect(isRetryable(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('honours retry_after from Telegram', () => {
+      const error = { response: { status: 429, data: { parameters: { retry_after: 7 } } } };
+      expect(getRetryDelay(error, 1, { ...policy, maxDelay: 10000 })).toBe(7000);
+    });
+
+    it('gives up on a retry_after longer than maxDelay', () => {
+      const error = { response: { status: 429, data: { parameters: { retry_after: 7 } } } };
+      expect(getRetryDelay(error, 1, policy)).toBeNull();
+    });
+
+    it('backs off exponentially up to maxDelay', () => {
+      const error = { request: {} };
+      expect(getRetryDelay(error, 1, policy)).toBe(100);
+      expect(getRetryDelay(error, 2, policy)).toBe(200);
+      expect(getRetryDelay(error, 10, policy)).toBe(1000);
+    });
+
+    it('keeps jittered delays between half and full backoff', () => {
+      const jittered = { ...policy, jitter: true };
+      for (let i = 0; i < 20; i++) {
+        const delay = getRetryDelay({ request: {} }, 3, jittered);
+        expect(delay).toBeGreaterThanOrEqual(200);
+        expect(delay).toBeLessThanOrEqual(400);
+      }
+    });
+  });
+
+  describe('withRetry', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('returns the result with the number of attempts', async () => {
+      jest.useFakeTimers();
+      const fn = jest.fn()
+        .mockRejectedValueOnce({ response: { status: 500 } })
+        .mockResolvedValueOnce('done');
+      const promise = withRetry(fn, policy);
+      await jest.runAllTimersAsync();
+      await expect(promise).resolves.toEqual({ result: 'done', attempts: 2 });
+      expect(fn).toHaveBeenNthCalledWith(2, 2);
+    });
+
+    it('gives up after the configured retries', async () => {
+      jest.useFakeTimers();
+      const fn = jest.fn().mockRejectedValue({ request: {} });
+      const assertion = expect(withRetry(fn, policy)).rejects.toMatchObject({ attempts: 3 });
+      await jest.runAllTimersAsync();
+      await assertion;
+      expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    it('fails without waiting when Telegram asks to wait longer than maxDelay', async () => {
+      const error = { response: { status: 429, data: { parameters: { retry_after: 3600 } } } };
+      const fn = jest.fn().mockRejectedValue(error);
+      await expect(withRetry(fn, policy)).rejects.toMatchObject({ response: { status: 429 }, attempts: 1 });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails immediately on errors that are not retryable', async () => {
+      const fn = jest.fn().mockRejectedValue({ response: { status: 403 } });
+      await expect(withRetry(fn, policy)).rejects.toMatchObject({ attempts: 1 });
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
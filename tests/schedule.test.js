@@ -0,0 +1,248 @@
+/**
+ * @file schedule.test.js
+ * @description Jest tests for cron expressions, the schedule store and scheduleTGMessage.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockTelegram } from '../lib/testing.js';
+import { createJob, nextCronRun, parseDuration, resolveWhen } from '../lib/schedule.js';
+import { createScheduleStore, createTelefy, TelegramBotError } from '../telegramBot.js';
+
+/**
+ * Wait until a condition holds.
+ * @param {function(): boolean} condition - Condition.
+ * @returns {Promise<void>} Resolves once it holds (rejects after 2 s).
+ */
+async function waitFor(condition) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > 2000) {
+      throw new Error('Timed out');
+    }
+    await new Promise((resolve) => { setTimeout(resolve, 10); });
+  }
+}
+
+describe('nextCronRun', () => {
+  // Wednesday 1 January 2025, 08:59:30 local time
+  const after = new Date(2025, 0, 1, 8, 59, 30);
+
+  it.each([
+    ['*/15 * * * *', new Date(2025, 0, 1, 9, 0)],
+    ['0 9 * * 1-5', new Date(2025, 0, 1, 9, 0)],
+    ['30 8 * * mon', new Date(2025, 0, 6, 8, 30)],
+    ['0 0 * * 7', new Date(2025, 0, 5, 0, 0)],
+    ['0 12 15 feb,mar *', new Date(2025, 1, 15, 12, 0)],
+    ['5/20 10 * * *', new Date(2025, 0, 1, 10, 5)],
+    ['0 0 29 2 *', new Date(2028, 1, 29, 0, 0)],
+    ['@daily', new Date(2025, 0, 2, 0, 0)],
+    ['@hourly', new Date(2025, 0, 1, 9, 0)],
+  ])('finds the next run of %s', (expression, expected) => {
+    expect(nextCronRun(expression, after)).toEqual(expected);
+  });
+
+  it('runs on either the day of month or the day of week when both are given', () => {
+    expect(nextCronRun('0 9 13 * fri', after)).toEqual(new Date(2025, 0, 3, 9, 0));
+    expect(nextCronRun('0 9 13 * fri', new Date(2025, 0, 10, 10, 0))).toEqual(new Date(2025, 0, 13, 9, 0));
+  });
+
+  it.each([
+    ['* * *', 'it has 3 fields instead of 5'],
+    ['60 * * * *', 'the minute "60" is not between 0 and 59'],
+    ['* * * foo *', 'the month "foo" is not between 1 and 12'],
+    ['5-1 * * * *', 'the minute "5-1" is an empty range'],
+    ['*/0 * * * *', 'the minute "*/0" has a step of 0'],
+    ['0 0 30 2 *', 'it never matches a date'],
+  ])('rejects %j', (expression, reason) => {
+    expect(() => nextCronRun(expression, after)).toThrow(new TelegramBotError(`Invalid cron expression "${expression}": ${reason}`));
+  });
+});
+
+describe('resolveWhen', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  it('accepts a time, a delay or a cron expression', () => {
+    expect(resolveWhen({ at: '2025-01-02T09:00:00Z' }, now)).toEqual({ nextRun: new Date('2025-01-02T09:00:00Z') });
+    expect(resolveWhen({ delay: 5000 }, now)).toEqual({ nextRun: new Date('2025-01-01T12:00:05Z') });
+    expect(resolveWhen({ delay: '1h30m' }, now)).toEqual({ nextRun: new Date('2025-01-01T13:30:00Z') });
+    expect(resolveWhen({ cron: ' @hourly ' }, now)).toEqual({ nextRun: new Date('2025-01-01T13:00:00Z'), cron: '@hourly' });
+    expect(parseDuration('2d')).toBe(172800000);
+  });
+
+  it.each([
+    [{}, 'A scheduled message needs exactly one of at, delay or cron'],
+    [{ at: now, delay: 1 }, 'A scheduled message needs exactly one of at, delay or cron'],
+    [{ at: 'tomorrow' }, 'Invalid time: tomorrow'],
+    [{ at: '2024-12-31T00:00:00Z' }, 'The time 2024-12-31T00:00:00.000Z is in the past'],
+    [{ delay: -1 }, 'Invalid delay: -1'],
+    [{ delay: '10 minutes' }, 'Invalid delay: "10 minutes"'],
+    [{ cron: 5 }, 'Invalid cron expression "5": it must be a string'],
+  ])('rejects %j', (when, message) => {
+    expect(() => resolveWhen(when, now)).toThrow(new TelegramBotError(message));
+  });
+});
+
+describe('createScheduleStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-schedule-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const job = (text, nextRun, cron) => createJob({ channel: 'news', text, options: {}, nextRun: new Date(nextRun), cron });
+
+  it('lists jobs by their next run and removes them', async () => {
+    const store = createScheduleStore({ dir });
+    const later = await store.add(job('later', '2025-01-02T00:00:00Z'));
+    await store.add(job('sooner', '2025-01-01T00:00:00Z'));
+    expect((await store.list()).map((entry) => entry.text)).toEqual(['sooner', 'later']);
+    expect(await store.remove([later.id, 'missing'])).toBe(1);
+    expect((await store.list()).map((entry) => entry.text)).toEqual(['sooner']);
+    expect(fs.existsSync(path.join(dir, 'schedule.jsonl.lock'))).toBe(false);
+  });
+
+  it('takes due jobs out once, moving repeating jobs on to their next run', async () => {
+    const store = createScheduleStore({ dir });
+    const other = createScheduleStore({ dir });
+    await store.add(job('once', '2025-01-01T09:00:00Z'));
+    await store.add(job('hourly', '2025-01-01T09:00:00Z', '0 * * * *'));
+    await store.add(job('not yet', '2025-01-01T10:45:00Z'));
+
+    const now = new Date('2025-01-01T10:30:00Z');
+    const [first, second] = await Promise.all([store.claimDue(now), other.claimDue(now)]);
+    expect([...first, ...second].map((entry) => entry.text).sort()).toEqual(['hourly', 'once']);
+    expect(await store.list()).toEqual([
+      expect.objectContaining({ text: 'not yet' }),
+      expect.objectContaining({ text: 'hourly', nextRun: '2025-01-01T11:00:00.000Z', lastRun: now.toISOString(), runs: 1 }),
+    ]);
+  });
+
+  it('breaks a lock left behind by a process that died', async () => {
+    const lockFile = path.join(dir, 'schedule.jsonl.lock');
+    fs.writeFileSync(lockFile, '');
+    fs.utimesSync(lockFile, new Date(Date.now() - 60000), new Date(Date.now() - 60000));
+    await createScheduleStore({ dir }).add(job('kept', '2025-01-01T00:00:00Z'));
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+});
+
+describe('scheduleTGMessage', () => {
+  const telegram = createMockTelegram();
+  const channels = { news: { token: '1:A', chatId: '5' }, ops: { token: '1:A', chatId: '6' } };
+  let apiRoot;
+  let dir;
+  const clients = [];
+
+  /**
+   * Create a client that is stopped after the test.
+   * @param {Object} [options] - createTelefy options.
+   * @returns {Object} Client.
+   */
+  const client = (options = {}) => {
+    const created = createTelefy({ channels, apiRoot, retry: false, ...options });
+    clients.push(created);
+    return created;
+  };
+
+  beforeAll(async () => {
+    apiRoot = await telegram.listen();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-schedule-'));
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map((created) => created.stopScheduler()));
+    fs.rmSync(dir, { recursive: true, force: true });
+    telegram.reset();
+  });
+
+  afterAll(async () => {
+    await telegram.close();
+  });
+
+  it('sends a delayed message with its buttons and options', async () => {
+    const job = await client().scheduleTGMessage('*Backup* done', { delay: 20 }, 'news', {
+      parseMode: 'MarkdownV2',
+      buttons: [[{ text: 'Logs', url: 'https://example.com/logs' }]],
+      disableNotification: true,
+    });
+    expect(job).toMatchObject({ id: expect.any(String), channel: 'news', text: '*Backup* done', nextRun: expect.any(String) });
+    telegram.assertNotSent('sendMessage');
+    await waitFor(() => telegram.requestsFor('sendMessage').length > 0);
+    telegram.assertSent('sendMessage', {
+      chat_id: '5',
+      text: '*Backup* done',
+      parse_mode: 'MarkdownV2',
+      disable_notification: true,
+      reply_markup: { inline_keyboard: [[{ text: 'Logs', url: 'https://example.com/logs' }]] },
+    });
+  });
+
+  it('cancels scheduled messages', async () => {
+    const telefy = client();
+    const job = await telefy.scheduleTGMessage('Later', { delay: '1h' }, 'news');
+    expect(await telefy.listScheduledTGMessages()).toEqual([expect.objectContaining({ id: job.id })]);
+    expect(await job.cancel()).toBe(true);
+    expect(await telefy.cancelScheduledTGMessage(job.id)).toBe(false);
+    expect(await telefy.listScheduledTGMessages()).toEqual([]);
+  });
+
+  it('validates the message, channel and time before storing anything', async () => {
+    const telefy = client({ schedule: { dir } });
+    await expect(telefy.scheduleTGMessage('Hi', { delay: 10 }, 'nope')).rejects.toThrow('Channel "nope" not found');
+    await expect(telefy.scheduleTGMessage('', { delay: 10 }, 'news')).rejects.toThrow('Text parameter must be a non-empty string');
+    await expect(telefy.scheduleTGMessage('Hi', { cron: '* * *' }, 'news')).rejects.toThrow(TelegramBotError);
+    await expect(telefy.scheduleTGMessage('Hi', { delay: 10 }, 'news', { buttons: [[{ text: 'No action' }]] })).rejects.toThrow(TelegramBotError);
+    expect(await telefy.listScheduledTGMessages()).toEqual([]);
+    await expect(client().scheduleTGMessage('Hi', { delay: 10 }, 'news', { detached: true }))
+      .rejects.toThrow('Cannot detach a scheduled message without a persistent schedule');
+  });
+
+  it('keeps jobs on disk for a scheduler in another client', async () => {
+    const job = await client({ schedule: { dir } }).scheduleTGMessage('Daily digest', { cron: '* * * * *' }, 'ops', { detached: true });
+    await client({ schedule: { dir } }).scheduleTGMessage('Now', { delay: 0 }, 'news', { detached: true });
+    expect(telegram.requestsFor('sendMessage')).toHaveLength(0);
+
+    // Make the repeating job due, as if the scheduler had been down when it should have run
+    const file = path.join(dir, 'schedule.jsonl');
+    fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace(job.nextRun, '2025-01-01T00:00:00.000Z'));
+
+    const runs = [];
+    await client({ schedule: { dir } }).startScheduler({ onRun: (run) => runs.push(run) });
+    expect(runs.map((run) => run.job.text).sort()).toEqual(['Daily digest', 'Now']);
+    expect(runs[0].results[0]).toMatchObject({ messageId: expect.any(Number) });
+    expect(telegram.requestsFor('sendMessage').map((request) => request.payload.chat_id).sort()).toEqual(['5', '6']);
+    const [remaining] = await createScheduleStore({ dir }).list();
+    expect(remaining).toMatchObject({ id: job.id, runs: 1 });
+    expect(Date.parse(remaining.nextRun)).toBeGreaterThan(Date.now());
+  });
+
+  it('reports failed sends to onRun', async () => {
+    telegram.fail({ status: 403, description: 'Forbidden: bot was blocked by the user' }, { method: 'sendMessage' });
+    const telefy = client({ schedule: { dir } });
+    await telefy.scheduleTGMessage('Hi', { delay: 0 }, 'news', { detached: true });
+    const runs = [];
+    await telefy.startScheduler({ onRun: (run) => runs.push(run) });
+    expect(runs).toEqual([{ job: expect.objectContaining({ text: 'Hi' }), error: expect.any(TelegramBotError) }]);
+    expect(await telefy.listScheduledTGMessages()).toEqual([]);
+  });
+
+  it('validates without storing in dry-run mode', async () => {
+    const telefy = client({ schedule: { dir }, dryRun: true });
+    const job = await telefy.scheduleTGMessage('Hi', { at: Date.now() + 60000 }, 'news');
+    expect(job).toMatchObject({ dryRun: true, text: 'Hi' });
+    expect(await telefy.listScheduledTGMessages()).toEqual([]);
+    expect(() => telefy.startScheduler()).toThrow('Cannot run the scheduler in dry-run mode');
+  });
+});
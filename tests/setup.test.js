@@ -0,0 +1,112 @@
+/**
+ * @file setup.test.js
+ * @description Jest tests for adding and removing channels in .env and config files.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { maskToken, removeChannel, saveChannel } from '../lib/setup.js';
+
+describe('setup', () => {
+  let dir;
+  const read = (name) => fs.readFileSync(path.join(dir, name), 'utf8');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-setup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('maskToken', () => {
+    it('keeps the bot ID and the last four characters', () => {
+      expect(maskToken('123456789:AAEhBOweik6ad9r_QXMENQjcrGbqCr4K-bs')).toBe('123456789:****K-bs');
+    });
+
+    it('hides short secrets completely', () => {
+      expect(maskToken('1:ABC')).toBe('1:****');
+      expect(maskToken('garbage')).toBe('****');
+    });
+  });
+
+  describe('saveChannel', () => {
+    it('writes the channel to .env next to other variables', async () => {
+      const envFile = path.join(dir, '.env');
+      fs.writeFileSync(envFile, 'DATABASE_URL=postgres://db\nCHANNEL_NEWS_TOKEN=1:OLD\nCHANNEL_NEWS_THREAD_ID=4\n');
+      await saveChannel('News', { token: '1:NEW', chatId: '-100:12' }, { envFile });
+      expect(read('.env')).toBe('DATABASE_URL=postgres://db\nCHANNEL_NEWS_TOKEN=1:NEW\nCHANNEL_NEWS_CHAT_ID=-100:12\n');
+    });
+
+    it('adds the channel to a JSON config file', async () => {
+      const configFile = path.join(dir, 'telefy.config.json');
+      fs.writeFileSync(configFile, JSON.stringify({ channels: { News: { token: '${NEWS_TOKEN}', chatId: '-1' } }, defaults: { channel: 'news' } }));
+      await saveChannel('alerts', { token: '2:B', chatId: '-2' }, { configFile, saveTo: 'config' });
+      await saveChannel('news', { token: '1:A', chatId: '-3' }, { configFile, saveTo: 'config' });
+      expect(JSON.parse(read('telefy.config.json'))).toEqual({
+        channels: { alerts: { token: '2:B', chatId: '-2' }, news: { token: '1:A', chatId: '-3' } },
+        defaults: { channel: 'news' },
+      });
+    });
+
+    it('keeps comments in a YAML config file and creates missing ones', async () => {
+      const configFile = path.join(dir, 'telefy.config.yaml');
+      fs.writeFileSync(configFile, '# Notifications\ndefaults:\n  parseMode: HTML # for templates\n');
+      await saveChannel('ci', { token: '3:C', chatId: '-4' }, { configFile, saveTo: 'config' });
+      expect(read('telefy.config.yaml')).toBe(
+        '# Notifications\ndefaults:\n  parseMode: HTML # for templates\nchannels:\n  ci:\n    token: 3:C\n    chatId: "-4"\n'
+      );
+
+      const newFile = path.join(dir, 'new.config.json');
+      await saveChannel('ci', { token: '3:C', chatId: '-4' }, { configFile: newFile, saveTo: 'config' });
+      expect(JSON.parse(read('new.config.json'))).toEqual({ channels: { ci: { token: '3:C', chatId: '-4' } } });
+    });
+    it('moves a channel between .env and the config file, keeping its other settings', async () => {
+      const envFile = path.join(dir, '.env');
+      const configFile = path.join(dir, 'telefy.config.json');
+      fs.writeFileSync(envFile, 'CHANNEL_OPS_TOKEN=1:A\nCHANNEL_OPS_CHAT_ID=-1\n');
+      fs.writeFileSync(configFile, JSON.stringify({ channels: { ops: { parseMode: 'HTML' } } }));
+
+      await saveChannel('ops', { token: '2:B', chatId: '-2' }, { envFile, configFile, saveTo: 'config' });
+      expect(read('.env')).toBe('');
+      expect(JSON.parse(read('telefy.config.json')).channels).toEqual({ ops: { parseMode: 'HTML', token: '2:B', chatId: '-2' } });
+
+      await saveChannel('ops', { token: '3:C', chatId: '-3' }, { envFile, configFile });
+      expect(read('.env')).toBe('CHANNEL_OPS_TOKEN=3:C\nCHANNEL_OPS_CHAT_ID=-3\n');
+      expect(JSON.parse(read('telefy.config.json')).channels).toEqual({ ops: { parseMode: 'HTML' } });
+    });
+  });
+
+  describe('removeChannel', () => {
+    it('removes the channel from .env and the config file, including its groups and default', async () => {
+      const envFile = path.join(dir, '.env');
+      const configFile = path.join(dir, 'telefy.config.json');
+      fs.writeFileSync(envFile, 'CHANNEL_OPS_TOKEN=1:A\nCHANNEL_OPS_CHAT_ID=-1\nCHANNEL_CI_TOKEN=2:B\nCHANNEL_CI_CHAT_ID=-2\n');
+      fs.writeFileSync(configFile, JSON.stringify({
+        channels: { OPS: { parseMode: 'HTML' } },
+        groups: { team: ['ops', 'ci'], solo: ['Ops'] },
+        defaults: { channel: 'ops', settle: true },
+      }));
+
+      await expect(removeChannel('ops', { envFile, configFile })).resolves.toEqual([envFile, configFile]);
+      expect(read('.env')).toBe('CHANNEL_CI_TOKEN=2:B\nCHANNEL_CI_CHAT_ID=-2\n');
+      expect(JSON.parse(read('telefy.config.json'))).toEqual({ channels: {}, groups: { team: ['ci'] }, defaults: { settle: true } });
+    });
+
+    it('leaves files without the channel untouched', async () => {
+      const envFile = path.join(dir, '.env');
+      const configFile = path.join(dir, 'telefy.config.yml');
+      fs.writeFileSync(envFile, 'OTHER=1\n');
+      fs.writeFileSync(configFile, '# keep\nchannels: {}\n');
+      await expect(removeChannel('ops', { envFile, configFile })).resolves.toEqual([]);
+      await expect(removeChannel('ops', { envFile: path.join(dir, 'missing.env') })).resolves.toEqual([]);
+      expect(read('.env')).toBe('OTHER=1\n');
+      expect(read('telefy.config.yml')).toBe('# keep\nchannels: {}\n');
+      expect(fs.existsSync(path.join(dir, 'missing.env'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * @file split.test.js
+ * @description Jest tests for splitting long messages into parts within Telegram's length limit.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { splitMessage, MAX_MESSAGE_LENGTH } from '../lib/split.js';
+
+describe('splitMessage', () => {
+  it('returns short text unchanged', () => {
+    expect(splitMessage('Hello', 'Markdown')).toEqual(['Hello']);
+  });
+
+  it('prefers paragraph and line breaks over spaces', () => {
+    expect(splitMessage('first para\n\nsecond line\nthird', 'Markdown', 20)).toEqual([
+      'first para',
+      'second line\nthird',
+    ]);
+  });
+
+  it('cuts on word boundaries when there are no line breaks', () => {
+    expect(splitMessage('hello world foo bar', 'Markdown', 11)).toEqual(['hello world', 'foo bar']);
+  });
+
+  it('keeps every part within the default limit', () => {
+    const text = Array.from({ length: 2000 }, (_, i) => `line ${i}`).join('\n');
+    const parts = splitMessage(text, 'Markdown');
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts.every((part) => part.length <= MAX_MESSAGE_LENGTH)).toBe(true);
+    expect(parts.join('\n')).toBe(text);
+  });
+
+  it('closes and reopens code blocks across parts', () => {
+    const parts = splitMessage('```js\nline1\nline2\nline3\n```\nafter', 'Markdown', 20);
+    expect(parts).toEqual(['```js\nline1\n```', '```js\nline2\n```', '```js\nline3\n```', 'after']);
+  });
+
+  it('does not cut inside bold or inline code', () => {
+    expect(splitMessage('aa *bold text* `some code` end', 'Markdown', 16)).toEqual([
+      'aa *bold text*',
+      '`some code` end',
+    ]);
+  });
+
+  it('does not cut inside links', () => {
+    expect(splitMessage('intro [the docs](https://example.com) tail', 'Markdown', 40)).toEqual([
+      'intro [the docs](https://example.com)',
+      'tail',
+    ]);
+  });
+
+  it('ignores escaped MarkdownV2 characters', () => {
+    expect(splitMessage('a \\* b \\* c d e', 'MarkdownV2', 8)).toEqual(['a \\* b', '\\* c d e']);
+  });
+
+  it('closes and reopens HTML tags without breaking entities', () => {
+    expect(splitMessage('<b>bold words here</b> and <i>more &amp; text</i>', 'HTML', 20)).toEqual([
+      '<b>bold words</b>',
+      '<b>here</b> and',
+      '<i>more &amp;</i>',
+      '<i>text</i>',
+    ]);
+  });
+
+  it('reopens HTML tags with their attributes', () => {
+    const parts = splitMessage('<pre><code class="language-js">aaaa bbbb cccc</code></pre>', 'HTML', 50);
+    expect(parts[1].startsWith('<pre><code class="language-js">')).toBe(true);
+    expect(parts[0].endsWith('</code></pre>')).toBe(true);
+  });
+
+  it('hard cuts entities longer than the limit without splitting surrogate pairs', () => {
+    const parts = splitMessage(`${'a'.repeat(9)}😀bc`, 'Markdown', 10);
+    expect(parts).toEqual(['a'.repeat(9), '😀bc']);
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * @file telegramBot.test.js
  * @description Jest tests for the Telegram bot notification functionality.
- * @description This file contains unit tests for sendTGMessage, sendTGMessageWithButtons, and getChannels functions.
+ * @description This file contains unit tests for sendTGMessage, sendTGMessageWithButtons, getChannels, createTelefy and fromEnv.
  * @description It mocks the axios and dotenv libraries to simulate API calls and environment setup.
  * @author Ibrahim Sharif
  * @version 1.1.0
@@ -14,10 +14,22 @@
 import { jest } from '@jest/globals';
 import axios from 'axios';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mock dotenv.config before importing telegramBot.js
 jest.spyOn(dotenv, 'config').mockImplementation(() => {});
-import { sendTGMessage, sendTGMessageWithButtons, getChannels } from '../telegramBot.js';
+import {
+  sendTGMessage,
+  sendTGMessageWithButtons,
+  getChannels,
+  createTelefy,
+  fromEnv,
+  md,
+  replyKeyboard,
+  TelegramBroadcastError,
+} from '../telegramBot.js';
 
 describe('Telegram Bot Functions', () => {
   let axiosPostSpy;
@@ -41,6 +53,7 @@ describe('Telegram Bot Functions', () => {
   });
 
   afterEach(() => {
+    jest.useRealTimers();
     jest.restoreAllMocks();
     process.env = { ...originalEnv };
   });
@@ -79,6 +92,22 @@ describe('Telegram Bot Functions', () => {
       );
     });
 
+    it('delivers to all channels and reports failures when settling', async () => {
+      axiosPostSpy
+        .mockRejectedValueOnce({
+          response: { status: 403, data: { description: 'Forbidden' } },
+        })
+        .mockResolvedValueOnce({ data: { ok: true } });
+      const error = await sendTGMessage('Hello to all', 'all', 'Markdown', { settle: true }).catch((e) => e);
+      expect(error).toBeInstanceOf(TelegramBroadcastError);
+      expect(error.code).toBe('BROADCAST_FAILED');
+      expect(error.results).toEqual([
+        { channel: channel1.name, ok: false, error: expect.objectContaining({ message: `Forbidden on channel "${channel1.name}": Forbidden` }) },
+        { channel: channel2.name, ok: true, response: { ok: true } },
+      ]);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+    });
+
     it('throws error when text is missing', async () => {
       await expect(sendTGMessage('', channel1.name)).rejects.toMatchObject({
         name: 'TelegramBotError',
@@ -132,6 +161,9 @@ describe('Telegram Bot Functions', () => {
         name: 'TelegramBotError',
         message: `Bad Request on channel "${channel1.name}": Bad Request: chat not found`,
         suggestion: 'Check your message content, parse mode, or button format.',
+        code: 'CHAT_NOT_FOUND',
+        httpStatus: 400,
+        channel: channel1.name,
       });
     });
 
@@ -143,6 +175,8 @@ describe('Telegram Bot Functions', () => {
         name: 'TelegramBotError',
         message: `Unauthorized on channel "${channel1.name}": Unauthorized`,
         suggestion: `Verify the bot token for channel "${channel1.name}" in your .env file.`,
+        code: 'UNAUTHORIZED',
+        httpStatus: 401,
       });
     });
 
@@ -168,13 +202,59 @@ describe('Telegram Bot Functions', () => {
       });
     });
 
-    it('handles network errors (no response)', async () => {
+    it('handles network errors (no response) after retrying', async () => {
+      jest.useFakeTimers();
       axiosPostSpy.mockRejectedValue({ request: {} });
-      await expect(sendTGMessage('Hi', channel1.name)).rejects.toMatchObject({
+      const assertion = expect(sendTGMessage('Hi', channel1.name)).rejects.toMatchObject({
         name: 'TelegramBotError',
         message: `Network error on channel "${channel1.name}": Could not connect to Telegram API`,
         suggestion: 'Check your internet connection or try again later.',
+        code: 'NETWORK',
+        attempts: 4,
+      });
+      await jest.runAllTimersAsync();
+      await assertion;
+      expect(axiosPostSpy).toHaveBeenCalledTimes(4);
+    });
+
+    it('retries after the retry_after delay on 429 Too Many Requests', async () => {
+      jest.useFakeTimers();
+      axiosPostSpy
+        .mockRejectedValueOnce({
+          response: {
+            status: 429,
+            data: { description: 'Too Many Requests: retry after 2', parameters: { retry_after: 2 } },
+          },
+        })
+        .mockResolvedValueOnce({ data: { ok: true } });
+      const promise = sendTGMessage('Hi', channel1.name);
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      await expect(promise).resolves.toEqual([{ channel: channel1.name, response: { ok: true } }]);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry 4xx errors other than 429', async () => {
+      axiosPostSpy.mockRejectedValue({
+        response: { status: 400, data: { description: 'Bad Request' } },
       });
+      await expect(sendTGMessage('Hi', channel1.name)).rejects.toMatchObject({ attempts: 1 });
+      expect(axiosPostSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('handles 5xx errors once retries are disabled', async () => {
+      axiosPostSpy.mockRejectedValue({
+        response: { status: 502, data: { description: 'Bad Gateway' } },
+      });
+      const client = createTelefy({ channels: { news: channel1 }, retry: false });
+      await expect(client.sendTGMessage('Hi', 'news')).rejects.toMatchObject({
+        name: 'TelegramBotError',
+        message: 'Telegram server error on channel "news": Bad Gateway (Status: 502)',
+        suggestion: 'Telegram is having temporary issues. Try again later.',
+        attempts: 1,
+      });
+      expect(axiosPostSpy).toHaveBeenCalledTimes(1);
     });
 
     it('handles unexpected errors', async () => {
@@ -183,8 +263,54 @@ describe('Telegram Bot Functions', () => {
         name: 'TelegramBotError',
         message: `Unexpected error on channel "${channel1.name}": Unexpected failure`,
         suggestion: 'Check your code or report this issue to the package maintainer.',
+        code: 'UNKNOWN',
       });
     });
+
+    it('returns the message ID, chat and date of sent messages', async () => {
+      axiosPostSpy.mockResolvedValue({
+        data: { ok: true, result: { message_id: 42, date: 1747200000, chat: { id: Number(channel1.chatId) }, text: 'Hi' } },
+      });
+      const [result] = await sendTGMessage('Hi', channel1.name);
+      expect(result).toEqual({
+        channel: channel1.name,
+        chatId: channel1.chatId,
+        messageId: 42,
+        date: 1747200000,
+        response: expect.objectContaining({ ok: true }),
+      });
+    });
+
+    it.each([
+      [400, { description: "Bad Request: can't parse entities: Can't find end of the entity" }, { code: 'PARSE_ERROR' }],
+      [400, { description: 'Bad Request: message to edit not found' }, { code: 'MESSAGE_NOT_FOUND' }],
+      [400, { description: 'Bad Request: message is not modified' }, { code: 'MESSAGE_NOT_MODIFIED' }],
+      [400, { description: 'Bad Request: wrong file identifier' }, { code: 'BAD_REQUEST' }],
+      [403, { error_code: 403, description: 'Forbidden: bot was blocked by the user' }, { code: 'FORBIDDEN', telegramErrorCode: 403 }],
+      [429, { error_code: 429, description: 'Too Many Requests: retry after 7', parameters: { retry_after: 7 } },
+        { code: 'RATE_LIMITED', telegramErrorCode: 429, retryAfter: 7 }],
+      [502, { description: 'Bad Gateway' }, { code: 'SERVER_ERROR', httpStatus: 502 }],
+    ])('sets the error code for HTTP %i responses (%#)', async (status, data, expected) => {
+      const response = { status, data };
+      axiosPostSpy.mockRejectedValue({ response });
+      const client = createTelefy({ channels: { news: channel1 }, retry: false });
+      const error = await client.sendTGMessage('Hi', 'news').catch((e) => e);
+      expect(error).toMatchObject({ name: 'TelegramBotError', httpStatus: status, channel: 'news', ...expected });
+      expect(error.cause).toMatchObject({ response });
+    });
+
+    it('marks timed out requests', async () => {
+      axiosPostSpy.mockRejectedValue({ request: {}, code: 'ECONNABORTED' });
+      const client = createTelefy({ channels: { news: channel1 }, retry: false });
+      await expect(client.sendTGMessage('Hi', 'news')).rejects.toMatchObject({
+        message: 'Network error on channel "news": Request to Telegram API timed out',
+        code: 'TIMEOUT',
+      });
+    });
+
+    it('uses CLIENT_ERROR for invalid input', async () => {
+      await expect(sendTGMessage('', channel1.name)).rejects.toMatchObject({ code: 'CLIENT_ERROR' });
+    });
   });
 
   describe('sendTGMessageWithButtons', () => {
@@ -246,12 +372,201 @@ describe('Telegram Bot Functions', () => {
       });
     });
 
-    it('throws error for button missing text or url', async () => {
-      const buttons = [[{ text: 'Visit' }]]; // Missing url
+    it('throws error for button without an action', async () => {
+      const buttons = [[{ text: 'Visit' }]]; // Missing url, callback_data, ...
       await expect(sendTGMessageWithButtons('Click me!', buttons, channel1.name)).rejects.toMatchObject({
         name: 'TelegramBotError',
-        message: 'Each button must have text and url properties',
-        suggestion: 'Example: { text: "Visit", url: "https://example.com" }.',
+        message: 'Button "Visit" has no action',
+      });
+    });
+
+    it('sends callback buttons and reply keyboards', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const buttons = [[{ text: 'Ack', callback_data: 'ack-123' }, { text: 'Logs', url: 'https://example.com' }]];
+      await sendTGMessageWithButtons('Disk full', buttons, channel1.name);
+      await sendTGMessageWithButtons('Continue?', replyKeyboard([['Yes', 'No']]), channel1.name);
+      expect(axiosPostSpy.mock.calls[0][1].reply_markup).toEqual({ inline_keyboard: buttons });
+      expect(axiosPostSpy.mock.calls[1][1].reply_markup).toEqual({ keyboard: [[{ text: 'Yes' }, { text: 'No' }]] });
+    });
+  });
+
+  describe('long messages', () => {
+    const longText = Array.from({ length: 600 }, (_, i) => `Test case ${i} failed`).join('\n');
+    const client = () => createTelefy({ channels: { news: channel1, alert: channel2 }, retry: false });
+
+    it('splits long text and sends the parts in order to each channel', async () => {
+      let messageId = 0;
+      axiosPostSpy.mockImplementation(async () => ({ data: { ok: true, result: { message_id: ++messageId } } }));
+      const results = await client().sendTGMessage(longText, 'all', 'Markdown', { split: true });
+      const partsPerChannel = axiosPostSpy.mock.calls.length / 2;
+      expect(partsPerChannel).toBeGreaterThan(1);
+      expect(results[0].messageIds).toEqual(Array.from({ length: partsPerChannel }, (_, i) => i + 1));
+      expect(results[1].channel).toBe('alert');
+      expect(results[1].responses).toHaveLength(partsPerChannel);
+      const sent = axiosPostSpy.mock.calls.slice(0, partsPerChannel).map(([, body]) => body.text);
+      expect(sent.join('\n')).toBe(longText);
+      expect(sent.every((part) => part.length <= 4096)).toBe(true);
+    });
+
+    it('attaches buttons to the last part only', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: { message_id: 1 } } });
+      const buttons = [[{ text: 'Report', url: 'https://example.com' }]];
+      await client().sendTGMessageWithButtons(longText, buttons, 'news', 'Markdown', { split: true });
+      const bodies = axiosPostSpy.mock.calls.map(([, body]) => body);
+      expect(bodies.slice(0, -1).every((body) => body.reply_markup === undefined)).toBe(true);
+      expect(bodies[bodies.length - 1].reply_markup).toEqual({ inline_keyboard: buttons });
+    });
+
+    it('uploads long text as a .txt document with asDocument', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      await client().sendTGMessage(longText, 'news', 'Markdown', { asDocument: true });
+      const [url, form] = axiosPostSpy.mock.calls[0];
+      expect(url).toBe(`https://api.telegram.org/bot${channel1.token}/sendDocument`);
+      expect(form.get('document').name).toBe('message.txt');
+      expect(await form.get('document').text()).toBe(longText);
+    });
+
+    it('sends short text normally even with split enabled', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const result = await client().sendTGMessage('Hello', 'news', 'Markdown', { split: true });
+      expect(result).toEqual([{ channel: 'news', response: { ok: true } }]);
+    });
+  });
+
+  describe('media', () => {
+    const client = () => createTelefy({ channels: { news: channel1, alert: channel2 }, retry: false });
+
+    it('sends a photo by URL with a caption', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const result = await client().sendTGPhoto('https://example.com/a.png', '*Build*', 'news');
+      expect(result).toEqual([{ channel: 'news', response: { ok: true } }]);
+      expect(axiosPostSpy).toHaveBeenCalledWith(
+        `https://api.telegram.org/bot${channel1.token}/sendPhoto`,
+        { chat_id: channel1.chatId, photo: 'https://example.com/a.png', caption: '*Build*', parse_mode: 'Markdown' }
+      );
+    });
+
+    it('uploads a Buffer document to every channel as multipart form data', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      await client().sendTGDocument(Buffer.from('log'), '', 'all', 'Markdown', { filename: 'build.log' });
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+      const [url, form] = axiosPostSpy.mock.calls[1];
+      expect(url).toBe(`https://api.telegram.org/bot${channel2.token}/sendDocument`);
+      expect(form.get('chat_id')).toBe(channel2.chatId);
+      expect(form.get('document').name).toBe('build.log');
+      expect(form.has('caption')).toBe(false);
+    });
+
+    it('sends video and audio through their Bot API methods', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      await client().sendTGVideo('BAACAgIAAxkBAAIBZmZpbXBvcnRlZA', '', 'news');
+      await client().sendTGAudio('CQACAgIAAxkBAAIBZ2ZpbXBvcnRlZA', '', 'news');
+      expect(axiosPostSpy.mock.calls.map(([url]) => url.split('/').pop())).toEqual(['sendVideo', 'sendAudio']);
+    });
+
+    it('sends a media group with attached uploads', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      await client().sendTGMediaGroup([
+        { type: 'photo', media: Buffer.from('a'), filename: 'a.png', caption: 'First' },
+        { type: 'photo', media: 'https://example.com/b.png' },
+      ], 'news', 'HTML');
+      const [url, form] = axiosPostSpy.mock.calls[0];
+      expect(url).toBe(`https://api.telegram.org/bot${channel1.token}/sendMediaGroup`);
+      expect(JSON.parse(form.get('media'))).toEqual([
+        { type: 'photo', media: 'attach://file0', caption: 'First', parse_mode: 'HTML' },
+        { type: 'photo', media: 'https://example.com/b.png' },
+      ]);
+      expect(form.get('file0').name).toBe('a.png');
+    });
+
+    it('returns the IDs of every message of a media group', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: [{ message_id: 5, date: 1 }, { message_id: 6, date: 1 }] } });
+      const [result] = await client().sendTGMediaGroup([
+        { type: 'photo', media: 'https://example.com/a.png' },
+        { type: 'photo', media: 'https://example.com/b.png' },
+      ], 'news');
+      expect(result).toMatchObject({ channel: 'news', chatId: channel1.chatId, messageId: 5, messageIds: [5, 6], date: 1 });
+    });
+
+    it('throws error for captions exceeding 1024 characters', async () => {
+      await expect(client().sendTGPhoto('https://example.com/a.png', 'a'.repeat(1025), 'news')).rejects.toMatchObject({
+        name: 'TelegramBotError',
+        message: 'Caption exceeds 1024 characters',
+      });
+    });
+
+    it('validates the caption parse mode', async () => {
+      await expect(client().sendTGPhoto('https://example.com/a.png', 'Hi', 'news', 'INVALID')).rejects.toMatchObject({
+        message: 'Invalid parseMode: INVALID',
+      });
+    });
+  });
+
+  describe('editing sent messages', () => {
+    const client = () => createTelefy({ channels: { news: channel1, alert: channel2 }, retry: false });
+    const sent = [
+      { channel: 'news', response: { ok: true, result: { message_id: 10 } } },
+      { channel: 'alert', response: { ok: true, result: { message_id: 20 } } },
+    ];
+
+    it('edits the text of every message in the send results', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: { message_id: 10 } } });
+      const results = await client().editTGMessage(sent, 'Deploy finished', 'HTML');
+      expect(results.map((result) => result.channel)).toEqual(['news', 'alert']);
+      expect(axiosPostSpy).toHaveBeenCalledWith(
+        `https://api.telegram.org/bot${channel2.token}/editMessageText`,
+        { chat_id: channel2.chatId, message_id: 20, text: 'Deploy finished', parse_mode: 'HTML' }
+      );
+    });
+
+    it('keeps buttons on edit when passed in options', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const buttons = [[{ text: 'Logs', url: 'https://example.com' }]];
+      await client().editTGMessage({ channel: 'news', messageId: 10 }, 'Done', 'Markdown', { buttons });
+      expect(axiosPostSpy.mock.calls[0][1].reply_markup).toEqual({ inline_keyboard: buttons });
+    });
+
+    it('replaces or removes inline buttons', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      await client().editTGMessageButtons(sent[0]);
+      expect(axiosPostSpy).toHaveBeenCalledWith(
+        `https://api.telegram.org/bot${channel1.token}/editMessageReplyMarkup`,
+        { chat_id: channel1.chatId, message_id: 10, reply_markup: { inline_keyboard: [] } }
+      );
+    });
+
+    it('deletes every part of a split message', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: true } });
+      await client().deleteTGMessage({ channel: 'news', response: {}, messageIds: [1, 2, 3] });
+      expect(axiosPostSpy.mock.calls.map(([, body]) => body.message_id)).toEqual([1, 2, 3]);
+      expect(axiosPostSpy.mock.calls[0][0]).toBe(`https://api.telegram.org/bot${channel1.token}/deleteMessage`);
+    });
+
+    it('pins silently and skips failed broadcast entries', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: true } });
+      const settled = [{ ...sent[0], ok: true }, { channel: 'alert', ok: false, error: new Error('Forbidden') }];
+      const results = await client().pinTGMessage(settled, { silent: true });
+      expect(results).toEqual([{ channel: 'news', response: { ok: true, result: true } }]);
+      expect(axiosPostSpy).toHaveBeenCalledWith(
+        `https://api.telegram.org/bot${channel1.token}/pinChatMessage`,
+        { chat_id: channel1.chatId, message_id: 10, disable_notification: true }
+      );
+    });
+
+    it('refuses to edit a message that was sent in several parts', async () => {
+      await expect(client().editTGMessage({ channel: 'news', messageIds: [1, 2] }, 'Hi')).rejects.toMatchObject({
+        name: 'TelegramBotError',
+        message: 'Cannot edit a message sent in 2 parts on channel "news"',
+      });
+      expect(axiosPostSpy).not.toHaveBeenCalled();
+    });
+
+    it('rejects references without a message ID or with an unknown channel', async () => {
+      await expect(client().deleteTGMessage({ channel: 'news', response: { ok: true } })).rejects.toMatchObject({
+        message: 'Message reference for channel "news" is missing a message ID',
+      });
+      await expect(client().deleteTGMessage({ channel: 'ops', messageId: 1 })).rejects.toMatchObject({
+        message: 'Channel "ops" not found',
       });
     });
   });
@@ -275,4 +590,570 @@ describe('Telegram Bot Functions', () => {
       });
     });
   });
+  describe('createTelefy', () => {
+    const definition = {
+      news: { token: channel1.token, chatId: channel1.chatId },
+      Ops: { token: channel2.token, chatId: 789012 },
+    };
+
+    it('builds an isolated client without reading process.env', () => {
+      process.env = {};
+      const client = createTelefy({ channels: definition });
+      const channels = client.getChannels();
+      expect([...channels.keys()]).toEqual(['news', 'ops']);
+      expect(channels.get('ops')).toEqual({
+        token: channel2.token,
+        chatId: '789012',
+        baseUrl: `https://api.telegram.org/bot${channel2.token}`,
+      });
+    });
+
+    it('accepts a Map of channels', () => {
+      const client = createTelefy({ channels: new Map([['news', definition.news]]) });
+      expect([...client.getChannels().keys()]).toEqual(['news']);
+    });
+
+    it('applies defaults for channel and parse mode', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const client = createTelefy({ channels: definition, defaults: { channel: 'ops', parseMode: 'HTML' } });
+      const result = await client.sendTGMessage('<b>Hi</b>');
+      expect(result).toEqual([{ channel: 'ops', response: { ok: true } }]);
+      expect(axiosPostSpy).toHaveBeenCalledWith(
+        `https://api.telegram.org/bot${channel2.token}/sendMessage`,
+        { chat_id: '789012', text: '<b>Hi</b>', parse_mode: 'HTML' }
+      );
+    });
+
+    it('uses the parse mode of formatted text', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const client = createTelefy({ channels: definition });
+      await client.sendTGMessage(md`Deploy *${'api-1.2'}* done`, 'news');
+      expect(axiosPostSpy).toHaveBeenCalledWith(
+        `https://api.telegram.org/bot${channel1.token}/sendMessage`,
+        { chat_id: channel1.chatId, text: 'Deploy *api\\-1\\.2* done', parse_mode: 'MarkdownV2' }
+      );
+    });
+
+    it('sends buttons through the client', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const client = createTelefy({ channels: definition });
+      const buttons = [[{ text: 'Visit', url: 'https://example.com' }]];
+      const result = await client.sendTGMessageWithButtons('Click me!', buttons, 'news');
+      expect(result).toEqual([{ channel: 'news', response: { ok: true } }]);
+    });
+
+    it('throws error when no channels are given', () => {
+      expect(() => createTelefy({ channels: {} })).toThrow(
+        expect.objectContaining({ name: 'TelegramBotError', message: 'No channels configured' })
+      );
+    });
+
+    it('throws error when a channel has no token', () => {
+      expect(() => createTelefy({ channels: { news: { chatId: '1' } } })).toThrow(
+        expect.objectContaining({ message: 'Invalid token for channel "news"' })
+      );
+    });
+
+    it('throws error when a channel has no chat ID', () => {
+      expect(() => createTelefy({ channels: { news: { token: '1:A' } } })).toThrow(
+        expect.objectContaining({ message: 'Missing chat ID for channel "news"' })
+      );
+    });
+
+    it('sends to every channel of a group', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const client = createTelefy({ channels: definition, groups: { OnCall: ['news', 'OPS'] } });
+      expect(client.getGroups()).toEqual(new Map([['oncall', ['news', 'ops']]]));
+      const result = await client.sendTGMessage('Paging', 'oncall');
+      expect(result.map(({ channel }) => channel)).toEqual(['news', 'ops']);
+    });
+
+    it('applies per-channel send defaults unless the call overrides them', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+      const client = createTelefy({
+        channels: {
+          news: definition.news,
+          ops: { ...definition.Ops, parseMode: 'HTML', disableNotification: true, messageThreadId: 7 },
+        },
+      });
+      await client.sendTGMessage('Hi', 'all');
+      await client.sendTGMessage('*Hi*', 'ops', 'Markdown', { disableNotification: false });
+      expect(axiosPostSpy.mock.calls.map(([, body]) => body)).toEqual([
+        { chat_id: channel1.chatId, text: 'Hi', parse_mode: 'Markdown' },
+        { chat_id: '789012', text: 'Hi', parse_mode: 'HTML', disable_notification: true, message_thread_id: 7 },
+        { chat_id: '789012', text: '*Hi*', parse_mode: 'Markdown', disable_notification: false, message_thread_id: 7 },
+      ]);
+    });
+
+    it('escapes plain text for each channel that sends MarkdownV2', async () => {
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: { message_id: 4 } } });
+      const client = createTelefy({
+        channels: { news: { ...definition.news, parseMode: 'MarkdownV2' }, ops: { ...definition.Ops, parseMode: 'HTML' } },
+        groups: { oncall: ['news', 'ops'] },
+      });
+      await client.sendTGMessage('Done (v1.2)!', 'oncall', undefined, { escapeMarkdownV2: true });
+      await client.sendTGPhoto('AgACAgIAAxkBAAIBY2ZpbXBvcnRlZA', 'Build #7', 'all', undefined, { escapeMarkdownV2: true });
+      await client.editTGMessage([{ channel: 'news', messageId: 4 }, { channel: 'ops', messageId: 4 }], '1+1', undefined, {
+        escapeMarkdownV2: true,
+      });
+      expect(axiosPostSpy.mock.calls.map(([, body]) => [body.chat_id, body.text ?? body.caption, body.parse_mode])).toEqual([
+        [channel1.chatId, 'Done \\(v1\\.2\\)\\!', 'MarkdownV2'],
+        ['789012', 'Done (v1.2)!', 'HTML'],
+        [channel1.chatId, 'Build \\#7', 'MarkdownV2'],
+        ['789012', 'Build #7', 'HTML'],
+        [channel1.chatId, '1\\+1', 'MarkdownV2'],
+        ['789012', '1+1', 'HTML'],
+      ]);
+    });
+
+    it('checks the length of the escaped text', async () => {
+      const client = createTelefy({ channels: { news: { ...definition.news, parseMode: 'MarkdownV2' } } });
+      await expect(client.sendTGMessage('.'.repeat(3000), 'news', undefined, { escapeMarkdownV2: true }))
+        .rejects.toThrow('Message text exceeds 4096 characters');
+      await expect(client.scheduleTGMessage('.'.repeat(3000), { delay: 60000 }, 'news', { escapeMarkdownV2: true }))
+        .rejects.toThrow('Message text exceeds 4096 characters');
+      expect(axiosPostSpy).not.toHaveBeenCalled();
+    });
+
+    it('rejects groups with unknown channels or clashing names', () => {
+      expect(() => createTelefy({ channels: definition, groups: { oncall: ['news', 'pager'] } })).toThrow(
+        expect.objectContaining({ message: 'Group "oncall" refers to unknown channels: pager' })
+      );
+      expect(() => createTelefy({ channels: definition, groups: { news: ['ops'] } })).toThrow(
+        expect.objectContaining({ message: 'Group "news" has the same name as a channel' })
+      );
+    });
+
+    it('rejects message references by group or all instead of acting on one of their channels', async () => {
+      const client = createTelefy({ channels: definition, groups: { oncall: ['news', 'ops'] } });
+      await expect(client.editTGMessage({ channel: 'OnCall', messageId: 5 }, 'Hi')).rejects.toMatchObject({
+        message: 'Cannot edit a message by the group "oncall"',
+        suggestion: 'Pass the results returned by the send function, or one { channel, messageId } per channel of the group: news, ops.',
+      });
+      await expect(client.pinTGMessage({ channel: 'oncall', messageId: 5 })).rejects.toThrow('Cannot pin a message by the group "oncall"');
+      await expect(client.deleteTGMessage({ channel: 'all', messageId: 5 })).rejects.toThrow('Message reference is missing its channel');
+      expect(axiosPostSpy).not.toHaveBeenCalled();
+    });
+
+    it('lists groups in the error for an unknown target', async () => {
+      const client = createTelefy({ channels: definition, groups: { oncall: ['ops'] } });
+      await expect(client.sendTGMessage('Hi', 'pager')).rejects.toMatchObject({
+        message: 'Channel "pager" not found',
+        suggestion: 'Available channels: news, ops. Groups: oncall. Check your .env file.',
+      });
+    });
+
+    describe('channels with several chats', () => {
+      const multi = { alerts: { token: channel1.token, chatId: '-100, -200:12', messageThreadId: 3 } };
+
+      it('sends to every chat, with per-chat topics, and reports results per chat', async () => {
+        axiosPostSpy
+          .mockResolvedValueOnce({ data: { ok: true, result: { message_id: 1 } } })
+          .mockResolvedValueOnce({ data: { ok: true, result: { message_id: 2 } } });
+        const client = createTelefy({ channels: multi });
+        expect(client.getChannels().get('alerts').chats).toEqual([
+          { chatId: '-100' },
+          { chatId: '-200', messageThreadId: 12 },
+        ]);
+        const results = await client.sendTGMessage('Disk full', 'alerts');
+        expect(axiosPostSpy.mock.calls.map(([, body]) => body)).toEqual([
+          { chat_id: '-100', text: 'Disk full', parse_mode: 'Markdown', message_thread_id: 3 },
+          { chat_id: '-200', text: 'Disk full', parse_mode: 'Markdown', message_thread_id: 12 },
+        ]);
+        expect(results).toEqual([
+          { channel: 'alerts', chatId: '-100', messageId: 1, response: { ok: true, result: { message_id: 1 } } },
+          { channel: 'alerts', chatId: '-200', messageId: 2, response: { ok: true, result: { message_id: 2 } } },
+        ]);
+      });
+
+      it('settles per chat', async () => {
+        axiosPostSpy
+          .mockResolvedValueOnce({ data: { ok: true } })
+          .mockRejectedValueOnce({ response: { status: 403, data: { description: 'Forbidden' } } });
+        const client = createTelefy({ channels: { alerts: { token: channel1.token, chatId: [-100, { chatId: -200 }] } } });
+        const error = await client.sendTGMessage('Hi', 'alerts', 'Markdown', { settle: true }).catch((caught) => caught);
+        expect(error).toBeInstanceOf(TelegramBroadcastError);
+        expect(error.results.map(({ chatId, ok }) => [chatId, ok])).toEqual([['-100', true], ['-200', false]]);
+      });
+
+      it('edits the message in the chat it was sent to', async () => {
+        axiosPostSpy.mockResolvedValue({ data: { ok: true } });
+        const client = createTelefy({ channels: multi });
+        const results = await client.editTGMessage({ channel: 'alerts', chatId: -200, messageId: 5 }, 'Resolved');
+        expect(results).toEqual([{ channel: 'alerts', chatId: '-200', response: { ok: true } }]);
+        expect(axiosPostSpy.mock.calls[0][1]).toEqual({ chat_id: '-200', message_id: 5, text: 'Resolved', parse_mode: 'Markdown' });
+      });
+
+      it('requires the chat ID to act on a message of a channel with several chats', async () => {
+        const client = createTelefy({ channels: multi });
+        await expect(client.deleteTGMessage({ channel: 'alerts', messageId: 5 })).rejects.toMatchObject({
+          message: 'Channel "alerts" sends to 2 chats',
+        });
+        await expect(client.deleteTGMessage({ channel: 'alerts', chatId: '-300', messageId: 5 })).rejects.toMatchObject({
+          message: 'Chat -300 is not part of channel "alerts"',
+        });
+      });
+
+      it('rejects malformed topic IDs', () => {
+        expect(() => createTelefy({ channels: { alerts: { token: '1:A', chatId: [{ chatId: '-100', messageThreadId: 0 }] } } })).toThrow(
+          'Invalid topic ID for chat -100 of channel "alerts"'
+        );
+      });
+    });
+  });
+
+  describe('outbox', () => {
+    let dir;
+    const networkError = { request: {} };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-outbox-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const client = () => createTelefy({
+      channels: { news: { token: channel1.token, chatId: channel1.chatId } },
+      retry: false,
+      outbox: { dir },
+    });
+
+    it('queues sends that fail with a network error and replays them', async () => {
+      axiosPostSpy.mockRejectedValueOnce(networkError);
+      const telefy = client();
+      const results = await telefy.sendTGMessage('Backup done', 'news');
+      expect(results).toEqual([{ channel: 'news', queued: true, outboxId: expect.any(String) }]);
+
+      axiosPostSpy.mockResolvedValueOnce({ data: { ok: true, result: { message_id: 9 } } });
+      const { sent, failed, pending } = await telefy.flushOutbox();
+      expect(sent.map(({ entry, response }) => [entry.id, response.result.message_id])).toEqual([[results[0].outboxId, 9]]);
+      expect(failed).toEqual([]);
+      expect(pending).toEqual([]);
+      expect(axiosPostSpy).toHaveBeenLastCalledWith(
+        `https://api.telegram.org/bot${channel1.token}/sendMessage`,
+        { chat_id: channel1.chatId, text: 'Backup done', parse_mode: 'Markdown' }
+      );
+    });
+
+    it('queues sends behind the entries waiting for the same chat', async () => {
+      axiosPostSpy.mockRejectedValueOnce(networkError);
+      const telefy = createTelefy({
+        channels: { news: { token: channel1.token, chatId: channel1.chatId }, alert: channel2 },
+        retry: false,
+        outbox: { dir },
+      });
+      await telefy.sendTGMessage('Disk full', 'news');
+      axiosPostSpy.mockResolvedValue({ data: { ok: true, result: { message_id: 9 } } });
+      const results = await telefy.sendTGMessage('Disk cleaned up', 'all');
+      expect(results).toEqual([
+        { channel: 'news', queued: true, outboxId: expect.any(String) },
+        expect.objectContaining({ channel: 'alert', messageId: 9 }),
+      ]);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+
+      const { sent } = await telefy.flushOutbox();
+      expect(sent.map(({ entry }) => entry.payload.text)).toEqual(['Disk full', 'Disk cleaned up']);
+    });
+
+    it('queues every failed send without a dedupKey, with the attempts made', async () => {
+      axiosPostSpy.mockRejectedValue(networkError);
+      const telefy = createTelefy({
+        channels: { news: { token: channel1.token, chatId: channel1.chatId } },
+        retry: { retries: 1, minDelay: 1, jitter: false },
+        outbox: { dir },
+      });
+      const [first] = await telefy.sendTGMessage('Disk full', 'news');
+      const [second] = await telefy.sendTGMessage('Disk full', 'news');
+      expect(second.outboxId).not.toBe(first.outboxId);
+      const entries = fs.readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      expect(entries.map((entry) => [entry.payload.text, entry.attempts])).toEqual([['Disk full', 2], ['Disk full', 0]]);
+    });
+
+    it('deduplicates queued sends by dedupKey', async () => {
+      axiosPostSpy.mockRejectedValue(networkError);
+      const telefy = client();
+      const [first] = await telefy.sendTGMessage('Disk 91% full', 'news', undefined, { dedupKey: 'disk-db1' });
+      const [second] = await telefy.sendTGMessage('Disk 92% full', 'news', undefined, { dedupKey: 'disk-db1' });
+      expect(second.outboxId).toBe(first.outboxId);
+      expect(fs.readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8').trim().split('\n')).toHaveLength(1);
+    });
+
+    it('queues the remaining parts of a split message once one part is queued', async () => {
+      axiosPostSpy
+        .mockResolvedValueOnce({ data: { ok: true, result: { message_id: 1 } } })
+        .mockRejectedValueOnce(networkError);
+      const [result] = await client().sendTGMessage('word '.repeat(2000), 'news', 'Markdown', { split: true });
+      expect(result.queued).toBe(true);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+      const lines = fs.readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8').trim().split('\n');
+      expect(lines.length).toBe(result.responses.length - 1);
+    });
+
+    it('does not queue permanent failures', async () => {
+      axiosPostSpy.mockRejectedValueOnce({ response: { status: 400, data: { description: 'Bad Request: chat not found' } } });
+      await expect(client().sendTGMessage('Hi', 'news')).rejects.toMatchObject({ retryable: false });
+      expect(fs.existsSync(path.join(dir, 'outbox.jsonl'))).toBe(false);
+    });
+
+    it('throws when flushing without an outbox', async () => {
+      const telefy = createTelefy({ channels: { news: { token: channel1.token, chatId: channel1.chatId } } });
+      await expect(telefy.flushOutbox()).rejects.toMatchObject({ message: 'No outbox configured' });
+    });
+  });
+
+  describe('transport', () => {
+    it('sends through a custom transport to a custom API root', async () => {
+      const transport = jest.fn().mockResolvedValue({ status: 200, data: { ok: true, result: { message_id: 3 } } });
+      const telefy = createTelefy({
+        channels: { news: channel1 },
+        apiRoot: 'http://localhost:8081/',
+        timeout: 5000,
+        transport,
+      });
+      const [result] = await telefy.sendTGMessage('Hi', 'news');
+      expect(result.messageId).toBe(3);
+      expect(transport).toHaveBeenCalledWith({
+        url: `http://localhost:8081/bot${channel1.token}/sendMessage`,
+        body: { chat_id: channel1.chatId, text: 'Hi', parse_mode: 'Markdown' },
+        timeout: 5000,
+        proxy: undefined,
+      });
+      expect(axiosPostSpy).not.toHaveBeenCalled();
+    });
+
+    it('lets channels override the API root, proxy and timeout', async () => {
+      const transport = jest.fn().mockResolvedValue({ status: 200, data: { ok: true } });
+      const telefy = createTelefy({
+        channels: {
+          news: channel1,
+          alert: { ...channel2, apiRoot: 'https://bots.example.com', proxy: 'socks5://127.0.0.1:1080', timeout: 1000 },
+        },
+        proxy: 'http://proxy.example.com:3128',
+        transport,
+      });
+      await telefy.sendTGMessage('Hi', 'all');
+      expect(transport.mock.calls.map(([request]) => [request.url, request.proxy, request.timeout])).toEqual([
+        [`https://api.telegram.org/bot${channel1.token}/sendMessage`, 'http://proxy.example.com:3128', undefined],
+        [`https://bots.example.com/bot${channel2.token}/sendMessage`, 'socks5://127.0.0.1:1080', 1000],
+      ]);
+    });
+
+    it('maps transport failures to coded errors', async () => {
+      const transport = jest.fn().mockRejectedValue({ response: { status: 401, data: { description: 'Unauthorized' } } });
+      const telefy = createTelefy({ channels: { news: channel1 }, transport });
+      await expect(telefy.sendTGMessage('Hi', 'news')).rejects.toMatchObject({ code: 'UNAUTHORIZED', httpStatus: 401 });
+    });
+
+    it('rejects invalid transport options', () => {
+      expect(() => createTelefy({ channels: { news: channel1 }, proxy: 'proxy:3128' })).toThrow('Invalid proxy: proxy:3128');
+      expect(() => createTelefy({ channels: { news: channel1 }, timeout: -5 })).toThrow('Invalid timeout: -5');
+      expect(() => createTelefy({ channels: { news: { ...channel1, apiRoot: 'localhost:8081' } } })).toThrow(
+        'Invalid API root for channel "news": localhost:8081'
+      );
+      expect(() => createTelefy({ channels: { news: channel1 }, transport: {} })).toThrow('Invalid transport: must be a function');
+    });
+  });
+
+  describe('dry run', () => {
+    const client = (options = {}) => createTelefy({ channels: { news: channel1, alert: channel2 }, dryRun: true, ...options });
+
+    it('renders the requests without sending them', async () => {
+      const results = await client().sendTGMessageWithButtons('Deploy *done*', [[{ text: 'Logs', url: 'https://example.com' }]], 'all');
+      expect(axiosPostSpy).not.toHaveBeenCalled();
+      expect(results[0]).toEqual({
+        channel: 'news',
+        dryRun: true,
+        chatId: channel1.chatId,
+        request: {
+          method: 'sendMessage',
+          url: 'https://api.telegram.org/bot<token>/sendMessage',
+          payload: {
+            chat_id: channel1.chatId,
+            text: 'Deploy *done*',
+            parse_mode: 'Markdown',
+            reply_markup: { inline_keyboard: [[{ text: 'Logs', url: 'https://example.com' }]] },
+          },
+        },
+        response: expect.objectContaining({ ok: true, dryRun: true }),
+      });
+      expect(results[1].request.payload.chat_id).toBe(channel2.chatId);
+    });
+
+    it('lists uploads by name and size', async () => {
+      const [result] = await client().sendTGDocument(Buffer.from('hello'), 'Log', 'news', undefined, { filename: 'build.log' });
+      expect(result.request.payload).toEqual({
+        chat_id: channel1.chatId,
+        caption: 'Log',
+        parse_mode: 'Markdown',
+        document: { filename: 'build.log', size: 5 },
+      });
+    });
+
+    it('renders every part of a split message', async () => {
+      const [result] = await client().sendTGMessage('word '.repeat(2000), 'news', 'Markdown', { split: true });
+      expect(result.dryRun).toBe(true);
+      expect(result.requests.length).toBeGreaterThan(1);
+      expect(result.requests.every((request) => request.method === 'sendMessage')).toBe(true);
+    });
+
+    it('still validates the input', async () => {
+      await expect(client().sendTGMessage('x'.repeat(5000), 'news')).rejects.toThrow('Message text exceeds 4096 characters');
+      await expect(client().sendTGMessage('Hi', 'pager')).rejects.toThrow('Channel "pager" not found');
+    });
+
+    it('does not queue or flush the outbox', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-outbox-'));
+      try {
+        const telefy = client({ outbox: { dir } });
+        const [result] = await telefy.sendTGMessage('Hi', 'news');
+        expect(result.queued).toBeUndefined();
+        await expect(telefy.flushOutbox()).rejects.toThrow('Cannot flush the outbox in dry-run mode');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('verifyChannels', () => {
+    it('checks every chat and calls getMe once per bot', async () => {
+      const results = {
+        getMe: { id: 1, username: 'news_bot' },
+        getChat: { id: -100, type: 'channel', title: 'News' },
+        getChatMember: { status: 'administrator', can_post_messages: true },
+      };
+      axiosPostSpy.mockImplementation(async (url) => ({ data: { ok: true, result: results[url.split('/').pop()] } }));
+      const telefy = createTelefy({ channels: { news: { token: channel1.token, chatId: ['-100', '-200'] } }, retry: false });
+
+      const reports = await telefy.verifyChannels();
+      expect(reports.map(({ channel, chatId, ok }) => [channel, chatId, ok])).toEqual([['news', '-100', true], ['news', '-200', true]]);
+      expect(axiosPostSpy.mock.calls.filter(([url]) => url.endsWith('/getMe'))).toHaveLength(1);
+    });
+
+    it('reports API errors with their suggestions', async () => {
+      axiosPostSpy.mockRejectedValue({ response: { status: 401, data: { description: 'Unauthorized' } } });
+      const [report] = await createTelefy({ channels: { news: channel1 }, retry: false }).verifyChannels('news');
+      expect(report).toMatchObject({
+        channel: 'news',
+        ok: false,
+        checks: [{
+          name: 'token',
+          ok: false,
+          detail: 'Unauthorized on channel "news": Unauthorized',
+          suggestion: 'Verify the bot token for channel "news" in your .env file.',
+        }],
+      });
+    });
+
+    it('refuses to run in dry-run mode', async () => {
+      await expect(createTelefy({ channels: { news: channel1 }, dryRun: true }).verifyChannels()).rejects.toThrow(
+        'Cannot verify channels in dry-run mode'
+      );
+    });
+  });
+
+  describe('rate limiting', () => {
+    const ok = { data: { ok: true, result: { message_id: 1 } } };
+
+    it('spaces sends to the same chat and reports queue stats', async () => {
+      jest.useFakeTimers();
+      axiosPostSpy.mockResolvedValue(ok);
+      const telefy = createTelefy({ channels: { news: channel1, alert: channel2 }, retry: false, rateLimit: true });
+      const first = telefy.sendTGMessage('One', 'news');
+      const second = telefy.sendTGMessage('Two', 'news');
+      const other = telefy.sendTGMessage('Alert', 'alert');
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+      expect(telefy.getRateLimitStats()).toMatchObject({ queued: 1, channels: { news: 1 } });
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await Promise.all([first, second, other]);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(3);
+      expect(axiosPostSpy.mock.calls.map(([, body]) => body.text)).toEqual(['One', 'Alert', 'Two']);
+      expect(telefy.getRateLimitStats()).toMatchObject({ queued: 0, sent: 3, delayed: 1 });
+    });
+
+    it('applies per-channel limits', async () => {
+      jest.useFakeTimers();
+      axiosPostSpy.mockResolvedValue(ok);
+      const telefy = createTelefy({
+        channels: { news: { ...channel1, rateLimit: { perChat: { limit: 2, interval: 1000 } } } },
+        retry: false,
+        rateLimit: true,
+      });
+      telefy.sendTGMessage('One', 'news');
+      telefy.sendTGMessage('Two', 'news');
+      await jest.advanceTimersByTimeAsync(0);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('applies the per-bot limit of each channel sharing a bot', async () => {
+      jest.useFakeTimers();
+      axiosPostSpy.mockResolvedValue(ok);
+      const telefy = createTelefy({
+        channels: {
+          news: channel1,
+          alert: { ...channel1, chatId: '654321', rateLimit: { perBot: { limit: 1, interval: 1000 } } },
+        },
+        retry: false,
+        rateLimit: { perChat: false },
+      });
+      const sends = [
+        telefy.sendTGMessage('One', 'news'),
+        telefy.sendTGMessage('Alert 1', 'alert'),
+        telefy.sendTGMessage('Two', 'news'),
+        telefy.sendTGMessage('Alert 2', 'alert'),
+      ];
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(axiosPostSpy.mock.calls.map(([, body]) => body.text)).toEqual(['One', 'Alert 1', 'Two']);
+      expect(telefy.getRateLimitStats()).toMatchObject({ queued: 1, channels: { alert: 1 } });
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await Promise.all(sends);
+      expect(axiosPostSpy).toHaveBeenCalledTimes(4);
+    });
+
+    it('has no stats without a limiter and rejects malformed limits', () => {
+      expect(createTelefy({ channels: { news: channel1 } }).getRateLimitStats()).toBeNull();
+      expect(() => createTelefy({ channels: { news: channel1 }, rateLimit: { perChat: { limit: 0 } } })).toThrow(
+        'Invalid rate limit: perChat must be false or { limit, interval } with positive numbers (interval in ms)'
+      );
+      expect(() => createTelefy({ channels: { news: { ...channel1, rateLimit: 'slow' } } })).toThrow(
+        'Invalid rate limit: rateLimit must be true or an object with perChat, perGroup and perBot'
+      );
+    });
+  });
+
+  describe('fromEnv', () => {
+    it('reads channel pairs from the given environment', () => {
+      const channels = fromEnv({
+        env: { CHANNEL_CI_TOKEN: '1:A', CHANNEL_CI_CHAT_ID: '-100', OTHER: 'x' },
+      });
+      expect(channels).toEqual(new Map([['ci', { token: '1:A', chatId: '-100' }]]));
+    });
+
+    it('returns an empty Map when nothing is configured', () => {
+      expect(fromEnv({ env: {} }).size).toBe(0);
+    });
+
+    it('reads a forum topic from CHANNEL_<name>_THREAD_ID', () => {
+      const channels = fromEnv({ env: { CHANNEL_CI_TOKEN: '1:A', CHANNEL_CI_CHAT_ID: '-100,-200', CHANNEL_CI_THREAD_ID: '7' } });
+      expect(channels.get('ci')).toEqual({ token: '1:A', chatId: '-100,-200', messageThreadId: 7 });
+      expect(() => fromEnv({ env: { CHANNEL_CI_TOKEN: '1:A', CHANNEL_CI_CHAT_ID: '-100', CHANNEL_CI_THREAD_ID: 'x' } })).toThrow(
+        'Invalid thread ID for channel "ci"'
+      );
+    });
+
+    it('throws error when a chat ID is missing', () => {
+      expect(() => fromEnv({ env: { CHANNEL_CI_TOKEN: '1:A' } })).toThrow(
+        expect.objectContaining({
+          message: 'Missing chat ID for channel "ci"',
+          suggestion: 'Set CHANNEL_CI_CHAT_ID in your .env file. See .env.sample for details.',
+        })
+      );
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,202 @@
+/**
+ * @file templates.test.js
+ * @description Jest tests for message templates and sendTGTemplate.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockTelegram } from '../lib/testing.js';
+import { resolveTemplates, setVariable } from '../lib/templates.js';
+import { createTelefy, html, renderTemplate, TelegramBotError } from '../telegramBot.js';
+
+describe('renderTemplate', () => {
+  it('inserts variables escaped for the parse mode', () => {
+    const source = '<b>{{service}}</b> {{ release.version }} by {{{user}}}: {{note ?? "no notes"}} {{count}} {{tags}}';
+    expect(renderTemplate(source, { service: 'api <v2>', release: { version: '1.2' }, user: '<i>dana</i>', count: 0, tags: ['a', 'b'] },
+      { parseMode: 'HTML' })).toEqual({
+      text: '<b>api &lt;v2&gt;</b> 1.2 by <i>dana</i>: no notes 0 [&quot;a&quot;,&quot;b&quot;]',
+      parseMode: 'HTML',
+      buttons: [],
+    });
+    expect(renderTemplate('*{{version}}*', { version: '1.2.3' }, { parseMode: 'MarkdownV2' }).text).toBe('*1\\.2\\.3*');
+  });
+
+  it('inserts formatted values of the same parse mode as they are', () => {
+    expect(renderTemplate('Deploy {{link}}', { link: html.link('notes', 'https://example.com/?a=1&b=2') }, { parseMode: 'HTML' }).text)
+      .toBe('Deploy <a href="https://example.com/?a=1&amp;b=2">notes</a>');
+    expect(() => renderTemplate('{{link}}', { link: html.bold('x') }, { parseMode: 'MarkdownV2' })).toThrow('Cannot mix HTML formatted text into MarkdownV2 text');
+  });
+
+  it('chooses text with conditionals', () => {
+    const source = [
+      '{{service}} deployed',
+      '{{#if env == "prod"}}',
+      'to production',
+      '{{else}}',
+      'to {{env}}',
+      '{{/if}}',
+      '{{#unless tests}}',
+      'without tests!',
+      '{{/unless}}',
+      '{{#if count != 3}}count is not 3{{/if}}{{! never shown }}',
+    ].join('\n');
+    expect(renderTemplate(source, { service: 'api', env: 'prod', tests: true, count: '3' }).text).toBe('api deployed\nto production');
+    expect(renderTemplate(source, { service: 'api', env: 'staging', count: 4 }).text)
+      .toBe('api deployed\nto staging\nwithout tests!\ncount is not 3');
+  });
+
+  it('repeats text for each item of a list', () => {
+    const source = '{{#each changes}}\n{{@number}}. {{this.title}} ({{author}}){{#if @last}}.{{/if}}\n{{else}}\nNo changes\n{{/each}}';
+    expect(renderTemplate(source, { author: 'dana', changes: [{ title: 'Fix <b>' }, { title: 'Docs', author: 'lee' }] }, { parseMode: 'HTML' }).text)
+      .toBe('1. Fix &lt;b&gt; (dana)\n2. Docs (lee).');
+    expect(renderTemplate(source, { changes: [] }).text).toBe('No changes');
+    expect(renderTemplate('{{#each tags}}#{{this}} {{/each}}', { tags: ['a_b', 'c'] }, { parseMode: 'Markdown' }).text).toBe('#a\\_b #c');
+  });
+
+  it('reads parseMode and buttons from front matter', () => {
+    const source = [
+      '---',
+      'parseMode: HTML',
+      'description: Deploy notice',
+      'buttons:',
+      '  - { text: "Release {{version}}", url: "https://example.com/releases/{{version}}?a=1&b=2" }',
+      '  - [{ text: Rollback, callback_data: "rollback:{{version}}", if: failed }, { text: Logs, url: "{{logs}}" }]',
+      '  - { text: Approve, callback_data: approve, if: "env == \'prod\'" }',
+      '---',
+      '<b>{{version}}</b>',
+      '',
+    ].join('\n');
+    expect(renderTemplate(source, { version: '1.2', logs: 'https://logs.example.com', env: 'staging' })).toEqual({
+      text: '<b>1.2</b>',
+      parseMode: 'HTML',
+      buttons: [
+        [{ text: 'Release 1.2', url: 'https://example.com/releases/1.2?a=1&b=2' }],
+        [{ text: 'Logs', url: 'https://logs.example.com' }],
+      ],
+    });
+  });
+
+  it('leaves missing values empty when not strict', () => {
+    expect(renderTemplate('{{a}}-{{b.c}}-{{#each d}}x{{/each}}', {}, { strict: false }).text).toBe('--');
+  });
+
+  it.each([
+    ['{{version}}', 'Template "t" uses {{version}}, which was not given'],
+    ['{{#if x}}open', 'Template "t" has an unclosed {{#if x}}'],
+    ['{{#if x}}{{/each}}', 'Template "t" has an unexpected {{/each}}'],
+    ['{{else}}', 'Template "t" has a misplaced {{else}}'],
+    ['{{#with x}}{{/with}}', 'Template "t" has an unknown block: {{#with x}}'],
+    ['{{#if x = 1}}{{/if}}', 'Template "t" has an invalid condition: {{#if x = 1}}'],
+    ['{{ a b }}', 'Template "t" has an invalid tag: {{ a b }}'],
+    ['{{#each x}}{{/each}}', 'Template "t" repeats {{#each x}}, which is not a list'],
+    ['{{constructor}}', 'Template "t" uses {{constructor}}, which was not given'],
+    ['---\ncolor: red\n---\nHi', 'Template "t" has unknown front matter keys: color'],
+    ['---\nparseMode: BBCode\n---\nHi', 'Template "t" has an invalid parseMode: BBCode'],
+    ['---\nbuttons: [1]\n---\nHi', 'Template "t" has a button that is not an object'],
+  ])('rejects %j', (source, message) => {
+    expect(() => renderTemplate(source, { x: 'text' }, { name: 't' })).toThrow(new TelegramBotError(message));
+  });
+});
+
+describe('setVariable', () => {
+  it('sets nested variables by dotted name', () => {
+    const vars = { user: 'x' };
+    setVariable(vars, 'user.name', 'Dana');
+    setVariable(vars, 'user.role', 'admin');
+    setVariable(vars, 'env', 'prod');
+    expect(vars).toEqual({ user: { name: 'Dana', role: 'admin' }, env: 'prod' });
+  });
+
+  it.each(['__proto__.polluted', 'a.constructor.prototype.polluted', 'prototype', 'a..b'])('rejects %s', (name) => {
+    const vars = {};
+    expect(() => setVariable(vars, name, '1')).toThrow(new TelegramBotError(`Invalid template variable name: ${name}`));
+    expect(vars).toEqual({});
+    expect({}.polluted).toBeUndefined();
+  });
+});
+
+describe('resolveTemplates', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-templates-'));
+    fs.mkdirSync(path.join(dir, 'alerts'));
+    fs.writeFileSync(path.join(dir, 'deploy.md'), 'Deploy {{version}}');
+    fs.writeFileSync(path.join(dir, 'alerts', 'disk.html'), '<b>{{host}}</b>');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds templates by name, with the parse mode of .html files', async () => {
+    const load = resolveTemplates(dir);
+    await expect(load('deploy')).resolves.toEqual({ name: 'deploy', source: 'Deploy {{version}}', file: path.join(dir, 'deploy.md') });
+    await expect(load('alerts/disk')).resolves.toMatchObject({ source: '<b>{{host}}</b>', parseMode: 'HTML' });
+    await expect(load('deploy.md')).resolves.toMatchObject({ source: 'Deploy {{version}}' });
+  });
+
+  it('reports missing templates and names outside the directory', async () => {
+    const load = resolveTemplates(dir);
+    await expect(load('missing')).rejects.toThrow(`Template "missing" not found in ${dir}`);
+    await expect(load('../secret')).rejects.toThrow('Invalid template name: ../secret');
+    await expect(resolveTemplates({ deploy: 'x' })('other')).rejects.toThrow('Template "other" not found');
+  });
+});
+
+describe('sendTGTemplate', () => {
+  const telegram = createMockTelegram();
+  let apiRoot;
+
+  beforeAll(async () => {
+    apiRoot = await telegram.listen();
+  });
+
+  afterEach(() => {
+    telegram.reset();
+  });
+
+  afterAll(async () => {
+    await telegram.close();
+  });
+
+  const templates = {
+    deploy: '---\nbuttons:\n  - { text: Open, url: "https://example.com/{{version}}" }\n---\n*Deploy* {{version}} to {{env}}',
+    plain: 'Hello {{name}}',
+  };
+
+  it('renders a template and sends it with its buttons', async () => {
+    const client = createTelefy({ channels: { ops: { token: '1:A', chatId: '5', parseMode: 'HTML' } }, defaults: { parseMode: 'Markdown' }, apiRoot, templates });
+    const [result] = await client.sendTGTemplate('deploy', { version: '1.2_3', env: 'prod' }, 'ops', { disableNotification: true });
+    expect(result).toMatchObject({ channel: 'ops', messageId: 1 });
+    telegram.assertSent('sendMessage', {
+      chat_id: '5',
+      text: '*Deploy* 1.2\\_3 to prod',
+      parse_mode: 'Markdown',
+      disable_notification: true,
+      reply_markup: { inline_keyboard: [[{ text: 'Open', url: 'https://example.com/1.2_3' }]] },
+    });
+
+    await client.sendTGTemplate('plain', { name: 'Dana' }, 'ops');
+    expect(telegram.lastRequest('sendMessage').payload).toEqual({ chat_id: '5', text: 'Hello Dana', parse_mode: 'Markdown' });
+  });
+
+  it('loads templates from a directory and fails before sending when rendering fails', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telefy-templates-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'disk.html'), '<b>{{host}}</b> is {{percent}}% full\n');
+      const client = createTelefy({ channels: { ops: { token: '1:A', chatId: '5' } }, apiRoot, templates: dir, retry: false });
+      await client.sendTGTemplate('disk', { host: 'db<1>', percent: 93 }, 'ops');
+      telegram.assertSent('sendMessage', { chat_id: '5', text: '<b>db&lt;1&gt;</b> is 93% full', parse_mode: 'HTML' });
+
+      await expect(client.sendTGTemplate('disk', { host: 'db1' }, 'ops')).rejects.toThrow('Template "disk" uses {{percent}}, which was not given');
+      expect(telegram.requestsFor('sendMessage')).toHaveLength(1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @file testing.test.js
+ * @description Jest tests for the mock Bot API server exported as telefy/testing.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { AssertionError } from 'assert';
+import { createMockTelegram } from '../lib/testing.js';
+import { createTelefy, TelegramBotError } from '../telegramBot.js';
+
+describe('testing', () => {
+  const telegram = createMockTelegram();
+  let telefy;
+
+  beforeAll(async () => {
+    const apiRoot = await telegram.listen();
+    telefy = createTelefy({
+      channels: { news: { token: '123:ABC', chatId: '-100123' }, ops: { token: '456:DEF', chatId: '42' } },
+      apiRoot,
+      retry: false,
+    });
+  });
+
+  afterEach(() => {
+    telegram.reset();
+  });
+
+  afterAll(async () => {
+    await telegram.close();
+  });
+
+  it('records requests and answers with messages', async () => {
+    const [result] = await telefy.sendTGMessage('Deploy done', 'news');
+    expect(result).toMatchObject({ channel: 'news', chatId: '-100123', messageId: 1, date: expect.any(Number) });
+    expect(result.response.result).toMatchObject({ text: 'Deploy done', chat: { id: -100123, type: 'supergroup' } });
+    expect(telegram.requests).toEqual([{
+      method: 'sendMessage',
+      token: '123:ABC',
+      payload: { chat_id: '-100123', text: 'Deploy done', parse_mode: 'Markdown' },
+      status: 200,
+      time: expect.any(Number),
+    }]);
+  });
+
+  it('parses multipart uploads', async () => {
+    const [result] = await telefy.sendTGMediaGroup([
+      { type: 'photo', media: Buffer.from('a'), caption: 'Before', filename: 'a.png' },
+      { type: 'photo', media: Buffer.from('bb'), filename: 'b.png' },
+    ], 'ops');
+    expect(result.messageIds).toEqual([1, 2]);
+    const { payload } = telegram.lastRequest('sendMediaGroup');
+    expect(payload.media).toEqual([
+      { type: 'photo', media: 'attach://file0', caption: 'Before', parse_mode: 'Markdown' },
+      { type: 'photo', media: 'attach://file1' },
+    ]);
+    expect(payload.file1).toMatchObject({ filename: 'b.png', size: 2 });
+  });
+
+  it.each([
+    [400, 'CHAT_NOT_FOUND'],
+    [401, 'UNAUTHORIZED'],
+    [403, 'FORBIDDEN'],
+    [429, 'RATE_LIMITED'],
+    ['network', 'NETWORK'],
+  ])('simulates a %s failure', async (failure, code) => {
+    telegram.fail(failure);
+    await expect(telefy.sendTGMessage('Hi', 'news')).rejects.toMatchObject({ code });
+    await expect(telefy.sendTGMessage('Hi', 'news')).resolves.toHaveLength(1);
+  });
+
+  it('limits failures to a method and a number of requests', async () => {
+    telegram.fail({ status: 429, retryAfter: 7 }, { method: 'sendMessage', times: 2 });
+    await expect(telefy.sendTGPhoto('AgACAgIAAxkBAAIBY2ZpbXBvcnRlZA', '', 'news')).resolves.toHaveLength(1);
+    await expect(telefy.sendTGMessage('Hi', 'news')).rejects.toMatchObject({ retryAfter: 7 });
+    await expect(telefy.sendTGMessage('Hi', 'news')).rejects.toMatchObject({ code: 'RATE_LIMITED' });
+    await expect(telefy.sendTGMessage('Hi', 'news')).resolves.toHaveLength(1);
+    expect(telegram.requestsFor('sendMessage').map((request) => request.status)).toEqual([429, 429, 200]);
+  });
+
+  it('answers with custom results', async () => {
+    telegram.reply('sendMessage', (payload) => ({ message_id: 99, date: 0, chat: { id: payload.chat_id }, text: payload.text }));
+    const [result] = await telefy.sendTGMessage('Hi', 'ops');
+    expect(result.messageId).toBe(99);
+  });
+
+  it('asserts on what was sent', async () => {
+    await telefy.sendTGMessageWithButtons('Approve?', [[{ text: 'Yes', callback_data: 'yes' }]], 'ops');
+    expect(telegram.assertSent('sendMessage', { chat_id: 42, reply_markup: { inline_keyboard: [[{ text: 'Yes' }]] } }).token)
+      .toBe('456:DEF');
+    expect(() => telegram.assertSent('sendMessage', { text: /^Deny/ })).toThrow(AssertionError);
+    expect(() => telegram.assertSent('sendPhoto')).toThrow('Expected a sendPhoto request with {}');
+    expect(() => telegram.assertNotSent('sendPhoto')).not.toThrow();
+    expect(() => telegram.assertNotSent()).toThrow('Expected no requests, received 1');
+  });
+
+  it('rejects unsupported failures', () => {
+    expect(() => telegram.fail(200)).toThrow(TelegramBotError);
+    expect(() => telegram.fail('timeout')).toThrow('Unsupported failure: "timeout"');
+  });
+});
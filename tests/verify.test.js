@@ -0,0 +1,122 @@
+/**
+ * @file verify.test.js
+ * @description Jest tests for the channel health checks.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import { jest } from '@jest/globals';
+import { verifyChat } from '../lib/verify.js';
+import { TelegramBotError } from '../lib/errors.js';
+
+describe('verify', () => {
+  const bot = { id: 42, is_bot: true, username: 'deploy_bot' };
+
+  /**
+   * Build a fake Bot API call answering each method with a result or failing with an error.
+   * @param {Object<string, *>} results - Result or Error per method.
+   * @returns {jest.Mock} Call function.
+   */
+  const fakeCall = (results) => jest.fn(async (method) => {
+    const result = { getMe: bot, ...results }[method];
+    if (result instanceof Error) {
+      throw result;
+    }
+    return { ok: true, result };
+  });
+
+  it('passes a channel the bot administers', async () => {
+    const call = fakeCall({
+      getChat: { id: -1001, type: 'channel', title: 'Releases' },
+      getChatMember: { status: 'administrator', can_post_messages: true },
+    });
+    const report = await verifyChat(call, { chatId: '-1001' });
+    expect(report).toEqual({
+      chatId: '-1001',
+      bot: { id: 42, username: 'deploy_bot' },
+      chat: { id: -1001, title: 'Releases', type: 'channel', isForum: false },
+      member: { status: 'administrator', canSend: true },
+      ok: true,
+      checks: [
+        { name: 'token', ok: true, detail: 'Bot @deploy_bot' },
+        { name: 'chat', ok: true, detail: 'Releases (channel)' },
+        { name: 'membership', ok: true, detail: 'Bot is an administrator' },
+        { name: 'permissions', ok: true, detail: 'Bot can send messages' },
+      ],
+    });
+    expect(call).toHaveBeenCalledWith('getChatMember', { chat_id: '-1001', user_id: 42 });
+  });
+
+  it('stops at a bad token with the error suggestion', async () => {
+    const error = new TelegramBotError('Unauthorized on channel "ops": Unauthorized', 'Verify the bot token for channel "ops" in your .env file.');
+    const call = fakeCall({ getMe: error });
+    const report = await verifyChat(call, { chatId: '1' });
+    expect(report).toEqual({
+      chatId: '1',
+      ok: false,
+      checks: [{ name: 'token', ok: false, detail: error.message, suggestion: error.suggestion }],
+    });
+    expect(call).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a chat that cannot be found', async () => {
+    const error = new TelegramBotError('Bad Request on channel "ops": Bad Request: chat not found', 'Check your message content.');
+    const report = await verifyChat(fakeCall({ getChat: error }), { chatId: '-5' });
+    expect(report.ok).toBe(false);
+    expect(report.checks.at(-1)).toMatchObject({ name: 'chat', ok: false, detail: error.message });
+  });
+
+  it.each([
+    ['left the group', 'supergroup', { status: 'left' }, 'membership', 'Add the bot to the chat.'],
+    ['was banned from the channel', 'channel', { status: 'kicked' }, 'membership',
+      'Unban the bot and add it to the chat again as an administrator.'],
+    ['is a plain member of a channel', 'channel', { status: 'member' }, 'permissions',
+      'Make the bot an administrator of the channel with the "Post Messages" right.'],
+    ['is muted in the group', 'group', { status: 'restricted', can_send_messages: false }, 'permissions',
+      'Allow the bot to send messages in the chat permissions, or make it an administrator.'],
+  ])('fails when the bot %s', async (label, type, member, name, suggestion) => {
+    const call = fakeCall({ getChat: { id: -1, type, title: 'Ops' }, getChatMember: member });
+    const report = await verifyChat(call, { chatId: '-1' });
+    expect(report.ok).toBe(false);
+    expect(report.checks.find((entry) => !entry.ok)).toMatchObject({ name, suggestion });
+  });
+
+  it('respects group-wide send permissions for members', async () => {
+    const call = fakeCall({
+      getChat: { id: -1, type: 'supergroup', title: 'Announcements', permissions: { can_send_messages: false } },
+      getChatMember: { status: 'member' },
+    });
+    expect((await verifyChat(call, { chatId: '-1' })).member).toEqual({ status: 'member', canSend: false });
+  });
+
+  it('checks private chats without getChatMember', async () => {
+    const call = fakeCall({ getChat: { id: 7, type: 'private', first_name: 'Ada', last_name: 'L' } });
+    const report = await verifyChat(call, { chatId: '7' });
+    expect(report).toMatchObject({ ok: true, chat: { title: 'Ada L', type: 'private' } });
+    expect(call).not.toHaveBeenCalledWith('getChatMember', expect.anything());
+  });
+
+  it('checks that topics go to a forum', async () => {
+    const member = { status: 'administrator' };
+    const forum = fakeCall({ getChat: { id: -1, type: 'supergroup', title: 'Dev', is_forum: true }, getChatMember: member });
+    expect((await verifyChat(forum, { chatId: '-1', messageThreadId: 12 })).checks.at(-1)).toEqual({
+      name: 'topic',
+      ok: true,
+      detail: 'Messages go to topic 12',
+    });
+
+    const plain = fakeCall({ getChat: { id: -1, type: 'supergroup', title: 'Dev' }, getChatMember: member });
+    const report = await verifyChat(plain, { chatId: '-1', messageThreadId: 12 });
+    expect(report.ok).toBe(false);
+    expect(report.checks.at(-1)).toMatchObject({ name: 'topic', ok: false, detail: 'Topic 12 is set but the chat is not a forum' });
+  });
+
+  it('uses the shared getMe when given', async () => {
+    const getMe = jest.fn(async () => ({ ok: true, result: bot }));
+    const call = fakeCall({ getChat: { id: 7, type: 'private', first_name: 'Ada' } });
+    await verifyChat(call, { chatId: '7' }, getMe);
+    expect(getMe).toHaveBeenCalledTimes(1);
+    expect(call).not.toHaveBeenCalledWith('getMe', expect.anything());
+  });
+});
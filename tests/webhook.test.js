@@ -0,0 +1,165 @@
+/**
+ * @file webhook.test.js
+ * @description Jest tests for the webhook receiver behind telefy webhook.
+ * @license MIT
+ *
+ * Usage:
+ *   npm run test
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import { createMockTelegram } from '../lib/testing.js';
+import { createTelefy, createWebhookReceiver, TelegramBotError } from '../telegramBot.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/webhooks/${name}.json`, import.meta.url), 'utf8');
+
+describe('webhook receiver', () => {
+  const secret = 'webhook-secret-0123456789';
+  const telegram = createMockTelegram();
+  let client;
+  let receiver;
+  let url;
+
+  /**
+   * Post a webhook.
+   * @param {string} path - Endpoint path, with any query.
+   * @param {string} body - Raw JSON body.
+   * @param {Object} [headers] - Headers (default: the secret as bearer token).
+   * @returns {Promise<{status: number, body: Object}>} Response.
+   */
+  const post = async (path, body, headers = { authorization: `Bearer ${secret}` }) => {
+    const response = await fetch(`${url}${path}`, { method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body });
+    return { status: response.status, body: await response.json() };
+  };
+
+  /**
+   * Sign a body the way GitHub does.
+   * @param {string} body - Raw body.
+   * @param {string} event - X-GitHub-Event.
+   * @returns {Object} Headers.
+   */
+  const signed = (body, event) => ({
+    'x-github-event': event,
+    'x-hub-signature-256': `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`,
+  });
+
+  beforeAll(async () => {
+    const apiRoot = await telegram.listen();
+    client = createTelefy({
+      channels: { dev: { token: '123:ABC', chatId: '-100123' }, ops: { token: '456:DEF', chatId: '42' }, oncall: { token: '456:DEF', chatId: '43' } },
+      defaults: { channel: 'dev' },
+      apiRoot,
+      retry: false,
+    });
+    receiver = createWebhookReceiver(client, {
+      secret,
+      port: 0,
+      endpoints: {
+        github: {},
+        alertmanager: { channel: 'ops', routes: [{ match: { severity: ['critical', 'page'] }, channel: 'oncall' }] },
+        deploys: {
+          adapter: 'template',
+          template: '{{service}} {{status}}',
+          secret: 'deploy-secret',
+          routes: [{ match: { environment: 'production', status: 'failed' }, channel: 'oncall' }],
+        },
+        custom: { adapter: (payload) => (payload.skip ? null : { text: `*${payload.name}*`, parseMode: 'MarkdownV2' }) },
+      },
+    });
+    url = await receiver.listen();
+  });
+
+  afterEach(() => {
+    telegram.reset();
+  });
+
+  afterAll(async () => {
+    await receiver.close();
+    await telegram.close();
+  });
+
+  it('needs a secret, known adapters, templates and channels', () => {
+    expect(() => createWebhookReceiver(client, {})).toThrow('The webhook endpoint "github" needs a secret');
+    expect(() => createWebhookReceiver(client, { secret, endpoints: { jenkins: {} } })).toThrow('Unknown webhook adapter: jenkins');
+    expect(() => createWebhookReceiver(client, { secret, endpoints: { hook: { adapter: 'template' } } })).toThrow('needs a template');
+    expect(() => createWebhookReceiver(client, { secret, endpoints: { hook: { adapter: 'template', template: '{{#if failed}}!' } } }))
+      .toThrow('Template "hook" has an unclosed {{#if failed}}');
+    expect(() => createWebhookReceiver(client, { secret, endpoints: { github: { channel: 'nope' } } })).toThrow(TelegramBotError);
+    expect(() => createWebhookReceiver(client, { secret, endpoints: { github: { routes: [{ match: {}, channel: 'nope' }] } } }))
+      .toThrow('Channel "nope" not found');
+  });
+
+  it('sends signed GitHub webhooks with their buttons to the default channel', async () => {
+    const body = fixture('github-workflow_run');
+    const { status, body: response } = await post('/github', body, signed(body, 'workflow_run'));
+    expect(status).toBe(200);
+    expect(response).toEqual({ ok: true, results: [{ channel: 'dev', chatId: '-100123', messageId: 1, date: expect.any(Number) }] });
+    telegram.assertSent('sendMessage', {
+      chat_id: '-100123',
+      text: '❌ <b>acme/api</b>: workflow <b>CI</b> failed on <code>main</code>\nBump axios &amp; yaml (dana)',
+      parse_mode: 'HTML',
+      reply_markup: { inline_keyboard: [[{ text: 'View run', url: 'https://github.com/acme/api/actions/runs/30433642' }]] },
+    });
+  });
+
+  it('rejects GitHub webhooks with a missing or wrong signature', async () => {
+    const body = fixture('github-push');
+    expect((await post('/github', body, { 'x-github-event': 'push' })).status).toBe(401);
+    const { status, body: response } = await post('/github', body, { ...signed(`${body} `, 'push') });
+    expect(status).toBe(401);
+    expect(response.error.message).toBe('Missing or wrong X-Hub-Signature-256');
+    telegram.assertNotSent('sendMessage');
+  });
+
+  it('answers skipped events with 202', async () => {
+    const body = JSON.stringify({ zen: 'Design for failure.', hook_id: 1 });
+    expect(await post('/github', body, signed(body, 'ping'))).toEqual({ status: 202, body: { ok: true, ignored: true } });
+    telegram.assertNotSent('sendMessage');
+  });
+
+  it('routes by labels, falling back to the endpoint channel', async () => {
+    const critical = await post('/alertmanager', fixture('alertmanager'));
+    expect(critical.status).toBe(200);
+    expect(critical.body.results[0].channel).toBe('oncall');
+
+    const warning = JSON.parse(fixture('alertmanager'));
+    warning.commonLabels.severity = 'warning';
+    expect((await post('/alertmanager', JSON.stringify(warning))).body.results[0].channel).toBe('ops');
+    expect(telegram.requestsFor('sendMessage').map((request) => request.payload.chat_id)).toEqual(['43', '42']);
+  });
+
+  it('lets ?channel= override the routes', async () => {
+    const { status, body } = await post('/alertmanager?channel=dev', fixture('alertmanager'));
+    expect(status).toBe(200);
+    expect(body.results[0].channel).toBe('dev');
+    expect((await post('/alertmanager?channel=nope', fixture('alertmanager'))).status).toBe(404);
+  });
+
+  it('uses the endpoint secret and template', async () => {
+    const body = fixture('custom');
+    expect((await post('/deploys', body)).status).toBe(401);
+    const { status } = await post('/deploys', body, { 'x-api-key': 'deploy-secret' });
+    expect(status).toBe(200);
+    telegram.assertSent('sendMessage', { chat_id: '43', text: 'billing failed', parse_mode: 'HTML' });
+  });
+
+  it('runs custom adapters', async () => {
+    expect((await post('/custom', JSON.stringify({ name: 'Nightly' }))).status).toBe(200);
+    telegram.assertSent('sendMessage', { chat_id: '-100123', text: '*Nightly*', parse_mode: 'MarkdownV2' });
+    expect((await post('/custom', JSON.stringify({ skip: true }))).status).toBe(202);
+  });
+
+  it('rejects bad requests', async () => {
+    expect((await post('/alertmanager', '{')).status).toBe(400);
+    expect((await post('/alertmanager', '[1]')).body.error.message).toBe('The webhook payload must be a JSON object');
+    expect((await post('/alertmanager', '{}')).status).toBe(202);
+    expect((await post('/nope', '{}')).status).toBe(404);
+    const get = await fetch(`${url}/github`);
+    expect(get.status).toBe(405);
+    expect(get.headers.get('allow')).toBe('POST');
+
+    const broken = await post('/alertmanager', JSON.stringify({ alerts: [null] }));
+    expect(broken.status).toBe(400);
+    expect(broken.body.error.message).toMatch(/^Could not format the alertmanager webhook: /);
+  });
+});